@@ -3,6 +3,14 @@ import { Web3Provider } from './context/Web3Context';
 import ConnectWalletButton from './components/ConnectWalletButton';
 import DIDManagement from './components/DIDManagement';
 import VCApplication from './components/VCApplication';
+import CredentialVerifier from './components/CredentialVerifier';
+import PresentationVerifier from './components/PresentationVerifier';
+import StatusListManager from './components/StatusListManager';
+import IssuerDashboard from './components/IssuerDashboard';
+import AdminConsole from './components/AdminConsole';
+import HolderWallet from './components/HolderWallet';
+import SelectiveDisclosure from './components/SelectiveDisclosure';
+import ActivityExplorer from './components/ActivityExplorer';
 import './App.css'; // 添加一些基础样式
 
 function App() {
@@ -17,6 +25,22 @@ function App() {
           <DIDManagement />
           <hr />
           <VCApplication />
+          <hr />
+          <IssuerDashboard />
+          <hr />
+          {/* 仅对管理员显示 */}
+          <AdminConsole />
+          <StatusListManager />
+          <hr />
+          <HolderWallet />
+          <hr />
+          <SelectiveDisclosure />
+          <hr />
+          <CredentialVerifier />
+          <hr />
+          <PresentationVerifier />
+          <hr />
+          <ActivityExplorer />
         </main>
       </div>
     </Web3Provider>
@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { getIndexerStatus, getIssuerBatches, getRevocations, getDidHistory, getRoleMembers } from '../services/indexer';
+
+// 列表中缩写显示 bytes32 哈希
+const formatHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 8)}`;
+
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+
+// 撤销记录的查询范围
+const REVOCATION_RANGES = [
+  { days: 1, label: '最近一天' },
+  { days: 7, label: '最近一周' },
+  { days: 30, label: '最近 30 天' },
+];
+
+// DID 历史中各事件的展示文本
+const DID_EVENT_LABELS = {
+  DIDRegistered: (args) => `创建，控制者 ${args.controller}，文档 ${args.cid}`,
+  DIDUpdated: (args) => `文档更新为 ${args.newCid}`,
+  DIDControllerChanged: (args) => `控制者由 ${args.previousController} 转移给 ${args.newController}`,
+  DIDRevoked: () => '撤销',
+};
+
+/**
+ * 活动查询：通过事件索引服务查询颁发者的全部批次、一段时间内的撤销记录、DID 的完整更新历史
+ * 和角色成员，这些查询无法用合约的视图函数完成。
+ */
+const ActivityExplorer = () => {
+  const { account } = useWeb3();
+  const [status, setStatus] = useState(null);
+  const [issuer, setIssuer] = useState('');
+  const [batches, setBatches] = useState(null);
+  const [revocationDays, setRevocationDays] = useState(7);
+  const [revocations, setRevocations] = useState(null);
+  const [did, setDid] = useState('');
+  const [didState, setDidState] = useState(undefined); // undefined: 尚未查询；null: 不存在
+  const [role, setRole] = useState('ISSUER_ROLE');
+  const [roleMembers, setRoleMembers] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  useEffect(() => {
+    if (account) setIssuer(account);
+  }, [account]);
+
+  // 每次查询同时刷新索引进度，便于判断结果是否已包含最新区块
+  const runQuery = async (query) => {
+    setIsLoading(true);
+    try {
+      const [result, indexerStatus] = await Promise.all([query(), getIndexerStatus()]);
+      setStatus(indexerStatus);
+      setMessage({ text: '', type: 'info' });
+      return result;
+    } catch (error) {
+      console.error("Indexer query failed:", error);
+      setMessage({ text: error.message, type: 'error' });
+      return undefined;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleBatches = async () => {
+    const result = await runQuery(() => getIssuerBatches(issuer.trim()));
+    if (result !== undefined) setBatches(result);
+  };
+
+  const handleRevocations = async () => {
+    const since = Math.floor(Date.now() / 1000) - revocationDays * 24 * 3600;
+    const result = await runQuery(() => getRevocations({ since }));
+    if (result !== undefined) setRevocations(result);
+  };
+
+  const handleDid = async () => {
+    const result = await runQuery(() => getDidHistory(did.trim()));
+    if (result !== undefined) setDidState(result);
+  };
+
+  const handleRole = async () => {
+    const result = await runQuery(() => getRoleMembers(role));
+    if (result !== undefined) setRoleMembers(result.members);
+  };
+
+  return (
+    <div className="component">
+      <h2>链上活动查询</h2>
+      <p>查询由事件索引服务整理的历史记录。</p>
+      {status && <p><small>已索引到区块 {status.checkpoint}，共 {status.events} 个事件。</small></p>}
+
+      <h3>颁发者的批次</h3>
+      <input type="text" placeholder="颁发者地址 (留空表示全部)" value={issuer} onChange={(e) => setIssuer(e.target.value)} />
+      <button onClick={handleBatches} disabled={isLoading}>查询批次</button>
+      {batches && (batches.length === 0 ? <p>没有找到批次。</p> : (
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>默克尔树根</th>
+              <th>颁发者</th>
+              <th>颁发时间</th>
+              <th>有效期至</th>
+              <th>已撤销 (按叶子)</th>
+              <th>已撤销 (按状态列表)</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map((batch) => (
+              <tr key={batch.merkleRoot}>
+                <td><code title={batch.merkleRoot}>{formatHash(batch.merkleRoot)}</code></td>
+                <td><small>{batch.issuer}</small></td>
+                <td>{formatTime(batch.timestamp)}</td>
+                <td>{batch.validUntil > 0 ? formatTime(batch.validUntil) : '长期'}</td>
+                <td>{batch.revokedCount}</td>
+                <td>{batch.statusListRevokedCount}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+
+      <h3>撤销记录</h3>
+      <select value={revocationDays} onChange={(e) => setRevocationDays(Number(e.target.value))}>
+        {REVOCATION_RANGES.map(({ days, label }) => <option key={days} value={days}>{label}</option>)}
+      </select>
+      <button onClick={handleRevocations} disabled={isLoading}>查询撤销</button>
+      {revocations && (revocations.length === 0 ? <p>该时间段内没有撤销。</p> : (
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>时间</th>
+              <th>批次</th>
+              <th>撤销的凭证</th>
+              <th>原因</th>
+              <th>撤销者</th>
+            </tr>
+          </thead>
+          <tbody>
+            {revocations.map((revocation) => (
+              <tr key={`${revocation.transactionHash}-${revocation.leaf || revocation.statusListIndices.join(',')}`}>
+                <td>{formatTime(revocation.timestamp)}</td>
+                <td><code title={revocation.merkleRoot}>{formatHash(revocation.merkleRoot)}</code></td>
+                <td>
+                  {revocation.kind === 'leaf'
+                    ? <code title={revocation.leaf}>{formatHash(revocation.leaf)}</code>
+                    : `状态列表索引 ${revocation.statusListIndices.join(', ')}`}
+                </td>
+                <td>{revocation.reason || ''}</td>
+                <td><small>{revocation.revoker}</small></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ))}
+
+      <h3>DID 历史</h3>
+      <input type="text" placeholder="did:merkleseal:... 或 bytes32" value={did} onChange={(e) => setDid(e.target.value)} />
+      <button onClick={handleDid} disabled={isLoading || !did.trim()}>查询历史</button>
+      {didState === null && <p>索引中没有该 DID。</p>}
+      {didState && (
+        <div>
+          <p>
+            <strong>当前状态:</strong> {didState.status === 'active' ? '有效' : '已撤销'}，
+            控制者 <code>{didState.controller}</code>，文档 <code>{didState.cid}</code>
+          </p>
+          <ol>
+            {didState.history.map((entry) => (
+              <li key={`${entry.transactionHash}-${entry.event}`}>
+                {formatTime(entry.timestamp)} (区块 {entry.blockNumber}): {DID_EVENT_LABELS[entry.event](entry.args)}
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
+      <h3>角色成员</h3>
+      <select value={role} onChange={(e) => setRole(e.target.value)}>
+        <option value="ISSUER_ROLE">颁发者 (ISSUER_ROLE)</option>
+        <option value="ACCREDITOR_ROLE">认证机构 (ACCREDITOR_ROLE)</option>
+        <option value="DEFAULT_ADMIN_ROLE">管理员 (DEFAULT_ADMIN_ROLE)</option>
+      </select>
+      <button onClick={handleRole} disabled={isLoading}>查询成员</button>
+      {roleMembers && (
+        <ul>
+          {roleMembers.map((member) => (
+            <li key={member.account}><code>{member.account}</code>，{formatTime(member.grantedAt)} 授予</li>
+          ))}
+        </ul>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ActivityExplorer;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { fetchIssuerRoleEvents, buildIssuerList } from '../lib/issuerRoles';
+import { formatDid, parseDid } from '../lib/didMethod';
+import { ACCREDITATION_STATUSES, getIssuerAccreditation, getAccreditationStatus } from '../lib/trustRegistry';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+
+const EMPTY_ISSUER_FORM = { address: '', name: '', website: '' };
+const EMPTY_ACCREDITATION_FORM = { address: '', did: '', name: '', accreditationType: '', validFrom: '', validUntil: '' };
+
+const ACCREDITATION_LABELS = {
+  [ACCREDITATION_STATUSES.ACCREDITED]: '✅ 有效',
+  [ACCREDITATION_STATUSES.NOT_YET_VALID]: '⏳ 尚未生效',
+  [ACCREDITATION_STATUSES.LAPSED]: '⚠️ 已失效',
+  [ACCREDITATION_STATUSES.UNREGISTERED]: '未登记',
+};
+
+// datetime-local 输入转换为秒级时间戳，留空返回 0
+const toTimestamp = (value) => (value ? Math.floor(new Date(value).getTime() / 1000) : 0);
+
+/**
+ * 管理员控制台：仅对持有 DEFAULT_ADMIN_ROLE 的账户显示，
+ * 列出由 RoleGranted / RoleRevoked 事件重建的颁发者，并支持授予和撤销 ISSUER_ROLE，
+ * 以及在信任注册表中登记颁发者的 DID 和认证信息。
+ */
+const AdminConsole = () => {
+  const { signer, account, chainId, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [issuers, setIssuers] = useState([]);
+  const [accreditations, setAccreditations] = useState({}); // 颁发者地址 => 信任注册表条目
+  const [issuerForm, setIssuerForm] = useState(EMPTY_ISSUER_FORM);
+  const [accreditationForm, setAccreditationForm] = useState(EMPTY_ACCREDITATION_FORM);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  useEffect(() => {
+    if (signer && contractAddresses) {
+      const contract = new ethers.Contract(
+        contractAddresses.VCRegistry,
+        VCRegistryABI.abi,
+        signer
+      );
+      setVcRegistryContract(contract);
+    } else {
+      setVcRegistryContract(null);
+    }
+  }, [signer, contractAddresses]);
+
+  // 检测当前账户是否为管理员
+  useEffect(() => {
+    setIsAdmin(false);
+    if (!vcRegistryContract || !account) return;
+    let cancelled = false;
+
+    const checkAdmin = async () => {
+      try {
+        const adminRole = await vcRegistryContract.DEFAULT_ADMIN_ROLE();
+        const hasRole = await vcRegistryContract.hasRole(adminRole, account);
+        if (!cancelled) setIsAdmin(hasRole);
+      } catch (error) {
+        console.error("Error checking admin role:", error);
+      }
+    };
+
+    checkAdmin();
+    return () => {
+      cancelled = true;
+    };
+  }, [vcRegistryContract, account]);
+
+  const fetchIssuers = useCallback(async () => {
+    if (!vcRegistryContract) return;
+    try {
+      const issuerList = buildIssuerList(await fetchIssuerRoleEvents(vcRegistryContract));
+      const entries = await Promise.all(
+        issuerList.map((issuer) => getIssuerAccreditation(vcRegistryContract, issuer.address))
+      );
+      setIssuers(issuerList);
+      setAccreditations(Object.fromEntries(issuerList.map((issuer, i) => [issuer.address, entries[i]])));
+    } catch (error) {
+      console.error("Error fetching issuers:", error);
+      setMessage({ text: '获取颁发者列表失败，请检查控制台获取详情。', type: 'error' });
+    }
+  }, [vcRegistryContract]);
+
+  useEffect(() => {
+    if (isAdmin) fetchIssuers();
+  }, [isAdmin, fetchIssuers]);
+
+  const sendTransaction = async (action, pendingText, successText) => {
+    setIsLoading(true);
+    setMessage({ text: pendingText, type: 'info' });
+    try {
+      const tx = await action();
+      setMessage({ text: '交易已发送，正在等待区块链确认...', type: 'info' });
+      await tx.wait();
+      setMessage({ text: successText, type: 'success' });
+      await fetchIssuers();
+      return true;
+    } catch (error) {
+      console.error("Issuer role transaction failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '操作失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `操作失败: ${error.reason || error.message}`, type: 'error' });
+      }
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleGrant = async (e) => {
+    e.preventDefault();
+    const { address, name, website } = issuerForm;
+    if (!ethers.isAddress(address)) {
+      setMessage({ text: '请输入有效的颁发者地址。', type: 'error' });
+      return;
+    }
+    if (!window.confirm(`确认授予 ${name || address} 颁发者角色？`)) return;
+
+    const granted = await sendTransaction(
+      () => vcRegistryContract.grantIssuerRoleWithMetadata(address, name.trim(), website.trim()),
+      '正在发送交易以授予颁发者角色...',
+      `已授予 ${name || address} 颁发者角色。`
+    );
+    if (granted) setIssuerForm(EMPTY_ISSUER_FORM);
+  };
+
+  const handleAccredit = async (e) => {
+    e.preventDefault();
+    const { address, did, name, accreditationType, validFrom, validUntil } = accreditationForm;
+    if (!ethers.isAddress(address)) {
+      setMessage({ text: '请输入有效的颁发者地址。', type: 'error' });
+      return;
+    }
+    let didHash;
+    try {
+      ({ didHash } = parseDid(did));
+    } catch (error) {
+      setMessage({ text: `"${did}" 不是有效的 did:merkleseal DID。`, type: 'error' });
+      return;
+    }
+    const from = toTimestamp(validFrom);
+    const until = toTimestamp(validUntil);
+    if (until !== 0 && until < from) {
+      setMessage({ text: '认证结束时间不能早于开始时间。', type: 'error' });
+      return;
+    }
+
+    const accredited = await sendTransaction(
+      () => vcRegistryContract.setIssuerAccreditation(address, didHash, name.trim(), accreditationType.trim(), from, until),
+      '正在发送交易以登记可信颁发者...',
+      `已在信任注册表中登记 ${name || address}。`
+    );
+    if (accredited) setAccreditationForm(EMPTY_ACCREDITATION_FORM);
+  };
+
+  const handleRemoveAccreditation = async (issuer) => {
+    if (!window.confirm(`确认将 ${accreditations[issuer.address].name} 从信任注册表中移除？`)) return;
+
+    await sendTransaction(
+      () => vcRegistryContract.removeIssuerAccreditation(issuer.address),
+      '正在发送交易以移除可信颁发者...',
+      '已从信任注册表中移除该颁发者。'
+    );
+  };
+
+  const handleRevoke = async (issuer) => {
+    const label = issuer.metadata && issuer.metadata.name ? issuer.metadata.name : issuer.address;
+    if (!window.confirm(`确认撤销 ${label} 的颁发者角色？\n已颁发的凭证不受影响，但该账户将无法再颁发新凭证。`)) return;
+
+    await sendTransaction(
+      () => vcRegistryContract.revokeIssuerRole(issuer.address),
+      '正在发送交易以撤销颁发者角色...',
+      `已撤销 ${label} 的颁发者角色。`
+    );
+  };
+
+  // 非管理员完全不显示该区域
+  if (!isAdmin) {
+    return null;
+  }
+
+  return (
+    <>
+      <div className="component">
+        <h2>管理员控制台</h2>
+        <p>管理 VCRegistry 的颁发者角色。</p>
+
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>颁发者</th>
+              <th>名称</th>
+              <th>网站</th>
+              <th>DID</th>
+              <th>状态</th>
+              <th>信任注册表</th>
+              <th />
+            </tr>
+          </thead>
+          <tbody>
+            {issuers.map((issuer) => (
+              <tr key={issuer.address}>
+                <td><code>{issuer.address}</code></td>
+                <td>{issuer.metadata ? issuer.metadata.name : '-'}</td>
+                <td>{issuer.metadata && issuer.metadata.website ? issuer.metadata.website : '-'}</td>
+                <td><code>{accreditations[issuer.address] ? formatDid(chainId, accreditations[issuer.address].didHash) : '-'}</code></td>
+                <td>{issuer.active ? '✅ 有效' : '⛔ 已撤销'}</td>
+                <td>
+                  {accreditations[issuer.address] && `${accreditations[issuer.address].accreditationType} `}
+                  {ACCREDITATION_LABELS[getAccreditationStatus(accreditations[issuer.address])]}
+                </td>
+                <td>
+                  {issuer.active && (
+                    <button onClick={() => handleRevoke(issuer)} disabled={isLoading}>撤销</button>
+                  )}
+                  {accreditations[issuer.address] && (
+                    <button onClick={() => handleRemoveAccreditation(issuer)} disabled={isLoading}>移出注册表</button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+
+        <h3>授予颁发者角色</h3>
+        <form onSubmit={handleGrant} className="did-form">
+          <input
+            type="text"
+            placeholder="颁发者地址 (0x...)"
+            value={issuerForm.address}
+            onChange={(e) => setIssuerForm({ ...issuerForm, address: e.target.value.trim() })}
+            required
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            placeholder="名称，例如 清华大学教务处"
+            value={issuerForm.name}
+            onChange={(e) => setIssuerForm({ ...issuerForm, name: e.target.value })}
+            required
+            disabled={isLoading}
+          />
+          <input
+            type="url"
+            placeholder="网站 (https://...)"
+            value={issuerForm.website}
+            onChange={(e) => setIssuerForm({ ...issuerForm, website: e.target.value })}
+            disabled={isLoading}
+          />
+          <button type="submit" disabled={isLoading}>授予颁发者角色</button>
+        </form>
+
+        <h3>登记可信颁发者</h3>
+        <p>验证者将通过信任注册表显示颁发者的 DID 与名称，认证失效后颁发的凭证会被标记。</p>
+        <form onSubmit={handleAccredit} className="did-form">
+          <input
+            type="text"
+            placeholder="颁发者地址 (0x...)"
+            value={accreditationForm.address}
+            onChange={(e) => setAccreditationForm({ ...accreditationForm, address: e.target.value.trim() })}
+            required
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            placeholder="颁发者 DID (did:merkleseal:<chainId>:0x...)"
+            value={accreditationForm.did}
+            onChange={(e) => setAccreditationForm({ ...accreditationForm, did: e.target.value.trim() })}
+            required
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            placeholder="名称，例如 清华大学教务处"
+            value={accreditationForm.name}
+            onChange={(e) => setAccreditationForm({ ...accreditationForm, name: e.target.value })}
+            required
+            disabled={isLoading}
+          />
+          <input
+            type="text"
+            placeholder="认证类型，例如 HigherEducation"
+            value={accreditationForm.accreditationType}
+            onChange={(e) => setAccreditationForm({ ...accreditationForm, accreditationType: e.target.value })}
+            required
+            disabled={isLoading}
+          />
+          <label>
+            认证生效时间:
+            <input
+              type="datetime-local"
+              value={accreditationForm.validFrom}
+              onChange={(e) => setAccreditationForm({ ...accreditationForm, validFrom: e.target.value })}
+              disabled={isLoading}
+            />
+          </label>
+          <label>
+            认证截止时间（留空表示长期有效）:
+            <input
+              type="datetime-local"
+              value={accreditationForm.validUntil}
+              onChange={(e) => setAccreditationForm({ ...accreditationForm, validUntil: e.target.value })}
+              disabled={isLoading}
+            />
+          </label>
+          <button type="submit" disabled={isLoading}>登记可信颁发者</button>
+        </form>
+
+        {message.text && (
+          <p className={`message ${message.type}`}>
+            {message.text}
+          </p>
+        )}
+      </div>
+      <hr />
+    </>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,153 @@
+import React, { useState } from 'react';
+import { getSchemaFormFields } from '../lib/credentialSchema';
+import {
+  EXPIRATION_DATE_COLUMN,
+  parseCsv,
+  parseJsonRecords,
+  suggestColumnMapping,
+  importRecords,
+  checkImportedSubjects,
+} from '../lib/bulkImport';
+import { downloadText } from '../utils/download';
+
+// 错误报告最多显示的记录数，完整报告可以下载
+const MAX_REPORTED_ERRORS = 200;
+
+/**
+ * 从 CSV / JSON 文件批量导入凭证条目。
+ * 上传后按列名推测列映射，颁发者确认映射后逐条校验，
+ * 通过校验且主体 DID 在链上有效的条目通过 onImport 加入批次，其余记录显示在错误报告中。
+ */
+const BulkImport = ({ vcRegistryContract, chainId, schema, existingSubjectIds, onImport, disabled }) => {
+  const fields = getSchemaFormFields(schema.document);
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [records, setRecords] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null); // { imported, errors }
+  const [isChecking, setIsChecking] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setReport(null);
+    try {
+      const text = await file.text();
+      const parsed = /\.json$/i.test(file.name) ? parseJsonRecords(text) : parseCsv(text);
+      setFileName(file.name);
+      setHeaders(parsed.headers);
+      setRecords(parsed.records);
+      setMapping(suggestColumnMapping(parsed.headers, fields));
+      setMessage({ text: `已读取 ${file.name}：${parsed.records.length} 条记录，请确认列映射。`, type: 'info' });
+    } catch (error) {
+      setRecords([]);
+      setMessage({ text: `无法解析 ${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const handleImport = async () => {
+    setIsChecking(true);
+    let entries;
+    let errors;
+    try {
+      ({ entries, errors } = await checkImportedSubjects(
+        vcRegistryContract,
+        importRecords(records, { fields, schema: schema.document, mapping, existingSubjectIds, chainId }),
+        chainId
+      ));
+    } catch (error) {
+      console.error("Error checking imported subject DIDs:", error);
+      setMessage({ text: `检查主体 DID 失败: ${error.message}`, type: 'error' });
+      return;
+    } finally {
+      setIsChecking(false);
+    }
+    onImport(entries.map(({ credentialSubject, expirationDate }) => ({ schema, credentialSubject, expirationDate })));
+    setReport({ imported: entries.length, errors });
+    setRecords([]);
+    setMessage({
+      text: `已将 ${entries.length} 条记录加入批次，${errors.length} 条记录未通过校验。`,
+      type: errors.length > 0 ? 'error' : 'success',
+    });
+  };
+
+  const downloadErrorReport = () => {
+    const lines = report.errors.map(({ record, messages }) => `${record},"${messages.join('; ').replace(/"/g, '""')}"`);
+    downloadText(['record,errors', ...lines].join('\n'), `${fileName.replace(/\.[^.]+$/, '')}-errors.csv`, 'text/csv');
+  };
+
+  const mappingRow = (key, label, required) => (
+    <tr key={key}>
+      <td>{label}{required && ' *'}</td>
+      <td>
+        <select value={mapping[key] || ''} onChange={(e) => setMapping({ ...mapping, [key]: e.target.value })} disabled={disabled}>
+          <option value="">（不导入）</option>
+          {headers.map((header) => <option key={header} value={header}>{header}</option>)}
+        </select>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
+      <h4>从 CSV / JSON 批量导入 {schema.name}</h4>
+      <p>CSV 第一行为列名；JSON 为对象数组。每条记录对应一个凭证。</p>
+      <input type="file" accept=".csv,text/csv,.json,application/json" onChange={handleFileUpload} disabled={disabled} />
+
+      {records.length > 0 && (
+        <>
+          <table className="did-table">
+            <thead>
+              <tr>
+                <th>凭证字段</th>
+                <th>文件中的列</th>
+              </tr>
+            </thead>
+            <tbody>
+              {fields.map((field) => mappingRow(field.name, field.label, field.required))}
+              {mappingRow(EXPIRATION_DATE_COLUMN, '过期时间 (可选)', false)}
+            </tbody>
+          </table>
+          <button onClick={handleImport} disabled={disabled || isChecking || !vcRegistryContract}>
+            {isChecking ? '正在检查主体 DID...' : `校验并导入 ${records.length} 条记录`}
+          </button>
+        </>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+
+      {report && report.errors.length > 0 && (
+        <div className="import-report">
+          <table className="did-table">
+            <thead>
+              <tr>
+                <th>记录</th>
+                <th>错误</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.errors.slice(0, MAX_REPORTED_ERRORS).map(({ record, messages }) => (
+                <tr key={record}>
+                  <td>#{record}</td>
+                  <td>{messages.map((text) => <div key={text}>{text}</div>)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {report.errors.length > MAX_REPORTED_ERRORS && (
+            <p>仅显示前 {MAX_REPORTED_ERRORS} 条错误记录。</p>
+          )}
+          <button onClick={downloadErrorReport}>下载错误报告 (CSV)</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkImport;
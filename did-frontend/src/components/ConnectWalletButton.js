@@ -1,20 +1,49 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useWeb3 } from '../context/Web3Context';
 
 const ConnectWalletButton = () => {
-  const { connectWallet, account, isConnected } = useWeb3();
+  const {
+    connectWallet, switchChain, account, chainId, isSupportedChain, supportedChainIds, defaultChainId, staleAbis,
+  } = useWeb3();
+  const [switchError, setSwitchError] = useState('');
 
   const formatAddress = (addr) => {
     return `${addr.substring(0, 6)}...${addr.substring(addr.length - 4)}`;
   };
 
+  const handleSwitch = async () => {
+    setSwitchError('');
+    try {
+      await switchChain(defaultChainId);
+    } catch (error) {
+      console.error("Failed to switch chain:", error);
+      setSwitchError(`切换网络失败: ${error.message}`);
+    }
+  };
+
+  if (!account) {
+    return (
+      <div>
+        <button onClick={connectWallet}>连接 MetaMask 钱包</button>
+      </div>
+    );
+  }
+
   return (
     <div>
-      {isConnected ? (
-        <p>已连接: {formatAddress(account)}</p>
-      ) : (
-        <button onClick={connectWallet}>连接 MetaMask 钱包</button>
+      <p>已连接: {formatAddress(account)} (链 {chainId})</p>
+      {!isSupportedChain && (
+        <p className="message error">
+          当前网络没有部署合约，支持的链: {supportedChainIds.join(', ') || '无'}。{' '}
+          {defaultChainId && <button onClick={handleSwitch}>切换到链 {defaultChainId}</button>}
+        </p>
+      )}
+      {staleAbis.length > 0 && (
+        <p className="message error">
+          前端的 {staleAbis.join(', ')} ABI 与当前链上的部署不一致，请重新部署或导出 ABI。
+        </p>
       )}
+      {switchError && <p className="message error">{switchError}</p>}
     </div>
   );
 };
@@ -0,0 +1,146 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { fetchIssuerSchemas, getSchemaFormFields, hashCredentialSchema } from '../lib/credentialSchema';
+import { SCHEMA_TEMPLATES } from '../lib/schemaTemplates';
+import storage from '../services/storage';
+
+const templateText = (index) => JSON.stringify(SCHEMA_TEMPLATES[index], null, 2);
+
+/**
+ * 颁发者 schema 选择器：列出当前颁发者在 VCRegistry 中注册的 schema，
+ * 也可以从模板或自定义 JSON 注册新的 schema。
+ * 选中的 schema 文档会校验其哈希与注册表一致后通过 onSelect 回传。
+ */
+const CredentialSchemaPicker = ({ vcRegistryContract, account, onSelect, disabled }) => {
+  const [schemas, setSchemas] = useState([]);
+  const [selectedHash, setSelectedHash] = useState('');
+  const [showRegister, setShowRegister] = useState(false);
+  const [schemaText, setSchemaText] = useState(templateText(0));
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const fetchSchemas = useCallback(async () => {
+    if (!vcRegistryContract || !account) return;
+    try {
+      const records = await fetchIssuerSchemas(vcRegistryContract, account);
+      setSchemas(records);
+      setShowRegister(records.length === 0);
+    } catch (error) {
+      console.error("Error fetching credential schemas:", error);
+      setMessage({ text: '获取 schema 列表失败，请检查控制台获取详情。', type: 'error' });
+    }
+  }, [vcRegistryContract, account]);
+
+  useEffect(() => {
+    setSelectedHash('');
+    onSelect(null);
+    fetchSchemas();
+  }, [fetchSchemas, onSelect]);
+
+  const handleSelect = async (schemaHash) => {
+    setSelectedHash(schemaHash);
+    onSelect(null);
+    if (!schemaHash) return;
+
+    const record = schemas.find((schema) => schema.schemaHash === schemaHash);
+    setMessage({ text: `正在从存储节点读取 schema ${record.name}...`, type: 'info' });
+    try {
+      const document = await storage.getJson(record.cid);
+      // 存储节点返回的文档必须与注册表中的哈希一致
+      if (hashCredentialSchema(document) !== schemaHash) {
+        throw new Error('schema 文档与注册表中的哈希不一致');
+      }
+      getSchemaFormFields(document);
+      onSelect({ ...record, document });
+      setMessage({ text: '', type: 'info' });
+    } catch (error) {
+      console.error("Load credential schema failed:", error);
+      setMessage({ text: `读取 schema 失败: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const handleRegister = async (e) => {
+    e.preventDefault();
+    let document;
+    try {
+      document = JSON.parse(schemaText);
+      getSchemaFormFields(document);
+      if (!document.title) throw new Error('schema 必须包含 title，用作凭证类型');
+    } catch (error) {
+      setMessage({ text: `schema 无效: ${error.message}`, type: 'error' });
+      return;
+    }
+    const schemaHash = hashCredentialSchema(document);
+    if (schemas.some((schema) => schema.schemaHash === schemaHash)) {
+      setMessage({ text: '该 schema 已经注册过了。', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setMessage({ text: '正在将 schema 上传到存储节点...', type: 'info' });
+    try {
+      const cid = await storage.addJson(document);
+      setMessage({ text: `schema 已上传 (CID: ${cid})，正在发送交易以注册...`, type: 'info' });
+      const tx = await vcRegistryContract.registerCredentialSchema(schemaHash, document.title, cid);
+      await tx.wait();
+      setMessage({ text: `schema ${document.title} 注册成功！`, type: 'success' });
+      await fetchSchemas();
+    } catch (error) {
+      console.error("Register credential schema failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '注册失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `注册失败: ${error.reason || error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="schema-picker">
+      <label>
+        凭证 schema:
+        <select value={selectedHash} onChange={(e) => handleSelect(e.target.value)} disabled={disabled || isLoading}>
+          <option value="">请选择 schema</option>
+          {schemas.map((schema) => (
+            <option key={schema.schemaHash} value={schema.schemaHash}>
+              {schema.name} ({schema.schemaHash.slice(0, 10)}...)
+            </option>
+          ))}
+        </select>
+      </label>
+      <button type="button" onClick={() => setShowRegister(!showRegister)} disabled={disabled}>
+        {showRegister ? '收起' : '注册新 schema'}
+      </button>
+
+      {showRegister && (
+        <form onSubmit={handleRegister}>
+          <label>
+            从模板开始:
+            <select onChange={(e) => setSchemaText(templateText(e.target.value))} disabled={isLoading}>
+              {SCHEMA_TEMPLATES.map((template, index) => (
+                <option key={template.title} value={index}>{template.title} - {template.description}</option>
+              ))}
+            </select>
+          </label>
+          <textarea
+            rows={12}
+            cols={60}
+            value={schemaText}
+            onChange={(e) => setSchemaText(e.target.value)}
+            disabled={isLoading}
+          />
+          <button type="submit" disabled={isLoading}>{isLoading ? '处理中...' : '上传并注册 schema'}</button>
+        </form>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CredentialSchemaPicker;
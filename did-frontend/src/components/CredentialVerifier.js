@@ -0,0 +1,402 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { HASH_SCHEMES, DEFAULT_HASH_SCHEME, hashCredential } from '../lib/credentialHash';
+import { ISSUANCE_MODES, getPackageHashScheme, getPackageIssuanceMode } from '../lib/credentialPackage';
+import { credentialStatusFromContract, getCredentialExpiry, isCredentialExpired } from '../lib/credentialValidity';
+import { getStatusListIndex } from '../lib/statusList';
+import { SD_PRESENTATION_TYPE, hashSelectiveDisclosureCredential, verifySelectiveDisclosure } from '../lib/selectiveDisclosure';
+import { ACCREDITATION_STATUSES, resolveIssuerIdentity } from '../lib/trustRegistry';
+import { checkCredentialSubjects } from '../lib/credentialVerification';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+import DIDRegistryABI from '../contracts/DIDRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
+
+// 验证结果的展示文本
+const STATUS_LABELS = {
+  valid: '✅ 有效',
+  revoked: '⛔ 已撤销',
+  unknownRoot: '❓ 未知的默克尔树根（该批次从未在链上颁发）',
+  unknownCredential: '❓ 链上没有该凭证（从未单独颁发）',
+  invalidProof: '❌ 默克尔证明无效（凭证不属于该批次）',
+  expired: '⌛ 已过期',
+  invalidDisclosure: '❌ 披露的声明无效（与凭证不符或隐藏了必需的声明）',
+};
+
+// 颁发者认证状态的展示文本
+const ACCREDITATION_LABELS = {
+  [ACCREDITATION_STATUSES.ACCREDITED]: '✅ 认证有效',
+  [ACCREDITATION_STATUSES.NOT_YET_VALID]: '⚠️ 认证尚未生效',
+  [ACCREDITATION_STATUSES.LAPSED]: '⚠️ 认证已失效',
+  [ACCREDITATION_STATUSES.UNREGISTERED]: '⚠️ 颁发者未在信任注册表中登记',
+};
+
+const DID_STATUS_LABELS = {
+  active: '有效',
+  revoked: '已撤销',
+  notFound: '不存在',
+};
+
+const CredentialVerifier = () => {
+  const { provider, isConnected, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [didRegistryContract, setDidRegistryContract] = useState(null);
+  const [credentialContract, setCredentialContract] = useState(null);
+  const [issuanceMode, setIssuanceMode] = useState(ISSUANCE_MODES.BATCH);
+  const [credentialText, setCredentialText] = useState('');
+  const [proofText, setProofText] = useState('');
+  const [merkleRoot, setMerkleRoot] = useState('');
+  const [hashScheme, setHashScheme] = useState(DEFAULT_HASH_SCHEME);
+  const [salts, setSalts] = useState(null); // 选择性披露凭证包中的声明盐值
+  const [presentation, setPresentation] = useState(null); // 持有者生成的选择性披露
+  const [presenter, setPresenter] = useState(''); // 可选：要求出示者账户控制主体 DID
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  // 验证只需要读取链上数据，因此使用 provider 而不是 signer
+  useEffect(() => {
+    if (provider && contractAddresses) {
+      const contract = new ethers.Contract(
+        contractAddresses.VCRegistry,
+        VCRegistryABI.abi,
+        provider
+      );
+      setVcRegistryContract(contract);
+      setDidRegistryContract(new ethers.Contract(
+        contractAddresses.DIDRegistry,
+        DIDRegistryABI.abi,
+        provider
+      ));
+      setCredentialContract(new ethers.Contract(
+        contractAddresses.VerifiableCredential,
+        VerifiableCredentialABI.abi,
+        provider
+      ));
+    } else {
+      setVcRegistryContract(null);
+      setDidRegistryContract(null);
+      setCredentialContract(null);
+    }
+  }, [provider, contractAddresses]);
+
+  // 上传的文件可以是单独的凭证 JSON、包含 credential/proof/merkleRoot 的凭证包、单个凭证的凭证包，或选择性披露
+  const handleFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const parsed = JSON.parse(reader.result);
+        setPresentation(null);
+        setSalts(null);
+        if (parsed.type === SD_PRESENTATION_TYPE) {
+          setPresentation(parsed);
+          setIssuanceMode(ISSUANCE_MODES.BATCH);
+          setMerkleRoot(parsed.merkleRoot || '');
+        } else if (parsed.credential) {
+          setCredentialText(JSON.stringify(parsed.credential, null, 2));
+          setIssuanceMode(getPackageIssuanceMode(parsed));
+          if (parsed.proof) setProofText(JSON.stringify(parsed.proof));
+          if (parsed.merkleRoot) setMerkleRoot(parsed.merkleRoot);
+          setHashScheme(getPackageHashScheme(parsed));
+          setSalts(parsed.salts || null);
+        } else {
+          setCredentialText(JSON.stringify(parsed, null, 2));
+        }
+        setResult(null);
+        setMessage({ text: `已载入文件: ${file.name}`, type: 'info' });
+      } catch (error) {
+        setMessage({ text: `文件不是有效的 JSON: ${error.message}`, type: 'error' });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    if (!vcRegistryContract) {
+      setMessage({ text: '请先连接钱包。', type: 'error' });
+      return;
+    }
+
+    // 选择性披露自带证明和树根；批次凭证需要凭证、证明和树根，单个凭证只需要凭证
+    const single = !presentation && issuanceMode === ISSUANCE_MODES.SINGLE;
+    let credential, proof;
+    if (!presentation) {
+      try {
+        credential = JSON.parse(credentialText);
+      } catch (error) {
+        setMessage({ text: `凭证 JSON 格式错误: ${error.message}`, type: 'error' });
+        return;
+      }
+      try {
+        proof = single || !proofText.trim() ? [] : JSON.parse(proofText);
+        if (!Array.isArray(proof) || !proof.every((node) => ethers.isHexString(node, 32))) {
+          throw new Error('证明必须是 bytes32 十六进制字符串数组');
+        }
+      } catch (error) {
+        setMessage({ text: `默克尔证明格式错误: ${error.message}`, type: 'error' });
+        return;
+      }
+      if (single && hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE) {
+        setMessage({ text: '单个颁发的凭证不使用选择性披露方案。', type: 'error' });
+        return;
+      }
+      if (hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE && !salts) {
+        setMessage({ text: '选择性披露凭证需要上传包含 salts 的完整凭证包。', type: 'error' });
+        return;
+      }
+    }
+    if (!single && !ethers.isHexString(merkleRoot, 32)) {
+      setMessage({ text: '默克尔树根必须是 bytes32 十六进制字符串。', type: 'error' });
+      return;
+    }
+    if (presenter && !ethers.isAddress(presenter)) {
+      setMessage({ text: '出示者地址格式错误。', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setResult(null);
+    setMessage({ text: single ? '正在查询 VerifiableCredential...' : '正在查询 VCRegistry...', type: 'info' });
+    try {
+      const network = await provider.getNetwork();
+      let verification; // { status, leaf, credential, errors, statusListIndex }
+
+      if (single) {
+        // 单个凭证的 id 就是叶子哈希，EIP-712 域使用 VerifiableCredential 地址
+        const leaf = hashCredential(credential, {
+          scheme: hashScheme,
+          chainId: Number(network.chainId),
+          verifyingContract: contractAddresses.VerifiableCredential,
+        });
+        const [, , , onChainStatus] = await credentialContract.verifyCredential(leaf);
+        let status = credentialStatusFromContract(onChainStatus);
+        if (status === 'unknownRoot') {
+          status = 'unknownCredential';
+        } else if (status === 'valid' && isCredentialExpired(credential)) {
+          status = 'expired';
+        }
+        verification = { status, leaf, credential, errors: [], statusListIndex: null };
+      } else if (presentation) {
+        // 检查每个已披露声明的证明和内层树根，再在链上验证内层树根属于该批次
+        verification = {
+          ...await verifySelectiveDisclosure(presentation, vcRegistryContract),
+          leaf: presentation.leaf,
+        };
+      } else {
+        const leaf = hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE
+          ? hashSelectiveDisclosureCredential(credential, salts)
+          : hashCredential(credential, {
+            scheme: hashScheme,
+            chainId: Number(network.chainId),
+            verifyingContract: contractAddresses.VCRegistry,
+          });
+
+        // 带有状态列表条目的凭证同时检查批次的撤销位图，statusListIndex 受叶子哈希保护
+        const statusListIndex = getStatusListIndex(credential);
+
+        // verifyCredential 返回详细状态，批次有效期在链上检查
+        const [, , onChainStatus] = statusListIndex === null
+          ? await vcRegistryContract.verifyCredential(leaf, merkleRoot, proof)
+          : await vcRegistryContract.verifyCredentialWithStatus(leaf, merkleRoot, proof, statusListIndex);
+
+        let status = credentialStatusFromContract(onChainStatus);
+        // 凭证自身的 expirationDate 不在链上记录，叶子哈希保证它未被篡改，因此在链下检查
+        if (status === 'valid' && isCredentialExpired(credential)) {
+          status = 'expired';
+        }
+        verification = { status, leaf, credential, errors: [], statusListIndex };
+      }
+
+      // 额外读取树根（或单个凭证）的颁发者和批次有效期用于展示，并检查主体 DID 的当前状态
+      const [rootIssuer, validUntil, subjects] = await Promise.all([
+        single
+          ? credentialContract.getCredential(verification.leaf).then(({ issuer }) => issuer)
+          : vcRegistryContract.merkleRootToIssuer(merkleRoot),
+        single ? 0 : vcRegistryContract.merkleRootValidUntil(merkleRoot),
+        verification.credential
+          ? checkCredentialSubjects(verification.credential, vcRegistryContract, network.chainId, presenter || undefined)
+          : [],
+      ]);
+
+      // 通过信任注册表解析颁发者身份，并检查其认证在验证时刻是否有效
+      const issuerIdentity = rootIssuer === ethers.ZeroAddress ? null : await resolveIssuerIdentity({
+        vcRegistryContract,
+        didRegistryContract,
+        chainId: network.chainId,
+        issuer: rootIssuer,
+      });
+
+      setResult({
+        status: verification.status,
+        leaf: verification.leaf,
+        issuer: rootIssuer,
+        issuerIdentity,
+        expiry: getCredentialExpiry(verification.credential),
+        validUntil: Number(validUntil),
+        statusListIndex: verification.statusListIndex,
+        errors: verification.errors,
+        disclosedSubject: presentation ? verification.credential.credentialSubject || {} : null,
+        subjects,
+      });
+      setMessage({ text: '', type: 'info' });
+    } catch (error) {
+      console.error("Verify credential failed:", error);
+      setMessage({ text: `验证失败: ${error.reason || error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isConnected) {
+    return <div className="component-placeholder">请先连接钱包以验证凭证。</div>;
+  }
+
+  return (
+    <div className="component">
+      <h2>验证可验证凭证</h2>
+      <p>粘贴或上传凭证 JSON，并提供其默克尔证明与树根（单个颁发的凭证不需要），页面将重新计算叶子哈希并在链上验证。也可以上传持有者生成的选择性披露文件。</p>
+
+      <form onSubmit={handleVerify} className="verifier-form">
+        <div>
+          <input type="file" accept="application/json,.json" onChange={handleFileUpload} />
+        </div>
+        {presentation ? (
+          <p>
+            已载入选择性披露：{presentation.disclosures.length} 个声明，树根 <code>{presentation.merkleRoot}</code>
+            {' '}<button type="button" onClick={() => setPresentation(null)}>改为验证完整凭证</button>
+          </p>
+        ) : (
+          <>
+            <textarea
+              placeholder="凭证 JSON"
+              rows={10}
+              cols={60}
+              value={credentialText}
+              onChange={(e) => setCredentialText(e.target.value)}
+              required
+            />
+            <select value={issuanceMode} onChange={(e) => setIssuanceMode(e.target.value)}>
+              <option value={ISSUANCE_MODES.BATCH}>批次凭证（默克尔树）</option>
+              <option value={ISSUANCE_MODES.SINGLE}>单个凭证</option>
+            </select>
+            {issuanceMode === ISSUANCE_MODES.BATCH && (
+              <textarea
+                placeholder='默克尔证明，例如 ["0x...", "0x..."]'
+                rows={3}
+                cols={60}
+                value={proofText}
+                onChange={(e) => setProofText(e.target.value)}
+              />
+            )}
+            <select value={hashScheme} onChange={(e) => setHashScheme(e.target.value)}>
+              <option value={HASH_SCHEMES.JCS}>JCS 规范化 JSON (RFC 8785)</option>
+              <option value={HASH_SCHEMES.EIP712}>EIP-712 结构化数据</option>
+              <option value={HASH_SCHEMES.LEGACY}>旧版 JSON.stringify</option>
+              <option value={HASH_SCHEMES.SELECTIVE_DISCLOSURE}>选择性披露（需要完整凭证包）</option>
+            </select>
+            {issuanceMode === ISSUANCE_MODES.BATCH && (
+              <input
+                type="text"
+                placeholder="默克尔树根 (0x...)"
+                value={merkleRoot}
+                onChange={(e) => setMerkleRoot(e.target.value.trim())}
+                required
+              />
+            )}
+          </>
+        )}
+        <input
+          type="text"
+          placeholder="出示者地址 (可选，要求其控制主体 DID)"
+          value={presenter}
+          onChange={(e) => setPresenter(e.target.value.trim())}
+        />
+        <button type="submit" disabled={isLoading}>
+          {isLoading ? '验证中...' : '验证凭证'}
+        </button>
+      </form>
+
+      {result && (
+        <div className={`verification-result ${result.status}`}>
+          <p><strong>验证结果:</strong> {STATUS_LABELS[result.status]}</p>
+          <p><strong>叶子哈希:</strong> <code>{result.leaf}</code></p>
+          {result.errors.length > 0 && (
+            <ul>
+              {result.errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          {result.disclosedSubject && (
+            <>
+              <p><strong>已披露的凭证主体字段:</strong></p>
+              <pre className="did-document-preview">{JSON.stringify(result.disclosedSubject, null, 2)}</pre>
+            </>
+          )}
+          {result.subjects.map((subject) => (
+            <div key={subject.did} className={`subject-did ${subject.status}`}>
+              <p><strong>主体 DID:</strong> <code>{subject.did}</code> ({DID_STATUS_LABELS[subject.status]})</p>
+              {subject.status === 'revoked' && (
+                <p className="message error">主体 DID 已被撤销，凭证主体可能已不再使用该身份。</p>
+              )}
+              {subject.presenterIsController !== null && (
+                <p className={`message ${subject.presenterIsController ? 'success' : 'error'}`}>
+                  {subject.presenterIsController ? '出示者控制该主体 DID' : '出示者不控制该主体 DID'}
+                </p>
+              )}
+            </div>
+          ))}
+          {result.subjects.length > 0 && result.subjects.every((subject) => subject.presenterIsController === false) && (
+            <p className="message error">出示者不控制任何主体 DID，不应接受该凭证</p>
+          )}
+          {result.issuer !== ethers.ZeroAddress && (
+            <p><strong>颁发者地址:</strong> <code>{result.issuer}</code></p>
+          )}
+          {result.issuerIdentity && (
+            <div className={`issuer-identity ${result.issuerIdentity.accreditationStatus}`}>
+              {result.issuerIdentity.accreditation && (
+                <>
+                  <p><strong>颁发者:</strong> {result.issuerIdentity.accreditation.name}</p>
+                  <p><strong>颁发者 DID:</strong> <code>{result.issuerIdentity.did}</code>
+                    {' '}({DID_STATUS_LABELS[result.issuerIdentity.didStatus]}
+                    {result.issuerIdentity.didStatus !== 'notFound' && !result.issuerIdentity.didControlledByIssuer && '，不由该颁发者控制'})
+                  </p>
+                  <p><strong>认证类型:</strong> {result.issuerIdentity.accreditation.accreditationType}</p>
+                  <p>
+                    <strong>认证有效期:</strong> {new Date(result.issuerIdentity.accreditation.validFrom * 1000).toLocaleString()}
+                    {' - '}
+                    {result.issuerIdentity.accreditation.validUntil > 0
+                      ? new Date(result.issuerIdentity.accreditation.validUntil * 1000).toLocaleString()
+                      : '长期'}
+                  </p>
+                </>
+              )}
+              <p><strong>认证状态:</strong> {ACCREDITATION_LABELS[result.issuerIdentity.accreditationStatus]}</p>
+            </div>
+          )}
+          {result.statusListIndex !== null && (
+            <p><strong>状态列表索引:</strong> {result.statusListIndex}</p>
+          )}
+          {result.expiry && (
+            <p><strong>凭证过期时间:</strong> {result.expiry.toLocaleString()}</p>
+          )}
+          {result.validUntil > 0 && (
+            <p><strong>批次有效期至:</strong> {new Date(result.validUntil * 1000).toLocaleString()}</p>
+          )}
+        </div>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CredentialVerifier;
@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+
+// 与合约中的 DELEGATE_VERI_KEY / DELEGATE_SIG_AUTH 对应
+const DELEGATE_TYPES = [
+  { value: ethers.encodeBytes32String('veriKey'), label: '签名委托 (veriKey)' },
+  { value: ethers.encodeBytes32String('sigAuth'), label: '认证委托 (sigAuth)' },
+];
+
+const delegateTypeLabel = (value) =>
+  (DELEGATE_TYPES.find((type) => type.value === value) || { label: ethers.decodeBytes32String(value) }).label;
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+/**
+ * DID 委托管理：列出当前有效的委托，并允许控制者添加或移除委托。
+ * 委托列表由最近一次控制者转移之后的 DIDDelegateChanged 事件重建，每个 (类型, 地址) 取最新的一条记录。
+ */
+const DIDDelegates = ({ didRegistryContract, did, disabled }) => {
+  const [delegates, setDelegates] = useState([]); // [{ delegateType, delegate, validTo }]
+  const [delegateType, setDelegateType] = useState(DELEGATE_TYPES[0].value);
+  const [delegateAddress, setDelegateAddress] = useState('');
+  const [validityDays, setValidityDays] = useState('30');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const fetchDelegates = useCallback(async () => {
+    if (!didRegistryContract || !did) return;
+    try {
+      const [events, transfers] = await Promise.all([
+        didRegistryContract.queryFilter(didRegistryContract.filters.DIDDelegateChanged(did)),
+        didRegistryContract.queryFilter(didRegistryContract.filters.DIDControllerChanged(did)),
+      ]);
+      // 控制者转移后，之前的控制者添加的委托全部失效
+      const lastTransfer = transfers[transfers.length - 1];
+      const isAfterLastTransfer = (event) => !lastTransfer
+        || event.blockNumber > lastTransfer.blockNumber
+        || (event.blockNumber === lastTransfer.blockNumber && event.index > lastTransfer.index);
+      const latest = new Map();
+      events.filter(isAfterLastTransfer).forEach((event) => {
+        const { delegateType: type, delegate, validTo } = event.args;
+        latest.set(`${type}-${delegate}`, { delegateType: type, delegate, validTo: Number(validTo) });
+      });
+      const now = Math.floor(Date.now() / 1000);
+      setDelegates([...latest.values()].filter((entry) => entry.validTo > now));
+    } catch (error) {
+      console.error("Error fetching delegates:", error);
+      setMessage({ text: '获取委托列表失败，请检查控制台获取详情。', type: 'error' });
+    }
+  }, [didRegistryContract, did]);
+
+  useEffect(() => {
+    fetchDelegates();
+  }, [fetchDelegates]);
+
+  const sendTransaction = async (action, pendingText, successText) => {
+    setIsLoading(true);
+    setMessage({ text: pendingText, type: 'info' });
+    try {
+      const tx = await action();
+      await tx.wait();
+      setMessage({ text: successText, type: 'success' });
+      await fetchDelegates();
+      return true;
+    } catch (error) {
+      console.error("Delegate transaction failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '操作失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `操作失败: ${error.reason || error.message}`, type: 'error' });
+      }
+      return false;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleAddDelegate = async (e) => {
+    e.preventDefault();
+    if (!ethers.isAddress(delegateAddress)) {
+      setMessage({ text: '请输入有效的委托地址。', type: 'error' });
+      return;
+    }
+    const days = Number(validityDays);
+    if (!(days > 0)) {
+      setMessage({ text: '有效期必须大于 0 天。', type: 'error' });
+      return;
+    }
+
+    const added = await sendTransaction(
+      () => didRegistryContract.addDelegate(did, delegateType, delegateAddress, Math.round(days * SECONDS_PER_DAY)),
+      '正在发送交易以添加委托...',
+      `已添加委托 ${delegateAddress}，有效期 ${days} 天。`
+    );
+    if (added) setDelegateAddress('');
+  };
+
+  const handleRevokeDelegate = async (entry) => {
+    if (!window.confirm(`确认移除委托 ${entry.delegate} (${delegateTypeLabel(entry.delegateType)})？`)) return;
+    await sendTransaction(
+      () => didRegistryContract.revokeDelegate(did, entry.delegateType, entry.delegate),
+      '正在发送交易以移除委托...',
+      `已移除委托 ${entry.delegate}。`
+    );
+  };
+
+  return (
+    <div className="did-delegates">
+      <h4>委托</h4>
+      {delegates.length > 0 ? (
+        <ul>
+          {delegates.map((entry) => (
+            <li key={`${entry.delegateType}-${entry.delegate}`}>
+              <code>{entry.delegate}</code> - {delegateTypeLabel(entry.delegateType)}，
+              有效期至 {new Date(entry.validTo * 1000).toLocaleString()}
+              <button onClick={() => handleRevokeDelegate(entry)} disabled={disabled || isLoading}>移除</button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p>该 DID 没有有效的委托。</p>
+      )}
+
+      <form onSubmit={handleAddDelegate} className="did-form">
+        <select value={delegateType} onChange={(e) => setDelegateType(e.target.value)} disabled={disabled || isLoading}>
+          {DELEGATE_TYPES.map((type) => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder="委托地址 (0x...)"
+          value={delegateAddress}
+          onChange={(e) => setDelegateAddress(e.target.value.trim())}
+          required
+          disabled={disabled || isLoading}
+        />
+        <input
+          type="number"
+          min="1"
+          placeholder="有效天数"
+          value={validityDays}
+          onChange={(e) => setValidityDays(e.target.value)}
+          required
+          disabled={disabled || isLoading}
+        />
+        <button type="submit" disabled={disabled || isLoading}>添加委托</button>
+      </form>
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DIDDelegates;
@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import storage from '../services/storage';
+import { relayDIDOperation } from '../services/relayer';
+import { formatDid } from '../lib/didMethod';
+import {
+  VERIFICATION_METHOD_TYPES,
+  VERIFICATION_RELATIONSHIPS,
+  emptyDidDocumentForm,
+  buildDidDocument,
+  parseDidDocument,
+  validateDidDocument,
+} from '../lib/didDocument';
+
+// 在编辑器中以复选框形式展示的验证关系
+const EDITABLE_RELATIONSHIPS = [
+  { key: 'authentication', label: '身份认证' },
+  { key: 'assertionMethod', label: '签发断言' },
+];
+
+/**
+ * DID 文档编辑器。
+ * 不传 did 时为创建模式：预先计算即将创建的 DID，保存时调用 createDID；
+ * 传入 did 时为编辑模式：先通过 resolveDID 加载当前文档并预填，保存时调用 updateDID。
+ * signOnly 为 true 时只签名请求，由中继服务提交交易。
+ */
+const DIDDocumentEditor = ({ didRegistryContract, did, signOnly, onSaved, onCancel }) => {
+  const { account, chainId } = useWeb3();
+  const [didString, setDidString] = useState('');
+  const [form, setForm] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  // 初始化：确定 DID 字符串，编辑模式下加载现有文档
+  useEffect(() => {
+    if (!didRegistryContract || !chainId || !account) return;
+    let cancelled = false;
+
+    const load = async () => {
+      setIsLoading(true);
+      try {
+        let targetDid = did;
+        if (!targetDid) {
+          // 与合约一致：did = keccak256(abi.encodePacked(controller, nonce))
+          const nonce = await didRegistryContract.getNonce(account);
+          targetDid = ethers.solidityPackedKeccak256(['address', 'uint256'], [account, nonce]);
+        }
+        // 链上 DID 是 bytes32 哈希，DID 文档中使用 did:merkleseal 字符串
+        const targetDidString = formatDid(chainId, targetDid);
+
+        let nextForm = emptyDidDocumentForm(targetDidString, account, chainId);
+        if (did) {
+          const [, cid] = await didRegistryContract.resolveDID(did);
+          try {
+            const currentDocument = await storage.getJson(cid);
+            nextForm = parseDidDocument({ ...currentDocument, id: targetDidString });
+            setMessage({ text: `已加载当前 DID 文档 (CID: ${cid})。`, type: 'info' });
+          } catch (error) {
+            console.error("Load DID document failed:", error);
+            setMessage({ text: `无法从存储节点加载当前文档 (CID: ${cid})，将从空白文档开始编辑。`, type: 'error' });
+          }
+        }
+
+        if (!cancelled) {
+          setDidString(targetDidString);
+          setForm(nextForm);
+        }
+      } catch (error) {
+        console.error("Initialize DID editor failed:", error);
+        if (!cancelled) setMessage({ text: `初始化编辑器失败: ${error.reason || error.message}`, type: 'error' });
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [didRegistryContract, chainId, account, did]);
+
+  const didDocument = useMemo(() => (form ? buildDidDocument(didString, form) : null), [didString, form]);
+  const validationErrors = useMemo(() => (didDocument ? validateDidDocument(didDocument) : []), [didDocument]);
+
+  const updateMethod = (index, field, value) => {
+    setForm((current) => {
+      const previousId = current.verificationMethods[index].id;
+      const verificationMethods = current.verificationMethods.map((method, i) =>
+        i === index ? { ...method, [field]: value } : method
+      );
+      const next = { ...current, verificationMethods };
+      // 修改验证方法 id 时，同步更新各验证关系中的引用，包括编辑器中未展示的关系
+      if (field === 'id') {
+        VERIFICATION_RELATIONSHIPS.forEach((key) => {
+          next[key] = (current[key] || []).map((ref) => (ref === previousId ? value : ref));
+        });
+      }
+      return next;
+    });
+  };
+
+  const addMethod = () => {
+    setForm((current) => ({
+      ...current,
+      verificationMethods: [
+        ...current.verificationMethods,
+        { id: `key-${current.verificationMethods.length + 1}`, type: 'Ed25519VerificationKey2020', controller: didString, publicKey: '' },
+      ],
+    }));
+  };
+
+  const removeMethod = (index) => {
+    setForm((current) => {
+      const removedId = current.verificationMethods[index].id;
+      const next = { ...current, verificationMethods: current.verificationMethods.filter((_, i) => i !== index) };
+      VERIFICATION_RELATIONSHIPS.forEach((key) => {
+        next[key] = (current[key] || []).filter((ref) => ref !== removedId);
+      });
+      return next;
+    });
+  };
+
+  const toggleRelationship = (key, methodId) => {
+    setForm((current) => {
+      const refs = current[key] || [];
+      return {
+        ...current,
+        [key]: refs.includes(methodId) ? refs.filter((ref) => ref !== methodId) : [...refs, methodId],
+      };
+    });
+  };
+
+  const updateService = (index, field, value) => {
+    setForm((current) => ({
+      ...current,
+      services: current.services.map((service, i) => (i === index ? { ...service, [field]: value } : service)),
+    }));
+  };
+
+  const addService = () => {
+    setForm((current) => ({
+      ...current,
+      services: [...current.services, { id: `service-${current.services.length + 1}`, type: 'LinkedDomains', serviceEndpoint: '' }],
+    }));
+  };
+
+  const removeService = (index) => {
+    setForm((current) => ({ ...current, services: current.services.filter((_, i) => i !== index) }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (validationErrors.length > 0) {
+      setMessage({ text: 'DID 文档未通过校验，请先修正下方列出的问题。', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      setMessage({ text: '正在上传 DID 文档到存储节点...', type: 'info' });
+      const cid = await storage.addJson(didDocument);
+
+      let tx;
+      if (signOnly) {
+        setMessage({ text: `DID 文档已上传 (CID: ${cid})，请在钱包中签名请求...`, type: 'info' });
+        tx = did
+          ? await relayDIDOperation(didRegistryContract, 'updateDID', { did, newCid: cid })
+          : await relayDIDOperation(didRegistryContract, 'createDID', { controller: account, cid });
+      } else {
+        setMessage({ text: `DID 文档已上传 (CID: ${cid})，正在发送交易...`, type: 'info' });
+        tx = did
+          ? await didRegistryContract.updateDID(did, cid)
+          : await didRegistryContract.createDID(cid);
+      }
+      setMessage({ text: '交易已发送，正在等待区块链确认...', type: 'info' });
+      const receipt = await tx.wait();
+
+      let savedDid = did;
+      if (!did) {
+        const registered = receipt.logs
+          .map((log) => {
+            try {
+              return didRegistryContract.interface.parseLog(log);
+            } catch {
+              return null;
+            }
+          })
+          .find((event) => event && event.name === 'DIDRegistered');
+        savedDid = registered ? registered.args.did : null;
+        if (savedDid && formatDid(chainId, savedDid) !== didString) {
+          // 理论上不会发生：在编辑期间该账户又创建了其他 DID
+          setMessage({ text: `警告：创建的 DID ${savedDid} 与文档中的 id 不一致，请重新编辑文档。`, type: 'error' });
+          onSaved(savedDid, cid);
+          return;
+        }
+      }
+
+      setMessage({ text: `DID 文档已保存！CID: ${cid}`, type: 'success' });
+      onSaved(savedDid, cid);
+    } catch (error) {
+      console.error("Save DID document failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '保存失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `保存失败: ${error.reason || error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!form) {
+    return (
+      <div className="did-editor">
+        <p>{isLoading ? '正在加载 DID 文档...' : message.text}</p>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSave} className="did-editor">
+      <h3>{did ? '编辑 DID 文档' : '创建新 DID'}</h3>
+      <p><strong>DID:</strong> <code>{didString}</code></p>
+
+      <label>
+        控制者 (多个 DID 以逗号分隔，留空表示由 DID 自身控制):
+        <input
+          type="text"
+          value={form.controller}
+          onChange={(e) => setForm({ ...form, controller: e.target.value })}
+          disabled={isLoading}
+        />
+      </label>
+
+      <h4>验证方法</h4>
+      {form.verificationMethods.map((method, index) => (
+        <div key={index} className="did-editor-row">
+          <input type="text" placeholder="id，例如 key-1" value={method.id} onChange={(e) => updateMethod(index, 'id', e.target.value)} disabled={isLoading} />
+          <select value={method.type} onChange={(e) => updateMethod(index, 'type', e.target.value)} disabled={isLoading}>
+            {Object.keys(VERIFICATION_METHOD_TYPES).map((type) => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <input type="text" placeholder="控制者 DID" value={method.controller} onChange={(e) => updateMethod(index, 'controller', e.target.value)} disabled={isLoading} />
+          <input type="text" placeholder={VERIFICATION_METHOD_TYPES[method.type]} value={method.publicKey} onChange={(e) => updateMethod(index, 'publicKey', e.target.value)} disabled={isLoading} />
+          {EDITABLE_RELATIONSHIPS.map(({ key, label }) => (
+            <label key={key}>
+              <input type="checkbox" checked={(form[key] || []).includes(method.id)} onChange={() => toggleRelationship(key, method.id)} disabled={isLoading} />
+              {label}
+            </label>
+          ))}
+          <button type="button" onClick={() => removeMethod(index)} disabled={isLoading}>删除</button>
+        </div>
+      ))}
+      <button type="button" onClick={addMethod} disabled={isLoading}>添加验证方法</button>
+
+      <h4>服务端点</h4>
+      {form.services.map((service, index) => (
+        <div key={index} className="did-editor-row">
+          <input type="text" placeholder="id，例如 service-1" value={service.id} onChange={(e) => updateService(index, 'id', e.target.value)} disabled={isLoading} />
+          <input type="text" placeholder="类型，例如 LinkedDomains" value={service.type} onChange={(e) => updateService(index, 'type', e.target.value)} disabled={isLoading} />
+          <input type="text" placeholder="https://..." value={service.serviceEndpoint} onChange={(e) => updateService(index, 'serviceEndpoint', e.target.value)} disabled={isLoading} />
+          <button type="button" onClick={() => removeService(index)} disabled={isLoading}>删除</button>
+        </div>
+      ))}
+      <button type="button" onClick={addService} disabled={isLoading}>添加服务端点</button>
+
+      <h4>文档预览</h4>
+      <pre className="did-document-preview">{JSON.stringify(didDocument, null, 2)}</pre>
+      {validationErrors.length > 0 && (
+        <ul className="message error">
+          {validationErrors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
+
+      <button type="submit" disabled={isLoading || validationErrors.length > 0}>
+        {isLoading ? '保存中...' : did ? '保存并更新 DID' : '保存并创建 DID'}
+      </button>
+      {onCancel && <button type="button" onClick={onCancel} disabled={isLoading}>取消</button>}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </form>
+  );
+};
+
+export default DIDDocumentEditor;
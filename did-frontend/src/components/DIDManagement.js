@@ -1,22 +1,38 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useWeb3 } from '../context/Web3Context';
 import { ethers } from 'ethers';
+import DIDDocumentEditor from './DIDDocumentEditor';
+import DIDDelegates from './DIDDelegates';
+import DIDVersionHistory from './DIDVersionHistory';
+import { formatDid } from '../lib/didMethod';
+import { relayDIDOperation } from '../services/relayer';
 
 // 导入合约信息
-import contractAddresses from '../contracts/contract-address.json';
 import DIDRegistryABI from '../contracts/DIDRegistry.json';
 
+// 与合约中的 enum Status { Active, Revoked } 对应
+const DID_STATUS = { Active: 0, Revoked: 1 };
+
+// 列表中缩写显示 bytes32 DID
+const shortenHash = (did) => `${did.substring(0, 10)}...${did.substring(did.length - 8)}`;
+
 const DIDManagement = () => {
-  const { signer, account, isConnected } = useWeb3();
+  const { signer, account, chainId, isConnected, contractAddresses } = useWeb3();
   const [didRegistryContract, setDidRegistryContract] = useState(null);
-  const [userDID, setUserDID] = useState(null); // 将存储用户的一个DID (bytes32 hex string)
-  const [ipfsCid, setIpfsCid] = useState('');
+  const [userDIDs, setUserDIDs] = useState([]); // [{ did, controller, cid, status }]
+  const [selectedDID, setSelectedDID] = useState(null);
+  const [isCreating, setIsCreating] = useState(false);
+  const [isEditing, setIsEditing] = useState(false);
+  // 仅签名：由中继服务提交交易并支付 gas，适用于没有 ETH 的账户
+  const [signOnly, setSignOnly] = useState(false);
+  const [newCid, setNewCid] = useState('');
+  const [newController, setNewController] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState({ text: '', type: 'info' });
 
-  // 初始化合约实例 (此部分逻辑正确，无需修改)
+  // 初始化合约实例
   useEffect(() => {
-    if (signer) {
+    if (signer && contractAddresses) {
       const contract = new ethers.Contract(
         contractAddresses.DIDRegistry,
         DIDRegistryABI.abi,
@@ -26,91 +42,130 @@ const DIDManagement = () => {
     } else {
       setDidRegistryContract(null);
     }
-  }, [signer]);
+  }, [signer, contractAddresses]);
 
-  // **【已修改】** 获取用户的 DID
-  const fetchUserDID = useCallback(async () => {
+  // 获取账户拥有的全部 DID，并逐个解析其 CID 和状态
+  const fetchUserDIDs = useCallback(async () => {
     if (didRegistryContract && account) {
       try {
-        // **【核心修改 1】** 调用合约中正确的函数 `getDIDsByOwner`
-        // 它返回一个 bytes32 类型的数组
-        const userDIDs = await didRegistryContract.getDIDsByOwner(account);
-        
-        // **【核心修改 2】** 处理返回的数组
-        // 检查数组是否包含 DID
-        if (userDIDs && userDIDs.length > 0) {
-            // 根据当前UI设计，我们只显示第一个DID。
-            // 如果未来一个用户可以管理多个DID，这里需要修改UI来展示一个列表。
-            // userDIDs[0] 是一个 bytes32 格式的十六进制字符串 (例如: "0x...")
-            setUserDID(userDIDs[0]); 
-            setMessage({ text: '已成功加载您的 DID。', type: 'info' });
-        } else {
-            setUserDID(null); // 确保状态被重置
-            setMessage({ text: '您似乎还没有 DID，请在下方创建一个。', type: 'info' });
+        const dids = await didRegistryContract.getDIDsByOwner(account);
+        const resolved = await Promise.all(dids.map(async (did) => {
+          const [controller, cid, status] = await didRegistryContract.resolveDID(did);
+          return { did, controller, cid, status: Number(status) };
+        }));
+        setUserDIDs(resolved);
+        if (resolved.length === 0) {
+          setMessage({ text: '您似乎还没有 DID，请在下方创建一个。', type: 'info' });
         }
       } catch (error) {
-          console.error("Error fetching DID:", error);
-          setMessage({ text: '获取 DID 失败，请检查控制台获取详情。', type: 'error' });
+        console.error("Error fetching DIDs:", error);
+        setMessage({ text: '获取 DID 失败，请检查控制台获取详情。', type: 'error' });
       }
     }
   }, [didRegistryContract, account]);
 
-  // 当合约或账户变化时，获取用户 DID (此部分逻辑正确，无需修改)
+  // 当合约或账户变化时，重新获取 DID 列表
   useEffect(() => {
     if (isConnected) {
-      fetchUserDID();
+      fetchUserDIDs();
     } else {
-      setUserDID(null);
+      setUserDIDs([]);
       setMessage({ text: '', type: 'info' });
     }
-  }, [fetchUserDID, isConnected]);
+    setSelectedDID(null);
+  }, [fetchUserDIDs, isConnected]);
 
-  const handleCreateDID = async (e) => {
-    e.preventDefault();
-    if (!didRegistryContract || !ipfsCid) {
-      // 优化提示
-      setMessage({ text: "请连接钱包并输入 IPFS CID。", type: 'error' });
-      return;
-    }
+  const selected = userDIDs.find((entry) => entry.did === selectedDID);
 
+  const selectDID = (did) => {
+    setSelectedDID(did === selectedDID ? null : did);
+    setIsEditing(false);
+    setNewCid('');
+    setNewController('');
+  };
+
+  // 发送交易并在确认后刷新 DID 列表
+  const sendTransaction = async (action, pendingText, successText) => {
     setIsLoading(true);
-    setMessage({ text: '正在发送交易以创建 DID...', type: 'info' });
+    setMessage({ text: pendingText, type: 'info' });
     try {
-      // 调用 createDID 函数 (此部分正确)
-      const tx = await didRegistryContract.createDID(ipfsCid);
+      const tx = await action();
       setMessage({ text: '交易已发送，正在等待区块链确认...', type: 'info' });
-      
-      const receipt = await tx.wait(); // 等待交易被打包
-
-      // **【核心修改 3】** 从交易回执中解析正确的事件和参数
-      // 合约中事件为: event DIDRegistered(bytes32 indexed did, ...)
-      const didRegisteredEvent = receipt.events?.find(event => event.event === 'DIDRegistered');
-      
-      if (didRegisteredEvent) {
-        // **【核心修改 4】** 从事件参数中获取正确的参数名 `did`
-        const newDID = didRegisteredEvent.args.did; 
-        setUserDID(newDID); // 直接更新 UI
-        setMessage({ text: `DID 创建成功！您的新 DID 是: ${newDID}`, type: 'success' });
-        setIpfsCid(''); // 成功后清空输入框
-      } else {
-        // 如果事件未找到，这可能是一个问题，但我们仍然可以提示用户成功并重新查询
-        setMessage({ text: `交易成功！但未能从事件中解析到新DID，将尝试重新获取。交易哈希: ${receipt.transactionHash}`, type: 'success' });
-        fetchUserDID(); // 作为备用方案，重新查询一次
-      }
-
+      await tx.wait();
+      setMessage({ text: successText, type: 'success' });
+      await fetchUserDIDs();
+      return true;
     } catch (error) {
-      console.error("Create DID failed:", error);
-      if (error.code === 4001) { // 用户拒绝交易
-        setMessage({ text: '创建失败: 您已取消交易。', type: 'error' });
+      console.error("DID transaction failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '操作失败: 您已取消交易。', type: 'error' });
       } else {
-        // 提供更具体的错误信息
-        setMessage({ text: `创建失败: ${error.reason || error.message}`, type: 'error' });
+        setMessage({ text: `操作失败: ${error.reason || error.message}`, type: 'error' });
       }
+      return false;
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleUpdateCid = async (e) => {
+    e.preventDefault();
+    if (!selected || !newCid) return;
+    if (!window.confirm(`确认将 DID ${shortenHash(selected.did)} 的文档 CID 更新为\n${newCid}？`)) return;
+
+    const updated = await sendTransaction(
+      () => (signOnly
+        ? relayDIDOperation(didRegistryContract, 'updateDID', { did: selected.did, newCid })
+        : didRegistryContract.updateDID(selected.did, newCid)),
+      signOnly ? '请在钱包中签名更新请求...' : '正在发送交易以更新 DID...',
+      `DID 已更新，新的 CID: ${newCid}`
+    );
+    if (updated) setNewCid('');
+  };
+
+  const handleRevoke = async () => {
+    if (!selected) return;
+    if (!window.confirm(`确认撤销 DID ${shortenHash(selected.did)}？\n撤销后该 DID 将无法再更新或恢复。`)) return;
+
+    await sendTransaction(
+      () => (signOnly
+        ? relayDIDOperation(didRegistryContract, 'revokeDID', { did: selected.did })
+        : didRegistryContract.revokeDID(selected.did)),
+      signOnly ? '请在钱包中签名撤销请求...' : '正在发送交易以撤销 DID...',
+      `DID ${shortenHash(selected.did)} 已撤销。`
+    );
+  };
+
+  const handleTransfer = async (e) => {
+    e.preventDefault();
+    if (!selected) return;
+    if (!ethers.isAddress(newController)) {
+      setMessage({ text: '请输入有效的新控制者地址。', type: 'error' });
+      return;
+    }
+    if (!window.confirm(`确认将 DID ${shortenHash(selected.did)} 的控制权转移给\n${newController}？\n转移后您将无法再管理该 DID。`)) return;
+
+    const transferred = await sendTransaction(
+      () => didRegistryContract.transferController(selected.did, newController),
+      '正在发送交易以转移控制权...',
+      `DID ${shortenHash(selected.did)} 的控制权已转移给 ${newController}。`
+    );
+    // 转移后该 DID 不再属于当前账户，会从列表中消失
+    if (transferred) {
+      setSelectedDID(null);
+      setNewController('');
+    }
+  };
+
+  // 文档编辑器保存成功后刷新 DID 列表
+  const handleDocumentSaved = async (savedDid, cid) => {
+    setIsCreating(false);
+    setIsEditing(false);
+    setMessage({ text: `DID 文档已保存。DID: ${savedDid}，文档 CID: ${cid}`, type: 'success' });
+    await fetchUserDIDs();
+    if (savedDid) setSelectedDID(savedDid);
+  };
+
   if (!isConnected) {
     return <div className="component-placeholder">请先连接钱包以管理您的 DID。</div>;
   }
@@ -118,35 +173,111 @@ const DIDManagement = () => {
   return (
     <div className="component">
       <h2>DID 管理</h2>
-      {userDID ? (
+
+      <label>
+        <input type="checkbox" checked={signOnly} onChange={(e) => setSignOnly(e.target.checked)} disabled={isLoading} />
+        仅签名（创建、更新和撤销 DID 由中继服务提交，无需 ETH）
+      </label>
+
+      {userDIDs.length > 0 && (
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>DID</th>
+              <th>文档 CID</th>
+              <th>状态</th>
+            </tr>
+          </thead>
+          <tbody>
+            {userDIDs.map((entry) => (
+              <tr
+                key={entry.did}
+                className={entry.did === selectedDID ? 'selected' : ''}
+                onClick={() => selectDID(entry.did)}
+              >
+                <td><code title={entry.did}>{shortenHash(entry.did)}</code></td>
+                <td><code>{entry.cid}</code></td>
+                <td>{entry.status === DID_STATUS.Active ? '✅ 有效' : '⛔ 已撤销'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {selected && (
         <div className="did-display">
-          <p><strong>您的 DID:</strong></p>
+          <p><strong>已选择的 DID:</strong></p>
           {/* DID 是一个很长的十六进制字符串，使用 pre 或 code 标签可以更好地展示 */}
-          <pre className="did-string">{userDID}</pre>
-          {/* 这里可以添加撤销 DID 或更新 DID 关联的 IPFS CID 的功能 */}
+          <pre className="did-string">{formatDid(chainId, selected.did)}</pre>
+          <p>控制者: <code>{selected.controller}</code></p>
+
+          {selected.status === DID_STATUS.Active ? (
+            isEditing ? (
+              <DIDDocumentEditor
+                didRegistryContract={didRegistryContract}
+                did={selected.did}
+                signOnly={signOnly}
+                onSaved={handleDocumentSaved}
+                onCancel={() => setIsEditing(false)}
+              />
+            ) : (
+              <>
+                <form onSubmit={handleUpdateCid} className="did-form">
+                  <input
+                    type="text"
+                    placeholder="新的 IPFS CID"
+                    value={newCid}
+                    onChange={(e) => setNewCid(e.target.value)}
+                    required
+                    disabled={isLoading}
+                  />
+                  <button type="submit" disabled={isLoading || !newCid}>更新 CID</button>
+                </form>
+                <button onClick={() => setIsEditing(true)} disabled={isLoading}>编辑 DID 文档</button>
+                <button onClick={handleRevoke} disabled={isLoading}>撤销 DID</button>
+
+                <h4>转移控制权</h4>
+                <form onSubmit={handleTransfer} className="did-form">
+                  <input
+                    type="text"
+                    placeholder="新控制者地址 (0x...)"
+                    value={newController}
+                    onChange={(e) => setNewController(e.target.value.trim())}
+                    required
+                    disabled={isLoading}
+                  />
+                  <button type="submit" disabled={isLoading || !newController}>转移控制权</button>
+                </form>
+
+                <DIDDelegates didRegistryContract={didRegistryContract} did={selected.did} disabled={isLoading} />
+              </>
+            )
+          ) : (
+            <p>该 DID 已被撤销，无法再更新。</p>
+          )}
+
+          {/* DID 更新或撤销后重新挂载，收起已过时的历史 */}
+          {!isEditing && (
+            <DIDVersionHistory
+              key={`${selected.did}-${selected.cid}-${selected.status}`}
+              didRegistryContract={didRegistryContract}
+              did={selected.did}
+            />
+          )}
         </div>
-      ) : (
-        !isLoading && <p>您还没有创建 DID。</p>
       )}
 
-      <form onSubmit={handleCreateDID} className="did-form">
-        <h3>创建新 DID</h3>
-        <p>将您的个人信息（加密后）上传到 IPFS，然后将返回的 CID 填入下方。</p>
-        <input
-          type="text"
-          placeholder="输入 IPFS CID"
-          value={ipfsCid}
-          onChange={(e) => setIpfsCid(e.target.value)}
-          required
-          // 如果已有 DID，则禁用创建功能，这符合一个地址一个DID的简单场景
-          disabled={isLoading || !!userDID} 
+      {isCreating ? (
+        <DIDDocumentEditor
+          didRegistryContract={didRegistryContract}
+          signOnly={signOnly}
+          onSaved={handleDocumentSaved}
+          onCancel={() => setIsCreating(false)}
         />
-        <button type="submit" disabled={isLoading || !!userDID}>
-          {isLoading ? '创建中...' : '创建 DID'}
-        </button>
-        {userDID && <small>您已经有一个 DID。如需创建新的，需要先实现并调用撤销功能。</small>}
-      </form>
-      
+      ) : (
+        <button onClick={() => setIsCreating(true)} disabled={isLoading}>创建新 DID</button>
+      )}
+
       {message.text && (
         <p className={`message ${message.type}`}>
           {message.text}
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+import { fetchDidVersions } from '../lib/didResolver';
+import { diffDidDocuments } from '../lib/didDocument';
+import storage from '../services/storage';
+
+// 版本相对上一版本的变化
+const describeVersion = (version, previous) => {
+  if (!previous) return '创建';
+  if (version.deactivated && !previous.deactivated) return '撤销';
+  if (version.controller !== previous.controller) return `控制权转移给 ${version.controller}`;
+  return '文档更新';
+};
+
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+const CHANGE_LABELS = { added: '+', removed: '-', changed: '~' };
+
+/**
+ * DID 版本历史：按时间倒序列出 DIDRegistry 中记录的每个版本，
+ * 并与上一版本的 DID 文档比较，显示每次更新改动的字段。
+ */
+const DIDVersionHistory = ({ didRegistryContract, did }) => {
+  const [versions, setVersions] = useState(null); // [{ ...version, diff, documentError }]
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const loadHistory = async () => {
+    setIsLoading(true);
+    try {
+      const history = await fetchDidVersions(didRegistryContract, did);
+      // 控制权转移和撤销不改变 CID，同一文档只读取一次
+      const documents = new Map();
+      await Promise.all([...new Set(history.map(({ cid }) => cid))].map(async (cid) => {
+        try {
+          documents.set(cid, await storage.getJson(cid));
+        } catch (error) {
+          console.error(`Error fetching DID document ${cid}:`, error);
+        }
+      }));
+
+      setVersions(history.map((version, index) => {
+        const previous = history[index - 1];
+        const document = documents.get(version.cid);
+        return {
+          ...version,
+          label: describeVersion(version, previous),
+          documentError: !document,
+          diff: document && (!previous || documents.has(previous.cid))
+            ? diffDidDocuments(previous ? documents.get(previous.cid) : null, document)
+            : [],
+        };
+      }).reverse());
+      setMessage({ text: '', type: 'info' });
+    } catch (error) {
+      console.error("Error fetching DID versions:", error);
+      setMessage({ text: '获取版本历史失败，请检查控制台获取详情。', type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div>
+      <h4>版本历史</h4>
+      {versions === null ? (
+        <button onClick={loadHistory} disabled={isLoading || !didRegistryContract}>
+          {isLoading ? '加载中...' : '查看版本历史'}
+        </button>
+      ) : (
+        <ol reversed className="did-version-history">
+          {versions.map((version) => (
+            <li key={version.versionId}>
+              <p>
+                <strong>版本 {version.versionId}</strong> · {new Date(version.timestamp * 1000).toLocaleString()}
+                {' '}(区块 {version.blockNumber}) · {version.label}
+              </p>
+              <p><small>文档 CID: <code>{version.cid}</code></small></p>
+              {version.documentError && <p className="message error">无法从存储节点读取该版本的文档。</p>}
+              {version.diff.length > 0 && (
+                <ul>
+                  {version.diff.map(({ path, change, before, after }) => (
+                    <li key={path}>
+                      <code>{CHANGE_LABELS[change]} {path}</code>
+                      {change !== 'added' && <> <del>{formatValue(before)}</del></>}
+                      {change !== 'removed' && <> <ins>{formatValue(after)}</ins></>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default DIDVersionHistory;
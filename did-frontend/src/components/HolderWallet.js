@@ -0,0 +1,278 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { verifyCredentialPackage } from '../lib/credentialVerification';
+import { createPresentation, getHolderDidOptions, signPresentation } from '../lib/presentation';
+import { credentialPackageFileName, isCredentialPackage } from '../lib/credentialPackage';
+import { unlockWallet, loadWalletCredentials, saveWalletCredential, deleteWalletCredential } from '../services/holderWallet';
+import { downloadJson } from '../utils/download';
+import PresentationResponder from './PresentationResponder';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
+
+// 实时验证状态的展示文本
+const STATUS_LABELS = {
+  checking: '验证中...',
+  valid: '✅ 有效',
+  revoked: '⛔ 已撤销',
+  unknownRoot: '❓ 链上没有该批次或凭证',
+  invalidProof: '❌ 默克尔证明无效',
+  expired: '⌛ 已过期',
+  otherChain: '其他链上颁发的凭证',
+  error: '⚠️ 无法验证',
+};
+
+// 导入时检查文件是否是凭证包
+const parseCredentialPackage = (text) => {
+  const parsed = JSON.parse(text);
+  if (!isCredentialPackage(parsed) || !ethers.isHexString(parsed.leaf, 32)) {
+    throw new Error('不是凭证包（需要 credential 和 leaf 字段，批次凭证还需要 merkleRoot 和 proof）');
+  }
+  return parsed;
+};
+
+// 列表中展示凭证类型：type 数组中最具体的一项
+const credentialTypeOf = (credential) => [].concat(credential.type || []).slice(-1)[0] || 'VerifiableCredential';
+
+/**
+ * 持有者钱包：导入收到的凭证包并加密保存在本地，显示实时验证状态，
+ * 并将选中的凭证打包为由持有者账户签名的可验证展示。
+ */
+const HolderWallet = () => {
+  const { provider, signer, account, chainId, isConnected, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [credentialContract, setCredentialContract] = useState(null);
+  const [walletKey, setWalletKey] = useState(null); // 由钱包签名派生，只保存在内存中
+  const [entries, setEntries] = useState([]); // { leaf, addedAt, credentialPackage }
+  const [statuses, setStatuses] = useState({}); // leaf => 状态
+  const [selected, setSelected] = useState([]);
+  const [holder, setHolder] = useState('');
+  const [pasteText, setPasteText] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  useEffect(() => {
+    if (provider && contractAddresses) {
+      setVcRegistryContract(new ethers.Contract(contractAddresses.VCRegistry, VCRegistryABI.abi, provider));
+      setCredentialContract(new ethers.Contract(contractAddresses.VerifiableCredential, VerifiableCredentialABI.abi, provider));
+    } else {
+      setVcRegistryContract(null);
+      setCredentialContract(null);
+    }
+  }, [provider, contractAddresses]);
+
+  // 切换账户后需要重新解锁，避免显示上一个账户的凭证
+  useEffect(() => {
+    setWalletKey(null);
+    setEntries([]);
+    setStatuses({});
+    setSelected([]);
+  }, [account]);
+
+  const refreshStatuses = useCallback(async (walletEntries) => {
+    if (!vcRegistryContract) return;
+    setStatuses(Object.fromEntries(walletEntries.map(({ leaf }) => [leaf, 'checking'])));
+    const results = await Promise.all(walletEntries.map(async ({ leaf, credentialPackage }) => {
+      if (Number(credentialPackage.chainId) !== Number(chainId)) return [leaf, 'otherChain'];
+      try {
+        const { status } = await verifyCredentialPackage(credentialPackage, vcRegistryContract, { chainId, credentialContract });
+        return [leaf, status];
+      } catch (error) {
+        console.error("Verify wallet credential failed:", error);
+        return [leaf, 'error'];
+      }
+    }));
+    setStatuses(Object.fromEntries(results));
+  }, [vcRegistryContract, credentialContract, chainId]);
+
+  const reload = async (key) => {
+    const walletEntries = await loadWalletCredentials(account, key);
+    setEntries(walletEntries);
+    setSelected((current) => current.filter((leaf) => walletEntries.some((entry) => entry.leaf === leaf)));
+    refreshStatuses(walletEntries);
+  };
+
+  const handleUnlock = async () => {
+    setIsLoading(true);
+    try {
+      const key = await unlockWallet(signer);
+      await reload(key);
+      setWalletKey(key);
+      setMessage({ text: '', type: 'info' });
+    } catch (error) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '您取消了签名，钱包未解锁。', type: 'error' });
+      } else {
+        console.error("Unlock holder wallet failed:", error);
+        setMessage({ text: `解锁失败: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const importPackages = async (sources) => {
+    const errors = [];
+    let imported = 0;
+    for (const { name, text } of sources) {
+      try {
+        await saveWalletCredential(account, walletKey, parseCredentialPackage(text));
+        imported++;
+      } catch (error) {
+        errors.push(`${name}: ${error.message}`);
+      }
+    }
+    await reload(walletKey);
+    setMessage({
+      text: [`已导入 ${imported} 个凭证包。`, ...errors].join(' '),
+      type: errors.length > 0 ? 'error' : 'success',
+    });
+  };
+
+  const handleFileImport = async (e) => {
+    const files = [...e.target.files];
+    e.target.value = '';
+    await importPackages(await Promise.all(files.map(async (file) => ({ name: file.name, text: await file.text() }))));
+  };
+
+  const handlePasteImport = async () => {
+    await importPackages([{ name: '粘贴的内容', text: pasteText }]);
+    setPasteText('');
+  };
+
+  const handleDelete = async (leaf) => {
+    if (!window.confirm('确定要从钱包中删除该凭证吗？请确认您另有备份。')) return;
+    await deleteWalletCredential(account, leaf);
+    await reload(walletKey);
+  };
+
+  const toggleSelected = (leaf) => {
+    setSelected(selected.includes(leaf) ? selected.filter((item) => item !== leaf) : [...selected, leaf]);
+  };
+
+  // 持有者 DID 可以是账户本身的 did:ethr，也可以是选中凭证的主体 DID
+  const selectedPackages = entries.filter(({ leaf }) => selected.includes(leaf)).map(({ credentialPackage }) => credentialPackage);
+  const holderOptions = getHolderDidOptions(selectedPackages, account);
+
+  const handlePresent = async () => {
+    setIsLoading(true);
+    try {
+      const presentation = await signPresentation(createPresentation({
+        holder: holderOptions.includes(holder) ? holder : holderOptions[0],
+        credentialPackages: selectedPackages,
+      }), signer);
+      downloadJson(presentation, `presentation-${presentation.proof.created.replace(/[:.]/g, '-')}.json`);
+      setMessage({ text: `已生成包含 ${selectedPackages.length} 个凭证的可验证展示。`, type: 'success' });
+    } catch (error) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '您取消了签名。', type: 'error' });
+      } else {
+        console.error("Create presentation failed:", error);
+        setMessage({ text: `生成展示失败: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isConnected) {
+    return <div className="component-placeholder">请先连接钱包以管理您持有的凭证。</div>;
+  }
+
+  return (
+    <div className="component">
+      <h2>我的凭证钱包</h2>
+      <p>收到的凭证包加密保存在本浏览器中，密钥由您的钱包签名派生，不会离开本设备。</p>
+
+      {!walletKey ? (
+        <button onClick={handleUnlock} disabled={isLoading}>
+          {isLoading ? '等待签名...' : '签名解锁钱包'}
+        </button>
+      ) : (
+        <>
+          <div>
+            <input type="file" accept="application/json,.json" multiple onChange={handleFileImport} disabled={isLoading} />
+          </div>
+          <textarea
+            placeholder="或粘贴凭证包 JSON"
+            rows={4}
+            cols={60}
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+          />
+          <button onClick={handlePasteImport} disabled={isLoading || !pasteText.trim()}>导入</button>
+
+          <h3>已保存的凭证 ({entries.length})</h3>
+          {entries.length > 0 && (
+            <>
+              <table className="did-table">
+                <thead>
+                  <tr>
+                    <th>选择</th>
+                    <th>类型</th>
+                    <th>主体</th>
+                    <th>颁发者</th>
+                    <th>状态</th>
+                    <th>操作</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(({ leaf, credentialPackage }) => (
+                    <tr key={leaf}>
+                      <td>
+                        <input type="checkbox" checked={selected.includes(leaf)} onChange={() => toggleSelected(leaf)} />
+                      </td>
+                      <td>{credentialTypeOf(credentialPackage.credential)}</td>
+                      <td>
+                        {credentialPackage.credential.credentialSubject.name}
+                        <div><small>{credentialPackage.credential.credentialSubject.id}</small></div>
+                      </td>
+                      <td><small>{credentialPackage.issuer}</small></td>
+                      <td>{STATUS_LABELS[statuses[leaf]] || ''}</td>
+                      <td>
+                        <button onClick={() => downloadJson(credentialPackage, credentialPackageFileName(credentialPackage))}>下载</button>
+                        <button onClick={() => handleDelete(leaf)}>删除</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              <button onClick={() => refreshStatuses(entries)} disabled={isLoading}>刷新状态</button>
+            </>
+          )}
+
+          <PresentationResponder
+            credentialPackages={entries.map(({ credentialPackage }) => credentialPackage)}
+            signer={signer}
+            account={account}
+            chainId={chainId}
+          />
+
+          {selectedPackages.length > 0 && (
+            <div>
+              <label>
+                以此身份出示:
+                <select value={holderOptions.includes(holder) ? holder : holderOptions[0]} onChange={(e) => setHolder(e.target.value)}>
+                  {holderOptions.map((did) => <option key={did} value={did}>{did}</option>)}
+                </select>
+              </label>
+              <button onClick={handlePresent} disabled={isLoading}>
+                签名并下载可验证展示 ({selectedPackages.length} 个凭证)
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default HolderWallet;
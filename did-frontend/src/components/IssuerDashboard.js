@@ -0,0 +1,374 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { fetchIssuerEvents, buildIssuerHistory, fetchSingleCredentialHistory } from '../lib/issuerHistory';
+import { isCredentialPackage } from '../lib/credentialPackage';
+import { getStatusListIndex } from '../lib/statusList';
+import { loadIssuedPackages, saveIssuedPackages } from '../services/issuerArchive';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
+
+// 列表中缩写显示 bytes32 哈希
+const formatHash = (hash) => `${hash.substring(0, 10)}...${hash.substring(hash.length - 8)}`;
+
+// 凭证在批次中的撤销状态：按叶子撤销或通过状态列表撤销
+const getRevocation = (batch, pkg) => {
+  const revocation = batch.revokedLeaves.get(pkg.leaf);
+  if (revocation) {
+    return revocation.reason ? `⛔ 已撤销：${revocation.reason}` : '⛔ 已撤销';
+  }
+  const statusListIndex = getStatusListIndex(pkg.credential);
+  if (statusListIndex !== null && batch.revokedStatusIndices.has(statusListIndex)) {
+    return '⛔ 已通过状态列表撤销';
+  }
+  return null;
+};
+
+/**
+ * 颁发者面板：由链上事件重建当前账户颁发过的批次、单个凭证及撤销记录，
+ * 结合本地凭证包存档展示每个批次中的凭证，并支持附带原因撤销选中的凭证。
+ */
+const IssuerDashboard = () => {
+  const { signer, account, chainId, isConnected, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [credentialContract, setCredentialContract] = useState(null);
+  const [batches, setBatches] = useState([]);
+  const [singleCredentials, setSingleCredentials] = useState([]);
+  const [archive, setArchive] = useState({}); // merkleRoot（单个凭证为其 id）=> 凭证包列表
+  const [expandedRoot, setExpandedRoot] = useState(null);
+  const [selectedLeaves, setSelectedLeaves] = useState([]);
+  const [reason, setReason] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  useEffect(() => {
+    if (signer && contractAddresses) {
+      const contract = new ethers.Contract(
+        contractAddresses.VCRegistry,
+        VCRegistryABI.abi,
+        signer
+      );
+      setVcRegistryContract(contract);
+      setCredentialContract(new ethers.Contract(
+        contractAddresses.VerifiableCredential,
+        VerifiableCredentialABI.abi,
+        signer
+      ));
+    } else {
+      setVcRegistryContract(null);
+      setCredentialContract(null);
+    }
+  }, [signer, contractAddresses]);
+
+  const fetchHistory = useCallback(async () => {
+    if (!vcRegistryContract || !credentialContract || !account) return;
+    try {
+      const [events, singles] = await Promise.all([
+        fetchIssuerEvents(vcRegistryContract, account),
+        fetchSingleCredentialHistory(credentialContract, account),
+      ]);
+      setBatches(buildIssuerHistory(events));
+      setSingleCredentials(singles);
+    } catch (error) {
+      console.error("Error fetching issuer history:", error);
+      setMessage({ text: '获取颁发记录失败，请检查控制台获取详情。', type: 'error' });
+    }
+  }, [vcRegistryContract, credentialContract, account]);
+
+  // 加载历史记录，并监听新的颁发与撤销事件以实时更新状态
+  useEffect(() => {
+    if (!vcRegistryContract || !credentialContract || !account || !chainId) return undefined;
+    setArchive(loadIssuedPackages(chainId, account));
+    fetchHistory();
+
+    const { filters } = vcRegistryContract;
+    const liveFilters = [
+      filters.BatchCredentialsIssued(null, account),
+      filters.BatchCredentialRevoked(null, null, account),
+      filters.StatusListUpdated(null, null, null, account),
+    ];
+    const singleFilters = [
+      credentialContract.filters.CredentialIssued(null, account),
+      credentialContract.filters.CredentialRevoked(),
+    ];
+    const handleEvent = () => {
+      fetchHistory();
+    };
+    liveFilters.forEach((filter) => vcRegistryContract.on(filter, handleEvent));
+    singleFilters.forEach((filter) => credentialContract.on(filter, handleEvent));
+    return () => {
+      liveFilters.forEach((filter) => vcRegistryContract.off(filter, handleEvent));
+      singleFilters.forEach((filter) => credentialContract.off(filter, handleEvent));
+    };
+  }, [vcRegistryContract, credentialContract, account, chainId, fetchHistory]);
+
+  const toggleBatch = (merkleRoot) => {
+    setExpandedRoot(merkleRoot === expandedRoot ? null : merkleRoot);
+    setSelectedLeaves([]);
+    setReason('');
+  };
+
+  const toggleLeaf = (leaf) => {
+    setSelectedLeaves((current) =>
+      current.includes(leaf) ? current.filter((selected) => selected !== leaf) : [...current, leaf]
+    );
+  };
+
+  // 存档中缺少的批次可以通过上传凭证包补充
+  const handlePackageUpload = async (e) => {
+    const files = [...e.target.files];
+    if (files.length === 0) return;
+
+    // 只导入当前账户在当前链上颁发的凭证包，其余文件连同原因一起列出
+    const accepted = [];
+    const rejected = [];
+    for (const file of files) {
+      let pkg;
+      try {
+        pkg = JSON.parse(await file.text());
+      } catch (error) {
+        rejected.push(`${file.name} (不是有效的 JSON)`);
+        continue;
+      }
+      if (!isCredentialPackage(pkg) || !pkg.leaf) {
+        rejected.push(`${file.name} (不是凭证包)`);
+      } else if (typeof pkg.issuer !== 'string' || pkg.issuer.toLowerCase() !== account.toLowerCase()) {
+        rejected.push(`${file.name} (不是当前账户颁发的)`);
+      } else if (Number(pkg.chainId) !== Number(chainId)) {
+        rejected.push(`${file.name} (属于其他链)`);
+      } else {
+        accepted.push(pkg);
+      }
+    }
+
+    setArchive(saveIssuedPackages(chainId, account, accepted));
+    setMessage(rejected.length === 0
+      ? { text: `已导入 ${accepted.length} 个凭证包。`, type: 'info' }
+      : { text: `已导入 ${accepted.length} 个凭证包，${rejected.length} 个文件未导入: ${rejected.join('; ')}`, type: 'error' });
+  };
+
+  const handleRevoke = async (e) => {
+    e.preventDefault();
+    if (!expandedRoot || selectedLeaves.length === 0) return;
+    if (!reason.trim()) {
+      setMessage({ text: '请填写撤销原因。', type: 'error' });
+      return;
+    }
+    if (!window.confirm(`确认撤销选中的 ${selectedLeaves.length} 个凭证？\n原因: ${reason}\n撤销后无法恢复。`)) return;
+
+    setIsLoading(true);
+    setMessage({ text: '正在发送交易以撤销凭证...', type: 'info' });
+    try {
+      const tx = await vcRegistryContract.revokeBatchCredentials(expandedRoot, selectedLeaves, reason.trim());
+      setMessage({ text: '交易已发送，正在等待区块链确认...', type: 'info' });
+      await tx.wait();
+      setMessage({ text: `已撤销 ${selectedLeaves.length} 个凭证。交易哈希: ${tx.hash}`, type: 'success' });
+      setSelectedLeaves([]);
+      setReason('');
+      await fetchHistory();
+    } catch (error) {
+      console.error("Revoke credentials failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '撤销失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `撤销失败: ${error.reason || error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // 单个凭证独立撤销；合约不记录撤销原因
+  const handleRevokeSingle = async (credentialId) => {
+    if (!window.confirm(`确认撤销凭证 ${formatHash(credentialId)}？\n撤销后无法恢复。`)) return;
+
+    setIsLoading(true);
+    setMessage({ text: '正在发送交易以撤销凭证...', type: 'info' });
+    try {
+      const tx = await credentialContract.revokeCredential(credentialId);
+      setMessage({ text: '交易已发送，正在等待区块链确认...', type: 'info' });
+      await tx.wait();
+      setMessage({ text: `已撤销凭证。交易哈希: ${tx.hash}`, type: 'success' });
+      await fetchHistory();
+    } catch (error) {
+      console.error("Revoke single credential failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '撤销失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `撤销失败: ${error.reason || error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isConnected) {
+    return <div className="component-placeholder">请先连接钱包以查看您颁发的凭证。</div>;
+  }
+
+  const expandedBatch = batches.find((batch) => batch.merkleRoot === expandedRoot);
+  const expandedPackages = (expandedRoot && archive[expandedRoot]) || [];
+  // 已撤销但存档中没有对应凭证包的叶子
+  const unknownRevokedLeaves = expandedBatch
+    ? [...expandedBatch.revokedLeaves.keys()].filter((leaf) => !expandedPackages.some((pkg) => pkg.leaf === leaf))
+    : [];
+
+  return (
+    <div className="component">
+      <h2>颁发者面板</h2>
+      <p>以下批次由链上事件重建，凭证内容来自本浏览器保存的凭证包存档。</p>
+      <div>
+        导入凭证包: <input type="file" accept="application/json,.json" multiple onChange={handlePackageUpload} />
+      </div>
+
+      {batches.length === 0 ? (
+        <p>当前账户还没有颁发过凭证批次。</p>
+      ) : (
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>默克尔树根</th>
+              <th>区块</th>
+              <th>凭证数</th>
+              <th>已撤销</th>
+            </tr>
+          </thead>
+          <tbody>
+            {batches.map((batch) => (
+              <tr
+                key={batch.merkleRoot}
+                className={batch.merkleRoot === expandedRoot ? 'selected' : ''}
+                onClick={() => toggleBatch(batch.merkleRoot)}
+              >
+                <td><code title={batch.merkleRoot}>{formatHash(batch.merkleRoot)}</code></td>
+                <td>{batch.blockNumber}</td>
+                <td>{archive[batch.merkleRoot] ? archive[batch.merkleRoot].length : '未知'}</td>
+                <td>{batch.revokedLeaves.size + batch.revokedStatusIndices.size}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {expandedBatch && (
+        <div className="issuer-batch">
+          <p><strong>批次:</strong> <code>{expandedBatch.merkleRoot}</code></p>
+          <p><strong>颁发交易:</strong> <code>{expandedBatch.transactionHash}</code></p>
+
+          {expandedPackages.length === 0 ? (
+            <p>存档中没有该批次的凭证包，请导入凭证包以查看和撤销其中的凭证。</p>
+          ) : (
+            <form onSubmit={handleRevoke}>
+              <table className="did-table">
+                <thead>
+                  <tr>
+                    <th />
+                    <th>姓名</th>
+                    <th>主体 DID</th>
+                    <th>状态索引</th>
+                    <th>叶子哈希</th>
+                    <th>状态</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {expandedPackages.map((pkg) => {
+                    const revocation = getRevocation(expandedBatch, pkg);
+                    return (
+                      <tr key={pkg.leaf}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={selectedLeaves.includes(pkg.leaf)}
+                            onChange={() => toggleLeaf(pkg.leaf)}
+                            disabled={isLoading || revocation !== null}
+                          />
+                        </td>
+                        <td>{pkg.credential.credentialSubject.name}</td>
+                        <td><code>{pkg.credential.credentialSubject.id}</code></td>
+                        <td>{getStatusListIndex(pkg.credential) ?? '-'}</td>
+                        <td><code title={pkg.leaf}>{formatHash(pkg.leaf)}</code></td>
+                        <td>{revocation || '✅ 有效'}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+              <input
+                type="text"
+                placeholder="撤销原因"
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                disabled={isLoading}
+              />
+              <button type="submit" disabled={isLoading || selectedLeaves.length === 0}>
+                {isLoading ? '处理中...' : `撤销选中的 ${selectedLeaves.length} 个凭证`}
+              </button>
+            </form>
+          )}
+
+          {unknownRevokedLeaves.length > 0 && (
+            <div>
+              <p>存档中没有的已撤销叶子:</p>
+              <ul>
+                {unknownRevokedLeaves.map((leaf) => (
+                  <li key={leaf}>
+                    <code>{leaf}</code> {expandedBatch.revokedLeaves.get(leaf).reason}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+
+      <h3>单个凭证</h3>
+      {singleCredentials.length === 0 ? (
+        <p>当前账户还没有单独颁发过凭证。</p>
+      ) : (
+        <table className="did-table">
+          <thead>
+            <tr>
+              <th>凭证 id</th>
+              <th>姓名</th>
+              <th>主体 DID</th>
+              <th>区块</th>
+              <th>状态</th>
+            </tr>
+          </thead>
+          <tbody>
+            {singleCredentials.map((single) => {
+              const [pkg] = archive[single.credentialId] || [];
+              return (
+                <tr key={single.credentialId}>
+                  <td><code title={single.credentialId}>{formatHash(single.credentialId)}</code></td>
+                  <td>{pkg ? pkg.credential.credentialSubject.name : '未知'}</td>
+                  <td>
+                    {pkg
+                      ? <code>{pkg.credential.credentialSubject.id}</code>
+                      : <code title={single.subjectDid}>{formatHash(single.subjectDid)}</code>}
+                  </td>
+                  <td>{single.blockNumber}</td>
+                  <td>
+                    {single.revoked ? '⛔ 已撤销' : (
+                      <button onClick={() => handleRevokeSingle(single.credentialId)} disabled={isLoading}>撤销</button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default IssuerDashboard;
@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { getHolderDidOptions } from '../lib/presentation';
+import {
+  DEEP_LINK_KINDS,
+  PRESENTATION_REQUEST_TYPE,
+  createPresentationResponse,
+  decodeDeepLink,
+  encodeDeepLink,
+  findMatchingCredentials,
+} from '../lib/presentationExchange';
+import QrCodeImage from './QrCodeImage';
+import { downloadJson } from '../utils/download';
+
+/**
+ * 持有者响应验证者的展示请求：载入请求链接，从钱包中挑选满足请求的凭证，
+ * 用 EIP-712 签名响应，并以深度链接、二维码或文件的形式交给验证者。
+ */
+const PresentationResponder = ({ credentialPackages, signer, account, chainId }) => {
+  const [requestText, setRequestText] = useState('');
+  const [request, setRequest] = useState(null);
+  const [selected, setSelected] = useState([]); // 选中凭证的叶子哈希
+  const [holder, setHolder] = useState('');
+  const [responseLink, setResponseLink] = useState('');
+  const [response, setResponse] = useState(null);
+  const [isSigning, setIsSigning] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const handleLoadRequest = () => {
+    setResponse(null);
+    setResponseLink('');
+    try {
+      const { kind, payload } = decodeDeepLink(requestText);
+      if ((kind && kind !== DEEP_LINK_KINDS.REQUEST) || payload.type !== PRESENTATION_REQUEST_TYPE) {
+        throw new Error('不是展示请求');
+      }
+      if (new Date(payload.expiresAt).getTime() < Date.now()) {
+        throw new Error('请求已过期，请让验证者重新生成');
+      }
+      const matches = findMatchingCredentials(payload, credentialPackages);
+      setRequest(payload);
+      setSelected(matches.map(({ leaf }) => leaf));
+      setMessage({
+        text: matches.length > 0 ? `钱包中有 ${matches.length} 个凭证满足该请求。` : '钱包中没有满足该请求的凭证。',
+        type: matches.length > 0 ? 'info' : 'error',
+      });
+    } catch (error) {
+      setRequest(null);
+      setMessage({ text: `无法解析请求: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const matching = request ? findMatchingCredentials(request, credentialPackages) : [];
+  const chosen = matching.filter(({ leaf }) => selected.includes(leaf));
+  const holderOptions = getHolderDidOptions(chosen, account);
+
+  const toggleSelected = (leaf) => {
+    setSelected(selected.includes(leaf) ? selected.filter((item) => item !== leaf) : [...selected, leaf]);
+  };
+
+  const handleRespond = async () => {
+    setIsSigning(true);
+    try {
+      const signed = await createPresentationResponse(request, {
+        holder: holderOptions.includes(holder) ? holder : holderOptions[0],
+        credentialPackages: chosen,
+        signer,
+        chainId,
+      });
+      setResponse(signed);
+      setResponseLink(encodeDeepLink(DEEP_LINK_KINDS.RESPONSE, signed));
+      setMessage({ text: `已签名响应，仅对 ${request.domain} 的这次请求有效。`, type: 'success' });
+    } catch (error) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '您取消了签名。', type: 'error' });
+      } else {
+        console.error("Create presentation response failed:", error);
+        setMessage({ text: `签名响应失败: ${error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsSigning(false);
+    }
+  };
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '10px', margin: '20px 0' }}>
+      <h3>响应展示请求</h3>
+      <textarea
+        placeholder="粘贴验证者提供的请求链接 (merkleseal://present?...) 或请求 JSON"
+        rows={3}
+        cols={60}
+        value={requestText}
+        onChange={(e) => setRequestText(e.target.value)}
+      />
+      <button onClick={handleLoadRequest} disabled={!requestText.trim()}>载入请求</button>
+
+      {request && (
+        <div>
+          <p><strong>验证者:</strong> {request.domain}</p>
+          <p><strong>要求的凭证类型:</strong> {request.credentialTypes.join(', ') || '任意'}</p>
+          {request.requiredFields.length > 0 && (
+            <p><strong>必须包含的字段:</strong> {request.requiredFields.join(', ')}</p>
+          )}
+          <p><strong>请求有效期至:</strong> {new Date(request.expiresAt).toLocaleString()}</p>
+          <ul>
+            {matching.map(({ leaf, credential }) => (
+              <li key={leaf}>
+                <label>
+                  <input type="checkbox" checked={selected.includes(leaf)} onChange={() => toggleSelected(leaf)} />
+                  {[].concat(credential.type).slice(-1)[0]} - {credential.credentialSubject.name || credential.credentialSubject.id}
+                </label>
+              </li>
+            ))}
+          </ul>
+          {chosen.length > 0 && (
+            <>
+              <label>
+                以此身份出示:
+                <select value={holderOptions.includes(holder) ? holder : holderOptions[0]} onChange={(e) => setHolder(e.target.value)}>
+                  {holderOptions.map((did) => <option key={did} value={did}>{did}</option>)}
+                </select>
+              </label>
+              <button onClick={handleRespond} disabled={isSigning}>
+                {isSigning ? '等待签名...' : `签名并出示 ${chosen.length} 个凭证`}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
+      {response && (
+        <div>
+          <QrCodeImage text={responseLink} />
+          <p><small>响应链接:</small></p>
+          <textarea readOnly rows={3} cols={60} value={responseLink} />
+          <button onClick={() => navigator.clipboard.writeText(responseLink)}>复制链接</button>
+          <button onClick={() => downloadJson(response, `presentation-response-${request.id.slice(-12)}.json`)}>下载响应 JSON</button>
+        </div>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PresentationResponder;
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import {
+  DEEP_LINK_KINDS,
+  createPresentationRequest,
+  decodeDeepLink,
+  encodeDeepLink,
+  verifyPresentationResponse,
+} from '../lib/presentationExchange';
+import QrCodeImage from './QrCodeImage';
+import { downloadJson } from '../utils/download';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+import DIDRegistryABI from '../contracts/DIDRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
+
+// 将逗号分隔的输入拆分为列表
+const splitList = (text) => text.split(',').map((item) => item.trim()).filter(Boolean);
+
+/**
+ * 验证者生成展示请求，并验证持有者对请求的签名响应。
+ * 每个请求的 challenge 只接受一次响应，验证后即从待处理列表中移除，防止响应被重放。
+ */
+const PresentationVerifier = () => {
+  const { provider, chainId, isConnected, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [didRegistryContract, setDidRegistryContract] = useState(null);
+  const [credentialContract, setCredentialContract] = useState(null);
+  const [credentialTypes, setCredentialTypes] = useState('');
+  const [requiredFields, setRequiredFields] = useState('');
+  const [pendingRequests, setPendingRequests] = useState([]); // 尚未收到响应的请求
+  const [responseText, setResponseText] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  // 验证只需要读取链上数据，因此使用 provider 而不是 signer
+  useEffect(() => {
+    if (provider && contractAddresses) {
+      setVcRegistryContract(new ethers.Contract(contractAddresses.VCRegistry, VCRegistryABI.abi, provider));
+      setDidRegistryContract(new ethers.Contract(contractAddresses.DIDRegistry, DIDRegistryABI.abi, provider));
+      setCredentialContract(new ethers.Contract(contractAddresses.VerifiableCredential, VerifiableCredentialABI.abi, provider));
+    } else {
+      setVcRegistryContract(null);
+      setDidRegistryContract(null);
+      setCredentialContract(null);
+    }
+  }, [provider, contractAddresses]);
+
+  const handleCreateRequest = () => {
+    const request = createPresentationRequest({
+      domain: window.location.origin,
+      credentialTypes: splitList(credentialTypes),
+      requiredFields: splitList(requiredFields),
+    });
+    setPendingRequests([request, ...pendingRequests]);
+    setMessage({ text: '已生成展示请求，请让持有者扫描二维码或打开链接。', type: 'info' });
+  };
+
+  const handleVerify = async () => {
+    let response;
+    try {
+      const { kind, payload } = decodeDeepLink(responseText);
+      if (kind && kind !== DEEP_LINK_KINDS.RESPONSE) {
+        throw new Error('不是展示响应');
+      }
+      response = payload;
+    } catch (error) {
+      setMessage({ text: `无法解析响应: ${error.message}`, type: 'error' });
+      return;
+    }
+
+    const request = pendingRequests.find(({ id }) => response.proof && id === response.proof.requestId);
+    if (!request) {
+      setMessage({ text: '响应对应的请求不存在或已被使用，可能是重放的响应。', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    setResult(null);
+    try {
+      const verification = await verifyPresentationResponse(response, request, {
+        vcRegistryContract,
+        didRegistryContract,
+        credentialContract,
+        chainId,
+      });
+      // 无论验证结果如何，challenge 都已被使用
+      setPendingRequests((current) => current.filter(({ id }) => id !== request.id));
+      setResult({ ...verification, holder: response.holder, domain: request.domain });
+      setResponseText('');
+      setMessage({ text: '', type: 'info' });
+    } catch (error) {
+      console.error("Verify presentation failed:", error);
+      setMessage({ text: `验证失败: ${error.reason || error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isConnected) {
+    return <div className="component-placeholder">请先连接钱包以验证展示。</div>;
+  }
+
+  return (
+    <div className="component">
+      <h2>请求并验证展示</h2>
+      <p>生成带有一次性 challenge 的展示请求，持有者签名的响应只对本站的这次请求有效。</p>
+
+      <label>
+        要求的凭证类型 (逗号分隔，可选):
+        <input type="text" placeholder="EducationCredential" value={credentialTypes} onChange={(e) => setCredentialTypes(e.target.value)} />
+      </label>
+      <label>
+        必须包含的字段 (逗号分隔，可选):
+        <input type="text" placeholder="name, degree" value={requiredFields} onChange={(e) => setRequiredFields(e.target.value)} />
+      </label>
+      <button onClick={handleCreateRequest}>生成展示请求</button>
+
+      {pendingRequests.map((request) => {
+        const link = encodeDeepLink(DEEP_LINK_KINDS.REQUEST, request);
+        return (
+          <div key={request.id} style={{ border: '1px solid #ccc', padding: '10px', margin: '10px 0' }}>
+            <p>
+              <strong>待响应的请求</strong> ({request.credentialTypes.join(', ') || '任意凭证'})，
+              有效期至 {new Date(request.expiresAt).toLocaleString()}
+            </p>
+            <QrCodeImage text={link} />
+            <div>
+              <textarea readOnly rows={2} cols={60} value={link} />
+            </div>
+            <button onClick={() => navigator.clipboard.writeText(link)}>复制链接</button>
+            <button onClick={() => downloadJson(request, `presentation-request-${request.id.slice(-12)}.json`)}>下载请求 JSON</button>
+          </div>
+        );
+      })}
+
+      <h3>验证响应</h3>
+      <textarea
+        placeholder="粘贴持有者的响应链接 (merkleseal://verify?...) 或响应 JSON"
+        rows={4}
+        cols={60}
+        value={responseText}
+        onChange={(e) => setResponseText(e.target.value)}
+      />
+      <button onClick={handleVerify} disabled={isLoading || !responseText.trim()}>
+        {isLoading ? '验证中...' : '验证响应'}
+      </button>
+
+      {result && (
+        <div className={`verification-result ${result.valid ? 'valid' : 'invalid'}`}>
+          <p><strong>验证结果:</strong> {result.valid ? '✅ 展示有效' : '❌ 展示无效'}</p>
+          <p><strong>持有者:</strong> <code>{result.holder}</code></p>
+          {result.signer && <p><strong>签名账户:</strong> <code>{result.signer}</code></p>}
+          {result.errors.length > 0 && (
+            <ul>
+              {result.errors.map((error) => <li key={error}>{error}</li>)}
+            </ul>
+          )}
+          {result.credentials.map(({ leaf, status, subject, subjectControlled }) => (
+            <div key={leaf}>
+              <p>
+                <strong>凭证</strong> <code>{leaf.slice(0, 10)}</code>: {status}
+                {subjectControlled ? '，出示者控制主体 DID' : '，出示者不控制主体 DID'}
+              </p>
+              <pre className="did-document-preview">{JSON.stringify(subject, null, 2)}</pre>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PresentationVerifier;
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+
+/**
+ * 将文本（例如深度链接）渲染为二维码图片。
+ * 内容超过二维码容量时显示提示，调用方应同时提供深度链接或文件下载作为替代。
+ */
+const QrCodeImage = ({ text, size = 256 }) => {
+  const [dataUrl, setDataUrl] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    QRCode.toDataURL(text, { width: size, errorCorrectionLevel: 'L' })
+      .then((url) => {
+        if (!cancelled) {
+          setDataUrl(url);
+          setError('');
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setDataUrl('');
+          setError(err.message);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [text, size]);
+
+  if (error) {
+    return <p className="message error">内容过长，无法生成二维码（{error}），请改用链接或文件。</p>;
+  }
+  return dataUrl ? <img src={dataUrl} width={size} height={size} alt="二维码" /> : null;
+};
+
+export default QrCodeImage;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { HASH_SCHEMES } from '../lib/credentialHash';
+import { getPackageHashScheme } from '../lib/credentialPackage';
+import { MANDATORY_PATHS, createSelectiveDisclosure, getCredentialClaims } from '../lib/selectiveDisclosure';
+import { downloadJson } from '../utils/download';
+
+// 在列表中展示声明的取值
+const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * 持有者从选择性披露凭证包中挑选要出示的声明，生成披露文件交给验证者。
+ * 披露在本地生成，不需要连接钱包；验证所需的外层声明总是被披露。
+ */
+const SelectiveDisclosure = () => {
+  const [credentialPackage, setCredentialPackage] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  const handleFileUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setCredentialPackage(null);
+    setSelected([]);
+    try {
+      const parsed = JSON.parse(await file.text());
+      if (!parsed.credential || getPackageHashScheme(parsed) !== HASH_SCHEMES.SELECTIVE_DISCLOSURE || !parsed.salts) {
+        throw new Error('不是选择性披露凭证包（颁发时需选择“选择性披露”叶子哈希方案）');
+      }
+      setCredentialPackage(parsed);
+      setMessage({ text: `已载入凭证包: ${file.name}`, type: 'info' });
+    } catch (error) {
+      setMessage({ text: `无法载入 ${file.name}: ${error.message}`, type: 'error' });
+    }
+  };
+
+  const toggleClaim = (path) => {
+    setSelected(selected.includes(path) ? selected.filter((item) => item !== path) : [...selected, path]);
+  };
+
+  const handleCreate = () => {
+    try {
+      const presentation = createSelectiveDisclosure(credentialPackage, selected);
+      downloadJson(presentation, `presentation-${presentation.leaf.slice(2, 10)}.json`);
+      setMessage({ text: `已生成披露，包含 ${presentation.disclosures.length} 个声明（含声明清单）。`, type: 'success' });
+    } catch (error) {
+      setMessage({ text: `生成披露失败: ${error.message}`, type: 'error' });
+    }
+  };
+
+  return (
+    <div className="component">
+      <h2>选择性披露凭证</h2>
+      <p>上传选择性披露凭证包，勾选要出示给验证者的字段。未勾选字段的取值不会出现在披露文件中。</p>
+      <input type="file" accept="application/json,.json" onChange={handleFileUpload} />
+
+      {credentialPackage && (
+        <>
+          <table className="did-table">
+            <thead>
+              <tr>
+                <th>披露</th>
+                <th>字段</th>
+                <th>取值</th>
+              </tr>
+            </thead>
+            <tbody>
+              {getCredentialClaims(credentialPackage.credential).map(({ path, value }) => {
+                const mandatory = MANDATORY_PATHS.includes(path);
+                return (
+                  <tr key={path}>
+                    <td>
+                      <input
+                        type="checkbox"
+                        checked={mandatory || selected.includes(path)}
+                        disabled={mandatory}
+                        title={mandatory ? '验证凭证所需，总是披露' : undefined}
+                        onChange={() => toggleClaim(path)}
+                      />
+                    </td>
+                    <td><code>{path}</code></td>
+                    <td>{formatValue(value)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <button onClick={handleCreate}>生成并下载披露</button>
+        </>
+      )}
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default SelectiveDisclosure;
@@ -0,0 +1,179 @@
+import React, { useState, useEffect } from 'react';
+import { useWeb3 } from '../context/Web3Context';
+import { ethers } from 'ethers';
+import { parseStatusIndices, toStatusListMasks, exportStatusListCredential } from '../lib/statusList';
+import { getIssuerDid } from '../lib/trustRegistry';
+import { downloadJson } from '../utils/download';
+import { loadIssuedPackages } from '../services/issuerArchive';
+
+// 导入合约信息
+import VCRegistryABI from '../contracts/VCRegistry.json';
+
+/**
+ * 状态列表管理：颁发者按 statusListIndex 批量撤销某个批次中的凭证，
+ * 并将链上的状态列表导出为 W3C BitstringStatusListCredential。
+ */
+const StatusListManager = () => {
+  const { signer, account, chainId, isConnected, contractAddresses } = useWeb3();
+  const [vcRegistryContract, setVcRegistryContract] = useState(null);
+  const [merkleRoot, setMerkleRoot] = useState('');
+  const [statusListCredential, setStatusListCredential] = useState('');
+  const [indicesText, setIndicesText] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [message, setMessage] = useState({ text: '', type: 'info' });
+
+  useEffect(() => {
+    if (signer && contractAddresses) {
+      const contract = new ethers.Contract(
+        contractAddresses.VCRegistry,
+        VCRegistryABI.abi,
+        signer
+      );
+      setVcRegistryContract(contract);
+    } else {
+      setVcRegistryContract(null);
+    }
+  }, [signer, contractAddresses]);
+
+  // 上传批次中任意一个凭证包即可填入树根和状态列表 id
+  const handlePackageUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const pkg = JSON.parse(reader.result);
+        if (pkg.merkleRoot) setMerkleRoot(pkg.merkleRoot);
+        const status = pkg.credential && pkg.credential.credentialStatus;
+        if (status && status.statusListCredential) setStatusListCredential(status.statusListCredential);
+        setMessage({ text: `已载入凭证包: ${file.name}`, type: 'info' });
+      } catch (error) {
+        setMessage({ text: `文件不是有效的 JSON: ${error.message}`, type: 'error' });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // 树根属于本账户颁发的批次时，从颁发者存档中取出凭证中的状态列表 id，导出的凭证与条目一致
+  const handleMerkleRootChange = (value) => {
+    setMerkleRoot(value);
+    const batch = loadIssuedPackages(chainId, account)[value.toLowerCase()];
+    const status = batch && batch[0].credential.credentialStatus;
+    if (status && status.statusListCredential) setStatusListCredential(status.statusListCredential);
+  };
+
+  const handleRevoke = async (e) => {
+    e.preventDefault();
+    if (!ethers.isHexString(merkleRoot, 32)) {
+      setMessage({ text: '默克尔树根必须是 bytes32 十六进制字符串。', type: 'error' });
+      return;
+    }
+
+    let indices;
+    try {
+      indices = parseStatusIndices(indicesText);
+    } catch (error) {
+      setMessage({ text: `索引格式错误: ${error.message}`, type: 'error' });
+      return;
+    }
+    if (indices.length === 0) {
+      setMessage({ text: '请输入要撤销的状态索引。', type: 'error' });
+      return;
+    }
+    if (!window.confirm(`确认撤销该批次中的 ${indices.length} 个凭证？\n撤销后无法恢复。`)) return;
+
+    const { wordIndices, masks } = toStatusListMasks(indices);
+    setIsLoading(true);
+    setMessage({ text: `正在发送交易以撤销 ${indices.length} 个凭证（${wordIndices.length} 个位图字）...`, type: 'info' });
+    try {
+      const tx = await vcRegistryContract.revokeByStatusList(merkleRoot, wordIndices, masks);
+      await tx.wait();
+      setMessage({ text: `已撤销 ${indices.length} 个凭证。交易哈希: ${tx.hash}`, type: 'success' });
+      setIndicesText('');
+    } catch (error) {
+      console.error("Revoke by status list failed:", error);
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') {
+        setMessage({ text: '撤销失败: 您已取消交易。', type: 'error' });
+      } else {
+        setMessage({ text: `撤销失败: ${error.reason || error.message}`, type: 'error' });
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleExport = async () => {
+    if (!ethers.isHexString(merkleRoot, 32) || !statusListCredential) {
+      setMessage({ text: '导出前请填写默克尔树根和状态列表 id。', type: 'error' });
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const statusList = await exportStatusListCredential({
+        vcRegistryContract,
+        merkleRoot,
+        id: statusListCredential,
+        issuer: await getIssuerDid({ vcRegistryContract, chainId, issuer: account }),
+      });
+      // 文件名取 id 的最后一段，颁发者将其发布在 id 所指的地址
+      downloadJson(statusList, `${statusListCredential.split('/').pop()}.json`);
+      setMessage({ text: `状态列表凭证已导出，请发布在 ${statusListCredential}。`, type: 'success' });
+    } catch (error) {
+      console.error("Export status list failed:", error);
+      setMessage({ text: `导出失败: ${error.reason || error.message}`, type: 'error' });
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isConnected) {
+    return <div className="component-placeholder">请先连接钱包以管理凭证状态列表。</div>;
+  }
+
+  return (
+    <div className="component">
+      <h2>凭证状态列表</h2>
+      <p>按凭证的状态索引 (statusListIndex) 批量撤销同一批次中的凭证，每 256 个连续索引只需写入一个位图字。</p>
+
+      <form onSubmit={handleRevoke} className="verifier-form">
+        <div>
+          <input type="file" accept="application/json,.json" onChange={handlePackageUpload} />
+        </div>
+        <input
+          type="text"
+          placeholder="默克尔树根 (0x...)"
+          value={merkleRoot}
+          onChange={(e) => handleMerkleRootChange(e.target.value.trim())}
+          required
+          disabled={isLoading}
+        />
+        <input
+          type="text"
+          placeholder="状态列表 id (https://...)"
+          value={statusListCredential}
+          onChange={(e) => setStatusListCredential(e.target.value.trim())}
+          disabled={isLoading}
+        />
+        <input
+          type="text"
+          placeholder="要撤销的索引，例如 0-99, 150"
+          value={indicesText}
+          onChange={(e) => setIndicesText(e.target.value)}
+          disabled={isLoading}
+        />
+        <button type="submit" disabled={isLoading || !indicesText.trim()}>批量撤销</button>
+        <button type="button" onClick={handleExport} disabled={isLoading}>导出状态列表凭证</button>
+      </form>
+
+      {message.text && (
+        <p className={`message ${message.type}`}>
+          {message.text}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default StatusListManager;
@@ -1,88 +1,207 @@
 import React, { useState, useEffect } from 'react';
 import { useWeb3 } from '../context/Web3Context';
 import { ethers } from 'ethers';
-import { create } from 'ipfs-http-client';
 import { MerkleTree } from 'merkletreejs';
+import { HASH_SCHEMES, DEFAULT_HASH_SCHEME, hashCredential } from '../lib/credentialHash';
+import { ISSUANCE_MODES, buildCredentialPackage, credentialPackageFileName } from '../lib/credentialPackage';
+import { createStatusListCredentialId, createStatusListEntry } from '../lib/statusList';
+import { createClaimSalts, hashSelectiveDisclosureCredential } from '../lib/selectiveDisclosure';
+import { isMerkleSealDid, parseDid } from '../lib/didMethod';
+import { checkSubjectsForIssuance } from '../lib/subjectDid';
+import { getIssuerDid } from '../lib/trustRegistry';
+import {
+  buildCredentialSubject,
+  createCredentialSchemaEntry,
+  getSchemaFormFields,
+  schemaUriFromCid,
+  validateAgainstSchema,
+  validateCredentialSubject,
+} from '../lib/credentialSchema';
+import CredentialSchemaPicker from './CredentialSchemaPicker';
+import BulkImport from './BulkImport';
+import { downloadJson, downloadCredentialPackagesZip } from '../utils/download';
+import storage from '../services/storage';
+import { saveIssuedPackages } from '../services/issuerArchive';
 // 修正：移除了 "import keccak256 from 'keccak266';" 因为 ethers.js 已提供该功能，且代码中已在使用 ethers.keccak256
 
 // 导入合约信息
-import contractAddresses from '../contracts/contract-address.json';
 import VCRegistryABI from '../contracts/VCRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
 
-// 1. IPFS 连接
-const projectId = process.env.REACT_APP_INFURA_IPFS_PROJECT_ID;
-const projectSecret = process.env.REACT_APP_INFURA_IPFS_PROJECT_SECRET;
-if (!projectId || !projectSecret) {
-  console.error("错误：在 .env 文件中未找到 Infura 项目 ID/密钥。");
-}
-// 修正: 使用浏览器原生的 btoa() 函数替代 Node.js 的 Buffer
-// The btoa() function encodes a string in Base64. It's the browser-native equivalent
-// for the Buffer.from(str).toString('base64') pattern from Node.js.
-const auth = 'Basic ' + btoa(projectId + ':' + projectSecret);
-const ipfs = create({
-  host: 'ipfs.infura.io',
-  port: 5001,
-  protocol: 'https',
-  headers: {
-    authorization: auth,
-  },
-});
-
-// CredentialForm 组件 (已翻译)
-const CredentialForm = ({ onAdd }) => {
-  const [formData, setFormData] = useState({ userDid: '', name: '', degree: 'Bachelor' });
-
-  const handleInputChange = (e) => {
-    setFormData({ ...formData, [e.target.name]: e.target.value });
-  };
+// 批量导入后批次可能有上千个凭证，列表只显示前面的部分
+const MAX_LISTED_CREDENTIALS = 100;
+
+// 状态列表凭证的发布地址，默认为前端自身的 /status-lists，即 public/status-lists 目录
+const STATUS_LIST_BASE_URL = process.env.REACT_APP_STATUS_LIST_BASE_URL || `${window.location.origin}/status-lists`;
+
+// 根据 schema 字段类型选择输入控件
+const inputTypeFor = (field) => {
+  if (field.type === 'number' || field.type === 'integer') return 'number';
+  if (field.format === 'date') return 'date';
+  if (field.format === 'date-time') return 'datetime-local';
+  if (field.format === 'email') return 'email';
+  return 'text';
+};
+
+// CredentialForm 组件：表单由所选 schema 的 credentialSubject 生成，条目在加入批次前按 schema 校验
+const CredentialForm = ({ schema, onAdd }) => {
+  const fields = getSchemaFormFields(schema.document);
+  const [values, setValues] = useState({});
+  const [expirationDate, setExpirationDate] = useState('');
+  const [errors, setErrors] = useState([]);
 
   const handleAddClick = () => {
-    if (formData.userDid && formData.name) {
-      onAdd(formData);
-      setFormData({ userDid: '', name: '', degree: 'Bachelor' }); // 重置表单
-    } else {
-      alert('请输入接收者 DID 和姓名。');
+    const credentialSubject = buildCredentialSubject(fields, values);
+    const validationErrors = validateCredentialSubject(credentialSubject, schema.document);
+    // 主体必须是 DIDRegistry 中的 DID，颁发时还会在链上检查其是否已登记且未撤销
+    if (!isMerkleSealDid(credentialSubject.id)) {
+      validationErrors.push('主体 DID 必须是 did:merkleseal DID');
+    }
+    setErrors(validationErrors);
+    if (validationErrors.length === 0) {
+      onAdd({ schema, credentialSubject, expirationDate });
+      setValues({}); // 重置表单
+      setExpirationDate('');
     }
   };
 
   return (
     <div style={{ border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
-      <h4>添加凭证到批次</h4>
-      <input type="text" name="userDid" placeholder="接收者 DID" value={formData.userDid} onChange={handleInputChange} />
-      <input type="text" name="name" placeholder="接收者姓名" value={formData.name} onChange={handleInputChange} />
-      <select name="degree" value={formData.degree} onChange={handleInputChange}>
-        <option value="Bachelor">学士</option>
-        <option value="Master">硕士</option>
-        <option value="Doctorate">博士</option>
-      </select>
+      <h4>添加 {schema.name} 到批次</h4>
+      {fields.map((field) => (
+        <label key={field.name} title={field.description}>
+          {field.label}{field.required && ' *'}:
+          {field.enum ? (
+            <select
+              value={values[field.name] ?? ''}
+              onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+            >
+              <option value="">请选择</option>
+              {field.enum.map((option) => <option key={option} value={option}>{option}</option>)}
+            </select>
+          ) : field.type === 'boolean' ? (
+            <input
+              type="checkbox"
+              checked={!!values[field.name]}
+              onChange={(e) => setValues({ ...values, [field.name]: e.target.checked })}
+            />
+          ) : (
+            <input
+              type={inputTypeFor(field)}
+              step={field.type === 'number' ? 'any' : undefined}
+              placeholder={field.name === 'id' ? 'did:merkleseal:...' : field.label}
+              value={values[field.name] ?? ''}
+              onChange={(e) => setValues({ ...values, [field.name]: e.target.value })}
+            />
+          )}
+        </label>
+      ))}
+      <label>
+        过期时间 (可选):
+        <input type="datetime-local" value={expirationDate} onChange={(e) => setExpirationDate(e.target.value)} />
+      </label>
       <button onClick={handleAddClick}>添加到批次</button>
+      {errors.length > 0 && (
+        <ul className="message error">
+          {errors.map((error) => <li key={error}>{error}</li>)}
+        </ul>
+      )}
     </div>
   );
 };
 
 
 const VCApplication = () => {
-  const { signer, account, isConnected } = useWeb3();
+  const { provider, signer, account, chainId: walletChainId, isConnected, contractAddresses } = useWeb3();
   const [vcRegistryContract, setVcRegistryContract] = useState(null);
-  const [credentialsToIssue, setCredentialsToIssue] = useState([]);
+  const [credentialContract, setCredentialContract] = useState(null);
+  const [issuanceMode, setIssuanceMode] = useState(ISSUANCE_MODES.BATCH);
+  const [credentialsToIssue, setCredentialsToIssue] = useState([]); // { schema, credentialSubject, expirationDate }
+  const [schema, setSchema] = useState(null); // 当前选中的 schema 注册记录及其文档
   const [isLoading, setIsLoading] = useState(false);
   const [message, setMessage] = useState('');
+  const [issuedPackages, setIssuedPackages] = useState([]); // 最近一次颁发批次的凭证包
+  const [hashScheme, setHashScheme] = useState(DEFAULT_HASH_SCHEME);
+  const [batchValidUntil, setBatchValidUntil] = useState(''); // datetime-local 字符串，留空表示批次长期有效
 
   useEffect(() => {
-    if (signer) {
+    if (signer && contractAddresses) {
       const contract = new ethers.Contract(
         contractAddresses.VCRegistry,
         VCRegistryABI.abi,
         signer
       );
       setVcRegistryContract(contract);
+      setCredentialContract(new ethers.Contract(
+        contractAddresses.VerifiableCredential,
+        VerifiableCredentialABI.abi,
+        signer
+      ));
+    } else {
+      setVcRegistryContract(null);
+      setCredentialContract(null);
+    }
+  }, [signer, contractAddresses]);
+
+  // 单个凭证单独撤销，不使用状态列表，也不支持选择性披露
+  const handleIssuanceModeChange = (mode) => {
+    setIssuanceMode(mode);
+    if (mode === ISSUANCE_MODES.SINGLE && hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE) {
+      setHashScheme(DEFAULT_HASH_SCHEME);
     }
-  }, [signer]);
+  };
 
   const addCredentialToBatch = (credentialData) => {
     setCredentialsToIssue([...credentialsToIssue, credentialData]);
   };
 
+  // 单个颁发：每个凭证一笔交易，以叶子哈希为 id 记录在 VerifiableCredential 中。
+  // 主体 DID 已由 checkSubjectsForIssuance 检查过；发送第一笔交易前先检查全部凭证，
+  // 中途失败时返回已经颁发的凭证包和错误，调用方保存已颁发的部分，重试时不会重复颁发
+  const issueSingleCredentials = async (credentials, chainId) => {
+    const subjectDidHashes = credentials.map((credential, i) => {
+      const subjects = [].concat(credential.credentialSubject || []);
+      if (subjects.length !== 1) {
+        throw new Error(`第 ${i + 1} 个凭证必须只有一个主体才能单独颁发`);
+      }
+      return parseDid(subjects[0].id).didHash;
+    });
+
+    const packages = [];
+    try {
+      for (let i = 0; i < credentials.length; i++) {
+        const credential = credentials[i];
+        const progress = `(${i + 1}/${credentials.length})`;
+        const leaf = hashCredential(credential, {
+          scheme: hashScheme,
+          chainId,
+          verifyingContract: contractAddresses.VerifiableCredential,
+        });
+
+        setMessage(`正在将加密凭证上传到存储节点 ${progress}...`);
+        const stored = await storage.addEncryptedJson({ credential, leaf, hashScheme });
+        setMessage(`凭证 id: ${leaf}。正在发送交易以颁发凭证 ${progress}...`);
+        const tx = await credentialContract.issueCredential(leaf, subjectDidHashes[i], stored.cid);
+        await tx.wait();
+
+        packages.push(buildCredentialPackage({
+          credential,
+          leaf,
+          hashScheme,
+          issuanceMode: ISSUANCE_MODES.SINGLE,
+          issuer: account,
+          chainId,
+          contractAddress: contractAddresses.VerifiableCredential,
+          transactionHash: tx.hash,
+          storage: stored,
+        }));
+      }
+    } catch (error) {
+      return { packages, error };
+    }
+    return { packages, error: null };
+  };
+
   const handleIssueBatch = async () => {
     if (!vcRegistryContract) {
       alert("请连接您的钱包。");
@@ -92,58 +211,139 @@ const VCApplication = () => {
       alert("请至少向批次中添加一个凭证。");
       return;
     }
+    const single = issuanceMode === ISSUANCE_MODES.SINGLE;
+
+    // 批次有效期以 Unix 秒记录在链上，截止时刻当秒仍有效
+    const validUntil = batchValidUntil && !single ? Math.floor(new Date(batchValidUntil).getTime() / 1000) : 0;
+    if (validUntil && validUntil <= Date.now() / 1000) {
+      alert("批次有效期必须晚于当前时间。");
+      return;
+    }
 
     setIsLoading(true);
-    setMessage('正在处理批次：准备数据并计算哈希值...');
+    setIssuedPackages([]);
+    setMessage(single ? '正在准备凭证数据...' : '正在处理批次：准备数据并计算哈希值...');
 
     try {
-      const leaves = await Promise.all(credentialsToIssue.map(async (data) => {
-        const credential = {
-          '@context': 'https://www.w3.org/2018/credentials/v1',
-          type: ['VerifiableCredential', 'EducationCredential'],
-          issuer: `did:ethr:${account}`, // 颁发者 DID
-          issuanceDate: new Date().toISOString(), // 颁发日期
-          credentialSubject: {
-            id: data.userDid, // 凭证主体的 DID
-            name: data.name,
-            degree: data.degree,
-          },
-        };
-        
-        const credentialJson = JSON.stringify(credential);
-        
-        // 使用 ethers.keccak256 计算叶子节点，无需额外导入库
-        return ethers.keccak256(ethers.toUtf8Bytes(credentialJson));
+      const network = await provider.getNetwork();
+      const chainId = Number(network.chainId);
+      // 已在信任注册表登记的颁发者以其 did:merkleseal 签发
+      const issuer = await getIssuerDid({ vcRegistryContract, chainId, issuer: account });
+
+      // 保留完整的凭证 JSON（包括 issuanceDate），否则持有者将无法重新计算叶子哈希
+      const contents = credentialsToIssue.map((data) => ({
+        '@context': 'https://www.w3.org/2018/credentials/v1',
+        type: ['VerifiableCredential', data.schema.document.title], // schema 的 title 即凭证类型
+        issuer, // 颁发者 DID
+        issuanceDate: new Date().toISOString(), // 颁发日期
+        ...(data.expirationDate && { expirationDate: new Date(data.expirationDate).toISOString() }), // 过期日期
+        credentialSubject: data.credentialSubject,
+        credentialSchema: createCredentialSchemaEntry(schemaUriFromCid(data.schema.cid)),
+      }));
+      // 每个批次对应一个状态列表，凭证按批次中的顺序分配 statusListIndex，
+      // 连续的索引使颁发者可以用很少的位图字批量撤销
+      const statusListCredential = !single && createStatusListCredentialId({
+        baseUrl: STATUS_LIST_BASE_URL,
+        chainId,
+        contractAddress: contractAddresses.VCRegistry,
+        credentials: contents,
+      });
+      const credentials = single ? contents : contents.map((credential, index) => ({
+        ...credential,
+        credentialStatus: createStatusListEntry(statusListCredential, index),
       }));
+      // 完整的凭证同样需要满足 schema 对凭证外层字段的约束
+      credentials.forEach((credential, index) => {
+        const errors = validateAgainstSchema(credential, credentialsToIssue[index].schema.document);
+        if (errors.length > 0) {
+          throw new Error(`第 ${index + 1} 个凭证不符合 schema: ${errors.join('; ')}`);
+        }
+      });
+      // 只向已登记且未撤销的主体 DID 颁发。批次的主体不记录在链上，验证时会再次检查每个凭证的主体
+      setMessage('正在检查主体 DID 的链上状态...');
+      const { errors: subjectErrors } = await checkSubjectsForIssuance(vcRegistryContract, credentials, chainId);
+      if (subjectErrors.length > 0) {
+        throw new Error(`以下主体不能接收凭证: ${subjectErrors.join('; ')}`);
+      }
+
+      if (single) {
+        const { packages, error: issueError } = await issueSingleCredentials(credentials, chainId);
+        setIssuedPackages(packages);
+        saveIssuedPackages(chainId, account, packages);
+        if (issueError) {
+          // 已颁发的凭证移出待颁发列表，重试时只颁发剩余的凭证
+          setCredentialsToIssue(credentialsToIssue.slice(packages.length));
+          throw new Error(`已颁发 ${packages.length}/${credentials.length} 个凭证，其余未颁发: ${issueError.reason || issueError.message}`);
+        }
+        setMessage(`已单独颁发 ${packages.length} 个凭证。最后一笔交易哈希: ${packages[packages.length - 1].transactionHash}`);
+        setCredentialsToIssue([]);
+        return;
+      }
+      // 叶子哈希的计算方式与验证页面共用，见 lib/credentialHash.js
+      // 选择性披露凭证的叶子是加盐声明树的树根，盐值随凭证包交给持有者
+      const salts = hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE ? credentials.map(createClaimSalts) : [];
+      const leaves = credentials.map((credential, index) => (hashScheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE
+        ? hashSelectiveDisclosureCredential(credential, salts[index])
+        : hashCredential(credential, {
+          scheme: hashScheme,
+          chainId,
+          verifyingContract: contractAddresses.VCRegistry,
+        })));
 
       setMessage('正在构建默克尔树并获取根哈希...');
 
       // 使用 ethers.keccak256 作为哈希函数构建树
       const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
       const merkleRoot = tree.getHexRoot();
+      const proofs = leaves.map((leaf) => tree.getHexProof(leaf));
+
+      // 在发送交易前将每个凭证加密后固定到存储节点，存储失败时不会浪费 gas
+      const storedPayloads = [];
+      for (let i = 0; i < credentials.length; i++) {
+        setMessage(`默克尔树根哈希: ${merkleRoot}。正在将加密凭证上传到存储节点 (${i + 1}/${credentials.length})...`);
+        storedPayloads.push(await storage.addEncryptedJson({
+          credential: credentials[i],
+          leaf: leaves[i],
+          hashScheme,
+          proof: proofs[i],
+          merkleRoot,
+          ...(salts[i] && { salts: salts[i] }),
+        }));
+      }
+
       setMessage(`默克尔树根哈希: ${merkleRoot}。正在发送交易以颁发批次...`);
 
-      const tx = await vcRegistryContract.issueBatchCredentials(merkleRoot);
+      const tx = validUntil
+        ? await vcRegistryContract.issueBatchCredentialsWithExpiry(merkleRoot, validUntil)
+        : await vcRegistryContract.issueBatchCredentials(merkleRoot);
       await tx.wait();
 
+      // 为每个持有者生成自包含的凭证包
+      const packages = credentials.map((credential, index) => buildCredentialPackage({
+        credential,
+        leaf: leaves[index],
+        hashScheme,
+        proof: proofs[index],
+        merkleRoot,
+        validUntil,
+        issuer: account,
+        chainId,
+        contractAddress: contractAddresses.VCRegistry,
+        transactionHash: tx.hash,
+        storage: storedPayloads[index],
+        salts: salts[index],
+      }));
+      setIssuedPackages(packages);
+      // 保存到颁发者存档，颁发者面板据此展示批次中的凭证
+      saveIssuedPackages(chainId, account, packages);
+
       setMessage(`批次颁发成功！交易哈希: ${tx.hash}。默克尔树根哈希: ${merkleRoot}`);
       
       setCredentialsToIssue([]); // 清空已颁发的凭证列表
 
-      console.log('默克尔树:', tree.toString());
-      credentialsToIssue.forEach((cred, index) => {
-          const leaf = leaves[index];
-          const proof = tree.getHexProof(leaf);
-          console.log(`为 ${cred.name} (叶子节点: ${leaf}) 生成的证明:`, proof);
-      });
-
     } catch (error) {
       console.error("批次颁发失败:", error);
-      if (error.message && error.message.includes('project id required')) {
-          setMessage(`颁发失败：IPFS 认证错误。请检查您的 .env 文件。`);
-      } else {
-          setMessage(`颁发失败：${error.message}`);
-      }
+      setMessage(`颁发失败：${error.message}`);
     } finally {
       setIsLoading(false);
     }
@@ -155,23 +355,110 @@ const VCApplication = () => {
 
   return (
     <div className="component">
-      <h2>批量颁发可验证凭证</h2>
-      <p>此界面供授权颁发者添加多个凭证，并通过单笔批处理交易进行颁发。</p>
+      <h2>颁发可验证凭证</h2>
+      <p>此界面供授权颁发者添加多个凭证，并通过单笔批处理交易进行颁发；一次性的凭证也可以不构建默克尔树，逐个单独颁发。</p>
+
+      <label>
+        颁发方式:
+        <select value={issuanceMode} onChange={(e) => handleIssuanceModeChange(e.target.value)} disabled={isLoading}>
+          <option value={ISSUANCE_MODES.BATCH}>批次颁发 (默克尔树，一笔交易)</option>
+          <option value={ISSUANCE_MODES.SINGLE}>单个颁发 (每个凭证一笔交易)</option>
+        </select>
+      </label>
       
-      <CredentialForm onAdd={addCredentialToBatch} />
+      <CredentialSchemaPicker
+        vcRegistryContract={vcRegistryContract}
+        account={account}
+        onSelect={setSchema}
+        disabled={isLoading}
+      />
+      {schema && <CredentialForm key={schema.schemaHash} schema={schema} onAdd={addCredentialToBatch} />}
+      {schema && (
+        <BulkImport
+          key={`import-${schema.schemaHash}`}
+          vcRegistryContract={vcRegistryContract}
+          chainId={walletChainId}
+          schema={schema}
+          existingSubjectIds={credentialsToIssue
+            .filter((cred) => cred.schema.schemaHash === schema.schemaHash)
+            .map((cred) => cred.credentialSubject.id)}
+          onImport={(entries) => setCredentialsToIssue((current) => [...current, ...entries])}
+          disabled={isLoading}
+        />
+      )}
+
+      <label>
+        叶子哈希方案:
+        <select value={hashScheme} onChange={(e) => setHashScheme(e.target.value)} disabled={isLoading}>
+          <option value={HASH_SCHEMES.JCS}>JCS 规范化 JSON (RFC 8785)</option>
+          <option value={HASH_SCHEMES.EIP712}>EIP-712 结构化数据</option>
+          {issuanceMode === ISSUANCE_MODES.BATCH && (
+            <option value={HASH_SCHEMES.SELECTIVE_DISCLOSURE}>选择性披露 (逐字段加盐默克尔树)</option>
+          )}
+        </select>
+      </label>
+
+      {issuanceMode === ISSUANCE_MODES.BATCH && (
+        <label>
+          批次有效期至 (可选，留空表示长期有效):
+          <input
+            type="datetime-local"
+            value={batchValidUntil}
+            onChange={(e) => setBatchValidUntil(e.target.value)}
+            disabled={isLoading}
+          />
+        </label>
+      )}
 
       <h3>当前批次中的凭证 ({credentialsToIssue.length})</h3>
+      {credentialsToIssue.length > 0 && (
+        <button onClick={() => setCredentialsToIssue([])} disabled={isLoading}>清空批次</button>
+      )}
       <ul>
-        {credentialsToIssue.map((cred, index) => (
-          <li key={index}>{cred.name} ({cred.degree}) - 目标 DID: {cred.userDid}</li>
+        {credentialsToIssue.slice(0, MAX_LISTED_CREDENTIALS).map((cred, index) => (
+          <li key={index}>
+            {cred.credentialSubject.name || cred.schema.name} ({cred.schema.name}) - 目标 DID: {cred.credentialSubject.id}
+            {cred.expirationDate && ` - 过期时间: ${new Date(cred.expirationDate).toLocaleString()}`}
+          </li>
         ))}
+        {credentialsToIssue.length > MAX_LISTED_CREDENTIALS && (
+          <li>... 以及另外 {credentialsToIssue.length - MAX_LISTED_CREDENTIALS} 个凭证</li>
+        )}
       </ul>
 
       <button onClick={handleIssueBatch} disabled={isLoading || credentialsToIssue.length === 0}>
-        {isLoading ? '处理中...' : `颁发 ${credentialsToIssue.length} 个凭证的批次`}
+        {isLoading ? '处理中...' : issuanceMode === ISSUANCE_MODES.SINGLE
+          ? `单独颁发 ${credentialsToIssue.length} 个凭证`
+          : `颁发 ${credentialsToIssue.length} 个凭证的批次`}
       </button>
 
       {message && <p className="message">{message}</p>}
+
+      {issuedPackages.length > 0 && (
+        <div className="issued-packages">
+          <h3>已颁发的凭证包 ({issuedPackages.length})</h3>
+          <p>请将凭证包分发给对应的持有者，持有者需要凭证包才能证明其凭证。</p>
+          {issuedPackages[0].credential.credentialStatus && (
+            <p>状态列表: <code>{issuedPackages[0].credential.credentialStatus.statusListCredential}</code></p>
+          )}
+          <ul>
+            {issuedPackages.map((pkg) => (
+              <li key={pkg.leaf}>
+                {pkg.credential.credentialSubject.name} - {pkg.credential.credentialSubject.id}
+                {pkg.credential.credentialStatus && <small> (状态索引: {pkg.credential.credentialStatus.statusListIndex})</small>}
+                {pkg.storage && <small> (加密副本 CID: {pkg.storage.cid})</small>}
+                <button onClick={() => downloadJson(pkg, credentialPackageFileName(pkg))}>下载 JSON</button>
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => issuedPackages.forEach((pkg) => downloadJson(pkg, credentialPackageFileName(pkg)))}>
+            下载全部 JSON 文件
+          </button>
+          <button onClick={() => downloadCredentialPackagesZip(issuedPackages, `credentials-${(issuedPackages[0].merkleRoot || issuedPackages[0].leaf).slice(2, 10)}.zip`)}>
+            下载全部 (ZIP)
+          </button>
+        </div>
+      )}
     </div>
   );
 };
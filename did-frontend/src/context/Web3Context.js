@@ -1,5 +1,21 @@
-import React, { useState, createContext, useContext, useCallback } from 'react';
+import React, { useState, createContext, useContext, useCallback, useEffect, useMemo } from 'react';
 import { ethers } from 'ethers';
+import deploymentManifest from '../contracts/deployments.json';
+import DIDRegistryABI from '../contracts/DIDRegistry.json';
+import VCRegistryABI from '../contracts/VCRegistry.json';
+import VerifiableCredentialABI from '../contracts/VerifiableCredential.json';
+import { getSupportedChainIds, getDeployment, getContractAddresses, findStaleAbis } from '../lib/deployments';
+
+// 部署清单中有合约的链；钱包在其他链上时提示切换到默认链
+export const SUPPORTED_CHAIN_IDS = getSupportedChainIds(deploymentManifest);
+const DEFAULT_CHAIN_ID = Number(process.env.REACT_APP_DEFAULT_CHAIN_ID) || SUPPORTED_CHAIN_IDS[0];
+
+// 打包进前端的 ABI，与部署清单中的 ABI 哈希比较
+const BUNDLED_ABIS = {
+  DIDRegistry: DIDRegistryABI.abi,
+  VCRegistry: VCRegistryABI.abi,
+  VerifiableCredential: VerifiableCredentialABI.abi,
+};
 
 // 1. 创建 Context
 const Web3Context = createContext(null);
@@ -9,22 +25,52 @@ export const Web3Provider = ({ children }) => {
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState(null);
+  const [chainId, setChainId] = useState(null);
+
+  // 读取钱包当前的账户和链；切换链后 BrowserProvider 需要重新创建
+  const loadWallet = useCallback(async () => {
+    // Ethers v6: 使用 ethers.BrowserProvider 替换 Web3Provider
+    const browserProvider = new ethers.BrowserProvider(window.ethereum);
+
+    // 请求用户授权
+    const userSigner = await browserProvider.getSigner();
+    const userAccount = await userSigner.getAddress();
+    const network = await browserProvider.getNetwork();
+
+    setProvider(browserProvider);
+    setSigner(userSigner);
+    setAccount(userAccount);
+    setChainId(Number(network.chainId));
+    return Number(network.chainId);
+  }, []);
+
+  /**
+   * 请求钱包切换到指定链，链切换后由 chainChanged 事件重新加载钱包。
+   * @returns {Promise<boolean>} 用户拒绝切换时返回 false
+   */
+  const switchChain = useCallback(async (targetChainId) => {
+    try {
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: ethers.toQuantity(targetChainId) }],
+      });
+      return true;
+    } catch (error) {
+      if (error.code === 4001 || error.code === 'ACTION_REJECTED') return false;
+      if (error.code === 4902) {
+        throw new Error(`Chain ${targetChainId} has not been added to the wallet`);
+      }
+      throw error;
+    }
+  }, []);
 
   const connectWallet = useCallback(async () => {
     if (window.ethereum) {
       try {
-        // Ethers v6: 使用 ethers.BrowserProvider 替换 Web3Provider
-        const browserProvider = new ethers.BrowserProvider(window.ethereum);
-        
-        // 请求用户授权
-        const userSigner = await browserProvider.getSigner();
-        const userAccount = await userSigner.getAddress();
-
-        setProvider(browserProvider);
-        setSigner(userSigner);
-        setAccount(userAccount);
-
-        console.log("Wallet connected:", userAccount);
+        const connectedChainId = await loadWallet();
+        if (!getDeployment(deploymentManifest, connectedChainId) && DEFAULT_CHAIN_ID) {
+          await switchChain(DEFAULT_CHAIN_ID);
+        }
       } catch (error) {
         console.error("Failed to connect wallet:", error);
         alert("连接钱包失败，请在控制台查看错误。");
@@ -32,14 +78,43 @@ export const Web3Provider = ({ children }) => {
     } else {
       alert("请安装 MetaMask 钱包！");
     }
-  }, []);
+  }, [loadWallet, switchChain]);
+
+  // 用户在钱包中切换网络后重新加载，组件随 contractAddresses 变化重建合约实例
+  useEffect(() => {
+    if (!window.ethereum || !account) return undefined;
+    const handleChainChanged = () => {
+      loadWallet().catch((error) => console.error("Failed to reload wallet after chain change:", error));
+    };
+    window.ethereum.on('chainChanged', handleChainChanged);
+    return () => window.ethereum.removeListener('chainChanged', handleChainChanged);
+  }, [account, loadWallet]);
+
+  const deployment = useMemo(
+    () => (chainId === null ? null : getDeployment(deploymentManifest, chainId)),
+    [chainId]
+  );
+  const contractAddresses = useMemo(
+    () => (deployment ? getContractAddresses(deploymentManifest, chainId) : null),
+    [deployment, chainId]
+  );
+  const staleAbis = useMemo(() => (deployment ? findStaleAbis(deployment, BUNDLED_ABIS) : []), [deployment]);
 
   const value = {
     provider,
     signer,
     account,
+    chainId,
     connectWallet,
-    isConnected: !!signer,
+    switchChain,
+    deployment,
+    contractAddresses,
+    staleAbis,
+    supportedChainIds: SUPPORTED_CHAIN_IDS,
+    defaultChainId: DEFAULT_CHAIN_ID,
+    isSupportedChain: !!deployment,
+    // 只有在有部署的链上才视为已连接，组件据此启用合约操作
+    isConnected: !!signer && !!deployment,
   };
 
   return <Web3Context.Provider value={value}>{children}</Web3Context.Provider>;
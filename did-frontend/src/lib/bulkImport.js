@@ -0,0 +1,196 @@
+// 从 CSV / JSON 文件批量导入凭证条目，前端与 hardhat 测试共用。
+// 每条记录按列映射转换为凭证主体，再按 schema 校验，有问题的记录单独报告，不影响其他记录。
+import { buildCredentialSubject, validateCredentialSubject } from './credentialSchema.js';
+import { isMerkleSealDid, parseDid } from './didMethod.js';
+import { resolveSubjectDid } from './subjectDid.js';
+
+// 列映射中表示凭证过期时间的键，与凭证主体字段区分
+export const EXPIRATION_DATE_COLUMN = '$expirationDate';
+
+/**
+ * 按 RFC 4180 解析 CSV 文本，支持带引号的字段、字段内的逗号、换行以及 "" 转义。
+ * 第一行为表头，空行被忽略。
+ * @param {string} text CSV 文本
+ * @returns {{headers: string[], records: Array<Object<string, string>>}} 表头与按表头映射的记录
+ * @throws {Error} 引号未闭合时抛出
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, ''); // Excel 导出的 CSV 带有 BOM
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field in CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { headers: [], records: [] };
+  }
+  const headers = nonEmpty[0].map((header) => header.trim());
+  const records = nonEmpty.slice(1).map((cells) =>
+    Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']))
+  );
+  return { headers, records };
+};
+
+/**
+ * 解析 JSON 导入文件，接受记录数组或 { credentials: [...] }。
+ * @param {string} text JSON 文本
+ * @returns {{headers: string[], records: Array<object>}} 所有记录中出现过的键与记录
+ * @throws {Error} 不是 JSON 或不是对象数组时抛出
+ */
+export const parseJsonRecords = (text) => {
+  const parsed = JSON.parse(text);
+  const records = Array.isArray(parsed) ? parsed : parsed && parsed.credentials;
+  if (!Array.isArray(records) || !records.every((record) => record && typeof record === 'object' && !Array.isArray(record))) {
+    throw new Error('JSON import must be an array of objects or { "credentials": [...] }');
+  }
+  const headers = [...new Set(records.flatMap((record) => Object.keys(record)))];
+  return { headers, records };
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[\s_-]/g, '');
+
+/**
+ * 按字段名或标题推测列映射，匹配时忽略大小写、空格、下划线和连字符。
+ * @param {string[]} headers 文件中的列名
+ * @param {Array<object>} fields getSchemaFormFields 的返回值
+ * @returns {Object<string, string>} 字段名（以及 EXPIRATION_DATE_COLUMN）=> 列名，未匹配的为空字符串
+ */
+export const suggestColumnMapping = (headers, fields) => {
+  const find = (...candidates) => {
+    const normalized = candidates.filter(Boolean).map(normalizeHeader);
+    return headers.find((header) => normalized.includes(normalizeHeader(header))) || '';
+  };
+  const mapping = Object.fromEntries(fields.map((field) => [field.name, find(field.name, field.label)]));
+  mapping[EXPIRATION_DATE_COLUMN] = find('expirationDate', 'validUntil', '过期时间');
+  return mapping;
+};
+
+/**
+ * 将导入的记录转换为批次条目并逐条校验。
+ * 检查项：主体 DID 格式（必须是本链的 did:merkleseal DID）、schema 约束（包括必填字段）、过期时间格式，
+ * 以及文件内或与已有批次条目重复的主体 DID。主体 DID 的链上状态由 checkImportedSubjects 检查。
+ * @param {Array<object>} records parseCsv / parseJsonRecords 返回的记录
+ * @param {object} options
+ * @param {Array<object>} options.fields getSchemaFormFields 的返回值
+ * @param {object} options.schema 凭证 schema 文档
+ * @param {Object<string, string>} options.mapping 字段名 => 列名
+ * @param {Iterable<string>} [options.existingSubjectIds] 批次中已有的主体 DID
+ * @param {number|bigint} [options.chainId] 颁发所在链的 chain id，指定时拒绝其他链的主体 DID
+ * @returns {{entries: Array<object>, errors: Array<{record: number, messages: string[]}>}}
+ *   entries 为 { record, credentialSubject, expirationDate }，record 为从 1 开始的记录序号（不含表头）
+ */
+export const importRecords = (records, { fields, schema, mapping, existingSubjectIds = [], chainId }) => {
+  const seen = new Map([...existingSubjectIds].map((id) => [id, null]));
+  const entries = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const recordNumber = index + 1;
+    const values = Object.fromEntries(
+      fields.filter((field) => mapping[field.name]).map((field) => [field.name, record[mapping[field.name]]])
+    );
+    const credentialSubject = buildCredentialSubject(fields, values);
+    const messages = validateCredentialSubject(credentialSubject, schema);
+
+    const subjectId = credentialSubject.id;
+    // schema 自身可能已经约束了 id 的格式，避免重复报告
+    const idReported = messages.some((message) => message.startsWith('credentialSubject.id:'));
+    if (typeof subjectId === 'string' && !idReported) {
+      if (!isMerkleSealDid(subjectId)) {
+        messages.push(`credentialSubject.id: "${subjectId}" is not a did:merkleseal DID`);
+      } else if (chainId !== undefined && parseDid(subjectId).chainId !== Number(chainId)) {
+        messages.push(`credentialSubject.id: ${subjectId} is registered on another chain`);
+      }
+    }
+    if (typeof subjectId === 'string' && seen.has(subjectId)) {
+      const first = seen.get(subjectId);
+      messages.push(first === null
+        ? `credentialSubject.id: ${subjectId} is already in the batch`
+        : `credentialSubject.id: duplicate of record ${first}`);
+    }
+
+    const rawExpiration = mapping[EXPIRATION_DATE_COLUMN] ? record[mapping[EXPIRATION_DATE_COLUMN]] : '';
+    const expirationDate = typeof rawExpiration === 'string' ? rawExpiration.trim() : rawExpiration || '';
+    if (expirationDate && Number.isNaN(new Date(expirationDate).getTime())) {
+      messages.push(`expirationDate: "${expirationDate}" is not a valid date`);
+    }
+
+    if (typeof subjectId === 'string' && !seen.has(subjectId)) {
+      seen.set(subjectId, recordNumber);
+    }
+    if (messages.length > 0) {
+      errors.push({ record: recordNumber, messages });
+    } else {
+      entries.push({ record: recordNumber, credentialSubject, expirationDate });
+    }
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * 在条目加入批次前逐条检查主体 DID 的链上状态，未登记或已撤销的主体移入错误报告，
+ * 避免整个批次在颁发时才被 checkSubjectsForIssuance 拒绝。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {{entries: Array<object>, errors: Array<object>}} imported importRecords 的返回值
+ * @param {number|bigint} chainId 合约所在链的 chain id
+ * @returns {Promise<{entries: Array<object>, errors: Array<{record: number, messages: string[]}>}>}
+ *   errors 按记录序号排序
+ */
+export const checkImportedSubjects = async (vcRegistryContract, { entries, errors }, chainId) => {
+  const statuses = new Map();
+  for (const did of new Set(entries.map((entry) => entry.credentialSubject.id))) {
+    statuses.set(did, (await resolveSubjectDid(vcRegistryContract, did, chainId)).status);
+  }
+
+  const valid = [];
+  const subjectErrors = [];
+  entries.forEach((entry) => {
+    const subjectId = entry.credentialSubject.id;
+    const status = statuses.get(subjectId);
+    if (status === 'active') {
+      valid.push(entry);
+    } else {
+      subjectErrors.push({
+        record: entry.record,
+        messages: [`credentialSubject.id: ${subjectId} ${status === 'revoked' ? 'has been revoked' : 'is not registered'}`],
+      });
+    }
+  });
+  return { entries: valid, errors: [...errors, ...subjectErrors].sort((a, b) => a.record - b.record) };
+};
@@ -0,0 +1,135 @@
+// 凭证叶子哈希模块，前端与 hardhat 测试共用。
+// 本目录是 ES 模块（见 package.json 中的 "type": "module"），Node 端通过 import() 加载，
+// 因此目录内的相对导入必须带上 .js 扩展名。
+import { ethers } from 'ethers';
+
+// 叶子哈希方案，凭证包中的 hashScheme 字段记录所使用的方案
+export const HASH_SCHEMES = {
+  // RFC 8785 (JCS) 规范化后再做 keccak256，与键顺序和空白无关
+  JCS: 'jcs-keccak256',
+  // EIP-712 结构化数据哈希，钱包可以以可读形式展示
+  EIP712: 'eip712',
+  // 早期版本使用的 keccak256(JSON.stringify(credential))，仅用于验证旧凭证包
+  LEGACY: 'json-keccak256',
+  // 选择性披露：每个声明加盐哈希后构成内层默克尔树，叶子是内层树根，见 selectiveDisclosure.js
+  SELECTIVE_DISCLOSURE: 'sd-merkle-keccak256',
+};
+
+export const DEFAULT_HASH_SCHEME = HASH_SCHEMES.JCS;
+
+export const EIP712_DOMAIN_NAME = 'MerkleSeal VeriChain';
+export const EIP712_DOMAIN_VERSION = '1';
+
+export const EIP712_CREDENTIAL_TYPES = {
+  Credential: [
+    { name: 'issuer', type: 'string' },
+    { name: 'subject', type: 'string' },
+    { name: 'issuanceDate', type: 'string' },
+    { name: 'contentHash', type: 'bytes32' },
+  ],
+};
+
+// 按 RFC 8785 对字符串进行序列化，JSON.stringify 的转义规则与 JCS 一致
+const serializeString = (value) => JSON.stringify(value);
+
+// RFC 8785 使用 ECMAScript 的 Number 序列化规则，即 JSON.stringify 的输出
+const serializeNumber = (value) => {
+  if (!Number.isFinite(value)) {
+    throw new Error(`Cannot canonicalize non-finite number: ${value}`);
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * 按 RFC 8785 (JSON Canonicalization Scheme) 序列化 JSON 值。
+ * 对象的键按 UTF-16 码元排序，不包含任何空白。
+ * @param {*} value 任意可 JSON 序列化的值
+ * @returns {string} 规范化后的 JSON 字符串
+ */
+export const canonicalize = (value) => {
+  if (value === null) return 'null';
+  if (value !== undefined && typeof value.toJSON === 'function') {
+    return canonicalize(value.toJSON());
+  }
+
+  switch (typeof value) {
+    case 'boolean':
+      return value ? 'true' : 'false';
+    case 'number':
+      return serializeNumber(value);
+    case 'string':
+      return serializeString(value);
+    case 'object':
+      if (Array.isArray(value)) {
+        // 与 JSON.stringify 一致，数组中无法序列化的元素输出为 null
+        return `[${value.map((item) => (item === undefined || typeof item === 'function' ? 'null' : canonicalize(item))).join(',')}]`;
+      }
+      return `{${Object.keys(value)
+        // 默认排序即按 UTF-16 码元比较，符合 RFC 8785 的要求
+        .sort()
+        .filter((key) => value[key] !== undefined && typeof value[key] !== 'function')
+        .map((key) => `${serializeString(key)}:${canonicalize(value[key])}`)
+        .join(',')}}`;
+    default:
+      throw new Error(`Cannot canonicalize value of type ${typeof value}`);
+  }
+};
+
+/**
+ * 构建凭证的 EIP-712 结构化数据。
+ * contentHash 覆盖整个凭证的 JCS 哈希，其余字段仅用于在钱包中展示。
+ * @param {object} credential 凭证 JSON 对象
+ * @param {object} options
+ * @param {number|bigint} options.chainId 链 id
+ * @param {string} options.verifyingContract 颁发合约地址：VCRegistry，单个凭证为 VerifiableCredential
+ * @returns {{domain: object, types: object, value: object}}
+ */
+export const getCredentialTypedData = (credential, { chainId, verifyingContract } = {}) => {
+  if (chainId === undefined || !verifyingContract) {
+    throw new Error('EIP-712 credential hashing requires chainId and verifyingContract');
+  }
+  const issuer = typeof credential.issuer === 'object' ? credential.issuer.id : credential.issuer;
+
+  return {
+    domain: {
+      name: EIP712_DOMAIN_NAME,
+      version: EIP712_DOMAIN_VERSION,
+      chainId,
+      verifyingContract,
+    },
+    types: EIP712_CREDENTIAL_TYPES,
+    value: {
+      issuer: issuer || '',
+      subject: credential.credentialSubject?.id || '',
+      issuanceDate: credential.issuanceDate || '',
+      contentHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalize(credential))),
+    },
+  };
+};
+
+/**
+ * 计算凭证在默克尔树中的叶子哈希。
+ * @param {object} credential 凭证 JSON 对象
+ * @param {object} [options]
+ * @param {string} [options.scheme] HASH_SCHEMES 中的一个，默认 JCS
+ * @param {number|bigint} [options.chainId] EIP-712 方案必填
+ * @param {string} [options.verifyingContract] EIP-712 方案必填
+ * @returns {string} bytes32 十六进制叶子哈希
+ */
+export const hashCredential = (credential, { scheme = DEFAULT_HASH_SCHEME, ...domain } = {}) => {
+  switch (scheme) {
+    case HASH_SCHEMES.JCS:
+      return ethers.keccak256(ethers.toUtf8Bytes(canonicalize(credential)));
+    case HASH_SCHEMES.EIP712: {
+      const typedData = getCredentialTypedData(credential, domain);
+      return ethers.TypedDataEncoder.hash(typedData.domain, typedData.types, typedData.value);
+    }
+    case HASH_SCHEMES.LEGACY:
+      return ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(credential)));
+    case HASH_SCHEMES.SELECTIVE_DISCLOSURE:
+      // 叶子还依赖每个声明的盐值，不能只由凭证计算
+      throw new Error('Selective disclosure leaves are computed with hashSelectiveDisclosureCredential');
+    default:
+      throw new Error(`Unknown credential hash scheme: ${scheme}`);
+  }
+};
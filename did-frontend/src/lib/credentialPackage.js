@@ -0,0 +1,101 @@
+import { HASH_SCHEMES } from './credentialHash.js';
+
+// 凭证包格式版本，格式发生不兼容变化时递增
+// v2: 新增 hashScheme 字段
+// v3: 新增 validUntil 字段
+// v4: 新增 salts 字段（选择性披露凭证）
+// v5: 新增 issuanceMode 字段（单个凭证）
+export const CREDENTIAL_PACKAGE_VERSION = 5;
+
+// 凭证的颁发方式：批次凭证的默克尔树根记录在 VCRegistry 中；
+// 单个凭证以叶子哈希为 id 记录在 VerifiableCredential 合约中，凭证包没有 proof 和 merkleRoot
+export const ISSUANCE_MODES = {
+  BATCH: 'batch',
+  SINGLE: 'single',
+};
+
+/**
+ * 为批次中的单个凭证或单独颁发的凭证构建自包含的凭证包。
+ * 持有者凭借该凭证包即可在任何地方重新计算叶子哈希并向 VCRegistry 验证。
+ * @param {object} params
+ * @param {object} params.credential 原始凭证 JSON（包含 issuanceDate，必须原样保存）
+ * @param {string} params.leaf 凭证的叶子哈希
+ * @param {string} params.hashScheme 计算叶子哈希所用的方案，见 HASH_SCHEMES
+ * @param {string} [params.issuanceMode] ISSUANCE_MODES 中的一个，默认批次
+ * @param {string[]} [params.proof] 叶子的默克尔证明，单个凭证没有
+ * @param {string} [params.merkleRoot] 批次的默克尔树根，单个凭证没有
+ * @param {number} [params.validUntil] 批次有效期截止时间（Unix 秒），不设置表示批次长期有效
+ * @param {string} params.issuer 颁发者地址
+ * @param {number} params.chainId 颁发交易所在链的 chain id
+ * @param {string} params.contractAddress 颁发合约地址：VCRegistry，单个凭证为 VerifiableCredential
+ * @param {string} params.transactionHash 颁发交易的哈希
+ * @param {{cid: string, key: string}} [params.storage] 加密副本在 IPFS 上的 CID 及解密密钥
+ * @param {Object<string, string>} [params.salts] 选择性披露凭证每个声明的盐值，持有者生成披露时需要
+ * @returns {object} 凭证包
+ */
+export const buildCredentialPackage = ({
+  credential,
+  leaf,
+  hashScheme,
+  issuanceMode = ISSUANCE_MODES.BATCH,
+  proof,
+  merkleRoot,
+  validUntil,
+  issuer,
+  chainId,
+  contractAddress,
+  transactionHash,
+  storage,
+  salts,
+}) => ({
+  version: CREDENTIAL_PACKAGE_VERSION,
+  credential,
+  leaf,
+  hashScheme,
+  ...(issuanceMode === ISSUANCE_MODES.SINGLE
+    ? { issuanceMode }
+    : { proof, merkleRoot }),
+  ...(validUntil && { validUntil }),
+  issuer,
+  chainId,
+  contractAddress,
+  transactionHash,
+  ...(storage && { storage }),
+  ...(salts && { salts }),
+});
+
+/**
+ * 为凭证包生成下载文件名，使用叶子哈希前缀保证同一批次内不重复。
+ * @param {object} credentialPackage 凭证包
+ * @returns {string} 文件名
+ */
+export const credentialPackageFileName = (credentialPackage) =>
+  `credential-${credentialPackage.leaf.slice(2, 10)}.json`;
+
+/**
+ * 返回凭证包所使用的叶子哈希方案。
+ * v1 凭证包没有 hashScheme 字段，其叶子是 keccak256(JSON.stringify(credential))。
+ * @param {object} credentialPackage 凭证包
+ * @returns {string} HASH_SCHEMES 中的一个
+ */
+export const getPackageHashScheme = (credentialPackage) =>
+  credentialPackage.hashScheme || HASH_SCHEMES.LEGACY;
+
+/**
+ * 返回凭证包的颁发方式，v5 之前的凭证包都是批次凭证。
+ * @param {object} credentialPackage 凭证包
+ * @returns {string} ISSUANCE_MODES 中的一个
+ */
+export const getPackageIssuanceMode = (credentialPackage) =>
+  credentialPackage.issuanceMode || ISSUANCE_MODES.BATCH;
+
+/**
+ * 检查对象是否具备验证所需的凭证包字段：批次凭证需要 merkleRoot 和 proof，单个凭证只需要 credential。
+ * @param {object} value 待检查的对象
+ * @returns {boolean} 是否是凭证包
+ */
+export const isCredentialPackage = (value) => {
+  if (!value || !value.credential) return false;
+  return getPackageIssuanceMode(value) === ISSUANCE_MODES.SINGLE
+    || (/^0x[0-9a-fA-F]{64}$/.test(value.merkleRoot) && Array.isArray(value.proof));
+};
@@ -0,0 +1,226 @@
+// 凭证 JSON Schema：哈希、校验、表单字段生成与颁发者 schema 注册表查询，前端与 hardhat 测试共用。
+// schema 描述整个凭证，颁发表单由其中 credentialSubject 的属性生成。
+// 校验器只实现表单能够产生的 JSON Schema 子集，遇到不支持的关键字时抛出错误而不是静默忽略。
+import { ethers } from 'ethers';
+import { canonicalize } from './credentialHash.js';
+
+// VC JSON Schema 规范中 credentialSchema 的类型
+export const CREDENTIAL_SCHEMA_TYPE = 'JsonSchema';
+
+const SUPPORTED_KEYWORDS = new Set([
+  '$schema', '$id', 'title', 'description', 'type', 'properties', 'required', 'additionalProperties',
+  'items', 'enum', 'const', 'format', 'pattern', 'minLength', 'maxLength', 'minimum', 'maximum', 'default',
+]);
+
+const FORMAT_PATTERNS = {
+  date: /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/,
+  email: /^[^\s@]+@[^\s@]+$/,
+  uri: /^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/,
+};
+
+/**
+ * 计算 schema 文档的哈希，即注册表中的 schemaHash。
+ * @param {object} schema JSON Schema 文档
+ * @returns {string} bytes32 十六进制哈希（JCS 规范化后的 keccak256）
+ */
+export const hashCredentialSchema = (schema) => ethers.keccak256(ethers.toUtf8Bytes(canonicalize(schema)));
+
+/**
+ * 由存储 CID 生成写入凭证的 schema 地址，已带协议前缀的标识（如内存存储的 mem:）保持不变。
+ * @param {string} cid schema 文档的 CID
+ * @returns {string} schema URI
+ */
+export const schemaUriFromCid = (cid) => (cid.includes(':') ? cid : `ipfs://${cid}`);
+
+/**
+ * 构建凭证的 credentialSchema 字段。
+ * @param {string} uri schema 文档地址
+ * @returns {{id: string, type: string}}
+ */
+export const createCredentialSchemaEntry = (uri) => ({ id: uri, type: CREDENTIAL_SCHEMA_TYPE });
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const validateNode = (value, schema, path, errors) => {
+  Object.keys(schema).forEach((keyword) => {
+    if (!SUPPORTED_KEYWORDS.has(keyword)) {
+      throw new Error(`Unsupported JSON Schema keyword "${keyword}" at ${path}`);
+    }
+  });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(`${path}: expected ${types.join(' or ')}`);
+      return;
+    }
+  }
+  if ('const' in schema && canonicalize(value) !== canonicalize(schema.const)) {
+    errors.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.some((option) => canonicalize(option) === canonicalize(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(`${path}: does not match pattern ${schema.pattern}`);
+    }
+    if (schema.format && FORMAT_PATTERNS[schema.format] && !FORMAT_PATTERNS[schema.format].test(value)) {
+      errors.push(`${path}: is not a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => validateNode(item, schema.items, `${path}[${index}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((name) => {
+      if (!(name in value)) errors.push(`${path}.${name}: is required`);
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (properties[name]) {
+        validateNode(propertyValue, properties[name], `${path}.${name}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not allowed`);
+      }
+    });
+  }
+};
+
+/**
+ * 按 schema 校验一个值。
+ * @param {*} value 待校验的值
+ * @param {object} schema JSON Schema（支持的关键字子集见 SUPPORTED_KEYWORDS）
+ * @param {string} [path] 错误信息中使用的根路径
+ * @returns {string[]} 错误信息，校验通过时为空数组
+ * @throws {Error} schema 使用了不支持的关键字时抛出
+ */
+export const validateAgainstSchema = (value, schema, path = '$') => {
+  const errors = [];
+  validateNode(value, schema, path, errors);
+  return errors;
+};
+
+// schema 中描述 credentialSubject 的部分
+const getSubjectSchema = (schema) => {
+  const subjectSchema = schema.properties && schema.properties.credentialSubject;
+  if (!subjectSchema || !subjectSchema.properties) {
+    throw new Error('Credential schema must describe credentialSubject.properties');
+  }
+  return subjectSchema;
+};
+
+/**
+ * 校验批次中的一个条目（凭证主体）。
+ * @param {object} credentialSubject 凭证主体
+ * @param {object} schema 凭证 schema
+ * @returns {string[]} 错误信息，校验通过时为空数组
+ */
+export const validateCredentialSubject = (credentialSubject, schema) =>
+  validateAgainstSchema(credentialSubject, getSubjectSchema(schema), 'credentialSubject');
+
+/**
+ * 由 schema 生成颁发表单的字段，主体 id 固定为第一个字段。
+ * @param {object} schema 凭证 schema
+ * @returns {Array<object>} { name, label, type, format, enum, required, description }，
+ *   type 为 string、number、integer 或 boolean
+ */
+export const getSchemaFormFields = (schema) => {
+  const subjectSchema = getSubjectSchema(schema);
+  const required = new Set(subjectSchema.required || []);
+  return Object.entries(subjectSchema.properties)
+    .map(([name, property]) => {
+      const type = Array.isArray(property.type) ? property.type[0] : property.type || 'string';
+      if (!['string', 'number', 'integer', 'boolean'].includes(type)) {
+        throw new Error(`Form fields cannot be generated for ${type} property "${name}"`);
+      }
+      return {
+        name,
+        label: property.title || name,
+        type,
+        format: property.format,
+        enum: property.enum,
+        required: required.has(name),
+        description: property.description,
+      };
+    })
+    .sort((a, b) => (b.name === 'id') - (a.name === 'id'));
+};
+
+const BOOLEAN_TRUE = /^(true|1|yes|y|是)$/i;
+
+/**
+ * 将表单或 CSV 中的输入转换为 schema 声明的类型，留空的字段不写入凭证主体。
+ * 无法转换的值保持原样，由 validateCredentialSubject 报告类型错误。
+ * @param {Array<object>} fields getSchemaFormFields 的返回值
+ * @param {Object<string, *>} values 字段名 => 输入值
+ * @returns {object} 凭证主体
+ */
+export const buildCredentialSubject = (fields, values) => {
+  const subject = {};
+  fields.forEach((field) => {
+    const value = typeof values[field.name] === 'string' ? values[field.name].trim() : values[field.name];
+    if (field.type === 'boolean') {
+      subject[field.name] = value === true || BOOLEAN_TRUE.test(value);
+    } else if (value !== undefined && value !== '') {
+      if (field.type === 'number' || field.type === 'integer') {
+        const number = Number(value);
+        subject[field.name] = Number.isNaN(number) ? value : number;
+      } else if (field.format === 'date-time') {
+        const date = new Date(value);
+        subject[field.name] = Number.isNaN(date.getTime()) ? value : date.toISOString();
+      } else {
+        subject[field.name] = value;
+      }
+    }
+  });
+  return subject;
+};
+
+/**
+ * 查询颁发者在 VCRegistry 中注册的全部 schema。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {string} issuer 颁发者地址
+ * @returns {Promise<Array<object>>} 按注册顺序排列的 { schemaHash, name, cid, registeredAt }
+ */
+export const fetchIssuerSchemas = async (vcRegistryContract, issuer) => {
+  const hashes = await vcRegistryContract.getCredentialSchemaHashes(issuer);
+  return Promise.all(hashes.map(async (schemaHash) => {
+    const record = await vcRegistryContract.getCredentialSchema(issuer, schemaHash);
+    return {
+      schemaHash,
+      name: record.name,
+      cid: record.cid,
+      registeredAt: Number(record.registeredAt),
+    };
+  }));
+};
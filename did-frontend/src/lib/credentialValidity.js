@@ -0,0 +1,46 @@
+// 凭证有效期与验证状态，前端验证页面与 hardhat 测试共用。
+// 单个凭证的 expirationDate 由叶子哈希保护，在链下检查；
+// 批次的 validUntil 记录在 VCRegistry 中，由 verifyCredential 在链上检查。
+
+// 与合约中的 enum CredentialStatus 顺序一致
+export const CREDENTIAL_STATUSES = ['valid', 'revoked', 'unknownRoot', 'invalidProof', 'expired'];
+
+/**
+ * 将 verifyCredential 返回的 CredentialStatus 枚举值转换为状态字符串。
+ * @param {number|bigint} value 合约返回的枚举值
+ * @returns {string} CREDENTIAL_STATUSES 中的一个
+ */
+export const credentialStatusFromContract = (value) => {
+  const status = CREDENTIAL_STATUSES[Number(value)];
+  if (!status) {
+    throw new Error(`Unknown credential status: ${value}`);
+  }
+  return status;
+};
+
+/**
+ * 返回凭证自身声明的过期时间。
+ * 兼容 VC Data Model 1.1 的 expirationDate 和 2.0 的 validUntil。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {Date|null} 过期时间，没有声明时返回 null
+ */
+export const getCredentialExpiry = (credential) => {
+  const value = credential.expirationDate || credential.validUntil;
+  if (!value) return null;
+  const expiry = new Date(value);
+  if (Number.isNaN(expiry.getTime())) {
+    throw new Error(`Invalid credential expiration date: ${value}`);
+  }
+  return expiry;
+};
+
+/**
+ * 判断凭证在给定时刻是否已过期，过期时间当刻仍视为有效（与合约的 validUntil 一致）。
+ * @param {object} credential 凭证 JSON 对象
+ * @param {Date} [at] 判断的时刻，默认为当前时间
+ * @returns {boolean} 是否已过期
+ */
+export const isCredentialExpired = (credential, at = new Date()) => {
+  const expiry = getCredentialExpiry(credential);
+  return expiry !== null && at.getTime() > expiry.getTime();
+};
@@ -0,0 +1,143 @@
+// 凭证包的链上验证，持有者钱包、命令行工具与 hardhat 测试共用。
+import { HASH_SCHEMES, hashCredential } from './credentialHash.js';
+import { ISSUANCE_MODES, getPackageHashScheme, getPackageIssuanceMode } from './credentialPackage.js';
+import { credentialStatusFromContract, isCredentialExpired } from './credentialValidity.js';
+import { hashSelectiveDisclosureCredential } from './selectiveDisclosure.js';
+import { getStatusListIndex } from './statusList.js';
+import { isMerkleSealDid } from './didMethod.js';
+import { resolveSubjectDid } from './subjectDid.js';
+
+/**
+ * 由凭证重新计算凭证包的叶子哈希，不信任凭证包中记录的 leaf。
+ * @param {object} credentialPackage 凭证包
+ * @param {object} domain EIP-712 方案使用的域
+ * @param {number|bigint} domain.chainId 链 id
+ * @param {string} domain.verifyingContract 颁发合约地址：VCRegistry，单个凭证为 VerifiableCredential
+ * @returns {string} bytes32 十六进制叶子哈希
+ */
+export const computePackageLeaf = (credentialPackage, { chainId, verifyingContract }) => {
+  const scheme = getPackageHashScheme(credentialPackage);
+  if (scheme === HASH_SCHEMES.SELECTIVE_DISCLOSURE) {
+    return hashSelectiveDisclosureCredential(credentialPackage.credential, credentialPackage.salts);
+  }
+  return hashCredential(credentialPackage.credential, { scheme, chainId: Number(chainId), verifyingContract });
+};
+
+/**
+ * 逐个检查凭证主体的 did:merkleseal DID 在 DIDRegistry 中的当前状态，以及出示者是否为其控制者。
+ * 一个凭证可以有多个主体，任何一个主体 DID 被撤销都会在结果中体现。
+ * @param {object} credential 凭证
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {number|bigint} chainId 合约所在链的 chain id
+ * @param {string} [presenter] 出示凭证的账户地址
+ * @returns {Promise<object[]>} 每个 did:merkleseal 主体一项 { did, status, controller, presenterIsController }，
+ *   未给出 presenter 时 presenterIsController 为 null；不是 did:merkleseal DID 的主体不在结果中
+ */
+export const checkCredentialSubjects = async (credential, vcRegistryContract, chainId, presenter) => {
+  const dids = [...new Set([].concat(credential.credentialSubject || []).map((subject) => subject && subject.id))]
+    .filter(isMerkleSealDid);
+
+  const results = [];
+  for (const subjectDid of dids) {
+    let resolved;
+    try {
+      resolved = await resolveSubjectDid(vcRegistryContract, subjectDid, chainId);
+    } catch (error) {
+      // 尚未关联 DIDRegistry 的旧部署无法检查主体
+      if (/DID registry not set/.test(error.reason || error.message)) return [];
+      throw error;
+    }
+    const { did, status, controller } = resolved;
+    results.push({
+      did,
+      status,
+      controller,
+      presenterIsController: presenter
+        ? status === 'active' && controller.toLowerCase() === presenter.toLowerCase()
+        : null,
+    });
+  }
+  return results;
+};
+
+/**
+ * 汇总 checkCredentialSubjects 的结果：主体 DID 都未被撤销，且给出出示者时出示者控制其中一个主体 DID。
+ * 要求出示者控制主体 DID 时，没有 did:merkleseal 主体也视为不满足。
+ * @param {object[]} subjects checkCredentialSubjects 的返回值
+ * @param {string} [presenter] 传给 checkCredentialSubjects 的出示者地址
+ * @returns {boolean}
+ */
+export const areCredentialSubjectsValid = (subjects, presenter) =>
+  subjects.every(({ status }) => status !== 'revoked')
+  && (!presenter || subjects.some(({ presenterIsController }) => presenterIsController));
+
+// 单个凭证记录在 VerifiableCredential 合约中，验证时必须提供该合约
+const requireCredentialContract = (credentialContract) => {
+  if (!credentialContract) {
+    throw new Error('Single credentials are verified against the VerifiableCredential contract');
+  }
+  return credentialContract;
+};
+
+/**
+ * 向链上查询凭证包的颁发者：批次凭证取树根的颁发者，单个凭证取其记录中的颁发者（撤销后仍可查到）。
+ * @param {object} credentialPackage 凭证包
+ * @param {string} leaf 重新计算的叶子哈希，即单个凭证的 id
+ * @param {object} contracts
+ * @param {object} contracts.vcRegistryContract VCRegistry 合约实例
+ * @param {object} [contracts.credentialContract] VerifiableCredential 合约实例，验证单个凭证时必填
+ * @returns {Promise<string>} 颁发者地址，从未颁发时为零地址
+ */
+export const getPackageIssuer = async (credentialPackage, leaf, { vcRegistryContract, credentialContract }) => {
+  if (getPackageIssuanceMode(credentialPackage) === ISSUANCE_MODES.SINGLE) {
+    const { issuer } = await requireCredentialContract(credentialContract).getCredential(leaf);
+    return issuer;
+  }
+  return vcRegistryContract.merkleRootToIssuer(credentialPackage.merkleRoot);
+};
+
+/**
+ * 向链上验证凭证包：批次凭证的证明、撤销状态、批次有效期在 VCRegistry 中检查，
+ * 单个凭证的撤销状态在 VerifiableCredential 中检查，凭证自身的过期时间在链下检查。
+ * 主体为 did:merkleseal DID 时，同时报告每个主体 DID 的当前状态；凭证状态本身不受主体 DID 状态影响，由调用方决定如何处理。
+ * @param {object} credentialPackage 凭证包
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {object} options
+ * @param {number|bigint} options.chainId 合约所在链的 chain id
+ * @param {Date} [options.at] 判断凭证过期的时刻，默认为当前时间
+ * @param {string} [options.presenter] 出示凭证的账户地址，用于检查其是否控制主体 DID
+ * @param {object} [options.credentialContract] VerifiableCredential 合约实例，验证单个凭证时必填
+ * @returns {Promise<{status: string, leaf: string, statusListIndex: number|null, subjects: object[]}>}
+ *   status 为 CREDENTIAL_STATUSES 中的一个，subjects 见 checkCredentialSubjects
+ */
+export const verifyCredentialPackage = async (credentialPackage, vcRegistryContract, {
+  chainId,
+  at = new Date(),
+  presenter,
+  credentialContract,
+}) => {
+  const { credential, merkleRoot, proof } = credentialPackage;
+  const single = getPackageIssuanceMode(credentialPackage) === ISSUANCE_MODES.SINGLE;
+  const issuingContract = single ? requireCredentialContract(credentialContract) : vcRegistryContract;
+  const leaf = computePackageLeaf(credentialPackage, {
+    chainId,
+    verifyingContract: await issuingContract.getAddress(),
+  });
+  // 单个凭证单独撤销，没有状态列表
+  const statusListIndex = single ? null : getStatusListIndex(credential);
+  let onChainStatus;
+  if (single) {
+    [, , , onChainStatus] = await credentialContract.verifyCredential(leaf);
+  } else {
+    [, , onChainStatus] = statusListIndex === null
+      ? await vcRegistryContract.verifyCredential(leaf, merkleRoot, proof)
+      : await vcRegistryContract.verifyCredentialWithStatus(leaf, merkleRoot, proof, statusListIndex);
+  }
+
+  let status = credentialStatusFromContract(onChainStatus);
+  if (status === 'valid' && isCredentialExpired(credential, at)) {
+    status = 'expired';
+  }
+  const subjects = await checkCredentialSubjects(credential, vcRegistryContract, chainId, presenter);
+  return { status, leaf, statusListIndex, subjects };
+};
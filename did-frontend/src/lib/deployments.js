@@ -0,0 +1,76 @@
+// 合约部署清单：按 chain id 记录每条链上各合约的地址、部署区块和 ABI 哈希，以及部署者。
+// 由 my-did-project/scripts/deploy.js 写入 src/contracts/deployments.json，前端与 Node 服务共用。
+import { ethers } from 'ethers';
+
+/**
+ * 计算 ABI 的哈希，部署时记录在清单中，用于发现打包的 ABI 文件与部署的合约不一致。
+ * @param {object[]} abi 合约 ABI
+ * @returns {string} keccak256(JSON.stringify(abi))
+ */
+export const hashAbi = (abi) => ethers.id(JSON.stringify(abi));
+
+/**
+ * 返回清单中有部署的全部 chain id。
+ * @param {object} manifest 部署清单
+ * @returns {number[]} 升序排列的 chain id
+ */
+export const getSupportedChainIds = (manifest) =>
+  Object.keys(manifest).map(Number).sort((a, b) => a - b);
+
+/**
+ * 返回某条链上的部署记录。
+ * @param {object} manifest 部署清单
+ * @param {number|bigint} chainId 链 id
+ * @returns {{chainId: number, deployer: string, contracts: Object<string, {address: string, deployBlock: number, abiHash: string}>}|null}
+ *   清单中没有该链时返回 null
+ */
+export const getDeployment = (manifest, chainId) => manifest[String(Number(chainId))] || null;
+
+/**
+ * 返回某条链上各合约的地址。
+ * @param {object} manifest 部署清单
+ * @param {number|bigint} chainId 链 id
+ * @returns {Object<string, string>|null} 合约名 => 地址，清单中没有该链时返回 null
+ */
+export const getContractAddresses = (manifest, chainId) => {
+  const deployment = getDeployment(manifest, chainId);
+  if (!deployment) return null;
+  return Object.fromEntries(Object.entries(deployment.contracts).map(([name, { address }]) => [name, address]));
+};
+
+/**
+ * 返回某条链上一个合约的地址，供只连接一条链的服务使用。
+ * @param {object} manifest 部署清单
+ * @param {number|bigint} chainId 链 id
+ * @param {string} name 合约名
+ * @returns {string} 合约地址
+ */
+export const getContractAddress = (manifest, chainId, name) => {
+  const addresses = getContractAddresses(manifest, chainId);
+  if (!addresses || !addresses[name]) {
+    throw new Error(`No ${name} deployment for chain ${Number(chainId)} in the deployment manifest`);
+  }
+  return addresses[name];
+};
+
+/**
+ * 找出 ABI 哈希与部署记录不一致的合约，即需要重新导出 ABI 的合约。
+ * @param {object} deployment getDeployment 返回的部署记录
+ * @param {Object<string, object[]>} abis 合约名 => 当前使用的 ABI
+ * @returns {string[]} 合约名
+ */
+export const findStaleAbis = (deployment, abis) =>
+  Object.entries(abis)
+    .filter(([name, abi]) => deployment.contracts[name] && deployment.contracts[name].abiHash !== hashAbi(abi))
+    .map(([name]) => name);
+
+/**
+ * 将一次部署写入清单，替换该链此前的记录，保留其他链。
+ * @param {object} manifest 部署清单
+ * @param {object} deployment 新的部署记录，见 getDeployment
+ * @returns {object} 新的部署清单
+ */
+export const recordDeployment = (manifest, deployment) => ({
+  ...manifest,
+  [String(deployment.chainId)]: deployment,
+});
@@ -0,0 +1,308 @@
+// W3C DID Core 文档的构建、解析与校验，供 DID 文档编辑器和解析器共用。
+
+export const DID_CORE_CONTEXT = 'https://www.w3.org/ns/did/v1';
+
+// 支持的验证方法类型及其对应的公钥属性
+export const VERIFICATION_METHOD_TYPES = {
+  EcdsaSecp256k1RecoveryMethod2020: 'blockchainAccountId',
+  EcdsaSecp256k1VerificationKey2019: 'publicKeyMultibase',
+  Ed25519VerificationKey2020: 'publicKeyMultibase',
+  Multikey: 'publicKeyMultibase',
+  JsonWebKey2020: 'publicKeyJwk',
+};
+
+const KEY_MATERIAL_PROPERTIES = ['blockchainAccountId', 'publicKeyMultibase', 'publicKeyJwk'];
+
+// DID Core 中引用验证方法的验证关系
+export const VERIFICATION_RELATIONSHIPS = [
+  'authentication',
+  'assertionMethod',
+  'keyAgreement',
+  'capabilityInvocation',
+  'capabilityDelegation',
+];
+
+const DID_PATTERN = /^did:[a-z0-9]+:(?:[A-Za-z0-9._-]|%[0-9A-Fa-f]{2}|:)*[A-Za-z0-9._-]$/;
+const URI_PATTERN = /^[A-Za-z][A-Za-z0-9+.-]*:\S+$/;
+
+export const isDid = (value) => typeof value === 'string' && DID_PATTERN.test(value);
+
+// DID URL = DID + 可选的路径/查询/片段
+const isDidUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  const match = value.match(/^([^/?#]+)([/?#].*)?$/);
+  return !!match && isDid(match[1]);
+};
+
+// 将相对引用（"#key-1" 或 "key-1"）展开为完整的 DID URL
+const toDidUrl = (did, ref) => {
+  if (isDidUrl(ref)) return ref;
+  return `${did}#${ref.replace(/^#/, '')}`;
+};
+
+// 将完整的 DID URL 缩写为编辑器中使用的片段
+const toFragment = (did, url) => (url.startsWith(`${did}#`) ? url.slice(did.length + 1) : url);
+
+/**
+ * 返回一个空白的编辑器表单状态。
+ * @param {string} did DID 字符串
+ * @param {string} [account] 当前钱包地址，用于预填默认的验证方法
+ * @param {number} [chainId] 当前链 id
+ */
+export const emptyDidDocumentForm = (did, account, chainId) => ({
+  controller: '',
+  verificationMethods: account ? [{
+    id: 'controller-key',
+    type: 'EcdsaSecp256k1RecoveryMethod2020',
+    controller: did,
+    publicKey: `eip155:${chainId}:${account}`,
+  }] : [],
+  authentication: account ? ['controller-key'] : [],
+  assertionMethod: account ? ['controller-key'] : [],
+  services: [],
+});
+
+/**
+ * 由编辑器表单状态构建 DID Core 文档。
+ * @param {string} did 文档所描述的 DID
+ * @param {object} form 编辑器表单状态
+ * @returns {object} DID 文档
+ */
+export const buildDidDocument = (did, form) => {
+  const document = {
+    '@context': [DID_CORE_CONTEXT],
+    id: did,
+  };
+
+  const controllers = form.controller
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (controllers.length === 1) {
+    document.controller = controllers[0];
+  } else if (controllers.length > 1) {
+    document.controller = controllers;
+  }
+
+  document.verificationMethod = form.verificationMethods.map((method) => {
+    const keyProperty = VERIFICATION_METHOD_TYPES[method.type];
+    let keyValue = method.publicKey;
+    if (keyProperty === 'publicKeyJwk') {
+      try {
+        keyValue = JSON.parse(method.publicKey);
+      } catch {
+        // 保留原始字符串，由 validateDidDocument 报告错误
+      }
+    }
+    return {
+      id: toDidUrl(did, method.id),
+      type: method.type,
+      controller: method.controller || did,
+      [keyProperty]: keyValue,
+    };
+  });
+
+  VERIFICATION_RELATIONSHIPS.forEach((relationship) => {
+    const refs = form[relationship] || [];
+    if (refs.length > 0) {
+      document[relationship] = refs.map((ref) => toDidUrl(did, ref));
+    }
+  });
+
+  if (form.services.length > 0) {
+    document.service = form.services.map((service) => {
+      // 多个服务类型以逗号分隔
+      const types = service.type.split(',').map((type) => type.trim()).filter(Boolean);
+      return {
+        id: toDidUrl(did, service.id),
+        type: types.length === 1 ? types[0] : types,
+        serviceEndpoint: service.serviceEndpoint,
+      };
+    });
+  }
+
+  return document;
+};
+
+/**
+ * 将已有的 DID 文档解析为编辑器表单状态，用于编辑时预填。
+ * 内嵌在验证关系中的验证方法会被提取到 verificationMethods 中。
+ * @param {object} document DID 文档
+ * @returns {object} 编辑器表单状态
+ */
+export const parseDidDocument = (document) => {
+  const did = document.id;
+  const methods = [...(document.verificationMethod || [])];
+  const form = {
+    controller: [].concat(document.controller || []).join(', '),
+    verificationMethods: [],
+    services: [],
+  };
+
+  VERIFICATION_RELATIONSHIPS.forEach((relationship) => {
+    form[relationship] = (document[relationship] || []).map((entry) => {
+      if (typeof entry === 'string') return toFragment(did, entry);
+      methods.push(entry);
+      return toFragment(did, entry.id);
+    });
+  });
+
+  const seen = new Set();
+  form.verificationMethods = methods
+    .filter((method) => !seen.has(method.id) && seen.add(method.id))
+    .map((method) => {
+      const keyProperty = KEY_MATERIAL_PROPERTIES.find((property) => method[property] !== undefined);
+      const keyValue = keyProperty ? method[keyProperty] : '';
+      return {
+        id: toFragment(did, method.id),
+        type: method.type,
+        controller: method.controller,
+        publicKey: typeof keyValue === 'string' ? keyValue : JSON.stringify(keyValue),
+      };
+    });
+
+  form.services = (document.service || []).map((service) => ({
+    id: toFragment(did, service.id),
+    type: [].concat(service.type).join(','),
+    serviceEndpoint: service.serviceEndpoint,
+  }));
+
+  return form;
+};
+
+/**
+ * 按 DID Core 的数据模型校验 DID 文档。
+ * @param {object} document DID 文档
+ * @returns {string[]} 错误信息列表，为空表示文档有效
+ */
+export const validateDidDocument = (document) => {
+  const errors = [];
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return ['DID document must be a JSON object'];
+  }
+
+  if (!isDid(document.id)) {
+    errors.push(`id must be a valid DID, got "${document.id}"`);
+  }
+
+  if (document.controller !== undefined) {
+    [].concat(document.controller).forEach((controller) => {
+      if (!isDid(controller)) errors.push(`controller "${controller}" is not a valid DID`);
+    });
+  }
+
+  const ids = new Set();
+  const checkUniqueId = (id, label) => {
+    if (ids.has(id)) errors.push(`${label} id "${id}" is not unique`);
+    ids.add(id);
+  };
+
+  const validateVerificationMethod = (method, label) => {
+    if (!method || typeof method !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (!isDidUrl(method.id)) errors.push(`${label} id "${method.id}" is not a valid DID URL`);
+    else checkUniqueId(method.id, label);
+    if (!method.type || typeof method.type !== 'string') errors.push(`${label} must have a type`);
+    if (!isDid(method.controller)) errors.push(`${label} controller "${method.controller}" is not a valid DID`);
+
+    const keyProperties = KEY_MATERIAL_PROPERTIES.filter((property) => method[property] !== undefined && method[property] !== '');
+    if (keyProperties.length !== 1) {
+      errors.push(`${label} must have exactly one of ${KEY_MATERIAL_PROPERTIES.join(', ')}`);
+    } else if (keyProperties[0] === 'publicKeyJwk' && (typeof method.publicKeyJwk !== 'object' || !method.publicKeyJwk.kty)) {
+      errors.push(`${label} publicKeyJwk must be a JWK object with a kty`);
+    } else if (keyProperties[0] === 'publicKeyMultibase' && !/^z[1-9A-HJ-NP-Za-km-z]+$/.test(method.publicKeyMultibase)) {
+      errors.push(`${label} publicKeyMultibase must be a base58btc multibase string (starting with "z")`);
+    } else if (keyProperties[0] === 'blockchainAccountId' && !/^eip155:\d+:0x[0-9a-fA-F]{40}$/.test(method.blockchainAccountId)) {
+      errors.push(`${label} blockchainAccountId must be a CAIP-10 account such as eip155:1:0x...`);
+    }
+  };
+
+  if (document.verificationMethod !== undefined && !Array.isArray(document.verificationMethod)) {
+    errors.push('verificationMethod must be an array');
+  }
+  (document.verificationMethod || []).forEach((method, index) => {
+    validateVerificationMethod(method, `verificationMethod[${index}]`);
+  });
+
+  VERIFICATION_RELATIONSHIPS.forEach((relationship) => {
+    const entries = document[relationship];
+    if (entries === undefined) return;
+    if (!Array.isArray(entries)) {
+      errors.push(`${relationship} must be an array`);
+      return;
+    }
+    entries.forEach((entry, index) => {
+      const label = `${relationship}[${index}]`;
+      if (typeof entry === 'string') {
+        if (!isDidUrl(entry)) errors.push(`${label} "${entry}" is not a valid DID URL`);
+        else if (entry.startsWith(`${document.id}#`) && !ids.has(entry)) {
+          errors.push(`${label} references unknown verification method "${entry}"`);
+        }
+      } else {
+        validateVerificationMethod(entry, label);
+      }
+    });
+  });
+
+  if (document.service !== undefined) {
+    if (!Array.isArray(document.service)) {
+      errors.push('service must be an array');
+    } else {
+      document.service.forEach((service, index) => {
+        const label = `service[${index}]`;
+        if (!URI_PATTERN.test(service.id || '')) errors.push(`${label} id "${service.id}" is not a valid URI`);
+        else checkUniqueId(service.id, label);
+        const types = [].concat(service.type || []);
+        if (types.length === 0 || types.some((type) => typeof type !== 'string' || !type)) {
+          errors.push(`${label} must have a type`);
+        }
+        const endpoints = [].concat(service.serviceEndpoint || []);
+        if (endpoints.length === 0) {
+          errors.push(`${label} must have a serviceEndpoint`);
+        }
+        endpoints.forEach((endpoint) => {
+          if (typeof endpoint === 'string' && !URI_PATTERN.test(endpoint)) {
+            errors.push(`${label} serviceEndpoint "${endpoint}" is not a valid URI`);
+          }
+        });
+      });
+    }
+  }
+
+  return errors;
+};
+
+// 将文档展开为 路径 => 值；带 id 的对象数组（如 verificationMethod、service）按 id 对齐，
+// 这样删除一个密钥不会让后面的所有条目都显示为变更
+const flattenDocument = (value, path, entries) => {
+  if (Array.isArray(value) && value.length > 0 && value.every((item) => item && typeof item === 'object' && item.id)) {
+    value.forEach((item) => flattenDocument(item, `${path}[${item.id}]`, entries));
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.keys(value).forEach((key) => flattenDocument(value[key], path ? `${path}.${key}` : key, entries));
+  } else {
+    entries.set(path, value);
+  }
+  return entries;
+};
+
+/**
+ * 比较两个版本的 DID 文档，用于版本历史中展示每次更新的改动。
+ * @param {object|null} before 旧版本文档，为 null 时所有字段都视为新增
+ * @param {object|null} after 新版本文档
+ * @returns {{path: string, change: string, before: *, after: *}[]} 改动列表，按路径排序；
+ *   change 为 'added'、'removed' 或 'changed'
+ */
+export const diffDidDocuments = (before, after) => {
+  const oldEntries = flattenDocument(before || {}, '', new Map());
+  const newEntries = flattenDocument(after || {}, '', new Map());
+  const paths = [...new Set([...oldEntries.keys(), ...newEntries.keys()])].sort();
+  return paths.flatMap((path) => {
+    const [oldValue, newValue] = [oldEntries.get(path), newEntries.get(path)];
+    if (!oldEntries.has(path)) return [{ path, change: 'added', before: undefined, after: newValue }];
+    if (!newEntries.has(path)) return [{ path, change: 'removed', before: oldValue, after: undefined }];
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return [];
+    return [{ path, change: 'changed', before: oldValue, after: newValue }];
+  });
+};
@@ -0,0 +1,70 @@
+// DIDRegistry 签名请求（元交易）的 EIP-712 结构，前端签名、中继服务和 hardhat 测试共用。
+// 控制者只需签名，由中继服务提交交易并支付 gas。
+
+export const DID_REGISTRY_EIP712_NAME = 'DIDRegistry';
+export const DID_REGISTRY_EIP712_VERSION = '1';
+
+// 与合约中的 *_TYPEHASH 对应
+export const DID_META_TX_TYPES = {
+  createDID: {
+    CreateDID: [
+      { name: 'controller', type: 'address' },
+      { name: 'cid', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  updateDID: {
+    UpdateDID: [
+      { name: 'did', type: 'bytes32' },
+      { name: 'newCid', type: 'string' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+  revokeDID: {
+    RevokeDID: [
+      { name: 'did', type: 'bytes32' },
+      { name: 'nonce', type: 'uint256' },
+      { name: 'deadline', type: 'uint256' },
+    ],
+  },
+};
+
+export const DID_META_TX_OPERATIONS = Object.keys(DID_META_TX_TYPES);
+
+// 签名默认有效期（秒）
+export const DEFAULT_META_TX_VALIDITY = 60 * 60;
+
+/**
+ * 返回 DIDRegistry 的 EIP-712 域。
+ * @param {number|bigint} chainId 链 id
+ * @param {string} verifyingContract DIDRegistry 合约地址
+ */
+export const getDidRegistryDomain = (chainId, verifyingContract) => ({
+  name: DID_REGISTRY_EIP712_NAME,
+  version: DID_REGISTRY_EIP712_VERSION,
+  chainId,
+  verifyingContract,
+});
+
+/**
+ * 返回合约中与签名请求对应的函数名及参数，供中继服务提交交易。
+ * nonce 不作为参数传入，由合约读取签名者当前的 nonce 校验。
+ * @param {string} operation createDID | updateDID | revokeDID
+ * @param {object} request 已签名的请求
+ * @param {string} signature 控制者的 EIP-712 签名
+ * @returns {{method: string, args: Array}} 合约调用
+ */
+export const getDidMetaTxCall = (operation, request, signature) => {
+  switch (operation) {
+    case 'createDID':
+      return { method: 'createDIDWithSignature', args: [request.controller, request.cid, request.deadline, signature] };
+    case 'updateDID':
+      return { method: 'updateDIDWithSignature', args: [request.did, request.newCid, request.deadline, signature] };
+    case 'revokeDID':
+      return { method: 'revokeDIDWithSignature', args: [request.did, request.deadline, signature] };
+    default:
+      throw new Error(`Unsupported DID operation: ${operation}`);
+  }
+};
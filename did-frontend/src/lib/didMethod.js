@@ -0,0 +1,39 @@
+// did:merkleseal DID 方法字符串的解析与格式化。
+// 格式: did:merkleseal:<chainId>:<bytes32>，其中 bytes32 为 DIDRegistry 中的 DID 哈希。
+
+export const DID_METHOD = 'merkleseal';
+
+const DID_METHOD_PATTERN = /^did:merkleseal:(\d+):(0x[0-9a-fA-F]{64})$/;
+
+/**
+ * 将链 id 与链上 bytes32 DID 格式化为 DID 字符串。
+ * @param {number|bigint|string} chainId 链 id
+ * @param {string} didHash DIDRegistry 中的 bytes32 DID
+ * @returns {string} did:merkleseal DID
+ */
+export const formatDid = (chainId, didHash) => {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(didHash)) {
+    throw new Error(`Invalid DID hash, expected bytes32 hex: ${didHash}`);
+  }
+  return `did:${DID_METHOD}:${Number(chainId)}:${didHash.toLowerCase()}`;
+};
+
+/**
+ * 解析 did:merkleseal DID 字符串。
+ * @param {string} did DID 字符串
+ * @returns {{method: string, chainId: number, didHash: string}} 解析结果
+ * @throws {Error} DID 不是有效的 did:merkleseal 字符串时抛出
+ */
+export const parseDid = (did) => {
+  const match = typeof did === 'string' && did.match(DID_METHOD_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid did:${DID_METHOD} DID: ${did}`);
+  }
+  return {
+    method: DID_METHOD,
+    chainId: Number(match[1]),
+    didHash: match[2].toLowerCase(),
+  };
+};
+
+export const isMerkleSealDid = (did) => typeof did === 'string' && DID_METHOD_PATTERN.test(did);
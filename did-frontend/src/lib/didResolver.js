@@ -0,0 +1,154 @@
+// did:merkleseal 解析驱动，按 W3C DID Resolution 规范返回解析结果。
+// 驱动本身不依赖具体的链连接或存储实现，由调用方通过 getRegistry/fetchDocument 注入，
+// 因此浏览器和 Node 解析服务可以共用。
+// DIDRegistry 为每个 DID 保存版本记录，versionId / versionTime 参数可解析 DID 在过去某个版本或时刻的状态，
+// 例如验证旧凭证时使用签名当时的密钥。
+import { DID_METHOD, formatDid, parseDid } from './didMethod.js';
+
+export const DID_RESOLUTION_CONTEXT = 'https://w3id.org/did-resolution/v1';
+export const DID_DOCUMENT_CONTENT_TYPE = 'application/did+ld+json';
+
+// 与合约中的 enum Status { Active, Revoked } 对应
+const STATUS_REVOKED = 1;
+
+// DID Resolution 规范定义的错误码
+export const RESOLUTION_ERRORS = {
+  INVALID_DID: 'invalidDid',
+  NOT_FOUND: 'notFound',
+  METHOD_NOT_SUPPORTED: 'methodNotSupported',
+  INVALID_OPTIONS: 'invalidOptions',
+  INTERNAL_ERROR: 'internalError',
+};
+
+const errorResult = (error, errorMessage) => ({
+  '@context': DID_RESOLUTION_CONTEXT,
+  didDocument: null,
+  didResolutionMetadata: { error, errorMessage },
+  didDocumentMetadata: {},
+});
+
+const toIsoTime = (timestamp) => new Date(Number(timestamp) * 1000).toISOString().replace('.000Z', 'Z');
+
+// 合约返回的版本记录转为普通对象，versionId 从 1 开始
+const versionFromContract = (versionId, { controller, cid, status, timestamp, blockNumber }) => ({
+  versionId,
+  controller,
+  cid,
+  deactivated: Number(status) === STATUS_REVOKED,
+  timestamp: Number(timestamp),
+  blockNumber: Number(blockNumber),
+});
+
+/**
+ * 读取 DID 的全部版本记录。
+ * @param {object} registry DIDRegistry 合约实例
+ * @param {string} didHash bytes32 DID
+ * @returns {Promise<object[]>} 按版本顺序排列的 { versionId, controller, cid, deactivated, timestamp, blockNumber }，
+ *   DID 不存在时为空数组
+ */
+export const fetchDidVersions = async (registry, didHash) => {
+  const count = Number(await registry.getVersionCount(didHash));
+  return Promise.all(Array.from({ length: count }, async (_, i) =>
+    versionFromContract(i + 1, await registry.getDIDVersion(didHash, i + 1))));
+};
+
+/**
+ * 解析 did:merkleseal DID。可以是带 versionId 或 versionTime 查询参数的 DID URL，
+ * 例如 did:merkleseal:31337:0x...?versionTime=2025-07-01T00:00:00Z。
+ * @param {string} did 待解析的 DID
+ * @param {object} options
+ * @param {function(number): object|null} options.getRegistry 返回指定链上的 DIDRegistry 合约实例，不支持的链返回 null
+ * @param {function(string): Promise<object>} options.fetchDocument 根据 CID 读取 DID 文档
+ * @param {string|number} [options.versionId] 解析指定版本，优先于 DID URL 中的参数
+ * @param {string} [options.versionTime] 解析该时刻（ISO 8601）有效的版本，优先于 DID URL 中的参数
+ * @returns {Promise<object>} DID Resolution Result
+ */
+export const resolveDid = async (didUrl, { getRegistry, fetchDocument, versionId, versionTime }) => {
+  const [did, query] = typeof didUrl === 'string' ? didUrl.split('?') : [didUrl];
+  const params = new URLSearchParams(query || '');
+  versionId = versionId ?? params.get('versionId') ?? undefined;
+  versionTime = versionTime ?? params.get('versionTime') ?? undefined;
+
+  if (typeof did !== 'string' || !did.startsWith('did:')) {
+    return errorResult(RESOLUTION_ERRORS.INVALID_DID, `Not a DID: ${did}`);
+  }
+  if (did.split(':')[1] !== DID_METHOD) {
+    return errorResult(RESOLUTION_ERRORS.METHOD_NOT_SUPPORTED, `Only did:${DID_METHOD} is supported`);
+  }
+
+  let parsed;
+  try {
+    parsed = parseDid(did);
+  } catch (error) {
+    return errorResult(RESOLUTION_ERRORS.INVALID_DID, error.message);
+  }
+  // DID 文档的 id 使用规范形式（十进制 chain id、小写哈希），大小写不同的输入指向同一个 DID
+  const canonicalDid = formatDid(parsed.chainId, parsed.didHash);
+
+  const registry = await getRegistry(parsed.chainId);
+  if (!registry) {
+    return errorResult(RESOLUTION_ERRORS.METHOD_NOT_SUPPORTED, `Chain ${parsed.chainId} is not supported by this resolver`);
+  }
+
+  if (versionId !== undefined && versionTime !== undefined) {
+    return errorResult(RESOLUTION_ERRORS.INVALID_OPTIONS, 'versionId and versionTime cannot be used together');
+  }
+  const versionTimestamp = versionTime === undefined ? null : Date.parse(versionTime) / 1000;
+  if (Number.isNaN(versionTimestamp)) {
+    return errorResult(RESOLUTION_ERRORS.INVALID_OPTIONS, `Invalid versionTime: ${versionTime}`);
+  }
+  if (versionId !== undefined && !/^[1-9]\d*$/.test(String(versionId))) {
+    return errorResult(RESOLUTION_ERRORS.INVALID_OPTIONS, `Invalid versionId: ${versionId}`);
+  }
+
+  // 当前版本号即版本数量；未指定版本时解析当前版本
+  let version, created, next;
+  try {
+    const count = Number(await registry.getVersionCount(parsed.didHash));
+    if (count === 0) {
+      return errorResult(RESOLUTION_ERRORS.NOT_FOUND, `${canonicalDid} is not registered`);
+    }
+    let id = count;
+    if (versionId !== undefined) {
+      id = Number(versionId);
+    } else if (versionTimestamp !== null) {
+      id = Number(await registry.getVersionIdAt(parsed.didHash, Math.floor(versionTimestamp)));
+    }
+    if (id === 0) {
+      return errorResult(RESOLUTION_ERRORS.NOT_FOUND, `${canonicalDid} did not exist at ${versionTime}`);
+    }
+    if (id > count) {
+      return errorResult(RESOLUTION_ERRORS.NOT_FOUND, `${canonicalDid} has no version ${versionId}`);
+    }
+    const load = async (n) => versionFromContract(n, await registry.getDIDVersion(parsed.didHash, n));
+    [version, created, next] = await Promise.all([load(id), load(1), id < count ? load(id + 1) : null]);
+  } catch (error) {
+    return errorResult(RESOLUTION_ERRORS.INTERNAL_ERROR, error.message);
+  }
+  const { controller, cid } = version;
+
+  let didDocument;
+  try {
+    didDocument = await fetchDocument(cid);
+  } catch (error) {
+    return errorResult(RESOLUTION_ERRORS.INTERNAL_ERROR, `Could not fetch DID document ${cid}: ${error.message}`);
+  }
+  if (!didDocument || didDocument.id !== canonicalDid) {
+    return errorResult(RESOLUTION_ERRORS.INTERNAL_ERROR, `DID document ${cid} does not describe ${canonicalDid}`);
+  }
+
+  return {
+    '@context': DID_RESOLUTION_CONTEXT,
+    didDocument,
+    didResolutionMetadata: { contentType: DID_DOCUMENT_CONTENT_TYPE },
+    didDocumentMetadata: {
+      created: toIsoTime(created.timestamp),
+      ...(version.versionId > 1 && { updated: toIsoTime(version.timestamp) }),
+      deactivated: version.deactivated,
+      controller,
+      versionId: String(version.versionId),
+      ...(next && { nextUpdate: toIsoTime(next.timestamp), nextVersionId: String(next.versionId) }),
+      cid,
+    },
+  };
+};
@@ -0,0 +1,84 @@
+// 基于 Web Crypto 的 JSON 加密工具，浏览器和 Node (>= 19) 均内置 globalThis.crypto。
+
+const ALGORITHM = 'AES-GCM';
+const IV_LENGTH = 12;
+
+// 逐字节拼接，避免对大数组使用展开运算符导致调用栈溢出
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+/**
+ * 生成一个新的 AES-GCM 256 位密钥，以 base64 字符串形式返回，便于写入凭证包。
+ * @returns {Promise<string>} base64 编码的原始密钥
+ */
+export const generateEncryptionKey = async () => {
+  const key = await crypto.subtle.generateKey({ name: ALGORITHM, length: 256 }, true, ['encrypt', 'decrypt']);
+  return toBase64(await crypto.subtle.exportKey('raw', key));
+};
+
+/**
+ * 由秘密材料（例如钱包对固定消息的签名）通过 HKDF-SHA256 派生 AES-GCM 密钥。
+ * 相同的秘密和用途总是得到相同的密钥，因此无需保存密钥本身。
+ * @param {string} secret 十六进制秘密材料
+ * @param {string} info 密钥用途，不同用途派生出互不相关的密钥
+ * @returns {Promise<string>} base64 编码的原始密钥，可直接用于 encryptJson / decryptJson
+ */
+export const deriveEncryptionKey = async (secret, info) => {
+  const hex = secret.replace(/^0x/, '');
+  if (!/^([0-9a-fA-F]{2})+$/.test(hex)) {
+    throw new Error('Key material must be a hex string');
+  }
+  const material = await crypto.subtle.importKey(
+    'raw',
+    Uint8Array.from(hex.match(/../g), (byte) => parseInt(byte, 16)),
+    'HKDF',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array(0), info: new TextEncoder().encode(info) },
+    material,
+    256
+  );
+  return toBase64(bits);
+};
+
+const importKey = (base64Key) =>
+  crypto.subtle.importKey('raw', fromBase64(base64Key), { name: ALGORITHM }, false, ['encrypt', 'decrypt']);
+
+/**
+ * 使用 AES-GCM 加密 JSON 数据。
+ * @param {*} data 任意可 JSON 序列化的数据
+ * @param {string} base64Key generateEncryptionKey 生成的密钥
+ * @returns {Promise<{alg: string, iv: string, ciphertext: string}>} 加密信封
+ */
+export const encryptJson = async (data, base64Key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const plaintext = new TextEncoder().encode(JSON.stringify(data));
+  const ciphertext = await crypto.subtle.encrypt({ name: ALGORITHM, iv }, await importKey(base64Key), plaintext);
+  return { alg: ALGORITHM, iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+};
+
+/**
+ * 解密 encryptJson 生成的加密信封。
+ * @param {{alg: string, iv: string, ciphertext: string}} envelope 加密信封
+ * @param {string} base64Key 加密时使用的密钥
+ * @returns {Promise<*>} 解密后的 JSON 数据
+ */
+export const decryptJson = async (envelope, base64Key) => {
+  if (envelope.alg !== ALGORITHM) {
+    throw new Error(`Unsupported encryption algorithm: ${envelope.alg}`);
+  }
+  const plaintext = await crypto.subtle.decrypt(
+    { name: ALGORITHM, iv: fromBase64(envelope.iv) },
+    await importKey(base64Key),
+    fromBase64(envelope.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
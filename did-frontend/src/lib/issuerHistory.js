@@ -0,0 +1,93 @@
+// 由 VCRegistry 与 VerifiableCredential 的事件日志重建颁发者的颁发与撤销历史，供颁发者面板和 hardhat 测试共用。
+import { fromStatusListMasks } from './statusList.js';
+
+/**
+ * 查询某个颁发者相关的全部事件。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {string} issuer 颁发者地址
+ * @param {number} [fromBlock] 起始区块，默认为 0
+ * @returns {Promise<object>} 按事件类型分组的事件列表，可直接传给 buildIssuerHistory
+ */
+export const fetchIssuerEvents = async (vcRegistryContract, issuer, fromBlock = 0) => {
+  const { filters } = vcRegistryContract;
+  const [issued, revoked, reasons, statusUpdates] = await Promise.all([
+    vcRegistryContract.queryFilter(filters.BatchCredentialsIssued(null, issuer), fromBlock),
+    vcRegistryContract.queryFilter(filters.BatchCredentialRevoked(null, null, issuer), fromBlock),
+    // 撤销原因事件不记录撤销者，由 buildIssuerHistory 按批次过滤
+    vcRegistryContract.queryFilter(filters.CredentialRevocationReason(), fromBlock),
+    vcRegistryContract.queryFilter(filters.StatusListUpdated(null, null, null, issuer), fromBlock),
+  ]);
+  return { issued, revoked, reasons, statusUpdates };
+};
+
+/**
+ * 由事件重建颁发者的批次列表。
+ * @param {object} events fetchIssuerEvents 的返回值
+ * @returns {Array<object>} 按颁发时间倒序排列的批次：
+ *   { merkleRoot, transactionHash, blockNumber,
+ *     revokedLeaves: Map<leaf, { reason, transactionHash }>, revokedStatusIndices: Set<number> }
+ */
+export const buildIssuerHistory = ({ issued, revoked, reasons, statusUpdates }) => {
+  const batches = new Map();
+  issued.forEach((event) => {
+    batches.set(event.args.merkleRoot, {
+      merkleRoot: event.args.merkleRoot,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      revokedLeaves: new Map(),
+      revokedStatusIndices: new Set(),
+    });
+  });
+
+  revoked.forEach((event) => {
+    const batch = batches.get(event.args.merkleRoot);
+    if (batch) {
+      batch.revokedLeaves.set(event.args.leaf, { reason: '', transactionHash: event.transactionHash });
+    }
+  });
+
+  reasons.forEach((event) => {
+    const batch = batches.get(event.args.merkleRoot);
+    const revocation = batch && batch.revokedLeaves.get(event.args.leaf);
+    if (revocation) {
+      revocation.reason = event.args.reason;
+    }
+  });
+
+  statusUpdates.forEach((event) => {
+    const batch = batches.get(event.args.merkleRoot);
+    if (batch) {
+      fromStatusListMasks([...event.args.wordIndices], [...event.args.masks])
+        .forEach((index) => batch.revokedStatusIndices.add(index));
+    }
+  });
+
+  return [...batches.values()].sort((a, b) => b.blockNumber - a.blockNumber);
+};
+
+/**
+ * 由 VerifiableCredential 的事件重建颁发者单独颁发的凭证列表。
+ * @param {object} credentialContract VerifiableCredential 合约实例
+ * @param {string} issuer 颁发者地址
+ * @param {number} [fromBlock] 起始区块，默认为 0
+ * @returns {Promise<Array<object>>} 按颁发时间倒序排列的凭证：
+ *   { credentialId, subjectDid, transactionHash, blockNumber, revoked }
+ */
+export const fetchSingleCredentialHistory = async (credentialContract, issuer, fromBlock = 0) => {
+  const { filters } = credentialContract;
+  const [issued, revoked] = await Promise.all([
+    credentialContract.queryFilter(filters.CredentialIssued(null, issuer), fromBlock),
+    // 撤销事件不记录颁发者，只有原颁发者能撤销，因此按颁发的 id 过滤即可
+    credentialContract.queryFilter(filters.CredentialRevoked(), fromBlock),
+  ]);
+  const revokedIds = new Set(revoked.map((event) => event.args.credentialId));
+  return issued
+    .map((event) => ({
+      credentialId: event.args.credentialId,
+      subjectDid: event.args.subjectDID,
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      revoked: revokedIds.has(event.args.credentialId),
+    }))
+    .sort((a, b) => b.blockNumber - a.blockNumber);
+};
@@ -0,0 +1,55 @@
+// 由 AccessControl 的 RoleGranted / RoleRevoked 事件重建颁发者列表，供管理员控制台和 hardhat 测试共用。
+
+/**
+ * 查询 ISSUER_ROLE 的授予、撤销事件以及颁发者标签事件。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {number} [fromBlock] 起始区块，默认为 0
+ * @returns {Promise<object>} 按事件类型分组的事件列表，可直接传给 buildIssuerList
+ */
+export const fetchIssuerRoleEvents = async (vcRegistryContract, fromBlock = 0) => {
+  const { filters } = vcRegistryContract;
+  const issuerRole = await vcRegistryContract.ISSUER_ROLE();
+  const [granted, revoked, metadata] = await Promise.all([
+    vcRegistryContract.queryFilter(filters.RoleGranted(issuerRole), fromBlock),
+    vcRegistryContract.queryFilter(filters.RoleRevoked(issuerRole), fromBlock),
+    vcRegistryContract.queryFilter(filters.IssuerMetadataUpdated(), fromBlock),
+  ]);
+  return { granted, revoked, metadata };
+};
+
+// 按链上发生顺序排列事件
+const byLogPosition = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+
+/**
+ * 由事件重建颁发者列表，包括已被撤销的颁发者。
+ * @param {object} events fetchIssuerRoleEvents 的返回值
+ * @returns {Array<object>} 按首次授予顺序排列的颁发者：
+ *   { address, active, grantedBy, grantedAtBlock, metadata: { name, website } | null }
+ *   颁发者的 DID 只登记在信任注册表中，见 trustRegistry.js
+ */
+export const buildIssuerList = ({ granted, revoked, metadata }) => {
+  const issuers = new Map();
+
+  [...granted.map((event) => ({ event, active: true })), ...revoked.map((event) => ({ event, active: false }))]
+    .sort((a, b) => byLogPosition(a.event, b.event))
+    .forEach(({ event, active }) => {
+      const { account, sender } = event.args;
+      const issuer = issuers.get(account) || { address: account, metadata: null };
+      issuer.active = active;
+      if (active) {
+        issuer.grantedBy = sender;
+        issuer.grantedAtBlock = event.blockNumber;
+      }
+      issuers.set(account, issuer);
+    });
+
+  [...metadata].sort(byLogPosition).forEach((event) => {
+    const issuer = issuers.get(event.args.issuer);
+    if (issuer) {
+      const { name, website } = event.args;
+      issuer.metadata = { name, website };
+    }
+  });
+
+  return [...issuers.values()];
+};
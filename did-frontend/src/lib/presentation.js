@@ -0,0 +1,143 @@
+// 可验证展示 (Verifiable Presentation)：持有者用自己的账户签名打包凭证，
+// 验证者据此确认出示者控制凭证主体的 DID。持有者钱包与 hardhat 测试共用。
+import { ethers } from 'ethers';
+import { canonicalize } from './credentialHash.js';
+import { isMerkleSealDid, parseDid } from './didMethod.js';
+
+export const PRESENTATION_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+export const PRESENTATION_TYPE = 'VerifiablePresentation';
+
+// 对展示的 JCS 规范化形式做 EIP-191 personal_sign 签名，钱包会以明文显示签名内容
+export const PRESENTATION_PROOF_TYPE = 'EthereumPersonalSignature2021';
+
+// 以账户地址为标识的 DID，可选的网络名前缀，例如 did:ethr:sepolia:0x...
+const ETHR_DID_PATTERN = /^did:ethr:(?:[A-Za-z0-9-]+:)?(0x[0-9a-fA-F]{40})$/;
+const PKH_DID_PATTERN = /^did:pkh:eip155:\d+:(0x[0-9a-fA-F]{40})$/;
+
+/**
+ * 返回账户对应的 did:ethr DID，与颁发页面中颁发者 DID 的格式一致。
+ * @param {string} address 账户地址
+ * @returns {string} did:ethr DID
+ */
+export const accountDid = (address) => `did:ethr:${ethers.getAddress(address)}`;
+
+/**
+ * 返回持有者可以使用的 DID：所选凭证的主体 DID，以及账户本身的 did:ethr DID。
+ * @param {object[]} credentialPackages 要出示的凭证包
+ * @param {string} [account] 持有者账户地址
+ * @returns {string[]} 去重后的 DID 列表，主体 DID 在前
+ */
+export const getHolderDidOptions = (credentialPackages, account) => [...new Set([
+  ...credentialPackages.flatMap(({ credential }) =>
+    [].concat(credential.credentialSubject || []).map(({ id }) => id).filter(Boolean)),
+  ...(account ? [accountDid(account)] : []),
+])];
+
+/**
+ * 构建未签名的展示。凭证以凭证包形式嵌入，验证者需要其中的默克尔证明；
+ * 凭证包中加密副本的解密密钥只属于持有者，不会随展示发出。
+ * @param {object} params
+ * @param {string} params.holder 持有者 DID
+ * @param {object[]} params.credentialPackages 要出示的凭证包
+ * @returns {object} 未签名的展示
+ */
+export const createPresentation = ({ holder, credentialPackages }) => ({
+  '@context': [PRESENTATION_CONTEXT],
+  type: [PRESENTATION_TYPE],
+  holder,
+  verifiableCredential: credentialPackages.map(({ storage, ...credentialPackage }) => credentialPackage),
+});
+
+// 签名内容是不含 proofValue 的整个展示，因此 proof 中的 created 等字段同样受签名保护
+const getSigningPayload = ({ proof: { proofValue, ...proofOptions }, ...presentation }) =>
+  canonicalize({ ...presentation, proof: proofOptions });
+
+/**
+ * 用持有者账户为展示签名。
+ * @param {object} presentation createPresentation 生成的展示
+ * @param {object} signer ethers Signer
+ * @returns {Promise<object>} 带有 proof 的展示
+ */
+export const signPresentation = async (presentation, signer) => {
+  const proof = {
+    type: PRESENTATION_PROOF_TYPE,
+    created: new Date().toISOString(),
+    proofPurpose: 'authentication',
+    verificationMethod: `${accountDid(await signer.getAddress())}#controller`,
+  };
+  const proofValue = await signer.signMessage(getSigningPayload({ ...presentation, proof }));
+  return { ...presentation, proof: { ...proof, proofValue } };
+};
+
+/**
+ * 恢复展示的签名账户，并检查它与 proof.verificationMethod 声明的账户一致。
+ * @param {object} presentation 已签名的展示
+ * @returns {string} 签名账户地址
+ * @throws {Error} 展示未签名或签名与声明的账户不符时抛出
+ */
+export const recoverPresentationSigner = (presentation) => {
+  const { proof } = presentation;
+  if (!proof || proof.type !== PRESENTATION_PROOF_TYPE || !proof.proofValue) {
+    throw new Error('Presentation is not signed');
+  }
+  const signer = ethers.verifyMessage(getSigningPayload(presentation), proof.proofValue);
+  const declared = String(proof.verificationMethod).split('#')[0].match(ETHR_DID_PATTERN);
+  if (!declared || declared[1].toLowerCase() !== signer.toLowerCase()) {
+    throw new Error('Presentation signature does not match its verification method');
+  }
+  return signer;
+};
+
+/**
+ * 解析 DID 当前的控制账户。
+ * did:ethr 与 did:pkh 由其中的地址控制；did:merkleseal 由 DIDRegistry 中记录的 controller 控制。
+ * @param {string} did DID 字符串
+ * @param {object} options
+ * @param {object} options.didRegistryContract DIDRegistry 合约实例
+ * @param {number|bigint} options.chainId DIDRegistry 所在链的 chain id
+ * @returns {Promise<string|null>} 控制账户地址；DID 不存在、已撤销、属于其他链或方法不受支持时返回 null
+ */
+export const resolveDidController = async (did, { didRegistryContract, chainId }) => {
+  const account = typeof did === 'string' && (did.match(ETHR_DID_PATTERN) || did.match(PKH_DID_PATTERN));
+  if (account) return ethers.getAddress(account[1]);
+  if (!isMerkleSealDid(did)) return null;
+
+  const { chainId: didChainId, didHash } = parseDid(did);
+  if (didChainId !== Number(chainId)) return null;
+  try {
+    const [controller, , status] = await didRegistryContract.resolveDID(didHash);
+    // 与 DIDRegistry 中的 enum Status { Active, Revoked } 对应，已撤销的 DID 不再有控制者
+    return Number(status) === 0 ? controller : null;
+  } catch (error) {
+    // resolveDID 对不存在的 DID 会 revert
+    if (!/DID does not exist/.test(error.reason || error.message)) throw error;
+    return null;
+  }
+};
+
+/**
+ * 检查展示的签名者是否控制持有者 DID 以及每个嵌入凭证的主体 DID。
+ * 只检查出示者的身份，嵌入凭证本身需另行用 verifyCredentialPackage 验证。
+ * @param {object} presentation 已签名的展示
+ * @param {object} options 见 resolveDidController
+ * @returns {Promise<{signer: string, holderControlled: boolean, subjects: {id: string, controlled: boolean}[]}>}
+ */
+export const verifyPresentationHolder = async (presentation, options) => {
+  const signer = recoverPresentationSigner(presentation);
+  const controls = async (did) => {
+    const controller = await resolveDidController(did, options);
+    return controller !== null && controller.toLowerCase() === signer.toLowerCase();
+  };
+
+  const subjectIds = new Set();
+  (presentation.verifiableCredential || []).forEach(({ credential }) => {
+    [].concat(credential.credentialSubject || []).forEach(({ id }) => {
+      if (id) subjectIds.add(id);
+    });
+  });
+  return {
+    signer,
+    holderControlled: await controls(presentation.holder),
+    subjects: await Promise.all([...subjectIds].map(async (id) => ({ id, controlled: await controls(id) }))),
+  };
+};
@@ -0,0 +1,267 @@
+// 展示请求/响应协议，前端与 hardhat 测试共用。
+// 验证者生成带有一次性 challenge 和 domain 的展示请求；持有者用 EIP-712 签名响应，
+// 签名同时覆盖 challenge、domain 和所出示的凭证，因此验证者收到的响应无法在别处或再次使用。
+import { ethers } from 'ethers';
+import { canonicalize } from './credentialHash.js';
+import { isCredentialPackage } from './credentialPackage.js';
+import { verifyCredentialPackage } from './credentialVerification.js';
+import { accountDid, createPresentation, resolveDidController } from './presentation.js';
+
+export const PRESENTATION_REQUEST_TYPE = 'PresentationRequest';
+export const PRESENTATION_RESPONSE_PROOF_TYPE = 'EthereumEip712Signature2021';
+
+// 请求默认有效期（秒），过期的请求不再接受响应
+export const DEFAULT_REQUEST_TTL = 10 * 60;
+
+const EIP712_DOMAIN_NAME = 'MerkleSeal Presentation';
+const EIP712_DOMAIN_VERSION = '1';
+
+export const PRESENTATION_EIP712_TYPES = {
+  Presentation: [
+    { name: 'holder', type: 'string' },
+    { name: 'domain', type: 'string' },
+    { name: 'challenge', type: 'bytes32' },
+    { name: 'requestId', type: 'string' },
+    { name: 'credentialsHash', type: 'bytes32' },
+  ],
+};
+
+// 深度链接格式: merkleseal://<kind>?data=<base64url(JSON)>
+const DEEP_LINK_PREFIX = 'merkleseal://';
+export const DEEP_LINK_KINDS = {
+  REQUEST: 'present',
+  RESPONSE: 'verify',
+};
+
+/**
+ * 创建展示请求。
+ * @param {object} params
+ * @param {string} params.domain 验证者的域（通常是网站 origin），响应签名与之绑定
+ * @param {string[]} [params.credentialTypes] 要求的凭证类型，每种类型至少出示一个凭证
+ * @param {string[]} [params.requiredFields] 所出示凭证的 credentialSubject 必须包含的字段
+ * @param {number} [params.ttl] 有效期（秒）
+ * @param {Date} [params.now] 创建时刻，默认为当前时间
+ * @returns {object} 展示请求
+ */
+export const createPresentationRequest = ({
+  domain,
+  credentialTypes = [],
+  requiredFields = [],
+  ttl = DEFAULT_REQUEST_TTL,
+  now = new Date(),
+}) => {
+  if (!domain) {
+    throw new Error('Presentation request domain is required');
+  }
+  return {
+    type: PRESENTATION_REQUEST_TYPE,
+    id: `urn:uuid:${crypto.randomUUID()}`,
+    challenge: ethers.hexlify(ethers.randomBytes(32)),
+    domain,
+    credentialTypes,
+    requiredFields,
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + ttl * 1000).toISOString(),
+  };
+};
+
+// 凭证是否属于请求的某种类型（未指定类型时接受任意凭证）并包含全部必需字段
+const matchesRequest = (request, { credential }, credentialType) => {
+  const types = [].concat(credential.type || []);
+  const subject = credential.credentialSubject || {};
+  return (credentialType ? types.includes(credentialType) : true)
+    && request.requiredFields.every((field) => subject[field] !== undefined);
+};
+
+/**
+ * 从持有者的凭证包中挑选满足请求的凭证。
+ * @param {object} request 展示请求
+ * @param {object[]} credentialPackages 持有者的凭证包
+ * @returns {object[]} 满足请求的凭证包
+ */
+export const findMatchingCredentials = (request, credentialPackages) =>
+  credentialPackages.filter((pkg) => (request.credentialTypes.length === 0
+    ? matchesRequest(request, pkg)
+    : request.credentialTypes.some((credentialType) => matchesRequest(request, pkg, credentialType))));
+
+const getEip712Domain = (chainId) => ({
+  name: EIP712_DOMAIN_NAME,
+  version: EIP712_DOMAIN_VERSION,
+  chainId: Number(chainId),
+});
+
+const getEip712Message = (presentation, { domain, challenge, requestId }) => ({
+  holder: presentation.holder,
+  domain,
+  challenge,
+  requestId,
+  credentialsHash: ethers.keccak256(ethers.toUtf8Bytes(canonicalize(presentation.verifiableCredential))),
+});
+
+/**
+ * 持有者响应展示请求：出示凭证包并用 EIP-712 签名。
+ * @param {object} request 展示请求
+ * @param {object} params
+ * @param {string} params.holder 持有者 DID
+ * @param {object[]} params.credentialPackages 要出示的凭证包
+ * @param {object} params.signer ethers Signer
+ * @param {number|bigint} params.chainId 签名所在链的 chain id
+ * @returns {Promise<object>} 带有 EIP-712 proof 的展示
+ */
+export const createPresentationResponse = async (request, { holder, credentialPackages, signer, chainId }) => {
+  if (request.type !== PRESENTATION_REQUEST_TYPE) {
+    throw new Error('Not a presentation request');
+  }
+  const presentation = createPresentation({ holder, credentialPackages });
+  const binding = { domain: request.domain, challenge: request.challenge, requestId: request.id };
+  const proofValue = await signer.signTypedData(
+    getEip712Domain(chainId),
+    PRESENTATION_EIP712_TYPES,
+    getEip712Message(presentation, binding)
+  );
+  return {
+    ...presentation,
+    proof: {
+      type: PRESENTATION_RESPONSE_PROOF_TYPE,
+      created: new Date().toISOString(),
+      proofPurpose: 'authentication',
+      verificationMethod: `${accountDid(await signer.getAddress())}#controller`,
+      ...binding,
+      chainId: Number(chainId),
+      proofValue,
+    },
+  };
+};
+
+/**
+ * 验证者检查展示响应。
+ * 依次检查：请求未过期、challenge/domain/请求 id 与请求一致、EIP-712 签名、签名者控制持有者 DID
+ * 和每个凭证主体的 DID（did:merkleseal 以 DIDRegistry 中的 controller 为准）、
+ * 每个凭证的默克尔证明（单个凭证为其记录）与链上状态，以及出示的凭证满足请求。
+ * challenge 只能使用一次：验证者应在验证后丢弃该请求，不再接受针对它的其他响应。
+ * @param {object} response 持有者的展示响应
+ * @param {object} request 验证者此前生成并保存的展示请求
+ * @param {object} options
+ * @param {object} options.vcRegistryContract VCRegistry 合约实例
+ * @param {object} options.didRegistryContract DIDRegistry 合约实例
+ * @param {number|bigint} options.chainId 合约所在链的 chain id
+ * @param {object} [options.credentialContract] VerifiableCredential 合约实例，响应中有单个凭证时必填
+ * @param {Date} [options.at] 验证时刻，默认为当前时间
+ * @returns {Promise<{valid: boolean, errors: string[], signer: string|null, credentials: object[]}>}
+ *   credentials 为 { leaf, status, subject, subjectControlled }
+ */
+export const verifyPresentationResponse = async (response, request, {
+  vcRegistryContract,
+  didRegistryContract,
+  chainId,
+  credentialContract,
+  at = new Date(),
+}) => {
+  const errors = [];
+  const result = (signer = null, credentials = []) => ({ valid: errors.length === 0, errors, signer, credentials });
+  const { proof } = response;
+
+  if (!proof || proof.type !== PRESENTATION_RESPONSE_PROOF_TYPE || !proof.proofValue) {
+    errors.push('Presentation is not signed');
+    return result();
+  }
+  if (at.getTime() > new Date(request.expiresAt).getTime()) {
+    errors.push('Presentation request has expired');
+  }
+  if (proof.requestId !== request.id || proof.challenge !== request.challenge) {
+    errors.push('Presentation does not answer this request (challenge mismatch)');
+  }
+  if (proof.domain !== request.domain) {
+    errors.push(`Presentation is bound to another domain: ${proof.domain}`);
+  }
+  if (Number(proof.chainId) !== Number(chainId)) {
+    errors.push(`Presentation was signed for chain ${proof.chainId}`);
+  }
+
+  // 签名按验证者自己的请求重建，而不是响应中声明的 challenge 和 domain
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(
+      getEip712Domain(chainId),
+      PRESENTATION_EIP712_TYPES,
+      getEip712Message(response, { domain: request.domain, challenge: request.challenge, requestId: request.id }),
+      proof.proofValue
+    );
+  } catch (error) {
+    errors.push(`Invalid presentation signature: ${error.message}`);
+    return result();
+  }
+  const declared = String(proof.verificationMethod).split('#')[0];
+  if (declared.toLowerCase() !== accountDid(signer).toLowerCase()) {
+    errors.push('Presentation signature does not match its verification method');
+    return result(signer);
+  }
+
+  const controls = async (did) => {
+    const controller = await resolveDidController(did, { didRegistryContract, chainId });
+    return controller !== null && controller.toLowerCase() === signer.toLowerCase();
+  };
+  if (!(await controls(response.holder))) {
+    errors.push(`Presenter does not control the holder DID ${response.holder}`);
+  }
+
+  const packages = response.verifiableCredential || [];
+  if (!packages.every(isCredentialPackage)) {
+    errors.push('Presentation contains a malformed credential package');
+    return result(signer);
+  }
+  const credentials = await Promise.all(packages.map(async (pkg) => {
+    const subject = (pkg.credential && pkg.credential.credentialSubject) || {};
+    const { status, leaf } = await verifyCredentialPackage(pkg, vcRegistryContract, { chainId, at, credentialContract });
+    return { leaf, status, subject, subjectControlled: !!subject.id && await controls(subject.id) };
+  }));
+  credentials.forEach(({ leaf, status, subject, subjectControlled }) => {
+    if (status !== 'valid') {
+      errors.push(`Credential ${leaf.slice(0, 10)} is ${status}`);
+    }
+    if (!subjectControlled) {
+      errors.push(`Presenter does not control the subject DID ${subject.id || '(none)'}`);
+    }
+  });
+
+  const missingTypes = request.credentialTypes.length === 0
+    ? (packages.some((pkg) => matchesRequest(request, pkg)) ? [] : ['any'])
+    : request.credentialTypes.filter((credentialType) => !packages.some((pkg) => matchesRequest(request, pkg, credentialType)));
+  missingTypes.forEach((credentialType) => {
+    errors.push(`No credential of type ${credentialType} with fields [${request.requiredFields.join(', ')}] was presented`);
+  });
+
+  return result(signer, credentials);
+};
+
+// base64url，二维码和 URL 中都不需要额外转义
+const toBase64Url = (text) =>
+  ethers.encodeBase64(ethers.toUtf8Bytes(text)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) =>
+  ethers.toUtf8String(ethers.decodeBase64(text.replace(/-/g, '+').replace(/_/g, '/')
+    .padEnd(Math.ceil(text.length / 4) * 4, '=')));
+
+/**
+ * 将请求或响应编码为深度链接，可直接生成二维码。
+ * @param {string} kind DEEP_LINK_KINDS 中的一个
+ * @param {object} payload 展示请求或响应
+ * @returns {string} 深度链接
+ */
+export const encodeDeepLink = (kind, payload) => `${DEEP_LINK_PREFIX}${kind}?data=${toBase64Url(JSON.stringify(payload))}`;
+
+/**
+ * 解析深度链接；也接受直接粘贴的 JSON。
+ * @param {string} text 深度链接或 JSON 文本
+ * @returns {{kind: string|null, payload: object}} kind 为 DEEP_LINK_KINDS 中的一个，JSON 输入为 null
+ */
+export const decodeDeepLink = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith(DEEP_LINK_PREFIX)) {
+    return { kind: null, payload: JSON.parse(trimmed) };
+  }
+  const match = trimmed.slice(DEEP_LINK_PREFIX.length).match(/^([a-z]+)\?data=([A-Za-z0-9_-]+)$/);
+  if (!match || !Object.values(DEEP_LINK_KINDS).includes(match[1])) {
+    throw new Error('Unsupported deep link');
+  }
+  return { kind: match[1], payload: JSON.parse(fromBase64Url(match[2])) };
+};
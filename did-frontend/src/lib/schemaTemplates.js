@@ -0,0 +1,48 @@
+// 常用凭证的 schema 模板，颁发者可以直接注册或在此基础上修改。
+// schema 的 title 同时作为凭证的类型，写入 VC 的 type 字段。
+
+const JSON_SCHEMA_DRAFT = 'https://json-schema.org/draft/2020-12/schema';
+
+// 所有模板共用的凭证外层结构，credentialSubject 由各模板定义
+const credentialSchema = (title, description, subjectProperties, required) => ({
+  $schema: JSON_SCHEMA_DRAFT,
+  title,
+  description,
+  type: 'object',
+  required: ['@context', 'type', 'issuer', 'issuanceDate', 'credentialSubject'],
+  properties: {
+    credentialSubject: {
+      type: 'object',
+      required: ['id', ...required],
+      properties: {
+        id: { type: 'string', title: '接收者 DID', pattern: '^did:' },
+        ...subjectProperties,
+      },
+    },
+  },
+});
+
+export const SCHEMA_TEMPLATES = [
+  credentialSchema('EducationCredential', '学历凭证', {
+    name: { type: 'string', title: '姓名', minLength: 1 },
+    degree: { type: 'string', title: '学位', enum: ['Bachelor', 'Master', 'Doctorate'] },
+  }, ['name', 'degree']),
+  credentialSchema('EmploymentCredential', '在职证明', {
+    name: { type: 'string', title: '姓名', minLength: 1 },
+    employer: { type: 'string', title: '雇主', minLength: 1 },
+    jobTitle: { type: 'string', title: '职位' },
+    startDate: { type: 'string', title: '入职日期', format: 'date' },
+  }, ['name', 'employer', 'startDate']),
+  credentialSchema('MembershipCredential', '会员资格', {
+    name: { type: 'string', title: '姓名', minLength: 1 },
+    organization: { type: 'string', title: '组织', minLength: 1 },
+    membershipLevel: { type: 'string', title: '会员等级', enum: ['Standard', 'Premium', 'Honorary'] },
+    memberSince: { type: 'string', title: '入会日期', format: 'date' },
+  }, ['name', 'organization', 'membershipLevel']),
+  credentialSchema('CertificationCredential', '资格证书', {
+    name: { type: 'string', title: '姓名', minLength: 1 },
+    certification: { type: 'string', title: '证书名称', minLength: 1 },
+    score: { type: 'number', title: '成绩', minimum: 0, maximum: 100 },
+    certifiedOn: { type: 'string', title: '认证日期', format: 'date' },
+  }, ['name', 'certification', 'certifiedOn']),
+];
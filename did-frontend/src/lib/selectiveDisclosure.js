@@ -0,0 +1,273 @@
+// 选择性披露凭证，前端、命令行工具与 hardhat 测试共用。
+// 凭证的每个声明单独加盐哈希，构成内层默克尔树，内层树根作为批次默克尔树中的叶子。
+// 持有者只披露选中的声明及其包含证明，验证者据此重建内层树根，再照常向 VCRegistry 验证批次证明。
+import { ethers } from 'ethers';
+import { MerkleTree } from 'merkletreejs';
+import { canonicalize } from './credentialHash.js';
+import { credentialStatusFromContract, isCredentialExpired } from './credentialValidity.js';
+import { getStatusListIndex } from './statusList.js';
+
+export const SD_PRESENTATION_TYPE = 'SelectiveDisclosurePresentation';
+
+// 披露格式版本，格式发生不兼容变化时递增
+export const SD_PRESENTATION_VERSION = 1;
+
+// 声明清单的路径。清单列出凭证中全部声明的路径，始终披露，
+// 验证者据此确认验证所需的声明没有被持有者隐藏
+export const MANIFEST_PATH = '';
+
+// 验证所需的凭证外层声明，凭证中存在时必须披露
+export const MANDATORY_PATHS = [
+  '/@context',
+  '/type',
+  '/issuer',
+  '/issuanceDate',
+  '/expirationDate',
+  '/validUntil',
+  '/credentialStatus',
+  '/credentialSchema',
+];
+
+// 盐值长度（字节），防止通过穷举取值反推未披露的声明
+const SALT_LENGTH = 16;
+
+// JSON Pointer (RFC 6901) 的转义规则
+const escapePointerToken = (token) => token.replace(/~/g, '~0').replace(/\//g, '~1');
+const unescapePointerToken = (token) => token.replace(/~1/g, '/').replace(/~0/g, '~');
+
+/**
+ * 将凭证拆分为可单独披露的声明。
+ * credentialSubject 的每个属性是一个声明，其余外层字段各自作为一个声明。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {{path: string, value: *}[]} 按路径排序的声明，path 为 JSON Pointer
+ */
+export const getCredentialClaims = (credential) => {
+  const { credentialSubject } = credential;
+  if (!credentialSubject || typeof credentialSubject !== 'object' || Array.isArray(credentialSubject)) {
+    throw new Error('Selective disclosure requires a single credentialSubject object');
+  }
+  const claims = Object.entries(credential)
+    .filter(([key]) => key !== 'credentialSubject')
+    .map(([key, value]) => ({ path: `/${escapePointerToken(key)}`, value }));
+  Object.entries(credentialSubject).forEach(([key, value]) => {
+    claims.push({ path: `/credentialSubject/${escapePointerToken(key)}`, value });
+  });
+  return claims.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+};
+
+/**
+ * 为凭证的每个声明（以及声明清单）生成随机盐值。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {Object<string, string>} 路径到十六进制盐值的映射
+ */
+export const createClaimSalts = (credential) => {
+  const salts = { [MANIFEST_PATH]: ethers.hexlify(ethers.randomBytes(SALT_LENGTH)) };
+  getCredentialClaims(credential).forEach(({ path }) => {
+    salts[path] = ethers.hexlify(ethers.randomBytes(SALT_LENGTH));
+  });
+  return salts;
+};
+
+/**
+ * 计算单个声明的叶子哈希：keccak256(JCS([salt, path, value]))。
+ * @param {{path: string, value: *, salt: string}} claim
+ * @returns {string} bytes32 十六进制哈希
+ */
+export const hashClaim = ({ path, value, salt }) =>
+  ethers.keccak256(ethers.toUtf8Bytes(canonicalize([salt, path, value])));
+
+// 全部声明加上声明清单，按路径排序
+const getAllClaims = (credential, salts) => {
+  const claims = getCredentialClaims(credential);
+  return [{ path: MANIFEST_PATH, value: claims.map(({ path }) => path) }, ...claims].map((claim) => {
+    const salt = salts && salts[claim.path];
+    if (!ethers.isHexString(salt, SALT_LENGTH)) {
+      throw new Error(`Missing salt for claim "${claim.path}"`);
+    }
+    return { ...claim, salt, hash: hashClaim({ ...claim, salt }) };
+  });
+};
+
+const buildClaimTree = (claims) =>
+  new MerkleTree(claims.map(({ hash }) => hash), ethers.keccak256, { sortPairs: true });
+
+/**
+ * 计算选择性披露凭证在批次默克尔树中的叶子，即内层声明树的树根。
+ * @param {object} credential 凭证 JSON 对象
+ * @param {Object<string, string>} salts createClaimSalts 生成的盐值
+ * @returns {string} bytes32 十六进制叶子哈希
+ */
+export const hashSelectiveDisclosureCredential = (credential, salts) =>
+  buildClaimTree(getAllClaims(credential, salts)).getHexRoot();
+
+/**
+ * 返回持有者可以选择是否披露的声明路径（不包括必须披露的声明）。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {string[]} 声明路径
+ */
+export const getOptionalClaimPaths = (credential) =>
+  getCredentialClaims(credential)
+    .map(({ path }) => path)
+    .filter((path) => !MANDATORY_PATHS.includes(path));
+
+/**
+ * 由选择性披露凭证包生成只包含选中声明的披露。
+ * 声明清单和 MANDATORY_PATHS 中的声明总是被披露。
+ * @param {object} credentialPackage hashScheme 为 SELECTIVE_DISCLOSURE 的凭证包（含 salts）
+ * @param {string[]} paths 要披露的声明路径，见 getOptionalClaimPaths
+ * @returns {object} 披露，可以交给验证者
+ */
+export const createSelectiveDisclosure = (credentialPackage, paths) => {
+  const claims = getAllClaims(credentialPackage.credential, credentialPackage.salts);
+  const tree = buildClaimTree(claims);
+  if (tree.getHexRoot() !== credentialPackage.leaf) {
+    throw new Error('Credential claims do not match the package leaf');
+  }
+  const known = new Set(claims.map(({ path }) => path));
+  paths.forEach((path) => {
+    if (!known.has(path)) {
+      throw new Error(`Unknown claim "${path}"`);
+    }
+  });
+
+  const disclosed = new Set([MANIFEST_PATH, ...MANDATORY_PATHS, ...paths]);
+  return {
+    type: SD_PRESENTATION_TYPE,
+    version: SD_PRESENTATION_VERSION,
+    leaf: credentialPackage.leaf,
+    proof: credentialPackage.proof,
+    merkleRoot: credentialPackage.merkleRoot,
+    ...(credentialPackage.validUntil && { validUntil: credentialPackage.validUntil }),
+    issuer: credentialPackage.issuer,
+    chainId: credentialPackage.chainId,
+    contractAddress: credentialPackage.contractAddress,
+    disclosures: claims
+      .filter(({ path }) => disclosed.has(path))
+      .map(({ path, value, salt, hash }) => ({ path, value, salt, proof: tree.getHexProof(hash) })),
+  };
+};
+
+// 与 OpenZeppelin MerkleProof 和 merkletreejs 的 sortPairs 一致：每一层按字节序排序后拼接哈希
+const processProof = (hash, proof) => proof.reduce((computed, node) => {
+  const [a, b] = computed.toLowerCase() < node.toLowerCase() ? [computed, node] : [node, computed];
+  return ethers.keccak256(ethers.concat([a, b]));
+}, hash);
+
+// 写入这些属性会修改对象原型，披露中的路径不能包含它们
+const FORBIDDEN_POINTER_TOKENS = ['__proto__', 'constructor', 'prototype'];
+
+// 按 JSON Pointer 将声明写回凭证对象，只进入对象自身的属性
+const setClaim = (credential, path, value) => {
+  const tokens = path.split('/').slice(1).map(unescapePointerToken);
+  if (tokens.some((token) => FORBIDDEN_POINTER_TOKENS.includes(token))) {
+    throw new Error(`Claim "${path}" has an invalid path`);
+  }
+  const key = tokens.pop();
+  let target = credential;
+  tokens.forEach((token) => {
+    if (!Object.hasOwn(target, token)) target[token] = {};
+    target = target[token];
+    if (!target || typeof target !== 'object' || Array.isArray(target)) {
+      throw new Error(`Claim "${path}" has an invalid path`);
+    }
+  });
+  target[key] = value;
+};
+
+/**
+ * 检查披露中每个声明的包含证明，并还原只含已披露声明的凭证。
+ * 不访问链上数据；内层树根（披露的 leaf）是否属于已颁发批次由 verifySelectiveDisclosure 检查。
+ * @param {object} presentation createSelectiveDisclosure 生成的披露
+ * @returns {{credential: object, errors: string[]}} 还原的凭证及错误列表，errors 为空表示声明均有效
+ */
+export const verifyDisclosures = (presentation) => {
+  const errors = [];
+  const credential = {};
+  if (presentation.type !== SD_PRESENTATION_TYPE || !Array.isArray(presentation.disclosures)) {
+    return { credential, errors: ['Not a selective disclosure presentation'] };
+  }
+  if (!ethers.isHexString(presentation.leaf, 32)) {
+    return { credential, errors: ['Presentation leaf must be a bytes32 hex string'] };
+  }
+
+  const seen = new Set();
+  let manifest = null;
+  presentation.disclosures.forEach(({ path, value, salt, proof }) => {
+    if (typeof path !== 'string' || seen.has(path)) {
+      errors.push(`Claim "${path}" is disclosed more than once or has an invalid path`);
+      return;
+    }
+    seen.add(path);
+    if (!ethers.isHexString(salt, SALT_LENGTH) || !Array.isArray(proof) || !proof.every((node) => ethers.isHexString(node, 32))) {
+      errors.push(`Claim "${path}" has a malformed salt or proof`);
+      return;
+    }
+    if (processProof(hashClaim({ path, value, salt }), proof) !== presentation.leaf.toLowerCase()) {
+      errors.push(`Claim "${path}" is not part of the credential`);
+      return;
+    }
+    if (path === MANIFEST_PATH) {
+      manifest = value;
+      return;
+    }
+    try {
+      setClaim(credential, path, value);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  });
+
+  if (!Array.isArray(manifest)) {
+    errors.push('The claim manifest is not disclosed');
+    return { credential, errors };
+  }
+  seen.forEach((path) => {
+    if (path !== MANIFEST_PATH && !manifest.includes(path)) {
+      errors.push(`Claim "${path}" is not listed in the manifest`);
+    }
+  });
+  MANDATORY_PATHS.forEach((path) => {
+    if (manifest.includes(path) && !seen.has(path)) {
+      errors.push(`Required claim "${path}" is not disclosed`);
+    }
+  });
+  return { credential, errors };
+};
+
+/**
+ * 端到端验证披露：先向 VCRegistry 验证批次证明，再检查声明证明与内层树根、撤销状态和有效期。
+ * @param {object} presentation createSelectiveDisclosure 生成的披露
+ * @param {object} vcRegistryContract 连接到 VCRegistry 的 ethers 合约实例
+ * @param {Date} [at] 判断凭证过期的时刻，默认为当前时间
+ * @returns {Promise<{status: string, credential: object, errors: string[], statusListIndex: number|null}>}
+ *   status 为 CREDENTIAL_STATUSES 中的一个，声明证明无效时为 'invalidDisclosure'
+ */
+export const verifySelectiveDisclosure = async (presentation, vcRegistryContract, at = new Date()) => {
+  // 先确认披露的叶子属于已颁发的批次，不属于任何批次的披露不会被还原为凭证
+  let status = null;
+  if (presentation.type === SD_PRESENTATION_TYPE && ethers.isHexString(presentation.leaf, 32)) {
+    const [, , batchStatus] = await vcRegistryContract.verifyCredential(presentation.leaf, presentation.merkleRoot, presentation.proof);
+    status = credentialStatusFromContract(batchStatus);
+    if (status === 'unknownRoot' || status === 'invalidProof') {
+      return { status, credential: {}, errors: [], statusListIndex: null };
+    }
+  }
+
+  const { credential, errors } = verifyDisclosures(presentation);
+  if (errors.length > 0) {
+    return { status: 'invalidDisclosure', credential, errors, statusListIndex: null };
+  }
+
+  // 声明清单保证凭证带有 credentialStatus 时它一定被披露
+  const statusListIndex = getStatusListIndex(credential);
+  if (statusListIndex !== null) {
+    const [, , onChainStatus] = await vcRegistryContract.verifyCredentialWithStatus(
+      presentation.leaf, presentation.merkleRoot, presentation.proof, statusListIndex
+    );
+    status = credentialStatusFromContract(onChainStatus);
+  }
+  if (status === 'valid' && isCredentialExpired(credential, at)) {
+    status = 'expired';
+  }
+  return { status, credential, errors, statusListIndex };
+};
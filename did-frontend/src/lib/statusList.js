@@ -0,0 +1,237 @@
+// 基于状态列表位图的批量撤销 (W3C Bitstring Status List v1.0)，前端与 hardhat 测试共用。
+// 每个凭证在 credentialStatus 中携带 statusListIndex；VCRegistry 为每个默克尔树根保存一个位图，
+// 颁发者按 256 位一个字批量置位，一笔交易即可撤销整批凭证。
+import { ethers } from 'ethers';
+import { canonicalize } from './credentialHash.js';
+
+export const STATUS_PURPOSE_REVOCATION = 'revocation';
+export const STATUS_LIST_ENTRY_TYPE = 'BitstringStatusListEntry';
+
+// 规范要求位串至少 16KB，以便为持有者提供群体隐私
+export const STATUS_LIST_MIN_LENGTH = 131072;
+
+// 与合约中每个位图字的位数一致
+export const STATUS_LIST_WORD_BITS = 256;
+
+/**
+ * 推导批次状态列表凭证的 id: `${baseUrl}/${chainId}/${VCRegistry 地址}/${batchId}`。
+ * statusListCredential 写在每个凭证中并参与叶子哈希，不能取自默克尔树根，
+ * 因此 batchId 取去掉 credentialStatus 后整批凭证 JCS 规范化结果的 keccak256，持有整批凭证即可重新计算。
+ * 颁发者需将导出的状态列表凭证发布在该地址，供验证方解引用。
+ * @param {object} params
+ * @param {string} params.baseUrl 状态列表凭证的发布地址
+ * @param {number|bigint} params.chainId 链 id
+ * @param {string} params.contractAddress VCRegistry 地址
+ * @param {object[]} params.credentials 批次中的凭证，按颁发顺序
+ * @returns {string} 状态列表凭证的 id
+ */
+export const createStatusListCredentialId = ({ baseUrl, chainId, contractAddress, credentials }) => {
+  const batch = credentials.map(({ credentialStatus, ...credential }) => credential);
+  const batchId = ethers.keccak256(ethers.toUtf8Bytes(canonicalize(batch)));
+  return `${baseUrl.replace(/\/+$/, '')}/${Number(chainId)}/${ethers.getAddress(contractAddress)}/${batchId}`;
+};
+
+/**
+ * 构建凭证的 credentialStatus 条目。
+ * @param {string} statusListCredential 状态列表凭证的 id，见 createStatusListCredentialId
+ * @param {number} index 该凭证在状态列表中的位置
+ * @returns {object} BitstringStatusListEntry
+ */
+export const createStatusListEntry = (statusListCredential, index) => ({
+  id: `${statusListCredential}#${index}`,
+  type: STATUS_LIST_ENTRY_TYPE,
+  statusPurpose: STATUS_PURPOSE_REVOCATION,
+  statusListIndex: String(index),
+  statusListCredential,
+});
+
+/**
+ * 读取凭证用于撤销的状态列表条目。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {object|null} BitstringStatusListEntry，凭证没有状态条目时返回 null
+ */
+export const getStatusListEntry = (credential) =>
+  [].concat(credential.credentialStatus || []).find((entry) =>
+    entry.type === STATUS_LIST_ENTRY_TYPE && entry.statusPurpose === STATUS_PURPOSE_REVOCATION
+  ) || null;
+
+/**
+ * 返回凭证在状态列表中的位置。
+ * @param {object} credential 凭证 JSON 对象
+ * @returns {number|null} statusListIndex，凭证没有状态条目时返回 null
+ */
+export const getStatusListIndex = (credential) => {
+  const entry = getStatusListEntry(credential);
+  if (!entry) return null;
+  if (!/^\d+$/.test(String(entry.statusListIndex))) {
+    throw new Error(`Invalid statusListIndex: ${entry.statusListIndex}`);
+  }
+  return Number(entry.statusListIndex);
+};
+
+/**
+ * 解析用户输入的索引列表，支持逗号分隔和区间，例如 "0-99, 150"。
+ * @param {string} text 索引列表
+ * @returns {number[]} 去重并排序后的索引
+ */
+export const parseStatusIndices = (text) => {
+  const indices = new Set();
+  text.split(/[,\s]+/).filter(Boolean).forEach((part) => {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid status index or range: ${part}`);
+    }
+    const from = Number(match[1]);
+    const to = match[2] === undefined ? from : Number(match[2]);
+    if (to < from) {
+      throw new Error(`Invalid status index range: ${part}`);
+    }
+    for (let index = from; index <= to; index++) indices.add(index);
+  });
+  return [...indices].sort((a, b) => a - b);
+};
+
+/**
+ * 将要撤销的索引按位图字分组，生成 revokeByStatusList 的参数。
+ * 字中第 i 位（从最低位数起）对应索引 wordIndex * 256 + i。
+ * @param {number[]} indices 要撤销的 statusListIndex
+ * @returns {{wordIndices: number[], masks: string[]}} 字索引及对应的 uint256 掩码（十六进制）
+ */
+export const toStatusListMasks = (indices) => {
+  const words = new Map();
+  indices.forEach((index) => {
+    if (!Number.isSafeInteger(index) || index < 0) {
+      throw new Error(`Invalid status index: ${index}`);
+    }
+    const wordIndex = Math.floor(index / STATUS_LIST_WORD_BITS);
+    const bit = index % STATUS_LIST_WORD_BITS;
+    if (!words.has(wordIndex)) words.set(wordIndex, new Uint8Array(32));
+    // uint256 以大端序存放，最低位在最后一个字节
+    words.get(wordIndex)[31 - Math.floor(bit / 8)] |= 1 << (bit % 8);
+  });
+
+  const wordIndices = [...words.keys()].sort((a, b) => a - b);
+  return {
+    wordIndices,
+    masks: wordIndices.map((wordIndex) => ethers.hexlify(words.get(wordIndex))),
+  };
+};
+
+/**
+ * toStatusListMasks 的逆运算，例如从 StatusListUpdated 事件中还原被撤销的索引。
+ * @param {number[]|bigint[]} wordIndices 字索引
+ * @param {Array<bigint|string>} masks 对应的 uint256 掩码
+ * @returns {number[]} 掩码中置位的 statusListIndex，按升序排列
+ */
+export const fromStatusListMasks = (wordIndices, masks) => {
+  const indices = [];
+  wordIndices.forEach((wordIndex, i) => {
+    const bytes = ethers.getBytes(ethers.toBeHex(masks[i], 32));
+    for (let bit = 0; bit < STATUS_LIST_WORD_BITS; bit++) {
+      if (bytes[31 - Math.floor(bit / 8)] & (1 << (bit % 8))) {
+        indices.push(Number(wordIndex) * STATUS_LIST_WORD_BITS + bit);
+      }
+    }
+  });
+  return indices.sort((a, b) => a - b);
+};
+
+/**
+ * 将合约中的位图字转换为规范定义的位串：索引 0 是第一个字节的最高位。
+ * @param {Array<bigint|string>} words 从第 0 个字开始的连续位图字
+ * @param {number} [length] 位串长度（位），默认为 STATUS_LIST_MIN_LENGTH
+ * @returns {Uint8Array} 位串
+ */
+export const statusListWordsToBitstring = (words, length = STATUS_LIST_MIN_LENGTH) => {
+  const bitstring = new Uint8Array(Math.ceil(length / 8));
+  words.forEach((word, wordIndex) => {
+    const bytes = ethers.getBytes(ethers.toBeHex(word, 32));
+    for (let bit = 0; bit < STATUS_LIST_WORD_BITS; bit++) {
+      if (bytes[31 - Math.floor(bit / 8)] & (1 << (bit % 8))) {
+        const index = wordIndex * STATUS_LIST_WORD_BITS + bit;
+        if (index >= length) {
+          throw new Error(`Status index ${index} is outside a status list of ${length} bits`);
+        }
+        bitstring[Math.floor(index / 8)] |= 0x80 >> (index % 8);
+      }
+    }
+  });
+  return bitstring;
+};
+
+/**
+ * 判断位串中的某个索引是否已置位。
+ * @param {Uint8Array} bitstring 位串
+ * @param {number} index statusListIndex
+ * @returns {boolean} 是否已置位（即已撤销）
+ */
+export const isStatusListBitSet = (bitstring, index) => {
+  if (index >= bitstring.length * 8) {
+    throw new Error(`Status index ${index} is outside the status list`);
+  }
+  return (bitstring[Math.floor(index / 8)] & (0x80 >> (index % 8))) !== 0;
+};
+
+const pipeBytes = async (bytes, transform) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer());
+
+/**
+ * 按规范编码位串：GZIP 压缩后进行 base64url 编码，并加上 multibase 前缀 "u"。
+ * @param {Uint8Array} bitstring 位串
+ * @returns {Promise<string>} encodedList
+ */
+export const encodeStatusList = async (bitstring) => {
+  const compressed = await pipeBytes(bitstring, new CompressionStream('gzip'));
+  const base64url = ethers.encodeBase64(compressed).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return `u${base64url}`;
+};
+
+/**
+ * 解码 encodedList，得到位串。
+ * @param {string} encodedList 状态列表凭证中的 encodedList
+ * @returns {Promise<Uint8Array>} 位串
+ */
+export const decodeStatusList = async (encodedList) => {
+  if (!encodedList.startsWith('u')) {
+    throw new Error('encodedList must be a multibase base64url string (starting with "u")');
+  }
+  const base64 = encodedList.slice(1).replace(/-/g, '+').replace(/_/g, '/');
+  const compressed = ethers.getBytes(ethers.decodeBase64(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')));
+  return pipeBytes(compressed, new DecompressionStream('gzip'));
+};
+
+/**
+ * 读取某个批次在链上的状态列表，导出为 BitstringStatusListCredential。
+ * 导出的凭证没有附带证明，其真实性由 VCRegistry 中的链上位图保证。
+ * @param {object} params
+ * @param {object} params.vcRegistryContract VCRegistry 合约实例
+ * @param {string} params.merkleRoot 批次的默克尔树根
+ * @param {string} params.id 状态列表凭证的 id，即批次凭证中的 statusListCredential
+ * @param {string} params.issuer 颁发者 DID
+ * @param {number} [params.length] 位串长度（位），默认为 STATUS_LIST_MIN_LENGTH
+ * @returns {Promise<object>} BitstringStatusListCredential
+ */
+export const exportStatusListCredential = async ({
+  vcRegistryContract,
+  merkleRoot,
+  id,
+  issuer,
+  length = STATUS_LIST_MIN_LENGTH,
+}) => {
+  const words = await vcRegistryContract.getStatusListWords(merkleRoot, 0, Math.ceil(length / STATUS_LIST_WORD_BITS));
+  const encodedList = await encodeStatusList(statusListWordsToBitstring([...words], length));
+
+  return {
+    '@context': ['https://www.w3.org/ns/credentials/v2'],
+    id,
+    type: ['VerifiableCredential', 'BitstringStatusListCredential'],
+    issuer,
+    validFrom: new Date().toISOString(),
+    credentialSubject: {
+      id: `${id}#list`,
+      type: 'BitstringStatusList',
+      statusPurpose: STATUS_PURPOSE_REVOCATION,
+      encodedList,
+    },
+  };
+};
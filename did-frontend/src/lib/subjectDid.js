@@ -0,0 +1,64 @@
+// 凭证主体与 DIDRegistry 中 DID 的绑定：颁发前检查主体 DID 是否存在且有效，验证时报告主体 DID 的当前状态。
+// 颁发页面、命令行工具与 hardhat 测试共用。
+import { isMerkleSealDid, parseDid } from './didMethod.js';
+
+// 与 VCRegistry 中的 enum SubjectStatus { Active, Revoked, NotFound } 对应
+export const SUBJECT_STATUSES = ['active', 'revoked', 'notFound'];
+
+/**
+ * 通过 VCRegistry 关联的 DIDRegistry 解析主体 DID 的状态与控制者。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {string} did did:merkleseal 主体 DID
+ * @param {number|bigint} chainId 合约所在链的 chain id
+ * @returns {Promise<{did: string, didHash: string, status: string, controller: string|null}>}
+ *   status 为 SUBJECT_STATUSES 中的一个；属于其他链的 DID 视为 'notFound'
+ */
+export const resolveSubjectDid = async (vcRegistryContract, did, chainId) => {
+  const { chainId: didChainId, didHash } = parseDid(did);
+  if (didChainId !== Number(chainId)) {
+    return { did, didHash, status: 'notFound', controller: null };
+  }
+  const [status, controller] = await vcRegistryContract.getSubjectStatus(didHash);
+  const subjectStatus = SUBJECT_STATUSES[Number(status)];
+  return { did, didHash, status: subjectStatus, controller: subjectStatus === 'notFound' ? null : controller };
+};
+
+// 一个凭证可以有多个主体
+const subjectIdsOf = (credential) => [].concat(credential.credentialSubject || []).map(({ id }) => id);
+
+/**
+ * 颁发前检查一批凭证的主体 DID：必须是本链上已登记且未撤销的 did:merkleseal DID。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {object[]} credentials 待颁发的凭证
+ * @param {number|bigint} chainId 合约所在链的 chain id
+ * @returns {Promise<{didHashes: string[], errors: string[]}>} 去重后的主体 DID 哈希
+ *   与不符合要求的主体说明；errors 非空时不应颁发
+ */
+export const checkSubjectsForIssuance = async (vcRegistryContract, credentials, chainId) => {
+  const errors = [];
+  const dids = [...new Set(credentials.flatMap(subjectIdsOf))];
+  if (credentials.some((credential) => subjectIdsOf(credential).length === 0 || subjectIdsOf(credential).some((id) => !id))) {
+    errors.push('Every credential subject needs a DID');
+  }
+
+  const didHashes = [];
+  for (const did of dids.filter(Boolean)) {
+    if (!isMerkleSealDid(did)) {
+      errors.push(`Subject ${did} is not a did:merkleseal DID`);
+      continue;
+    }
+    if (parseDid(did).chainId !== Number(chainId)) {
+      errors.push(`Subject ${did} is registered on another chain`);
+      continue;
+    }
+    const { didHash, status } = await resolveSubjectDid(vcRegistryContract, did, chainId);
+    if (status === 'notFound') {
+      errors.push(`Subject ${did} is not registered`);
+    } else if (status === 'revoked') {
+      errors.push(`Subject ${did} has been revoked`);
+    } else {
+      didHashes.push(didHash);
+    }
+  }
+  return { didHashes, errors };
+};
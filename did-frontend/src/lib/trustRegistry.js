@@ -0,0 +1,99 @@
+// VCRegistry 信任注册表：将颁发者地址解析为 DID、名称和认证信息，供验证页面和 hardhat 测试共用。
+import { ethers } from 'ethers';
+import { formatDid } from './didMethod.js';
+import { accountDid } from './presentation.js';
+
+// 颁发者认证在某一时刻的状态
+export const ACCREDITATION_STATUSES = {
+  ACCREDITED: 'accredited',
+  NOT_YET_VALID: 'notYetValid',
+  LAPSED: 'lapsed',
+  UNREGISTERED: 'unregistered',
+};
+
+// 与 DIDRegistry 中的 enum Status { Active, Revoked } 对应
+const DID_STATUSES = ['active', 'revoked'];
+
+/**
+ * 读取颁发者在信任注册表中的条目。
+ * @param {object} vcRegistryContract VCRegistry 合约实例
+ * @param {string} issuer 颁发者地址
+ * @returns {Promise<object|null>} { didHash, name, accreditationType, validFrom, validUntil }，
+ *   时间为秒级时间戳，validUntil 为 0 表示长期有效；未登记时返回 null
+ */
+export const getIssuerAccreditation = async (vcRegistryContract, issuer) => {
+  const entry = await vcRegistryContract.getIssuerAccreditation(issuer);
+  if (entry.did === ethers.ZeroHash) return null;
+  return {
+    didHash: entry.did,
+    name: entry.name,
+    accreditationType: entry.accreditationType,
+    validFrom: Number(entry.validFrom),
+    validUntil: Number(entry.validUntil),
+  };
+};
+
+/**
+ * 颁发凭证和导出状态列表时使用的颁发者 DID。
+ * 在信任注册表中登记过的颁发者使用登记的 did:merkleseal，否则退回账户 DID。
+ * @param {object} options
+ * @param {object} options.vcRegistryContract VCRegistry 合约实例
+ * @param {number|bigint} options.chainId 链 id，用于格式化 DID 字符串
+ * @param {string} options.issuer 颁发者地址
+ * @returns {Promise<string>} DID 字符串
+ */
+export const getIssuerDid = async ({ vcRegistryContract, chainId, issuer }) => {
+  const accreditation = await getIssuerAccreditation(vcRegistryContract, issuer);
+  return accreditation ? formatDid(chainId, accreditation.didHash) : accountDid(issuer);
+};
+
+/**
+ * 判断认证在给定时刻的状态，起止时间当刻均视为有效（与合约的 isIssuerAccredited 一致）。
+ * @param {object|null} accreditation getIssuerAccreditation 的返回值
+ * @param {Date} [at] 判断的时刻，默认为当前时间
+ * @returns {string} ACCREDITATION_STATUSES 中的一个
+ */
+export const getAccreditationStatus = (accreditation, at = new Date()) => {
+  if (!accreditation) return ACCREDITATION_STATUSES.UNREGISTERED;
+  const timestamp = Math.floor(at.getTime() / 1000);
+  if (timestamp < accreditation.validFrom) return ACCREDITATION_STATUSES.NOT_YET_VALID;
+  if (accreditation.validUntil !== 0 && timestamp > accreditation.validUntil) return ACCREDITATION_STATUSES.LAPSED;
+  return ACCREDITATION_STATUSES.ACCREDITED;
+};
+
+/**
+ * 将颁发者地址解析为可展示的身份。
+ * 除信任注册表条目外，还在 DIDRegistry 中检查登记的 DID 是否仍有效、是否由该颁发者控制。
+ * @param {object} options
+ * @param {object} options.vcRegistryContract VCRegistry 合约实例
+ * @param {object} options.didRegistryContract DIDRegistry 合约实例
+ * @param {number|bigint} options.chainId 链 id，用于格式化 DID 字符串
+ * @param {string} options.issuer 颁发者地址
+ * @param {Date} [options.at] 验证时刻，默认为当前时间
+ * @returns {Promise<object>} { address, accreditation, accreditationStatus, did, didStatus, didControlledByIssuer }，
+ *   未登记的颁发者 did 与 didStatus 为 null；didStatus 为 'active'、'revoked' 或 'notFound'
+ */
+export const resolveIssuerIdentity = async ({ vcRegistryContract, didRegistryContract, chainId, issuer, at = new Date() }) => {
+  const accreditation = await getIssuerAccreditation(vcRegistryContract, issuer);
+  const identity = {
+    address: issuer,
+    accreditation,
+    accreditationStatus: getAccreditationStatus(accreditation, at),
+    did: null,
+    didStatus: null,
+    didControlledByIssuer: false,
+  };
+  if (!accreditation) return identity;
+
+  identity.did = formatDid(chainId, accreditation.didHash);
+  try {
+    const [controller, , status] = await didRegistryContract.resolveDID(accreditation.didHash);
+    identity.didStatus = DID_STATUSES[Number(status)];
+    identity.didControlledByIssuer = controller.toLowerCase() === issuer.toLowerCase();
+  } catch (error) {
+    // resolveDID 对不存在的 DID 会 revert
+    if (!/DID does not exist/.test(error.reason || error.message)) throw error;
+    identity.didStatus = 'notFound';
+  }
+  return identity;
+};
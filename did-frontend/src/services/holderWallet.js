@@ -0,0 +1,92 @@
+// 持有者钱包：在浏览器的 IndexedDB 中保存收到的凭证包。
+// 每个凭证包用 AES-GCM 加密后再写入，密钥由钱包对固定消息的签名派生，不会被保存；
+// 以太坊钱包的签名是确定性的 (RFC 6979)，同一账户每次解锁都会得到同一个密钥。
+import { deriveEncryptionKey, encryptJson, decryptJson } from '../lib/encryption.js';
+
+const DB_NAME = 'merkleseal-holder-wallet';
+const DB_VERSION = 1;
+const STORE_NAME = 'credentials';
+const KEY_INFO = 'merkleseal-holder-wallet-v1';
+
+// 解锁时请求签名的消息，签名不会发送交易
+const unlockMessage = (account) =>
+  `MerkleSeal 持有者钱包\n\n签名以解锁本地保存的凭证。此操作不会发送交易，也不会花费 gas。\n\n账户: ${account}`;
+
+// 记录的主键为 [owner, leaf]，owner 为小写账户地址，同一浏览器中不同账户的凭证互不可见
+const openDatabase = () => new Promise((resolve, reject) => {
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['owner', 'leaf'] });
+    store.createIndex('owner', 'owner');
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// 在单个事务中执行操作，事务完成后返回操作请求的结果
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+/**
+ * 请求钱包签名并派生钱包加密密钥。
+ * @param {object} signer ethers Signer
+ * @returns {Promise<string>} base64 编码的 AES-GCM 密钥
+ */
+export const unlockWallet = async (signer) => {
+  const account = await signer.getAddress();
+  const signature = await signer.signMessage(unlockMessage(account));
+  return deriveEncryptionKey(signature, KEY_INFO);
+};
+
+/**
+ * 读取并解密账户保存的全部凭证包。
+ * @param {string} account 持有者账户地址
+ * @param {string} key unlockWallet 派生的密钥
+ * @returns {Promise<{leaf: string, addedAt: string, credentialPackage: object}[]>} 按加入时间排序
+ */
+export const loadWalletCredentials = async (account, key) => {
+  const records = await withStore('readonly', (store) => store.index('owner').getAll(account.toLowerCase()));
+  const entries = await Promise.all(records.map(async ({ leaf, addedAt, envelope }) => ({
+    leaf,
+    addedAt,
+    credentialPackage: await decryptJson(envelope, key),
+  })));
+  return entries.sort((a, b) => a.addedAt.localeCompare(b.addedAt));
+};
+
+/**
+ * 加密并保存凭证包，同一叶子的凭证包会被覆盖。
+ * @param {string} account 持有者账户地址
+ * @param {string} key unlockWallet 派生的密钥
+ * @param {object} credentialPackage 凭证包
+ */
+export const saveWalletCredential = async (account, key, credentialPackage) => {
+  const envelope = await encryptJson(credentialPackage, key);
+  await withStore('readwrite', (store) => store.put({
+    owner: account.toLowerCase(),
+    leaf: credentialPackage.leaf,
+    addedAt: new Date().toISOString(),
+    envelope,
+  }));
+};
+
+/**
+ * 从钱包中删除凭证包。
+ * @param {string} account 持有者账户地址
+ * @param {string} leaf 凭证包的叶子哈希
+ */
+export const deleteWalletCredential = async (account, leaf) => {
+  await withStore('readwrite', (store) => store.delete([account.toLowerCase(), leaf]));
+};
@@ -0,0 +1,43 @@
+// 默认连接本地运行的事件索引服务 (my-did-project: npm run indexer)
+const DEFAULT_INDEXER_URL = 'http://127.0.0.1:8082';
+
+const INDEXER_URL = process.env.REACT_APP_INDEXER_URL || DEFAULT_INDEXER_URL;
+
+/**
+ * 向索引服务发送查询。
+ * @param {string} path 接口路径，例如 /batches
+ * @param {object} [params] 查询参数，值为空的参数会被忽略
+ * @returns {Promise<object|null>} 接口返回的 JSON；查询的对象不存在 (404) 时返回 null
+ */
+const queryIndexer = async (path, params = {}) => {
+  const url = new URL(path, INDEXER_URL);
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+  });
+
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (error) {
+    throw new Error(`无法连接索引服务 ${INDEXER_URL}，请确认已运行 npm run indexer`);
+  }
+  if (response.status === 404) return null;
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`索引服务拒绝了查询: ${result.error}`);
+  }
+  return result;
+};
+
+export const getIndexerStatus = () => queryIndexer('/status');
+
+// 时间参数均为 Unix 秒
+export const getIssuerBatches = (issuer, { since, until } = {}) => queryIndexer('/batches', { issuer, since, until });
+
+export const getRevocations = ({ issuer, since, until } = {}) => queryIndexer('/revocations', { issuer, since, until });
+
+export const getDidHistory = (did) => queryIndexer(`/dids/${encodeURIComponent(did)}`);
+
+export const getControlledDids = (controller) => queryIndexer('/dids', { controller });
+
+export const getRoleMembers = (role) => queryIndexer(`/roles/${encodeURIComponent(role)}`);
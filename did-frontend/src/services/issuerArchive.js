@@ -0,0 +1,44 @@
+// 颁发者本地保存的凭证包存档。
+// 链上只记录默克尔树根（或单个凭证的 id），凭证内容只在颁发者和持有者手中，
+// 颁发者面板依靠该存档展示每个批次中的凭证。单个凭证以其 id（叶子哈希）单独成组。存档保存在浏览器的 localStorage 中，
+// 其中包含加密副本的解密密钥，只应在颁发者自己的设备上使用。
+
+const STORAGE_KEY_PREFIX = 'merkleseal:issued-packages';
+
+const storageKey = (chainId, issuer) => `${STORAGE_KEY_PREFIX}:${Number(chainId)}:${issuer.toLowerCase()}`;
+
+/**
+ * 读取颁发者存档中的全部凭证包。
+ * @param {number|bigint} chainId 链 id
+ * @param {string} issuer 颁发者地址
+ * @returns {Object<string, object[]>} 默克尔树根（单个凭证为其 id）=> 凭证包列表
+ */
+export const loadIssuedPackages = (chainId, issuer) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(chainId, issuer))) || {};
+  } catch (error) {
+    console.error("Load issued packages failed:", error);
+    return {};
+  }
+};
+
+/**
+ * 将凭证包加入颁发者存档，按默克尔树根分组（单个凭证按其 id），同一叶子只保存一次。
+ * @param {number|bigint} chainId 链 id
+ * @param {string} issuer 颁发者地址
+ * @param {object[]} packages 凭证包
+ * @returns {Object<string, object[]>} 更新后的存档
+ */
+export const saveIssuedPackages = (chainId, issuer, packages) => {
+  const archive = loadIssuedPackages(chainId, issuer);
+  packages.forEach((pkg) => {
+    const key = pkg.merkleRoot || pkg.leaf;
+    const batch = archive[key] || [];
+    if (!batch.some((existing) => existing.leaf === pkg.leaf)) {
+      batch.push(pkg);
+    }
+    archive[key] = batch;
+  });
+  localStorage.setItem(storageKey(chainId, issuer), JSON.stringify(archive));
+  return archive;
+};
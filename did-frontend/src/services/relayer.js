@@ -0,0 +1,56 @@
+import { DID_META_TX_TYPES, DEFAULT_META_TX_VALIDITY, getDidRegistryDomain } from '../lib/didMetaTx.js';
+
+// 默认连接本地运行的中继服务 (my-did-project: npm run relayer)
+const DEFAULT_RELAYER_URL = 'http://127.0.0.1:8081';
+
+const RELAYER_URL = process.env.REACT_APP_RELAYER_URL || DEFAULT_RELAYER_URL;
+
+/**
+ * 由当前钱包签名 DID 操作请求，并交给中继服务提交，钱包本身无需持有 ETH。
+ * @param {object} didRegistryContract 连接到签名者的 DIDRegistry 合约实例
+ * @param {string} operation createDID | updateDID | revokeDID
+ * @param {object} fields 请求字段（不含 nonce 和 deadline），例如 { did, newCid }
+ * @returns {Promise<{hash: string, wait: function(): Promise<object>}>} 与交易对象相同的 hash/wait 接口
+ */
+export const relayDIDOperation = async (didRegistryContract, operation, fields) => {
+  const signer = didRegistryContract.runner;
+  const { provider } = signer;
+  const [{ chainId }, verifyingContract, nonce] = await Promise.all([
+    provider.getNetwork(),
+    didRegistryContract.getAddress(),
+    didRegistryContract.getNonce(await signer.getAddress()),
+  ]);
+
+  const request = {
+    ...fields,
+    nonce: nonce.toString(),
+    deadline: Math.floor(Date.now() / 1000) + DEFAULT_META_TX_VALIDITY,
+  };
+  const signature = await signer.signTypedData(
+    getDidRegistryDomain(chainId, verifyingContract),
+    DID_META_TX_TYPES[operation],
+    request
+  );
+
+  const response = await fetch(`${RELAYER_URL}/relay`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ operation, request, signature }),
+  });
+  const result = await response.json();
+  if (!response.ok) {
+    throw new Error(`中继服务拒绝了请求: ${result.error}`);
+  }
+
+  const { transactionHash } = result;
+  return {
+    hash: transactionHash,
+    async wait() {
+      const receipt = await provider.waitForTransaction(transactionHash);
+      if (receipt.status !== 1) {
+        throw new Error(`中继交易执行失败: ${transactionHash}`);
+      }
+      return receipt;
+    },
+  };
+};
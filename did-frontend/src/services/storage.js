@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { generateEncryptionKey, encryptJson, decryptJson } from '../lib/encryption.js';
+
+// 存储后端：
+// - ipfs:   任意兼容 Kubo RPC API 的节点（本地 Kubo、Infura、Pinata 等）
+// - memory: 进程内存储，仅用于测试和离线演示，页面刷新后数据丢失
+export const STORAGE_BACKENDS = {
+  IPFS: 'ipfs',
+  MEMORY: 'memory',
+};
+
+// 默认连接本地 Kubo 节点的 RPC 端口
+const DEFAULT_IPFS_API_URL = 'http://127.0.0.1:5001/api/v0';
+
+const createIpfsBackend = ({ url, authorization }) => {
+  let clientPromise = null;
+
+  // 按需加载 ipfs-http-client，避免未使用 IPFS 时也打包加载整个客户端
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = import('ipfs-http-client').then(({ create }) => create({
+        url,
+        headers: authorization ? { authorization } : undefined,
+      }));
+    }
+    return clientPromise;
+  };
+
+  return {
+    async add(text) {
+      const client = await getClient();
+      const { cid } = await client.add(text, { pin: true });
+      return cid.toString();
+    },
+    async cat(cid) {
+      const client = await getClient();
+      const decoder = new TextDecoder();
+      let text = '';
+      for await (const chunk of client.cat(cid)) {
+        text += decoder.decode(chunk, { stream: true });
+      }
+      return text + decoder.decode();
+    },
+  };
+};
+
+const createMemoryBackend = () => {
+  const objects = new Map();
+
+  return {
+    async add(text) {
+      // 内存存储没有真正的 CID，使用内容哈希作为可复现的标识
+      const cid = `mem:${ethers.sha256(ethers.toUtf8Bytes(text)).slice(2)}`;
+      objects.set(cid, text);
+      return cid;
+    },
+    async cat(cid) {
+      if (!objects.has(cid)) {
+        throw new Error(`Object not found in memory storage: ${cid}`);
+      }
+      return objects.get(cid);
+    },
+  };
+};
+
+/**
+ * 创建存储服务。
+ * @param {object} [config]
+ * @param {string} [config.backend] STORAGE_BACKENDS 中的一个，默认 ipfs
+ * @param {string} [config.url] IPFS RPC API 地址
+ * @param {string} [config.authorization] 可选的 Authorization 请求头（例如托管节点的 Basic 认证）
+ * @returns {object} 存储服务
+ */
+export const createStorage = ({ backend = STORAGE_BACKENDS.IPFS, url = DEFAULT_IPFS_API_URL, authorization } = {}) => {
+  let store;
+  switch (backend) {
+    case STORAGE_BACKENDS.IPFS:
+      store = createIpfsBackend({ url, authorization });
+      break;
+    case STORAGE_BACKENDS.MEMORY:
+      store = createMemoryBackend();
+      break;
+    default:
+      throw new Error(`Unknown storage backend: ${backend}`);
+  }
+
+  return {
+    backend,
+
+    /** 存储并固定一个 JSON 文档（例如 DID 文档），返回其 CID。 */
+    async addJson(data) {
+      return store.add(JSON.stringify(data));
+    },
+
+    /** 读取 addJson 存储的 JSON 文档。 */
+    async getJson(cid) {
+      return JSON.parse(await store.cat(cid));
+    },
+
+    /**
+     * 使用新生成的密钥加密后存储 JSON 数据。
+     * @returns {Promise<{cid: string, key: string}>} CID 与解密所需的 base64 密钥
+     */
+    async addEncryptedJson(data) {
+      const key = await generateEncryptionKey();
+      const cid = await store.add(JSON.stringify(await encryptJson(data, key)));
+      return { cid, key };
+    },
+
+    /** 读取并解密 addEncryptedJson 存储的数据。 */
+    async getEncryptedJson(cid, key) {
+      return decryptJson(JSON.parse(await store.cat(cid)), key);
+    },
+  };
+};
+
+// 应用使用的默认存储实例，通过 .env 中的 REACT_APP_STORAGE_* 变量配置
+const storage = createStorage({
+  backend: process.env.REACT_APP_STORAGE_BACKEND || STORAGE_BACKENDS.IPFS,
+  url: process.env.REACT_APP_IPFS_API_URL || DEFAULT_IPFS_API_URL,
+  authorization: process.env.REACT_APP_IPFS_AUTHORIZATION,
+});
+
+export default storage;
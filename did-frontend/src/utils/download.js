@@ -0,0 +1,41 @@
+import JSZip from 'jszip';
+import { credentialPackageFileName } from '../lib/credentialPackage';
+
+// 通过临时的 <a> 元素触发浏览器下载
+const triggerDownload = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * 将任意对象以格式化 JSON 文件的形式下载。
+ */
+export const downloadJson = (data, fileName) => {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  triggerDownload(blob, fileName);
+};
+
+/**
+ * 将文本（例如 CSV）下载为文件。
+ */
+export const downloadText = (text, fileName, type = 'text/plain') => {
+  triggerDownload(new Blob([text], { type }), fileName);
+};
+
+/**
+ * 将一个批次的全部凭证包打包为 zip 下载。
+ */
+export const downloadCredentialPackagesZip = async (packages, fileName) => {
+  const zip = new JSZip();
+  packages.forEach((pkg) => {
+    zip.file(credentialPackageFileName(pkg), JSON.stringify(pkg, null, 2));
+  });
+  const blob = await zip.generateAsync({ type: 'blob' });
+  triggerDownload(blob, fileName);
+};
@@ -3,54 +3,88 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
 /**
  * @title DIDRegistry
  * @dev A simple registry for Decentralized Identifiers (DIDs).
  * It allows creating, resolving, updating, and revoking DIDs.
  * Each DID is associated with a controller address and a document (e.g., IPFS CID).
+ * Controllers can transfer a DID to a new address and grant time-limited
+ * delegates (similar to ERC-1056) that may act on behalf of the DID.
+ * createDID, updateDID and revokeDID also have gasless variants: the controller
+ * signs an EIP-712 request and any relayer may submit it.
+ * Every state change is appended to a per-DID version log, so a DID can be resolved
+ * as it was at an earlier version or point in time (e.g. when a credential was signed).
  */
-contract DIDRegistry {
+contract DIDRegistry is EIP712 {
 
     enum Status { Active, Revoked }
 
+    // Delegate types, following the naming used by ERC-1056.
+    bytes32 public constant DELEGATE_VERI_KEY = "veriKey"; // may sign on behalf of the DID
+    bytes32 public constant DELEGATE_SIG_AUTH = "sigAuth"; // may authenticate as the DID
+
+    // EIP-712 type hashes of the signed (meta-transaction) requests.
+    // Every signed request consumes the signer's nonce, which prevents replays.
+    bytes32 public constant CREATE_DID_TYPEHASH =
+        keccak256("CreateDID(address controller,string cid,uint256 nonce,uint256 deadline)");
+    bytes32 public constant UPDATE_DID_TYPEHASH =
+        keccak256("UpdateDID(bytes32 did,string newCid,uint256 nonce,uint256 deadline)");
+    bytes32 public constant REVOKE_DID_TYPEHASH =
+        keccak256("RevokeDID(bytes32 did,uint256 nonce,uint256 deadline)");
+
     struct DIDDocument {
         address controller;
         string cid; // Content Identifier for the DID document (e.g., on IPFS)
         Status status;
     }
 
+    // A snapshot of a DID after one state change (creation, update, controller transfer or revocation).
+    struct DIDVersion {
+        address controller;
+        string cid;
+        Status status;
+        uint64 timestamp;
+        uint64 blockNumber;
+    }
+
     // Mapping from a DID (which is a bytes32 hash) to its document.
     mapping(bytes32 => DIDDocument) private dids;
+    // DID => versions in order; version ids start at 1 (the version created with the DID).
+    mapping(bytes32 => DIDVersion[]) private versions;
     mapping(address => uint256) private nonces;
     event DIDRegistered(bytes32 indexed did, address indexed controller, string cid);
     event DIDUpdated(bytes32 indexed did, string newCid);
     event DIDRevoked(bytes32 indexed did);
+    event DIDControllerChanged(bytes32 indexed did, address indexed previousController, address indexed newController);
+    // validTo is the expiry timestamp; a revoked delegate is reported with validTo = block.timestamp.
+    event DIDDelegateChanged(bytes32 indexed did, bytes32 indexed delegateType, address indexed delegate, uint256 validTo);
     
     mapping(address => bytes32[]) private ownerToDIDs;
+    // DID => delegate epoch => delegate type => delegate address => expiry timestamp
+    mapping(bytes32 => mapping(uint256 => mapping(bytes32 => mapping(address => uint256)))) private delegates;
+    // DID => current delegate epoch; bumped on controller transfer so the previous controller's delegates lapse.
+    mapping(bytes32 => uint256) private delegateEpochs;
+
+    /**
+     * @dev Reverts unless `_did` exists, is active and is controlled by the caller.
+     */
+    modifier onlyActiveController(bytes32 _did) {
+        _checkActiveController(_did, msg.sender);
+        _;
+    }
+
+    constructor() EIP712("DIDRegistry", "1") {}
+
     /**
      * @dev Creates a new DID for the caller.
      * The DID itself is derived from the controller's address and a nonce.
      * @param _cid The Content Identifier for the associated DID document.
      */
     function createDID(string calldata _cid) public {
-        // 使用 nonce 来确保唯一性
-        uint256 userNonce = nonces[msg.sender];
-        bytes32 did = keccak256(abi.encodePacked(msg.sender, userNonce));
-        
-        // 检查 DID 是否存在 (虽然现在几乎不可能碰撞，但保留是个好习惯)
-        require(dids[did].controller == address(0), "DIDRegistry: DID already exists");
-
-        dids[did] = DIDDocument({
-            controller: msg.sender,
-            cid: _cid,
-            status: Status.Active
-        });
-        
-        // 创建成功后，增加用户的 nonce
-        nonces[msg.sender]++;
-        ownerToDIDs[msg.sender].push(did);
-
-        emit DIDRegistered(did, msg.sender, _cid);
+        _createDID(msg.sender, _cid);
     }
 
     /**
@@ -59,14 +93,8 @@ contract DIDRegistry {
      * @param _did The DID to update.
      * @param _newCid The new Content Identifier.
      */
-    function updateDID(bytes32 _did, string calldata _newCid) public {
-        DIDDocument storage doc = dids[_did];
-        require(doc.controller != address(0), "DIDRegistry: DID does not exist");
-        require(doc.controller == msg.sender, "DIDRegistry: Caller is not the controller");
-        require(doc.status == Status.Active, "DIDRegistry: DID is revoked");
-
-        doc.cid = _newCid;
-        emit DIDUpdated(_did, _newCid);
+    function updateDID(bytes32 _did, string calldata _newCid) public onlyActiveController(_did) {
+        _updateDID(_did, _newCid);
     }
 
     /**
@@ -75,13 +103,65 @@ contract DIDRegistry {
      * @param _did The DID to revoke.
      */
     function revokeDID(bytes32 _did) public {
-        DIDDocument storage doc = dids[_did];
-        require(doc.controller != address(0), "DIDRegistry: DID does not exist");
-        require(doc.controller == msg.sender, "DIDRegistry: Caller is not the controller");
-        require(doc.status == Status.Active, "DIDRegistry: DID is already revoked");
+        _revokeDID(_did, msg.sender);
+    }
 
-        doc.status = Status.Revoked;
-        emit DIDRevoked(_did);
+    /**
+     * @dev Creates a DID for `_controller` from a CreateDID request signed by `_controller`.
+     * Anyone (e.g. a relayer paying the gas) may submit the request.
+     * @param _controller The address that signed the request and will control the DID.
+     * @param _cid The Content Identifier for the associated DID document.
+     * @param _deadline Timestamp after which the signature is no longer accepted.
+     * @param _signature The controller's EIP-712 signature.
+     */
+    function createDIDWithSignature(
+        address _controller,
+        string calldata _cid,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public {
+        // nonces[_controller] is consumed by _createDID
+        bytes32 structHash = keccak256(abi.encode(
+            CREATE_DID_TYPEHASH, _controller, keccak256(bytes(_cid)), nonces[_controller], _deadline
+        ));
+        _checkSignature(_controller, structHash, _deadline, _signature);
+        _createDID(_controller, _cid);
+    }
+
+    /**
+     * @dev Updates a DID from an UpdateDID request signed by its controller.
+     * @param _did The DID to update.
+     * @param _newCid The new Content Identifier.
+     * @param _deadline Timestamp after which the signature is no longer accepted.
+     * @param _signature The controller's EIP-712 signature.
+     */
+    function updateDIDWithSignature(
+        bytes32 _did,
+        string calldata _newCid,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) public {
+        address controller = dids[_did].controller;
+        _checkActiveController(_did, controller);
+        bytes32 structHash = keccak256(abi.encode(
+            UPDATE_DID_TYPEHASH, _did, keccak256(bytes(_newCid)), nonces[controller]++, _deadline
+        ));
+        _checkSignature(controller, structHash, _deadline, _signature);
+        _updateDID(_did, _newCid);
+    }
+
+    /**
+     * @dev Revokes a DID from a RevokeDID request signed by its controller.
+     * @param _did The DID to revoke.
+     * @param _deadline Timestamp after which the signature is no longer accepted.
+     * @param _signature The controller's EIP-712 signature.
+     */
+    function revokeDIDWithSignature(bytes32 _did, uint256 _deadline, bytes calldata _signature) public {
+        address controller = dids[_did].controller;
+        require(controller != address(0), "DIDRegistry: DID does not exist");
+        bytes32 structHash = keccak256(abi.encode(REVOKE_DID_TYPEHASH, _did, nonces[controller]++, _deadline));
+        _checkSignature(controller, structHash, _deadline, _signature);
+        _revokeDID(_did, controller);
     }
 
     /**
@@ -98,4 +178,203 @@ contract DIDRegistry {
     return ownerToDIDs[_owner];
 }
 
+    /**
+     * @dev Returns the number of versions of a DID, which is also the id of its current version.
+     */
+    function getVersionCount(bytes32 _did) public view returns (uint256) {
+        return versions[_did].length;
+    }
+
+    /**
+     * @dev Returns one version of a DID.
+     * @param _did The DID.
+     * @param _versionId The version id, from 1 to getVersionCount(_did).
+     */
+    function getDIDVersion(bytes32 _did, uint256 _versionId) public view returns (DIDVersion memory) {
+        require(_versionId >= 1 && _versionId <= versions[_did].length, "DIDRegistry: Version does not exist");
+        return versions[_did][_versionId - 1];
+    }
+
+    /**
+     * @dev Returns the id of the version that was current at `_timestamp`,
+     * or 0 if the DID did not exist yet.
+     */
+    function getVersionIdAt(bytes32 _did, uint256 _timestamp) public view returns (uint256) {
+        DIDVersion[] storage history = versions[_did];
+        // Binary search for the number of versions created at or before _timestamp.
+        uint256 low = 0;
+        uint256 high = history.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (history[mid].timestamp <= _timestamp) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * @dev Returns the current nonce of an address.
+     * The next DID created by `_owner` is keccak256(abi.encodePacked(_owner, getNonce(_owner))),
+     * and the next signed request of `_owner` must carry this nonce.
+     */
+    function getNonce(address _owner) public view returns (uint256) {
+        return nonces[_owner];
+    }
+
+    /**
+     * @dev Transfers control of a DID to a new address, e.g. to rotate a compromised wallet.
+     * The DID is moved from the previous controller's list to the new controller's list,
+     * and delegates appointed by the previous controller are no longer valid.
+     * @param _did The DID to transfer.
+     * @param _newController The address that will control the DID.
+     */
+    function transferController(bytes32 _did, address _newController) public onlyActiveController(_did) {
+        require(_newController != address(0), "DIDRegistry: New controller is the zero address");
+        require(_newController != msg.sender, "DIDRegistry: New controller is the current controller");
+
+        dids[_did].controller = _newController;
+        delegateEpochs[_did]++;
+        _removeOwnedDID(msg.sender, _did);
+        ownerToDIDs[_newController].push(_did);
+        _recordVersion(_did);
+
+        emit DIDControllerChanged(_did, msg.sender, _newController);
+    }
+
+    /**
+     * @dev Adds (or renews) a delegate that is valid for `_validity` seconds.
+     * @param _did The DID the delegate acts for.
+     * @param _delegateType The delegate type, e.g. DELEGATE_VERI_KEY or DELEGATE_SIG_AUTH.
+     * @param _delegate The delegate address.
+     * @param _validity How long, in seconds, the delegate stays valid.
+     */
+    function addDelegate(bytes32 _did, bytes32 _delegateType, address _delegate, uint256 _validity) public onlyActiveController(_did) {
+        require(_delegate != address(0), "DIDRegistry: Delegate is the zero address");
+        require(_validity > 0, "DIDRegistry: Validity must be positive");
+
+        uint256 validTo = block.timestamp + _validity;
+        _currentDelegates(_did)[_delegateType][_delegate] = validTo;
+        emit DIDDelegateChanged(_did, _delegateType, _delegate, validTo);
+    }
+
+    /**
+     * @dev Revokes a delegate before its expiry.
+     * @param _did The DID the delegate acts for.
+     * @param _delegateType The delegate type.
+     * @param _delegate The delegate address.
+     */
+    function revokeDelegate(bytes32 _did, bytes32 _delegateType, address _delegate) public onlyActiveController(_did) {
+        require(_currentDelegates(_did)[_delegateType][_delegate] > block.timestamp, "DIDRegistry: Delegate is not valid");
+
+        _currentDelegates(_did)[_delegateType][_delegate] = block.timestamp;
+        emit DIDDelegateChanged(_did, _delegateType, _delegate, block.timestamp);
+    }
+
+    /**
+     * @dev Checks whether `_delegate` is currently a valid delegate of the given type for a DID.
+     */
+    function validDelegate(bytes32 _did, bytes32 _delegateType, address _delegate) public view returns (bool) {
+        return dids[_did].status == Status.Active && _currentDelegates(_did)[_delegateType][_delegate] > block.timestamp;
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator used for signed requests.
+     */
+    function DOMAIN_SEPARATOR() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function _createDID(address _controller, string calldata _cid) private {
+        // 使用 nonce 来确保唯一性
+        uint256 userNonce = nonces[_controller];
+        bytes32 did = keccak256(abi.encodePacked(_controller, userNonce));
+        
+        // 检查 DID 是否存在 (虽然现在几乎不可能碰撞，但保留是个好习惯)
+        require(dids[did].controller == address(0), "DIDRegistry: DID already exists");
+
+        dids[did] = DIDDocument({
+            controller: _controller,
+            cid: _cid,
+            status: Status.Active
+        });
+        
+        // 创建成功后，增加用户的 nonce
+        nonces[_controller]++;
+        ownerToDIDs[_controller].push(did);
+        _recordVersion(did);
+
+        emit DIDRegistered(did, _controller, _cid);
+    }
+
+    function _updateDID(bytes32 _did, string calldata _newCid) private {
+        dids[_did].cid = _newCid;
+        _recordVersion(_did);
+        emit DIDUpdated(_did, _newCid);
+    }
+
+    function _revokeDID(bytes32 _did, address _caller) private {
+        DIDDocument storage doc = dids[_did];
+        require(doc.controller != address(0), "DIDRegistry: DID does not exist");
+        require(doc.controller == _caller, "DIDRegistry: Caller is not the controller");
+        require(doc.status == Status.Active, "DIDRegistry: DID is already revoked");
+
+        doc.status = Status.Revoked;
+        _recordVersion(_did);
+        emit DIDRevoked(_did);
+    }
+
+    /**
+     * @dev Appends the current state of `_did` to its version log.
+     */
+    function _recordVersion(bytes32 _did) private {
+        DIDDocument storage doc = dids[_did];
+        versions[_did].push(DIDVersion({
+            controller: doc.controller,
+            cid: doc.cid,
+            status: doc.status,
+            timestamp: uint64(block.timestamp),
+            blockNumber: uint64(block.number)
+        }));
+    }
+
+    function _checkActiveController(bytes32 _did, address _caller) private view {
+        DIDDocument storage doc = dids[_did];
+        require(doc.controller != address(0), "DIDRegistry: DID does not exist");
+        require(doc.controller == _caller, "DIDRegistry: Caller is not the controller");
+        require(doc.status == Status.Active, "DIDRegistry: DID is revoked");
+    }
+
+    /**
+     * @dev Reverts unless `_signature` is `_signer`'s signature over the typed struct and the deadline has not passed.
+     */
+    function _checkSignature(address _signer, bytes32 _structHash, uint256 _deadline, bytes calldata _signature) private view {
+        require(block.timestamp <= _deadline, "DIDRegistry: Signature expired");
+        address recovered = ECDSA.recover(_hashTypedDataV4(_structHash), _signature);
+        require(recovered == _signer, "DIDRegistry: Invalid signature");
+    }
+
+    /**
+     * @dev Removes a DID from an owner's list (swap and pop).
+     */
+    function _removeOwnedDID(address _owner, bytes32 _did) private {
+        bytes32[] storage owned = ownerToDIDs[_owner];
+        for (uint256 i = 0; i < owned.length; i++) {
+            if (owned[i] == _did) {
+                owned[i] = owned[owned.length - 1];
+                owned.pop();
+                return;
+            }
+        }
+    }
+
+    /**
+     * @dev Delegates appointed under the DID's current controller; earlier epochs are never read again.
+     */
+    function _currentDelegates(bytes32 _did) private view returns (mapping(bytes32 => mapping(address => uint256)) storage) {
+        return delegates[_did][delegateEpochs[_did]];
+    }
+
 }
@@ -5,29 +5,106 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
-import "hardhat/console.sol";
+import "./DIDRegistry.sol";
+
 /**
  * @title VCRegistry
  * @dev Manages the issuance and revocation of Verifiable Credentials (VCs)
  * using a Merkle tree approach for batch operations.
  * Issuers are managed via an AccessControl role.
+ * A batch may carry a validity window: its credentials expire after `validUntil`.
+ * Revocation is scoped to a batch: either per leaf, or in bulk through a per-root
+ * status list bitmap indexed by each credential's statusListIndex
+ * (W3C Bitstring Status List).
+ * Issuers can also be registered in a trust registry that links their address
+ * to a DIDRegistry DID, a display name and an accreditation with a validity period.
+ * Each issuer registers the JSON Schemas its credentials follow, addressed by content hash.
+ * Credential subjects can be bound to DIDRegistry DIDs: verifiers can look up a subject
+ * DID's current status and controller.
  */
 contract VCRegistry is AccessControl {
     bytes32 public constant ISSUER_ROLE = keccak256("ISSUER_ROLE");
+    // Maintains the trust registry; can be granted to a governance contract.
+    bytes32 public constant ACCREDITOR_ROLE = keccak256("ACCREDITOR_ROLE");
+
+    // Result of verifyCredential, so callers can tell why a credential is not valid.
+    enum CredentialStatus { Valid, Revoked, UnknownRoot, InvalidProof, Expired }
+
+    // Status of a credential subject's DID in the linked DIDRegistry.
+    enum SubjectStatus { Active, Revoked, NotFound }
+
+    // Trust registry entry of an issuer.
+    struct IssuerAccreditation {
+        bytes32 did; // The issuer's DID in DIDRegistry
+        string name;
+        string accreditationType; // e.g. "HigherEducation"
+        uint64 validFrom;
+        uint64 validUntil; // Last timestamp the accreditation is valid at (0 = no end)
+    }
+
+    // A JSON Schema document registered by an issuer.
+    struct CredentialSchemaRecord {
+        string name;
+        string cid;
+        uint64 registeredAt; // 0 means not registered
+    }
 
     // Mapping from a Merkle root to the address of the issuer who published it.
     mapping(bytes32 => address) public merkleRootToIssuer;
 
-    // Mapping to track revoked VCs. A leaf is the keccak256 hash of a VC.
-    mapping(bytes32 => bool) public isBatchCredentialRevoked;
+    // Merkle root => leaf => revoked. A leaf is the hash of a VC; scoping by root
+    // keeps an issuer from revoking the same leaf in another issuer's batch.
+    mapping(bytes32 => mapping(bytes32 => bool)) private revokedLeaves;
+
+    // Merkle root => word index => 256 status bits. Bit `i % 256` of word `i / 256`
+    // is set when the credential with statusListIndex `i` is revoked.
+    mapping(bytes32 => mapping(uint256 => uint256)) private statusListWords;
+
+    // Mapping from a Merkle root to the last timestamp its credentials are valid at (0 = no expiry).
+    mapping(bytes32 => uint256) public merkleRootValidUntil;
+
+    // Issuer address => trust registry entry (did == 0 means not registered).
+    mapping(address => IssuerAccreditation) private accreditations;
+
+    // Issuer address => schema hash => registered credential schema.
+    // The hash is keccak256 of the JCS-canonicalized JSON Schema document stored at `cid`.
+    mapping(address => mapping(bytes32 => CredentialSchemaRecord)) private credentialSchemas;
+    mapping(address => bytes32[]) private issuerSchemaHashes;
+
+    // The DIDRegistry that credential subject DIDs are resolved against.
+    DIDRegistry public didRegistry;
 
     event BatchCredentialsIssued(bytes32 indexed merkleRoot, address indexed issuer);
+    event BatchValidityWindowSet(bytes32 indexed merkleRoot, uint256 validUntil);
     event BatchCredentialRevoked(bytes32 indexed leaf, bytes32 indexed merkleRoot, address indexed revoker);
+    event CredentialRevocationReason(bytes32 indexed leaf, bytes32 indexed merkleRoot, string reason);
+    // Display label of an issuer, kept in the logs only (the latest event wins).
+    event IssuerMetadataUpdated(address indexed issuer, string name, string website);
+    event StatusListUpdated(bytes32 indexed merkleRoot, uint256[] wordIndices, uint256[] masks, address indexed revoker);
+    event IssuerAccredited(
+        address indexed issuer,
+        bytes32 indexed did,
+        string name,
+        string accreditationType,
+        uint64 validFrom,
+        uint64 validUntil
+    );
+    event IssuerAccreditationRemoved(address indexed issuer);
+    event CredentialSchemaRegistered(address indexed issuer, bytes32 indexed schemaHash, string name, string cid);
+    event DIDRegistryUpdated(address indexed didRegistry);
+
+    modifier onlyBatchIssuer(bytes32 _merkleRoot) {
+        address issuer = merkleRootToIssuer[_merkleRoot];
+        require(issuer != address(0), "VCRegistry: Merkle root does not exist");
+        require(msg.sender == issuer, "VCRegistry: Caller is not the batch issuer");
+        _;
+    }
 
     constructor() {
         // The deployer gets both admin and issuer roles by default.
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ISSUER_ROLE, msg.sender);
+        _grantRole(ACCREDITOR_ROLE, msg.sender);
     }
 
     /**
@@ -38,6 +115,23 @@ contract VCRegistry is AccessControl {
         grantRole(ISSUER_ROLE, _issuer);
     }
 
+    /**
+     * @dev Grants the ISSUER_ROLE to an account and labels it, e.g. for onboarding a university.
+     * Can only be called by an account with the DEFAULT_ADMIN_ROLE.
+     * The issuer's DID is only recorded in the trust registry, see setIssuerAccreditation.
+     * @param _issuer The issuer address.
+     * @param _name The issuer's display name.
+     * @param _website The issuer's website.
+     */
+    function grantIssuerRoleWithMetadata(
+        address _issuer,
+        string calldata _name,
+        string calldata _website
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        grantRole(ISSUER_ROLE, _issuer);
+        emit IssuerMetadataUpdated(_issuer, _name, _website);
+    }
+
     /**
      * @dev Revokes the ISSUER_ROLE from an account.
      * Can only be called by an account with the DEFAULT_ADMIN_ROLE.
@@ -46,14 +140,145 @@ contract VCRegistry is AccessControl {
         revokeRole(ISSUER_ROLE, _issuer);
     }
 
+    /**
+     * @dev Registers an issuer in the trust registry, or replaces its entry.
+     * Can only be called by an account with the ACCREDITOR_ROLE.
+     * @param _issuer The issuer address.
+     * @param _did The issuer's DID in DIDRegistry.
+     * @param _name The issuer's display name.
+     * @param _accreditationType What the issuer is accredited for.
+     * @param _validFrom The first timestamp at which the accreditation is valid.
+     * @param _validUntil The last timestamp at which the accreditation is valid (0 = no end).
+     */
+    function setIssuerAccreditation(
+        address _issuer,
+        bytes32 _did,
+        string calldata _name,
+        string calldata _accreditationType,
+        uint64 _validFrom,
+        uint64 _validUntil
+    ) public onlyRole(ACCREDITOR_ROLE) {
+        require(_issuer != address(0), "VCRegistry: Invalid issuer address");
+        require(_did != bytes32(0), "VCRegistry: DID is required");
+        require(_validUntil == 0 || _validUntil >= _validFrom, "VCRegistry: Invalid accreditation period");
+
+        accreditations[_issuer] = IssuerAccreditation(_did, _name, _accreditationType, _validFrom, _validUntil);
+        emit IssuerAccredited(_issuer, _did, _name, _accreditationType, _validFrom, _validUntil);
+    }
+
+    /**
+     * @dev Removes an issuer from the trust registry.
+     * Can only be called by an account with the ACCREDITOR_ROLE.
+     */
+    function removeIssuerAccreditation(address _issuer) public onlyRole(ACCREDITOR_ROLE) {
+        require(accreditations[_issuer].did != bytes32(0), "VCRegistry: Issuer is not registered");
+        delete accreditations[_issuer];
+        emit IssuerAccreditationRemoved(_issuer);
+    }
+
+    /**
+     * @dev Returns the trust registry entry of an issuer (all fields zero if not registered).
+     */
+    function getIssuerAccreditation(address _issuer) public view returns (IssuerAccreditation memory) {
+        return accreditations[_issuer];
+    }
+
+    /**
+     * @dev Returns whether an issuer is registered and its accreditation is valid at `_timestamp`.
+     */
+    function isIssuerAccredited(address _issuer, uint256 _timestamp) public view returns (bool) {
+        IssuerAccreditation storage accreditation = accreditations[_issuer];
+        return accreditation.did != bytes32(0)
+            && _timestamp >= accreditation.validFrom
+            && (accreditation.validUntil == 0 || _timestamp <= accreditation.validUntil);
+    }
+
+    /**
+     * @dev Registers a credential schema for the calling issuer.
+     * @param _schemaHash keccak256 of the JCS-canonicalized schema document.
+     * @param _name The schema's display name, e.g. "EmploymentCredential".
+     * @param _cid Where the schema document is stored.
+     */
+    function registerCredentialSchema(
+        bytes32 _schemaHash,
+        string calldata _name,
+        string calldata _cid
+    ) public onlyRole(ISSUER_ROLE) {
+        require(_schemaHash != bytes32(0), "VCRegistry: Schema hash is required");
+        require(bytes(_cid).length > 0, "VCRegistry: Schema CID is required");
+        require(credentialSchemas[msg.sender][_schemaHash].registeredAt == 0, "VCRegistry: Schema already registered");
+
+        credentialSchemas[msg.sender][_schemaHash] = CredentialSchemaRecord(_name, _cid, uint64(block.timestamp));
+        issuerSchemaHashes[msg.sender].push(_schemaHash);
+        emit CredentialSchemaRegistered(msg.sender, _schemaHash, _name, _cid);
+    }
+
+    /**
+     * @dev Returns a schema registered by an issuer (all fields zero if not registered).
+     */
+    function getCredentialSchema(address _issuer, bytes32 _schemaHash) public view returns (CredentialSchemaRecord memory) {
+        return credentialSchemas[_issuer][_schemaHash];
+    }
+
+    /**
+     * @dev Returns the hashes of all schemas registered by an issuer, in registration order.
+     */
+    function getCredentialSchemaHashes(address _issuer) public view returns (bytes32[] memory) {
+        return issuerSchemaHashes[_issuer];
+    }
+
+    /**
+     * @dev Sets the DIDRegistry that credential subject DIDs are resolved against.
+     * Can only be called by an account with the DEFAULT_ADMIN_ROLE.
+     */
+    function setDIDRegistry(DIDRegistry _didRegistry) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(address(_didRegistry) != address(0), "VCRegistry: Invalid DID registry address");
+        didRegistry = _didRegistry;
+        emit DIDRegistryUpdated(address(_didRegistry));
+    }
+
+    /**
+     * @dev Returns the current status and controller of a subject DID in the linked DIDRegistry.
+     * @param _did The subject's DID hash.
+     * @return The subject status and the DID's controller (zero if the DID does not exist).
+     */
+    function getSubjectStatus(bytes32 _did) public view returns (SubjectStatus, address) {
+        require(address(didRegistry) != address(0), "VCRegistry: DID registry not set");
+        // resolveDID reverts for DIDs that were never registered.
+        try didRegistry.resolveDID(_did) returns (address controller, string memory, DIDRegistry.Status status) {
+            return (status == DIDRegistry.Status.Active ? SubjectStatus.Active : SubjectStatus.Revoked, controller);
+        } catch {
+            return (SubjectStatus.NotFound, address(0));
+        }
+    }
+
+    /**
+     * @dev Returns whether `_account` is the current controller of an active subject DID,
+     * e.g. to check that whoever presents a credential is its subject.
+     */
+    function isSubjectController(bytes32 _did, address _account) public view returns (bool) {
+        (SubjectStatus status, address controller) = getSubjectStatus(_did);
+        return status == SubjectStatus.Active && controller == _account;
+    }
+
     /**
      * @dev Issues a batch of VCs by committing their Merkle root to the chain.
      * @param _merkleRoot The root of the Merkle tree of VC hashes.
      */
     function issueBatchCredentials(bytes32 _merkleRoot) public onlyRole(ISSUER_ROLE) {
-        require(merkleRootToIssuer[_merkleRoot] == address(0), "VCRegistry: Merkle root already exists");
-        merkleRootToIssuer[_merkleRoot] = msg.sender;
-        emit BatchCredentialsIssued(_merkleRoot, msg.sender);
+        _issueBatch(_merkleRoot);
+    }
+
+    /**
+     * @dev Issues a batch of VCs whose credentials are only valid until `_validUntil`.
+     * @param _merkleRoot The root of the Merkle tree of VC hashes.
+     * @param _validUntil The last timestamp (inclusive) at which the batch is valid.
+     */
+    function issueBatchCredentialsWithExpiry(bytes32 _merkleRoot, uint256 _validUntil) public onlyRole(ISSUER_ROLE) {
+        require(_validUntil > block.timestamp, "VCRegistry: validUntil must be in the future");
+        _issueBatch(_merkleRoot);
+        merkleRootValidUntil[_merkleRoot] = _validUntil;
+        emit BatchValidityWindowSet(_merkleRoot, _validUntil);
     }
 
     /**
@@ -61,35 +286,96 @@ contract VCRegistry is AccessControl {
      * @param _leaf The hash of the VC to revoke.
      * @param _merkleRoot The Merkle root of the batch this VC belongs to.
      */
-    function revokeBatchCredential(bytes32 _leaf, bytes32 _merkleRoot) public {
-        address issuer = merkleRootToIssuer[_merkleRoot];
-        require(issuer != address(0), "VCRegistry: Merkle root does not exist");
-        require(msg.sender == issuer, "VCRegistry: Caller is not the batch issuer");
-        require(!isBatchCredentialRevoked[_leaf], "VCRegistry: Credential already revoked");
+    function revokeBatchCredential(bytes32 _leaf, bytes32 _merkleRoot) public onlyBatchIssuer(_merkleRoot) {
+        _revokeLeaf(_leaf, _merkleRoot);
+    }
 
-        isBatchCredentialRevoked[_leaf] = true;
-        emit BatchCredentialRevoked(_leaf, _merkleRoot, msg.sender);
+    /**
+     * @dev Revokes several VCs of one batch and records why they were revoked.
+     * @param _merkleRoot The Merkle root of the batch the VCs belong to.
+     * @param _leaves The hashes of the VCs to revoke.
+     * @param _reason A human-readable revocation reason, emitted for each VC.
+     */
+    function revokeBatchCredentials(
+        bytes32 _merkleRoot,
+        bytes32[] calldata _leaves,
+        string calldata _reason
+    ) public onlyBatchIssuer(_merkleRoot) {
+        require(_leaves.length > 0, "VCRegistry: No credentials given");
+
+        for (uint256 i = 0; i < _leaves.length; i++) {
+            _revokeLeaf(_leaves[i], _merkleRoot);
+            emit CredentialRevocationReason(_leaves[i], _merkleRoot, _reason);
+        }
+    }
+
+    /**
+     * @dev Returns whether a leaf has been revoked within the given batch.
+     */
+    function isBatchCredentialRevoked(bytes32 _leaf, bytes32 _merkleRoot) public view returns (bool) {
+        return revokedLeaves[_merkleRoot][_leaf];
+    }
+
+    /**
+     * @dev Revokes credentials in bulk by setting bits in the batch's status list.
+     * Each mask is OR-ed into the word at the same position, so one word revokes up to 256 credentials.
+     * Revocation is permanent: bits can only be set, never cleared.
+     * @param _merkleRoot The Merkle root of the batch.
+     * @param _wordIndices The status list words to update (statusListIndex / 256).
+     * @param _masks The bits to set in each word (bit statusListIndex % 256).
+     */
+    function revokeByStatusList(
+        bytes32 _merkleRoot,
+        uint256[] calldata _wordIndices,
+        uint256[] calldata _masks
+    ) public onlyBatchIssuer(_merkleRoot) {
+        require(_wordIndices.length > 0, "VCRegistry: No status bits given");
+        require(_wordIndices.length == _masks.length, "VCRegistry: Length mismatch");
+
+        for (uint256 i = 0; i < _wordIndices.length; i++) {
+            statusListWords[_merkleRoot][_wordIndices[i]] |= _masks[i];
+        }
+        emit StatusListUpdated(_merkleRoot, _wordIndices, _masks, msg.sender);
     }
 
     /**
-     * @dev Verifies if a VC is valid (part of a batch and not revoked).
+     * @dev Returns whether the credential with the given status list index is revoked in a batch.
+     */
+    function isStatusListIndexRevoked(bytes32 _merkleRoot, uint256 _statusListIndex) public view returns (bool) {
+        return (statusListWords[_merkleRoot][_statusListIndex / 256] >> (_statusListIndex % 256)) & 1 == 1;
+    }
+
+    /**
+     * @dev Returns `_count` consecutive status list words of a batch, starting at `_fromWord`,
+     * e.g. to export the list as a Bitstring Status List credential.
+     */
+    function getStatusListWords(
+        bytes32 _merkleRoot,
+        uint256 _fromWord,
+        uint256 _count
+    ) public view returns (uint256[] memory words) {
+        words = new uint256[](_count);
+        for (uint256 i = 0; i < _count; i++) {
+            words[i] = statusListWords[_merkleRoot][_fromWord + i];
+        }
+    }
+
+    /**
+     * @dev Verifies if a VC is valid (part of a batch, not revoked and not expired).
      * @param _leaf The hash of the VC.
      * @param _merkleRoot The Merkle root of the batch.
      * @param _proof The Merkle proof for the leaf.
-     * @return A boolean indicating validity and the address of the issuer.
+     * @return A boolean indicating validity, the address of the issuer and the detailed status.
+     * The issuer is only reported for valid and expired credentials.
      */
     function verifyCredential(
         bytes32 _leaf,
         bytes32 _merkleRoot,
         bytes32[] calldata _proof
-    ) public view returns (bool, address) {
-        if (isBatchCredentialRevoked[_leaf]) {
-            return (false, address(0));
-        }
-
+    ) public view returns (bool, address, CredentialStatus) {
         address issuer = merkleRootToIssuer[_merkleRoot];
         if (issuer == address(0)) {
-            return (false, address(0));
+            return (false, address(0), CredentialStatus.UnknownRoot);
         }
 
         // =======================================================
@@ -97,12 +383,55 @@ contract VCRegistry is AccessControl {
         // We pass `_merkleRoot` to the verify function, not `issuer`.
         // =======================================================
         bool isValid = MerkleProof.verify(_proof, _merkleRoot, _leaf);
-        console.log("MerkleProof.verify est",isValid);
 
-        if (isValid) {
-            return (true, issuer);
-        } else {
-            return (false, address(0));
+        if (!isValid) {
+            return (false, address(0), CredentialStatus.InvalidProof);
+        }
+
+        // Revocation is only checked once the leaf is proven to belong to the batch.
+        if (revokedLeaves[_merkleRoot][_leaf]) {
+            return (false, address(0), CredentialStatus.Revoked);
+        }
+
+        uint256 validUntil = merkleRootValidUntil[_merkleRoot];
+        if (validUntil != 0 && block.timestamp > validUntil) {
+            return (false, issuer, CredentialStatus.Expired);
+        }
+        return (true, issuer, CredentialStatus.Valid);
+    }
+
+    /**
+     * @dev Like verifyCredential, but also checks the batch's status list.
+     * The caller must take `_statusListIndex` from the credential's credentialStatus,
+     * which the leaf hash commits to.
+     * @param _statusListIndex The credential's statusListIndex.
+     */
+    function verifyCredentialWithStatus(
+        bytes32 _leaf,
+        bytes32 _merkleRoot,
+        bytes32[] calldata _proof,
+        uint256 _statusListIndex
+    ) public view returns (bool, address, CredentialStatus) {
+        (bool isValid, address issuer, CredentialStatus status) = verifyCredential(_leaf, _merkleRoot, _proof);
+        if (status == CredentialStatus.UnknownRoot || status == CredentialStatus.InvalidProof) {
+            return (isValid, issuer, status);
         }
+        if (isStatusListIndexRevoked(_merkleRoot, _statusListIndex)) {
+            return (false, address(0), CredentialStatus.Revoked);
+        }
+        return (isValid, issuer, status);
+    }
+
+    function _revokeLeaf(bytes32 _leaf, bytes32 _merkleRoot) private {
+        require(!revokedLeaves[_merkleRoot][_leaf], "VCRegistry: Credential already revoked");
+
+        revokedLeaves[_merkleRoot][_leaf] = true;
+        emit BatchCredentialRevoked(_leaf, _merkleRoot, msg.sender);
+    }
+
+    function _issueBatch(bytes32 _merkleRoot) private {
+        require(merkleRootToIssuer[_merkleRoot] == address(0), "VCRegistry: Merkle root already exists");
+        merkleRootToIssuer[_merkleRoot] = msg.sender;
+        emit BatchCredentialsIssued(_merkleRoot, msg.sender);
     }
 }
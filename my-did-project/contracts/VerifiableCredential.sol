@@ -1,6 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.28;
 
+import "./VCRegistry.sol";
+
+/**
+ * @title VerifiableCredential
+ * @dev Single-credential issuance mode: each credential is recorded under its own id
+ * (the credential's leaf hash) instead of being committed through a Merkle batch.
+ * Issuers are the accounts holding VCRegistry's ISSUER_ROLE, and subjects must be
+ * active DIDs in the DIDRegistry linked to VCRegistry, so both modes share one issuer list.
+ */
 contract VerifiableCredential {
     struct Credential {
         address issuer;
@@ -10,49 +19,43 @@ contract VerifiableCredential {
     }
 
     mapping(bytes32 => Credential) private _credentials;
-    mapping(address => bool) public trustedIssuers;
-    address public owner;
+
+    // The registry whose ISSUER_ROLE may issue credentials and which resolves subject DIDs.
+    VCRegistry public immutable vcRegistry;
 
     event CredentialIssued(bytes32 indexed credentialId, address indexed issuer, bytes32 indexed subjectDID);
     event CredentialRevoked(bytes32 indexed credentialId);
-    event IssuerAdded(address indexed issuer);
-    event IssuerRemoved(address indexed issuer);
-
-    constructor() {
-        owner = msg.sender;
-        trustedIssuers[msg.sender] = true; // Contract deployer is an initial trusted issuer
-    }
 
-    modifier onlyOwner() {
-        require(msg.sender == owner, "VC: Caller is not the owner");
-        _;
+    constructor(VCRegistry _vcRegistry) {
+        require(address(_vcRegistry) != address(0), "VC: Invalid VC registry address");
+        vcRegistry = _vcRegistry;
     }
 
     modifier onlyTrustedIssuer() {
-        require(trustedIssuers[msg.sender], "VC: Caller is not a trusted issuer");
+        require(isTrustedIssuer(msg.sender), "VC: Caller is not a trusted issuer");
         _;
     }
 
-    function addIssuer(address issuer) public onlyOwner {
-        require(!trustedIssuers[issuer], "VC: Issuer already trusted");
-        trustedIssuers[issuer] = true;
-        emit IssuerAdded(issuer);
-    }
-
-    function removeIssuer(address issuer) public onlyOwner {
-        require(trustedIssuers[issuer], "VC: Issuer not trusted");
-        trustedIssuers[issuer] = false;
-        emit IssuerRemoved(issuer);
+    /**
+     * @dev Returns whether `issuer` currently holds VCRegistry's ISSUER_ROLE.
+     */
+    function isTrustedIssuer(address issuer) public view returns (bool) {
+        return vcRegistry.hasRole(vcRegistry.ISSUER_ROLE(), issuer);
     }
 
     /**
      * @dev Issues a new credential to a subject's DID.
+     * Reverts unless the subject DID is active in the DIDRegistry linked to VCRegistry.
      * @param credentialId A unique identifier for the credential.
      * @param subjectDID The DID of the credential subject.
      * @param ipfsHash The IPFS hash of the credential data.
      */
     function issueCredential(bytes32 credentialId, bytes32 subjectDID, string memory ipfsHash) public onlyTrustedIssuer {
+        require(credentialId != bytes32(0), "VC: Invalid credential ID");
         require(_credentials[credentialId].issuer == address(0), "VC: Credential ID already exists");
+        (VCRegistry.SubjectStatus status, ) = vcRegistry.getSubjectStatus(subjectDID);
+        require(status != VCRegistry.SubjectStatus.NotFound, "VC: Subject DID does not exist");
+        require(status == VCRegistry.SubjectStatus.Active, "VC: Subject DID is revoked");
 
         _credentials[credentialId] = Credential({
             issuer: msg.sender,
@@ -72,23 +75,41 @@ contract VerifiableCredential {
         Credential storage cred = _credentials[credentialId];
         require(cred.issuer == msg.sender, "VC: Caller is not the issuer");
         require(!cred.revoked, "VC: Credential already revoked");
-        
+
         cred.revoked = true;
         emit CredentialRevoked(credentialId);
     }
 
+    /**
+     * @dev Returns the full record of a credential, including revoked ones
+     * (issuer is zero if the credential was never issued).
+     */
+    function getCredential(bytes32 credentialId) public view returns (Credential memory) {
+        return _credentials[credentialId];
+    }
+
     /**
      * @dev Verifies if a credential is valid (exists and not revoked).
+     * The status uses VCRegistry's codes so verifiers can treat both modes alike;
+     * UnknownRoot means no credential was issued under this id.
      * @param credentialId The ID of the credential to verify.
      * @return isValid True if the credential exists and is not revoked.
      * @return issuer The address of the issuer.
      * @return ipfsHash The IPFS hash of the credential data.
+     * @return status The detailed status (Valid, Revoked or UnknownRoot).
      */
-    function verifyCredential(bytes32 credentialId) public view returns (bool isValid, address issuer, string memory ipfsHash) {
+    function verifyCredential(bytes32 credentialId)
+        public
+        view
+        returns (bool isValid, address issuer, string memory ipfsHash, VCRegistry.CredentialStatus status)
+    {
         Credential storage cred = _credentials[credentialId];
-        if (cred.issuer == address(0) || cred.revoked) {
-            return (false, address(0), "");
+        if (cred.issuer == address(0)) {
+            return (false, address(0), "", VCRegistry.CredentialStatus.UnknownRoot);
+        }
+        if (cred.revoked) {
+            return (false, address(0), "", VCRegistry.CredentialStatus.Revoked);
         }
-        return (true, cred.issuer, cred.ipfsHash);
+        return (true, cred.issuer, cred.ipfsHash, VCRegistry.CredentialStatus.Valid);
     }
-}
\ No newline at end of file
+}
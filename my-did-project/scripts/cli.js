@@ -0,0 +1,576 @@
+#!/usr/bin/env node
+// MerkleSeal 命令行工具：在浏览器之外创建和管理 DID、颁发、撤销和验证凭证，供定时任务和 CI 使用。
+//
+// 用法: node scripts/cli.js <命令> [参数]（或 npm run cli -- <命令> [参数]）
+//   did create <cid>                        创建 DID，输出 DID 字符串与 bytes32
+//   did resolve <did>                       解析 DID（did:merkleseal 字符串或 bytes32）
+//   did update <did> <cid>                  更新 DID 文档 CID
+//   did revoke <did>                        撤销 DID
+//   vc issue-batch <file> [--out <dir>] [--hash-scheme jcs|eip712|sd] [--valid-until <ISO 时间>]
+//                                           从凭证 JSON 数组构建默克尔树，提交树根并写出凭证包；
+//                                           凭证主体必须是已登记且未撤销的 did:merkleseal DID
+//   vc issue <file> [--out <dir>] [--hash-scheme jcs|eip712] [--cid <cid>]
+//                                           不构建默克尔树，在 VerifiableCredential 中单独颁发一个凭证，
+//                                           --cid 记录凭证数据在 IPFS 上的位置
+//   vc revoke <package>... [--reason <原因>] 撤销凭证包对应的凭证（单个凭证不记录原因）
+//   vc disclose <package> [--fields <字段,...>] [--out <file>]
+//                                           由选择性披露凭证包生成只含所选字段的披露
+//   vc verify <package> [--require-accreditation] [--presenter <address>]
+//                                           验证凭证包或选择性披露，凭证无效、主体 DID 已撤销或
+//                                           出示者不控制主体 DID 时以退出码 1 结束
+//   issuer grant <address> [--name <名称>] [--website <网站>]
+//   issuer revoke <address>
+//
+// 所有命令在成功时向 stdout 输出一个 JSON 对象，错误信息输出到 stderr，退出码见 EXIT_CODES。
+// 环境变量:
+//   RPC_URL               链节点 RPC 地址，默认本地 hardhat 节点 http://127.0.0.1:8545
+//   PRIVATE_KEY           发送交易的账户私钥；不设置时使用节点上已解锁的 hardhat 账户
+//   ACCOUNT_INDEX         未设置私钥时使用的 hardhat 账户序号，默认 0
+//   DID_REGISTRY_ADDRESS  DIDRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+//   VC_REGISTRY_ADDRESS   VCRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+//   VERIFIABLE_CREDENTIAL_ADDRESS  VerifiableCredential 地址，默认读取前端 deployments.json 中当前链的部署
+//   STATUS_LIST_BASE_URL  vc issue-batch 写入凭证的状态列表凭证发布地址，默认与前端开发服务器的 /status-lists 一致
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const { pathToFileURL } = require("url");
+const { ethers } = require("ethers");
+const { MerkleTree } = require("merkletreejs");
+
+const FRONTEND_DIR = path.join(__dirname, "../../did-frontend/src");
+
+// 前端开发服务器上的状态列表目录 (did-frontend/public/status-lists)
+const DEFAULT_STATUS_LIST_BASE_URL = "http://127.0.0.1:3000/status-lists";
+
+const EXIT_CODES = {
+  OK: 0,
+  INVALID_CREDENTIAL: 1, // vc verify: 凭证无效（已撤销、已过期等）
+  USAGE: 2, // 命令或参数错误
+  INPUT: 3, // 输入文件无法读取或格式错误
+  CHAIN: 4, // 链上调用失败或交易 revert
+};
+
+// 可预期的错误，携带对应的退出码
+class CliError extends Error {
+  constructor(message, exitCode) {
+    super(message);
+    this.exitCode = exitCode;
+  }
+}
+
+const USAGE = `Usage: cli.js <command> [options]
+
+Commands:
+  did create <cid>
+  did resolve <did>
+  did update <did> <cid>
+  did revoke <did>
+  vc issue-batch <file> [--out <dir>] [--hash-scheme jcs|eip712|sd] [--valid-until <date>]
+  vc issue <file> [--out <dir>] [--hash-scheme jcs|eip712] [--cid <cid>]
+  vc revoke <package>... [--reason <text>]
+  vc disclose <package> [--fields <name,...>] [--out <file>]
+  vc verify <package> [--require-accreditation] [--presenter <address>]
+  issuer grant <address> [--name <text>] [--website <url>]
+  issuer revoke <address>`;
+
+const OPTIONS = {
+  out: { type: "string" },
+  "hash-scheme": { type: "string" },
+  "valid-until": { type: "string" },
+  cid: { type: "string", default: "" },
+  fields: { type: "string", default: "" },
+  reason: { type: "string", default: "" },
+  "require-accreditation": { type: "boolean", default: false },
+  presenter: { type: "string" },
+  name: { type: "string", default: "" },
+  website: { type: "string", default: "" },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+// 共享的凭证与 DID 逻辑是 ES 模块，见 did-frontend/src/lib
+async function loadLib() {
+  const load = (name) => import(pathToFileURL(path.join(FRONTEND_DIR, "lib", name)).href);
+  const modules = await Promise.all([
+    load("credentialHash.js"),
+    load("credentialPackage.js"),
+    load("credentialValidity.js"),
+    load("credentialVerification.js"),
+    load("didMethod.js"),
+    load("selectiveDisclosure.js"),
+    load("statusList.js"),
+    load("subjectDid.js"),
+    load("trustRegistry.js"),
+  ]);
+  return Object.assign({}, ...modules);
+}
+
+function readJsonFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, "utf8");
+  } catch (error) {
+    throw new CliError(`Cannot read ${file}: ${error.message}`, EXIT_CODES.INPUT);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new CliError(`${file} is not valid JSON: ${error.message}`, EXIT_CODES.INPUT);
+  }
+}
+
+function requireArgs(args, count, usage) {
+  if (args.length < count) {
+    throw new CliError(`Usage: cli.js ${usage}`, EXIT_CODES.USAGE);
+  }
+}
+
+// 发送交易并等待确认，revert 时转换为 CHAIN 错误
+async function send(action) {
+  try {
+    const tx = await action();
+    return await tx.wait();
+  } catch (error) {
+    throw new CliError(error.reason || error.shortMessage || error.message, EXIT_CODES.CHAIN);
+  }
+}
+
+async function getChainId(contract) {
+  return (await contract.runner.provider.getNetwork()).chainId;
+}
+
+// DID 参数既可以是 did:merkleseal 字符串，也可以是 bytes32
+function toDidHash(lib, did) {
+  if (ethers.isHexString(did, 32)) return did;
+  try {
+    return lib.parseDid(did).didHash;
+  } catch (error) {
+    throw new CliError(error.message, EXIT_CODES.USAGE);
+  }
+}
+
+const commands = {
+  did: {
+    async create({ lib, didRegistry }, [cid]) {
+      const receipt = await send(() => didRegistry.createDID(cid));
+      const event = receipt.logs.find((log) => log.eventName === "DIDRegistered");
+      const didHash = event.args.did;
+      return { did: lib.formatDid(await getChainId(didRegistry), didHash), didHash, cid, transactionHash: receipt.hash };
+    },
+
+    async resolve({ lib, didRegistry }, [did]) {
+      const didHash = toDidHash(lib, did);
+      let controller, cid, status;
+      try {
+        [controller, cid, status] = await didRegistry.resolveDID(didHash);
+      } catch (error) {
+        throw new CliError(error.reason || error.message, EXIT_CODES.CHAIN);
+      }
+      return {
+        did: lib.formatDid(await getChainId(didRegistry), didHash),
+        didHash,
+        controller,
+        cid,
+        status: Number(status) === 0 ? "active" : "revoked",
+      };
+    },
+
+    async update({ lib, didRegistry }, [did, cid]) {
+      const didHash = toDidHash(lib, did);
+      const receipt = await send(() => didRegistry.updateDID(didHash, cid));
+      return { didHash, cid, transactionHash: receipt.hash };
+    },
+
+    async revoke({ lib, didRegistry }, [did]) {
+      const didHash = toDidHash(lib, did);
+      const receipt = await send(() => didRegistry.revokeDID(didHash));
+      return { didHash, transactionHash: receipt.hash };
+    },
+  },
+
+  vc: {
+    async "issue-batch"({ lib, vcRegistry }, [file], options) {
+      const input = readJsonFile(file);
+      const credentialsInput = Array.isArray(input) ? input : input.credentials;
+      if (!Array.isArray(credentialsInput) || credentialsInput.length === 0) {
+        throw new CliError(`${file} must contain a non-empty array of credentials`, EXIT_CODES.INPUT);
+      }
+
+      // "sd" 是选择性披露方案的简写
+      const hashScheme = options["hash-scheme"] === "sd"
+        ? lib.HASH_SCHEMES.SELECTIVE_DISCLOSURE
+        : options["hash-scheme"] || lib.DEFAULT_HASH_SCHEME;
+      if (![lib.HASH_SCHEMES.JCS, lib.HASH_SCHEMES.EIP712, lib.HASH_SCHEMES.SELECTIVE_DISCLOSURE].includes(hashScheme)) {
+        throw new CliError(`Unsupported hash scheme: ${hashScheme}`, EXIT_CODES.USAGE);
+      }
+      let validUntil = 0;
+      if (options["valid-until"]) {
+        validUntil = Math.floor(new Date(options["valid-until"]).getTime() / 1000);
+        if (Number.isNaN(validUntil)) {
+          throw new CliError(`Invalid --valid-until date: ${options["valid-until"]}`, EXIT_CODES.USAGE);
+        }
+      }
+
+      const issuer = await vcRegistry.runner.getAddress();
+      const chainId = Number(await getChainId(vcRegistry));
+      const contractAddress = await vcRegistry.getAddress();
+
+      // 与前端颁发页面一致：补全颁发者和颁发日期，并为批次分配状态列表索引
+      const issuanceDate = new Date().toISOString();
+      const issuerDid = await lib.getIssuerDid({ vcRegistryContract: vcRegistry, chainId, issuer });
+      const contents = credentialsInput.map((credential) => ({ issuer: issuerDid, issuanceDate, ...credential }));
+      const statusListCredential = lib.createStatusListCredentialId({
+        baseUrl: process.env.STATUS_LIST_BASE_URL || DEFAULT_STATUS_LIST_BASE_URL,
+        chainId,
+        contractAddress,
+        credentials: contents,
+      });
+      const credentials = contents.map((credential, index) => ({
+        ...credential,
+        credentialStatus: credential.credentialStatus || lib.createStatusListEntry(statusListCredential, index),
+      }));
+      const salts = hashScheme === lib.HASH_SCHEMES.SELECTIVE_DISCLOSURE
+        ? credentials.map((credential) => {
+          try {
+            return lib.createClaimSalts(credential);
+          } catch (error) {
+            throw new CliError(`${file}: ${error.message}`, EXIT_CODES.INPUT);
+          }
+        })
+        : [];
+      // 只向已登记且未撤销的主体 DID 颁发。批次的主体不记录在链上，验证时会再次检查每个凭证的主体
+      const { errors: subjectErrors } = await lib.checkSubjectsForIssuance(vcRegistry, credentials, chainId);
+      if (subjectErrors.length > 0) {
+        throw new CliError(`${file}: ${subjectErrors.join("; ")}`, EXIT_CODES.INPUT);
+      }
+      const leaves = credentials.map((credential, index) => (salts[index]
+        ? lib.hashSelectiveDisclosureCredential(credential, salts[index])
+        : lib.hashCredential(credential, { scheme: hashScheme, chainId, verifyingContract: contractAddress })));
+      if (new Set(leaves).size !== leaves.length) {
+        throw new CliError(`${file} contains duplicate credentials`, EXIT_CODES.INPUT);
+      }
+
+      const tree = new MerkleTree(leaves, ethers.keccak256, { sortPairs: true });
+      const merkleRoot = tree.getHexRoot();
+      const receipt = await send(() => (validUntil
+        ? vcRegistry.issueBatchCredentialsWithExpiry(merkleRoot, validUntil)
+        : vcRegistry.issueBatchCredentials(merkleRoot)));
+
+      const outDir = options.out || `credentials-${merkleRoot.slice(2, 10)}`;
+      fs.mkdirSync(outDir, { recursive: true });
+      const files = credentials.map((credential, index) => {
+        const pkg = lib.buildCredentialPackage({
+          credential,
+          leaf: leaves[index],
+          hashScheme,
+          proof: tree.getHexProof(leaves[index]),
+          merkleRoot,
+          validUntil,
+          issuer,
+          chainId,
+          contractAddress,
+          transactionHash: receipt.hash,
+          salts: salts[index],
+        });
+        const packageFile = path.join(outDir, lib.credentialPackageFileName(pkg));
+        fs.writeFileSync(packageFile, JSON.stringify(pkg, null, 2));
+        return packageFile;
+      });
+
+      return { merkleRoot, transactionHash: receipt.hash, count: credentials.length, outDir, files };
+    },
+
+    async issue({ lib, vcRegistry, verifiableCredential }, [file], options) {
+      const input = readJsonFile(file);
+      if (!input || typeof input !== "object" || Array.isArray(input)) {
+        throw new CliError(`${file} must contain a single credential object`, EXIT_CODES.INPUT);
+      }
+      // 单个凭证没有内层树，不支持选择性披露
+      const hashScheme = options["hash-scheme"] || lib.DEFAULT_HASH_SCHEME;
+      if (![lib.HASH_SCHEMES.JCS, lib.HASH_SCHEMES.EIP712].includes(hashScheme)) {
+        throw new CliError(`Unsupported hash scheme for single credentials: ${hashScheme}`, EXIT_CODES.USAGE);
+      }
+
+      const issuer = await verifiableCredential.runner.getAddress();
+      const chainId = Number(await getChainId(verifiableCredential));
+      const contractAddress = await verifiableCredential.getAddress();
+      const credential = {
+        issuer: await lib.getIssuerDid({ vcRegistryContract: vcRegistry, chainId, issuer }),
+        issuanceDate: new Date().toISOString(),
+        ...input,
+      };
+      if ([].concat(credential.credentialSubject || []).length !== 1) {
+        throw new CliError(`${file}: a single credential must have exactly one subject`, EXIT_CODES.INPUT);
+      }
+      const { didHashes, errors: subjectErrors } = await lib.checkSubjectsForIssuance(vcRegistry, [credential], chainId);
+      if (subjectErrors.length > 0) {
+        throw new CliError(`${file}: ${subjectErrors.join("; ")}`, EXIT_CODES.INPUT);
+      }
+
+      // 凭证 id 即叶子哈希，EIP-712 域使用 VerifiableCredential 地址
+      const leaf = lib.hashCredential(credential, { scheme: hashScheme, chainId, verifyingContract: contractAddress });
+      const receipt = await send(() => verifiableCredential.issueCredential(leaf, didHashes[0], options.cid));
+
+      const pkg = lib.buildCredentialPackage({
+        credential,
+        leaf,
+        hashScheme,
+        issuanceMode: lib.ISSUANCE_MODES.SINGLE,
+        issuer,
+        chainId,
+        contractAddress,
+        transactionHash: receipt.hash,
+      });
+      const outDir = options.out || ".";
+      fs.mkdirSync(outDir, { recursive: true });
+      const packageFile = path.join(outDir, lib.credentialPackageFileName(pkg));
+      fs.writeFileSync(packageFile, JSON.stringify(pkg, null, 2));
+      return { credentialId: leaf, transactionHash: receipt.hash, file: packageFile };
+    },
+
+    async revoke({ lib, vcRegistry, verifiableCredential }, files, options) {
+      // 批次凭证按批次分组，每个批次一笔交易；单个凭证每个一笔交易
+      const batches = new Map();
+      const singles = [];
+      files.forEach((file) => {
+        const pkg = readJsonFile(file);
+        if (!pkg.leaf || !lib.isCredentialPackage(pkg)) {
+          throw new CliError(`${file} is not a credential package`, EXIT_CODES.INPUT);
+        }
+        if (lib.getPackageIssuanceMode(pkg) === lib.ISSUANCE_MODES.SINGLE) {
+          singles.push(pkg.leaf);
+        } else {
+          batches.set(pkg.merkleRoot, [...(batches.get(pkg.merkleRoot) || []), pkg.leaf]);
+        }
+      });
+
+      const revoked = [];
+      for (const [merkleRoot, leaves] of batches) {
+        const receipt = await send(() => vcRegistry.revokeBatchCredentials(merkleRoot, leaves, options.reason));
+        revoked.push({ merkleRoot, leaves, transactionHash: receipt.hash });
+      }
+      for (const credentialId of singles) {
+        const receipt = await send(() => verifiableCredential.revokeCredential(credentialId));
+        revoked.push({ credentialId, transactionHash: receipt.hash });
+      }
+      return { revoked };
+    },
+
+    async disclose({ lib }, [file], options) {
+      const pkg = readJsonFile(file);
+      if (!pkg.credential || lib.getPackageHashScheme(pkg) !== lib.HASH_SCHEMES.SELECTIVE_DISCLOSURE || !pkg.salts) {
+        throw new CliError(`${file} is not a selective disclosure credential package`, EXIT_CODES.INPUT);
+      }
+      // 字段名默认指 credentialSubject 的属性，以 / 开头时按 JSON Pointer 处理
+      const paths = options.fields.split(",").map((field) => field.trim()).filter(Boolean)
+        .map((field) => (field.startsWith("/") ? field : `/credentialSubject/${field}`));
+
+      let presentation;
+      try {
+        presentation = lib.createSelectiveDisclosure(pkg, paths);
+      } catch (error) {
+        throw new CliError(`${file}: ${error.message}`, EXIT_CODES.USAGE);
+      }
+      const outFile = options.out || `presentation-${presentation.leaf.slice(2, 10)}.json`;
+      fs.writeFileSync(outFile, JSON.stringify(presentation, null, 2));
+      return { file: outFile, disclosed: presentation.disclosures.map(({ path }) => path) };
+    },
+
+    async verify({ lib, vcRegistry, didRegistry, verifiableCredential }, [file], options) {
+      const pkg = readJsonFile(file);
+      const isPresentation = pkg.type === lib.SD_PRESENTATION_TYPE;
+      const isPackage = !isPresentation && lib.isCredentialPackage(pkg);
+      if (!(isPackage || (isPresentation && pkg.merkleRoot && Array.isArray(pkg.proof)))) {
+        throw new CliError(`${file} is not a credential package`, EXIT_CODES.INPUT);
+      }
+      if (!isPresentation && lib.getPackageHashScheme(pkg) === lib.HASH_SCHEMES.SELECTIVE_DISCLOSURE && !pkg.salts) {
+        throw new CliError(`${file} is a selective disclosure package without salts`, EXIT_CODES.INPUT);
+      }
+
+      const { presenter } = options;
+      if (presenter !== undefined && !ethers.isAddress(presenter)) {
+        throw new CliError(`Invalid --presenter address: ${presenter}`, EXIT_CODES.USAGE);
+      }
+
+      const chainId = await getChainId(vcRegistry);
+      let verification, issuer;
+      try {
+        verification = await (isPresentation
+            ? lib.verifySelectiveDisclosure(pkg, vcRegistry).then(async (result) => ({
+              ...result,
+              leaf: pkg.leaf,
+              // 只有披露了主体 id 时才能检查主体 DID
+              subjects: result.credential
+                ? await lib.checkCredentialSubjects(result.credential, vcRegistry, chainId, presenter)
+                : [],
+            }))
+            : lib.verifyCredentialPackage(pkg, vcRegistry, { chainId, presenter, credentialContract: verifiableCredential }));
+        // 单个凭证按重新计算的 id 查询颁发者
+        issuer = isPresentation
+          ? await vcRegistry.merkleRootToIssuer(pkg.merkleRoot)
+          : await lib.getPackageIssuer(pkg, verification.leaf, { vcRegistryContract: vcRegistry, credentialContract: verifiableCredential });
+      } catch (error) {
+        throw new CliError(error.reason || error.message, EXIT_CODES.CHAIN);
+      }
+      const { status, leaf, subjects } = verification;
+      const issuerIdentity = issuer === ethers.ZeroAddress
+        ? null
+        : await lib.resolveIssuerIdentity({ vcRegistryContract: vcRegistry, didRegistryContract: didRegistry, chainId, issuer });
+
+      const subjectValid = lib.areCredentialSubjectsValid(subjects, presenter);
+      const result = {
+        valid: status === "valid" && subjectValid,
+        status,
+        leaf,
+        subjects: subjects.map(({ did, status: subjectStatus }) => ({ did, status: subjectStatus })),
+        ...(presenter !== undefined && { presenterIsController: subjects.some((subject) => subject.presenterIsController) }),
+        ...(isPackage && lib.getPackageIssuanceMode(pkg) === lib.ISSUANCE_MODES.SINGLE
+          ? { issuanceMode: lib.ISSUANCE_MODES.SINGLE }
+          : { merkleRoot: pkg.merkleRoot }),
+        issuer: issuer === ethers.ZeroAddress ? null : issuer,
+        issuerName: issuerIdentity && issuerIdentity.accreditation ? issuerIdentity.accreditation.name : null,
+        issuerDid: issuerIdentity ? issuerIdentity.did : null,
+        accreditationStatus: issuerIdentity ? issuerIdentity.accreditationStatus : null,
+        ...(isPresentation && { disclosed: verification.credential, errors: verification.errors }),
+      };
+      const accredited = result.accreditationStatus === lib.ACCREDITATION_STATUSES.ACCREDITED;
+      if (!result.valid || (options["require-accreditation"] && !accredited)) {
+        return { result, exitCode: EXIT_CODES.INVALID_CREDENTIAL };
+      }
+      return result;
+    },
+  },
+
+  issuer: {
+    async grant({ vcRegistry }, [address], options) {
+      if (!ethers.isAddress(address)) {
+        throw new CliError(`Invalid address: ${address}`, EXIT_CODES.USAGE);
+      }
+      const receipt = await send(() => (options.name || options.website
+        ? vcRegistry.grantIssuerRoleWithMetadata(address, options.name, options.website)
+        : vcRegistry.grantIssuerRole(address)));
+      return { issuer: address, transactionHash: receipt.hash };
+    },
+
+    async revoke({ vcRegistry }, [address]) {
+      if (!ethers.isAddress(address)) {
+        throw new CliError(`Invalid address: ${address}`, EXIT_CODES.USAGE);
+      }
+      const receipt = await send(() => vcRegistry.revokeIssuerRole(address));
+      return { issuer: address, transactionHash: receipt.hash };
+    },
+  },
+};
+
+// 各命令需要的位置参数个数
+const ARG_COUNTS = {
+  "did create": [1, "did create <cid>"],
+  "did resolve": [1, "did resolve <did>"],
+  "did update": [2, "did update <did> <cid>"],
+  "did revoke": [1, "did revoke <did>"],
+  "vc issue-batch": [1, "vc issue-batch <file>"],
+  "vc issue": [1, "vc issue <file>"],
+  "vc revoke": [1, "vc revoke <package>..."],
+  "vc disclose": [1, "vc disclose <package>"],
+  "vc verify": [1, "vc verify <package>"],
+  "issuer grant": [1, "issuer grant <address>"],
+  "issuer revoke": [1, "issuer revoke <address>"],
+};
+
+// 只处理本地文件、不需要连接节点的命令
+const OFFLINE_COMMANDS = new Set(["vc disclose"]);
+
+/**
+ * 执行一条命令。
+ * @param {string[]} argv 命令行参数（不含 node 与脚本路径）
+ * @param {object} context
+ * @param {function(): Promise<{didRegistry: object, vcRegistry: object, verifiableCredential: object}>} context.connect
+ *   返回连接到签名账户的合约实例，参数校验通过后才调用，因此 --help 和用法错误不需要连接节点
+ * @param {{log: function, error: function}} [context.output] 输出目标，默认 console
+ * @returns {Promise<number>} 退出码，见 EXIT_CODES
+ */
+async function runCli(argv, { connect, output = console }) {
+  try {
+    let parsed;
+    try {
+      parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+      throw new CliError(error.message, EXIT_CODES.USAGE);
+    }
+    const [group, name, ...args] = parsed.positionals;
+    if (parsed.values.help) {
+      output.log(USAGE);
+      return EXIT_CODES.OK;
+    }
+    const command = commands[group] && Object.hasOwn(commands[group], name) && commands[group][name];
+    if (!command) {
+      throw new CliError(USAGE, EXIT_CODES.USAGE);
+    }
+    requireArgs(args, ...ARG_COUNTS[`${group} ${name}`]);
+
+    const offline = OFFLINE_COMMANDS.has(`${group} ${name}`);
+    const [lib, { didRegistry, vcRegistry, verifiableCredential }] = await Promise.all([loadLib(), offline ? {} : connect()]);
+    const response = await command({ lib, didRegistry, vcRegistry, verifiableCredential }, args, parsed.values);
+    if (response && response.exitCode !== undefined) {
+      output.log(JSON.stringify(response.result, null, 2));
+      return response.exitCode;
+    }
+    output.log(JSON.stringify(response, null, 2));
+    return EXIT_CODES.OK;
+  } catch (error) {
+    if (error instanceof CliError) {
+      output.error(error.message);
+      return error.exitCode;
+    }
+    output.error(error);
+    return EXIT_CODES.CHAIN;
+  }
+}
+
+// 按环境变量连接节点与合约
+async function connect() {
+  const rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  const manifest = require(path.join(FRONTEND_DIR, "contracts/deployments.json"));
+  const { abi: didRegistryAbi } = require(path.join(FRONTEND_DIR, "contracts/DIDRegistry.json"));
+  const { abi: vcRegistryAbi } = require(path.join(FRONTEND_DIR, "contracts/VCRegistry.json"));
+  const { abi: verifiableCredentialAbi } = require(path.join(FRONTEND_DIR, "contracts/VerifiableCredential.json"));
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  let signer;
+  let chainId;
+  try {
+    signer = process.env.PRIVATE_KEY
+      ? new ethers.Wallet(process.env.PRIVATE_KEY, provider)
+      : await provider.getSigner(Number(process.env.ACCOUNT_INDEX || 0));
+    ({ chainId } = await provider.getNetwork());
+  } catch (error) {
+    provider.destroy();
+    throw new CliError(`Cannot connect to ${rpcUrl}: ${error.shortMessage || error.message}`, EXIT_CODES.CHAIN);
+  }
+  // 环境变量优先，否则使用部署清单中当前链的地址
+  const { getContractAddress } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/deployments.js")).href);
+  const address = (envName, name) => process.env[envName] || getContractAddress(manifest, chainId, name);
+
+  return {
+    didRegistry: new ethers.Contract(address("DID_REGISTRY_ADDRESS", "DIDRegistry"), didRegistryAbi, signer),
+    vcRegistry: new ethers.Contract(address("VC_REGISTRY_ADDRESS", "VCRegistry"), vcRegistryAbi, signer),
+    verifiableCredential: new ethers.Contract(
+      address("VERIFIABLE_CREDENTIAL_ADDRESS", "VerifiableCredential"),
+      verifiableCredentialAbi,
+      signer
+    ),
+  };
+}
+
+module.exports = { runCli, EXIT_CODES };
+
+if (require.main === module) {
+  runCli(process.argv.slice(2), { connect })
+    .then((exitCode) => {
+      // JsonRpcProvider 会保持事件循环运行，需要显式退出
+      process.exit(exitCode);
+    })
+    .catch((error) => {
+      console.error(error);
+      process.exit(EXIT_CODES.CHAIN);
+    });
+}
@@ -1,6 +1,15 @@
+// 部署 DIDRegistry、VCRegistry 与 VerifiableCredential，并把部署记录和 ABI 写入 did-frontend/src/contracts。
+//
+// 用法: npx hardhat run scripts/deploy.js --network <网络>
+
 // 导入 hardhat 环境中的 ethers
 const hre = require("hardhat");
 const fs = require("fs"); // 导入 Node.js 的文件系统模块
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const FRONTEND_DIR = path.join(__dirname, "../../did-frontend/src");
+const CONTRACTS_DIR = path.join(FRONTEND_DIR, "contracts");
 
 async function main() {
   // 1. 获取部署者账户
@@ -37,48 +46,57 @@ async function main() {
   const hasRole = await vcRegistry.hasRole(issuerRole, deployer.address);
   console.log(`Does deployer have ISSUER_ROLE? ${hasRole}`);
 
-  // 5. (自动化) 将地址和 ABI 保存到前端目录
-  saveFrontendFiles(didRegistry, vcRegistry);
-}
+  // 5. 让 VCRegistry 按 DIDRegistry 校验凭证主体的 DID
+  console.log("\nLinking VCRegistry to DIDRegistry...");
+  await (await vcRegistry.setDIDRegistry(didRegistryAddress)).wait();
+  console.log(`VCRegistry resolves subject DIDs against ${didRegistryAddress}`);
 
-// 这是一个辅助函数，用于将合约信息保存到前端项目
-function saveFrontendFiles(didRegistry, vcRegistry) {
-  const contractsDir = __dirname + "/../client/src/contracts"; // 定位到前端的 contracts 目录
-
-  if (!fs.existsSync(contractsDir)) {
-    fs.mkdirSync(contractsDir);
-  }
+  // 6. 部署单个凭证颁发合约，颁发者沿用 VCRegistry 的 ISSUER_ROLE
+  console.log("\nDeploying VerifiableCredential...");
+  const VerifiableCredential = await hre.ethers.getContractFactory("VerifiableCredential");
+  const verifiableCredential = await VerifiableCredential.deploy(vcRegistryAddress);
+  await verifiableCredential.waitForDeployment();
+  console.log("VerifiableCredential deployed to:", await verifiableCredential.getAddress());
 
-  // 创建并写入合约地址 JSON 文件
-  fs.writeFileSync(
-    contractsDir + "/contract-address.json",
-    JSON.stringify({ 
-      DIDRegistry: didRegistry.target, // 在 Ethers v6 中，使用 .target 获取地址
-      VCRegistry: vcRegistry.target 
-    }, undefined, 2) // 格式化 JSON 输出
-  );
+  // 7. (自动化) 将部署记录和 ABI 保存到前端目录
+  const deployment = await saveFrontendFiles(deployer, { DIDRegistry: didRegistry, VCRegistry: vcRegistry, VerifiableCredential: verifiableCredential });
+  console.log(`\nDeployment for chain ${deployment.chainId} and ABIs saved to ${CONTRACTS_DIR}`);
+}
 
-  // 读取编译后的 ABI 文件
-  const DIDRegistryArtifact = hre.artifacts.readArtifactSync("DIDRegistry");
-  const VCRegistryArtifact = hre.artifacts.readArtifactSync("VCRegistry");
+// 这是一个辅助函数，用于将合约信息保存到前端项目。
+// 部署记录按 chain id 写入 deployments.json，重新部署到一条链不会覆盖其他链的记录
+async function saveFrontendFiles(deployer, contracts, contractsDir = CONTRACTS_DIR) {
+  const { hashAbi, recordDeployment } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/deployments.js")).href);
+  fs.mkdirSync(contractsDir, { recursive: true });
 
-  // 将 ABI 文件写入前端目录
-  fs.writeFileSync(
-    contractsDir + "/DIDRegistry.json",
-    JSON.stringify(DIDRegistryArtifact, null, 2)
-  );
-  fs.writeFileSync(
-    contractsDir + "/VCRegistry.json",
-    JSON.stringify(VCRegistryArtifact, null, 2)
-  );
+  const { chainId } = await deployer.provider.getNetwork();
+  const deployment = { chainId: Number(chainId), deployer: deployer.address, contracts: {} };
+  for (const [name, contract] of Object.entries(contracts)) {
+    // 读取编译后的 ABI 文件并写入前端目录
+    const artifact = hre.artifacts.readArtifactSync(name);
+    fs.writeFileSync(path.join(contractsDir, `${name}.json`), JSON.stringify(artifact, null, 2) + "\n");
+    const receipt = await contract.deploymentTransaction().wait();
+    deployment.contracts[name] = {
+      address: contract.target, // 在 Ethers v6 中，使用 .target 获取地址
+      deployBlock: receipt.blockNumber,
+      abiHash: hashAbi(artifact.abi),
+    };
+  }
 
-  console.log("\nContract addresses and ABIs saved to frontend directory.");
+  const manifestFile = path.join(contractsDir, "deployments.json");
+  const manifest = fs.existsSync(manifestFile) ? JSON.parse(fs.readFileSync(manifestFile, "utf8")) : {};
+  fs.writeFileSync(manifestFile, JSON.stringify(recordDeployment(manifest, deployment), null, 2) + "\n");
+  return deployment;
 }
 
+module.exports = { saveFrontendFiles };
+
 // Hardhat 推荐的错误处理和脚本执行模式
-main()
-  .then(() => process.exit(0))
-  .catch((error) => {
-    console.error(error);
-    process.exit(1);
-  });
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error(error);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,558 @@
+// DID 与凭证事件索引服务：跟随 DIDRegistry 和 VCRegistry 的事件日志，写入 SQLite，并提供查询接口，
+// 用于回答“颁发者 X 的全部批次”“最近一周的撤销”“DID Y 的完整更新历史”这类无法用合约视图函数完成的查询。
+//
+// 用法: node scripts/indexer.js（或 npm run indexer）
+// 接口 (GET，时间参数接受 Unix 秒或 ISO 8601 时间):
+//   /status                                     已索引到的区块与部署信息
+//   /dids?controller=<address>                  某账户当前控制的 DID
+//   /dids/<did>                                 DID 当前状态与完整事件历史（did:merkleseal 字符串或 bytes32）
+//   /batches?issuer=<address>&since=&until=     颁发的批次，含有效期与按叶子、按状态列表的撤销数量
+//   /revocations?issuer=<address>&since=&until= 按叶子和按状态列表的撤销
+//   /roles/<role>                               VCRegistry 角色的当前成员（角色名或 bytes32）
+// 每次同步前检查最近索引的区块哈希是否仍在链上，发生重组时回滚到共同祖先后重新索引；
+// 同步进度随数据一起提交，服务重启后从检查点继续。
+// 环境变量:
+//   INDEXER_PORT              监听端口，默认 8082
+//   INDEXER_DB                SQLite 数据库文件，默认 indexer.sqlite
+//   INDEXER_START_BLOCK       首次同步的起始区块，默认为部署清单中两个合约较早的部署区块，
+//                             清单中没有当前链或通过环境变量指定了地址时为 0
+//   INDEXER_CONFIRMATIONS     只索引已有多少个确认的区块，默认 0
+//   INDEXER_POLL_INTERVAL     同步间隔（毫秒），默认 2000
+//   RPC_URL                   链节点 RPC 地址，默认本地 hardhat 节点 http://127.0.0.1:8545
+//   DID_REGISTRY_ADDRESS      DIDRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+//   VC_REGISTRY_ADDRESS       VCRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+const http = require("http");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { ethers } = require("ethers");
+const Database = require("better-sqlite3");
+
+const FRONTEND_DIR = path.join(__dirname, "../../did-frontend/src");
+
+// 保留最近多少个区块的哈希用于检测重组；更深的重组需要删除数据库重新索引
+const REORG_DEPTH = 128;
+// 单次 eth_getLogs 查询的区块数量
+const DEFAULT_BATCH_SIZE = 2000;
+
+// 被索引的事件，按合约分组
+const INDEXED_EVENTS = {
+  DIDRegistry: ["DIDRegistered", "DIDUpdated", "DIDRevoked", "DIDControllerChanged"],
+  VCRegistry: [
+    "BatchCredentialsIssued",
+    "BatchValidityWindowSet",
+    "BatchCredentialRevoked",
+    "CredentialRevocationReason",
+    "StatusListUpdated",
+    "RoleGranted",
+    "RoleRevoked",
+  ],
+};
+
+// VCRegistry 中的角色，查询时可以用名称代替 bytes32
+const ROLE_NAMES = {
+  DEFAULT_ADMIN_ROLE: ethers.ZeroHash,
+  ISSUER_ROLE: ethers.id("ISSUER_ROLE"),
+  ACCREDITOR_ROLE: ethers.id("ACCREDITOR_ROLE"),
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  -- 最近索引区块的哈希，用于检测重组
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+  -- 原始事件；常用的参数单独成列以便建立索引，完整参数以 JSON 保存在 args 中
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    contract TEXT NOT NULL,
+    event TEXT NOT NULL,
+    did TEXT,
+    merkle_root TEXT,
+    leaf TEXT,
+    account TEXT,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_did ON events (did);
+  CREATE INDEX IF NOT EXISTS events_merkle_root ON events (merkle_root);
+  CREATE INDEX IF NOT EXISTS events_event_account ON events (event, account);
+  CREATE INDEX IF NOT EXISTS events_event_timestamp ON events (event, timestamp);
+`;
+
+/**
+ * 打开（必要时创建）索引数据库。
+ * @param {string} filename SQLite 文件路径，":memory:" 表示内存数据库
+ * @returns {Database.Database}
+ */
+function openIndexDatabase(filename) {
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+// 事件参数转为可存入 JSON 的值
+function toJsonValue(value) {
+  if (typeof value === "bigint") return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  return value;
+}
+
+// 事件中代表“相关账户”的参数，按优先顺序
+const ACCOUNT_ARGS = ["controller", "newController", "issuer", "revoker", "account"];
+
+/**
+ * 创建索引器。sync 每次将索引推进到最新区块（减去确认数），可以反复调用。
+ * @param {object} options
+ * @param {Database.Database} options.db openIndexDatabase 打开的数据库
+ * @param {object} options.provider ethers Provider
+ * @param {object} options.didRegistry DIDRegistry 合约实例
+ * @param {object} options.vcRegistry VCRegistry 合约实例
+ * @param {number} [options.startBlock] 首次同步的起始区块
+ * @param {number} [options.confirmations] 只索引已有多少个确认的区块
+ * @param {number} [options.batchSize] 单次 eth_getLogs 查询的区块数量
+ * @returns {Promise<{sync: function(): Promise<object>, getCheckpoint: function(): number|null}>}
+ */
+async function createIndexer({ db, provider, didRegistry, vcRegistry, startBlock = 0, confirmations = 0, batchSize = DEFAULT_BATCH_SIZE }) {
+  const contracts = {};
+  for (const [name, contract] of Object.entries({ DIDRegistry: didRegistry, VCRegistry: vcRegistry })) {
+    contracts[(await contract.getAddress()).toLowerCase()] = { name, iface: contract.interface };
+  }
+  const { chainId } = await provider.getNetwork();
+
+  const getMeta = db.prepare("SELECT value FROM meta WHERE key = ?").pluck();
+  const setMeta = db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value");
+
+  // 数据库只能用于一次部署，避免把不同链或不同合约的事件混在一起
+  const deployment = JSON.stringify({ chainId: chainId.toString(), contracts: Object.keys(contracts).sort() });
+  const recorded = getMeta.get("deployment");
+  if (recorded && recorded !== deployment) {
+    throw new Error("Index database belongs to another deployment; delete it or use a different INDEXER_DB");
+  }
+  setMeta.run("deployment", deployment);
+
+  const insertEvent = db.prepare(`
+    INSERT INTO events (block_number, log_index, block_hash, transaction_hash, timestamp, contract, event, did, merkle_root, leaf, account, args)
+    VALUES (@blockNumber, @logIndex, @blockHash, @transactionHash, @timestamp, @contract, @event, @did, @merkleRoot, @leaf, @account, @args)
+  `);
+  const insertBlock = db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+  const recentBlocks = db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC");
+
+  const getCheckpoint = () => {
+    const value = getMeta.get("checkpoint");
+    return value === undefined ? null : Number(value);
+  };
+
+  // 删除共同祖先之后的全部数据，检查点退回到祖先区块
+  const rollback = db.transaction((ancestor) => {
+    db.prepare("DELETE FROM events WHERE block_number > ?").run(ancestor);
+    db.prepare("DELETE FROM blocks WHERE number > ?").run(ancestor);
+    setMeta.run("checkpoint", String(ancestor));
+  });
+
+  // 一个区块范围内的事件与新的检查点在同一个事务中提交，中断后不会留下部分数据
+  const commit = db.transaction((events, checkpoint) => {
+    events.forEach((event) => {
+      insertEvent.run(event);
+      insertBlock.run(event.blockNumber, event.blockHash);
+    });
+    insertBlock.run(checkpoint.number, checkpoint.hash);
+    setMeta.run("checkpoint", String(checkpoint.number));
+    db.prepare("DELETE FROM blocks WHERE number < ?").run(checkpoint.number - REORG_DEPTH);
+  });
+
+  // 从最近记录的区块向前查找仍在链上的区块；记录的区块哈希一致时其祖先必然一致
+  const findCommonAncestor = async () => {
+    for (const { number, hash } of recentBlocks.all()) {
+      const block = await provider.getBlock(number);
+      if (block && block.hash === hash) return number;
+    }
+    return null;
+  };
+
+  const parseEvent = (log, timestamps) => {
+    const contract = contracts[log.address.toLowerCase()];
+    const parsed = contract && contract.iface.parseLog(log);
+    if (!parsed || !INDEXED_EVENTS[contract.name].includes(parsed.name)) return null;
+    const args = Object.fromEntries(parsed.fragment.inputs.map((input, i) => [input.name, toJsonValue(parsed.args[i])]));
+    const accountArg = ACCOUNT_ARGS.find((name) => name in args);
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      timestamp: timestamps.get(log.blockNumber),
+      contract: contract.name,
+      event: parsed.name,
+      did: args.did ?? null,
+      merkleRoot: args.merkleRoot ?? null,
+      leaf: args.leaf ?? null,
+      account: accountArg ? args[accountArg] : null,
+      args: JSON.stringify(args),
+    };
+  };
+
+  // 读取含有事件的区块的时间戳，同时确认事件所在区块仍在链上
+  const fetchTimestamps = async (logs) => {
+    const timestamps = new Map();
+    for (const log of logs) {
+      if (timestamps.has(log.blockNumber)) continue;
+      const block = await provider.getBlock(log.blockNumber);
+      if (!block || block.hash !== log.blockHash) {
+        throw new Error(`Block ${log.blockNumber} changed while indexing; retrying on the next sync`);
+      }
+      timestamps.set(log.blockNumber, block.timestamp);
+    }
+    return timestamps;
+  };
+
+  /**
+   * 将索引推进到最新区块。
+   * @returns {Promise<{fromBlock: number, toBlock: number, events: number, reorgedFrom: number|null}>}
+   *   reorgedFrom 为发生重组时被回滚的第一个区块
+   */
+  const sync = async () => {
+    let reorgedFrom = null;
+    const checkpoint = getCheckpoint();
+    if (checkpoint !== null) {
+      const ancestor = await findCommonAncestor();
+      if (ancestor === null) {
+        throw new Error(`Chain reorganization deeper than ${REORG_DEPTH} blocks; delete the index database and re-index`);
+      }
+      if (ancestor < checkpoint) {
+        rollback(ancestor);
+        reorgedFrom = ancestor + 1;
+      }
+    }
+
+    const resumeFrom = getCheckpoint() === null ? startBlock : getCheckpoint() + 1;
+    const head = (await provider.getBlockNumber()) - confirmations;
+    let indexed = 0;
+    for (let fromBlock = resumeFrom; fromBlock <= head; fromBlock += batchSize) {
+      const toBlock = Math.min(fromBlock + batchSize - 1, head);
+      const logs = await provider.getLogs({ address: Object.keys(contracts), fromBlock, toBlock });
+      const timestamps = await fetchTimestamps(logs);
+      const events = logs.map((log) => parseEvent(log, timestamps)).filter(Boolean);
+      const lastBlock = await provider.getBlock(toBlock);
+      commit(events, { number: toBlock, hash: lastBlock.hash });
+      indexed += events.length;
+    }
+    return { fromBlock: resumeFrom, toBlock: Math.max(head, resumeFrom - 1), events: indexed, reorgedFrom };
+  };
+
+  return { sync, getCheckpoint };
+}
+
+// 查询参数错误，返回 400
+class QueryError extends Error {}
+
+// 查询参数中的时间：Unix 秒或 ISO 8601 字符串
+function parseTime(value, name) {
+  if (value === null || value === "") return null;
+  const timestamp = /^\d+$/.test(value) ? Number(value) : Math.floor(new Date(value).getTime() / 1000);
+  if (Number.isNaN(timestamp)) {
+    throw new QueryError(`Invalid ${name} time: ${value}`);
+  }
+  return timestamp;
+}
+
+function parseAddress(value, name) {
+  if (value === null || value === "") return null;
+  if (!ethers.isAddress(value)) {
+    throw new QueryError(`Invalid ${name} address: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+// 事件行转为接口返回的对象
+const eventFromRow = (row) => ({
+  event: row.event,
+  args: JSON.parse(row.args),
+  blockNumber: row.block_number,
+  transactionHash: row.transaction_hash,
+  timestamp: row.timestamp,
+});
+
+/**
+ * 基于索引数据库的查询。
+ * @param {Database.Database} db openIndexDatabase 打开的数据库
+ * @returns {Promise<object>} 查询函数，参数与 HTTP 接口的查询参数对应
+ */
+async function createIndexQueries(db) {
+  // 共享的 DID 与状态列表逻辑是 ES 模块，见 did-frontend/src/lib
+  const { isMerkleSealDid, parseDid } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/didMethod.js")).href);
+  const { fromStatusListMasks } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/statusList.js")).href);
+
+  const didEvents = db.prepare("SELECT * FROM events WHERE did = ? AND contract = 'DIDRegistry' ORDER BY block_number, log_index");
+
+  // 由事件历史折叠出 DID 的当前状态
+  const getDid = (did) => {
+    let didHash = did;
+    if (isMerkleSealDid(did)) {
+      ({ didHash } = parseDid(did));
+    } else if (!ethers.isHexString(did, 32)) {
+      throw new QueryError(`Invalid DID: ${did}`);
+    }
+    const history = didEvents.all(didHash.toLowerCase()).map(eventFromRow);
+    if (history.length === 0) return null;
+
+    const state = { did: didHash.toLowerCase(), controller: null, cid: null, status: "active", history };
+    history.forEach(({ event, args, timestamp }) => {
+      if (event === "DIDRegistered") {
+        Object.assign(state, { controller: args.controller, cid: args.cid, created: timestamp });
+      } else if (event === "DIDUpdated") {
+        state.cid = args.newCid;
+      } else if (event === "DIDControllerChanged") {
+        state.controller = args.newController;
+      } else if (event === "DIDRevoked") {
+        state.status = "revoked";
+      }
+      state.updated = timestamp;
+    });
+    return state;
+  };
+
+  // 曾经由该账户控制的 DID 中，当前仍由其控制的那些
+  const listDids = ({ controller }) => {
+    const account = parseAddress(controller, "controller");
+    if (!account) throw new QueryError("controller is required");
+    const dids = db.prepare(`
+      SELECT DISTINCT did FROM events
+      WHERE event IN ('DIDRegistered', 'DIDControllerChanged') AND account = ?
+    `).pluck().all(account);
+    return dids.map(getDid)
+      .filter((state) => state.controller === account)
+      .map(({ history, ...state }) => state);
+  };
+
+  const statusListUpdates = db.prepare("SELECT args FROM events WHERE event = 'StatusListUpdated' AND merkle_root = ?").pluck();
+
+  // 批次状态列表中已置位的索引数，多次更新中重复置位的索引只计一次
+  const countStatusListRevocations = (merkleRoot) => {
+    const indices = new Set();
+    statusListUpdates.all(merkleRoot).forEach((args) => {
+      const { wordIndices, masks } = JSON.parse(args);
+      fromStatusListMasks(wordIndices, masks).forEach((index) => indices.add(index));
+    });
+    return indices.size;
+  };
+
+  // revokedCount 为按叶子撤销的数量，statusListRevokedCount 为按状态列表撤销的数量；
+  // 同一个凭证可能以两种方式都被撤销，因此两者分开统计
+  const listBatches = ({ issuer, since, until }) => {
+    const account = parseAddress(issuer, "issuer");
+    return db.prepare(`
+      SELECT e.merkle_root AS merkleRoot, e.account AS issuer, e.block_number AS blockNumber,
+        e.transaction_hash AS transactionHash, e.timestamp,
+        (SELECT json_extract(v.args, '$.validUntil') FROM events v
+          WHERE v.event = 'BatchValidityWindowSet' AND v.merkle_root = e.merkle_root
+          ORDER BY v.block_number DESC, v.log_index DESC LIMIT 1) AS validUntil,
+        (SELECT COUNT(*) FROM events r
+          WHERE r.event = 'BatchCredentialRevoked' AND r.merkle_root = e.merkle_root) AS revokedCount
+      FROM events e
+      WHERE e.event = 'BatchCredentialsIssued'
+        AND (@issuer IS NULL OR e.account = @issuer)
+        AND (@since IS NULL OR e.timestamp >= @since)
+        AND (@until IS NULL OR e.timestamp <= @until)
+      ORDER BY e.block_number DESC, e.log_index DESC
+    `).all({ issuer: account, since: parseTime(since, "since"), until: parseTime(until, "until") })
+      .map((batch) => ({
+        ...batch,
+        validUntil: Number(batch.validUntil || 0),
+        statusListRevokedCount: countStatusListRevocations(batch.merkleRoot),
+      }));
+  };
+
+  // 按叶子撤销与状态列表撤销合并为一个列表，新的在前；issuer 指批次的颁发者
+  const listRevocations = ({ issuer, since, until }) => {
+    const rows = db.prepare(`
+      SELECT e.*, i.account AS issuer,
+        (SELECT json_extract(r.args, '$.reason') FROM events r
+          WHERE r.event = 'CredentialRevocationReason' AND r.transaction_hash = e.transaction_hash AND r.leaf = e.leaf
+          LIMIT 1) AS reason
+      FROM events e
+      LEFT JOIN events i ON i.event = 'BatchCredentialsIssued' AND i.merkle_root = e.merkle_root
+      WHERE e.event IN ('BatchCredentialRevoked', 'StatusListUpdated')
+        AND (@issuer IS NULL OR i.account = @issuer)
+        AND (@since IS NULL OR e.timestamp >= @since)
+        AND (@until IS NULL OR e.timestamp <= @until)
+      ORDER BY e.block_number DESC, e.log_index DESC
+    `).all({ issuer: parseAddress(issuer, "issuer"), since: parseTime(since, "since"), until: parseTime(until, "until") });
+
+    return rows.map((row) => {
+      const args = JSON.parse(row.args);
+      const revocation = {
+        merkleRoot: row.merkle_root,
+        issuer: row.issuer,
+        revoker: args.revoker,
+        blockNumber: row.block_number,
+        transactionHash: row.transaction_hash,
+        timestamp: row.timestamp,
+      };
+      return row.event === "BatchCredentialRevoked"
+        ? { kind: "leaf", leaf: row.leaf, reason: row.reason, ...revocation }
+        : { kind: "statusList", statusListIndices: fromStatusListMasks(args.wordIndices, args.masks), ...revocation };
+    });
+  };
+
+  const listRoleMembers = (role) => {
+    const roleHash = ROLE_NAMES[role] || (ethers.isHexString(role, 32) ? role.toLowerCase() : null);
+    if (!roleHash) throw new QueryError(`Unknown role: ${role}`);
+
+    const members = new Map();
+    db.prepare(`
+      SELECT * FROM events
+      WHERE event IN ('RoleGranted', 'RoleRevoked') AND json_extract(args, '$.role') = ?
+      ORDER BY block_number, log_index
+    `).all(roleHash).forEach((row) => {
+      if (row.event === "RoleGranted") {
+        members.set(row.account, { account: row.account, grantedAt: row.timestamp, transactionHash: row.transaction_hash });
+      } else {
+        members.delete(row.account);
+      }
+    });
+    return { role: roleHash, members: [...members.values()] };
+  };
+
+  const getStatus = () => ({
+    ...JSON.parse(db.prepare("SELECT value FROM meta WHERE key = 'deployment'").pluck().get() || "{}"),
+    checkpoint: Number(db.prepare("SELECT value FROM meta WHERE key = 'checkpoint'").pluck().get() ?? -1),
+    events: db.prepare("SELECT COUNT(*) FROM events").pluck().get(),
+  });
+
+  return { getDid, listDids, listBatches, listRevocations, listRoleMembers, getStatus };
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * 创建查询接口的 HTTP server（尚未监听端口）。
+ * @param {object} options
+ * @param {object} options.queries createIndexQueries 的返回值
+ * @returns {http.Server}
+ */
+function createIndexerServer({ queries }) {
+  const routes = [
+    [/^\/status$/, () => queries.getStatus()],
+    [/^\/dids$/, (params) => queries.listDids({ controller: params.get("controller") })],
+    [/^\/dids\/([^/]+)$/, (params, did) => queries.getDid(did)],
+    [/^\/batches$/, (params) => queries.listBatches({
+      issuer: params.get("issuer"), since: params.get("since"), until: params.get("until"),
+    })],
+    [/^\/revocations$/, (params) => queries.listRevocations({
+      issuer: params.get("issuer"), since: params.get("since"), until: params.get("until"),
+    })],
+    [/^\/roles\/([^/]+)$/, (params, role) => queries.listRoleMembers(role)],
+  ];
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const route = req.method === "GET" && routes.find(([pattern]) => pattern.test(url.pathname));
+    if (!route) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    const [pattern, handler] = route;
+    const [, ...pathParams] = url.pathname.match(pattern);
+    try {
+      const result = handler(url.searchParams, ...pathParams.map(decodeURIComponent));
+      if (result === null) {
+        sendJson(res, 404, { error: "Not found" });
+      } else {
+        sendJson(res, 200, result);
+      }
+    } catch (error) {
+      if (error instanceof QueryError) {
+        sendJson(res, 400, { error: error.message });
+      } else {
+        console.error("Query failed:", error);
+        sendJson(res, 500, { error: error.message });
+      }
+    }
+  });
+}
+
+async function main() {
+  const port = Number(process.env.INDEXER_PORT || 8082);
+  const rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  const pollInterval = Number(process.env.INDEXER_POLL_INTERVAL || 2000);
+  const { getDeployment, getContractAddress } = await import(
+    pathToFileURL(path.join(FRONTEND_DIR, "lib/deployments.js")).href
+  );
+  const manifest = require(path.join(FRONTEND_DIR, "contracts/deployments.json"));
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const deployment = getDeployment(manifest, chainId);
+  const didRegistry = new ethers.Contract(
+    process.env.DID_REGISTRY_ADDRESS || getContractAddress(manifest, chainId, "DIDRegistry"),
+    require(path.join(FRONTEND_DIR, "contracts/DIDRegistry.json")).abi,
+    provider
+  );
+  const vcRegistry = new ethers.Contract(
+    process.env.VC_REGISTRY_ADDRESS || getContractAddress(manifest, chainId, "VCRegistry"),
+    require(path.join(FRONTEND_DIR, "contracts/VCRegistry.json")).abi,
+    provider
+  );
+
+  // 部署区块之前不会有这两个合约的事件，无需扫描；通过环境变量指定了合约地址时从 0 开始
+  const usesManifest = !process.env.DID_REGISTRY_ADDRESS && !process.env.VC_REGISTRY_ADDRESS;
+  const defaultStartBlock = deployment && usesManifest
+    ? Math.min(deployment.contracts.DIDRegistry.deployBlock, deployment.contracts.VCRegistry.deployBlock)
+    : 0;
+
+  const db = openIndexDatabase(process.env.INDEXER_DB || "indexer.sqlite");
+  const indexer = await createIndexer({
+    db,
+    provider,
+    didRegistry,
+    vcRegistry,
+    startBlock: Number(process.env.INDEXER_START_BLOCK || defaultStartBlock),
+    confirmations: Number(process.env.INDEXER_CONFIRMATIONS || 0),
+  });
+
+  // 同步失败（例如节点暂时不可用）时保留检查点，下一轮重试
+  const poll = async () => {
+    try {
+      const { toBlock, events, reorgedFrom } = await indexer.sync();
+      if (reorgedFrom !== null) {
+        console.log(`Chain reorganization: rolled back from block ${reorgedFrom}`);
+      }
+      if (events > 0) {
+        console.log(`Indexed ${events} events up to block ${toBlock}`);
+      }
+    } catch (error) {
+      console.error("Sync failed:", error.message);
+    }
+    setTimeout(poll, pollInterval);
+  };
+  await poll();
+
+  const server = createIndexerServer({ queries: await createIndexQueries(db) });
+  server.listen(port, () => {
+    console.log(`Indexer listening on http://localhost:${port}, resuming after block ${indexer.getCheckpoint()}`);
+  });
+}
+
+module.exports = { openIndexDatabase, createIndexer, createIndexQueries, createIndexerServer, ROLE_NAMES };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
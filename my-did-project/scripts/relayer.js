@@ -0,0 +1,141 @@
+// DIDRegistry 元交易中继服务：接收控制者签名的 EIP-712 请求，并使用已充值的账户提交交易。
+//
+// 用法: node scripts/relayer.js
+// 接口: POST /relay  {"operation": "createDID" | "updateDID" | "revokeDID", "request": {...}, "signature": "0x..."}
+//       返回 {"transactionHash": "0x..."}，客户端自行等待交易确认
+// 环境变量:
+//   RELAYER_PORT           监听端口，默认 8081
+//   RPC_URL                链节点 RPC 地址，默认本地 hardhat 节点 http://127.0.0.1:8545
+//   DID_REGISTRY_ADDRESS   DIDRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+//   RELAYER_PRIVATE_KEY    中继账户私钥；不设置时使用节点上已解锁的 hardhat 账户
+//   RELAYER_ACCOUNT_INDEX  未设置私钥时使用的 hardhat 账户序号，默认 0
+const http = require("http");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { ethers } = require("ethers");
+
+const FRONTEND_DIR = path.join(__dirname, "../../did-frontend/src");
+const MAX_BODY_SIZE = 64 * 1024;
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch {
+        reject(new Error("Request body is not valid JSON"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+// 合约 revert 时返回其原因，其余错误返回原始信息
+function errorMessage(error) {
+  return error.reason || error.shortMessage || error.message;
+}
+
+/**
+ * 创建中继服务的 HTTP server（尚未监听端口）。
+ * @param {object} options
+ * @param {object} options.registry 连接到中继账户的 DIDRegistry 合约实例
+ * @returns {Promise<http.Server>}
+ */
+async function createRelayerServer({ registry }) {
+  // 共享的 EIP-712 结构是 ES 模块，见 did-frontend/src/lib
+  const { DID_META_TX_OPERATIONS, getDidMetaTxCall } = await import(
+    pathToFileURL(path.join(FRONTEND_DIR, "lib/didMetaTx.js")).href
+  );
+
+  return http.createServer(async (req, res) => {
+    // 浏览器跨域 POST JSON 时的预检请求
+    if (req.method === "OPTIONS") {
+      sendJson(res, 204);
+      return;
+    }
+    if (req.method !== "POST" || req.url !== "/relay") {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    let call;
+    try {
+      const { operation, request, signature } = await readJsonBody(req);
+      if (!DID_META_TX_OPERATIONS.includes(operation)) {
+        throw new Error(`Unsupported DID operation: ${operation}`);
+      }
+      if (!request || typeof request !== "object" || typeof signature !== "string") {
+        throw new Error("Missing request or signature");
+      }
+      call = getDidMetaTxCall(operation, request, signature);
+      // 先模拟执行，签名无效或已过期时不浪费中继账户的 gas
+      await registry[call.method].staticCall(...call.args);
+    } catch (error) {
+      sendJson(res, 400, { error: errorMessage(error) });
+      return;
+    }
+
+    try {
+      const tx = await registry[call.method](...call.args);
+      console.log(`Relayed ${call.method}: ${tx.hash}`);
+      sendJson(res, 200, { transactionHash: tx.hash });
+    } catch (error) {
+      console.error("Relay failed:", error);
+      sendJson(res, 500, { error: errorMessage(error) });
+    }
+  });
+}
+
+async function main() {
+  const port = Number(process.env.RELAYER_PORT || 8081);
+  const rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  const { abi } = require(path.join(FRONTEND_DIR, "contracts/DIDRegistry.json"));
+  const { getContractAddress } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/deployments.js")).href);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const registryAddress =
+    process.env.DID_REGISTRY_ADDRESS ||
+    getContractAddress(require(path.join(FRONTEND_DIR, "contracts/deployments.json")), chainId, "DIDRegistry");
+  const relayer = process.env.RELAYER_PRIVATE_KEY
+    ? new ethers.Wallet(process.env.RELAYER_PRIVATE_KEY, provider)
+    : await provider.getSigner(Number(process.env.RELAYER_ACCOUNT_INDEX || 0));
+  const registry = new ethers.Contract(registryAddress, abi, relayer);
+
+  const server = await createRelayerServer({ registry });
+  const relayerAddress = await relayer.getAddress();
+
+  server.listen(port, async () => {
+    console.log(`DIDRegistry relayer listening on http://localhost:${port}/relay`);
+    console.log(`Relaying to ${registryAddress} via ${rpcUrl} from ${relayerAddress}`);
+    console.log(`Relayer balance: ${ethers.formatEther(await provider.getBalance(relayerAddress))} ETH`);
+  });
+}
+
+module.exports = { createRelayerServer };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,133 @@
+// did:merkleseal 本地解析服务，兼容 Universal Resolver 的 GET /1.0/identifiers/{did} 接口。
+// 支持 versionId 与 versionTime 查询参数（或 DID URL 中的同名参数）解析历史版本，
+// 例如 /1.0/identifiers/did:merkleseal:31337:0x...?versionTime=2025-07-01T00:00:00Z
+//
+// 用法: node scripts/resolver.js
+// 环境变量:
+//   RESOLVER_PORT         监听端口，默认 8080
+//   RPC_URL               链节点 RPC 地址，默认本地 hardhat 节点 http://127.0.0.1:8545
+//   DID_REGISTRY_ADDRESS  DIDRegistry 地址，默认读取前端 deployments.json 中当前链的部署
+//   IPFS_API_URL          用于读取 DID 文档的 Kubo RPC 地址，默认 http://127.0.0.1:5001/api/v0
+const http = require("http");
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { ethers } = require("ethers");
+
+const FRONTEND_DIR = path.join(__dirname, "../../did-frontend/src");
+const RESOLUTION_CONTENT_TYPE = 'application/ld+json;profile="https://w3id.org/did-resolution"';
+const DID_DOCUMENT_TYPES = ["application/did+ld+json", "application/did+json"];
+
+// Universal Resolver 对各错误码使用的 HTTP 状态码
+const ERROR_STATUS_CODES = {
+  invalidDid: 400,
+  invalidOptions: 400,
+  notFound: 404,
+  methodNotSupported: 501,
+  internalError: 500,
+};
+
+// 通过 Kubo RPC API 读取 JSON 文档
+function createIpfsFetcher(apiUrl) {
+  return async (cid) => {
+    const response = await fetch(`${apiUrl}/cat?arg=${encodeURIComponent(cid)}`, { method: "POST" });
+    if (!response.ok) {
+      throw new Error(`IPFS responded with ${response.status}`);
+    }
+    return response.json();
+  };
+}
+
+function sendJson(res, statusCode, contentType, body) {
+  res.writeHead(statusCode, {
+    "Content-Type": contentType,
+    "Access-Control-Allow-Origin": "*",
+  });
+  res.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * 创建解析服务的 HTTP server（尚未监听端口）。
+ * @param {object} options
+ * @param {function(number): object|null} options.getRegistry 返回指定链上的 DIDRegistry 合约实例
+ * @param {function(string): Promise<object>} options.fetchDocument 根据 CID 读取 DID 文档
+ * @returns {Promise<http.Server>}
+ */
+async function createResolverServer({ getRegistry, fetchDocument }) {
+  // 共享的解析驱动是 ES 模块，见 did-frontend/src/lib
+  const { resolveDid } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/didResolver.js")).href);
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const match = url.pathname.match(/^\/1\.0\/identifiers\/(.+)$/);
+    if (req.method !== "GET" || !match) {
+      sendJson(res, 404, "application/json", { error: "Not found" });
+      return;
+    }
+
+    let result;
+    try {
+      result = await resolveDid(decodeURIComponent(match[1]), {
+        getRegistry,
+        fetchDocument,
+        versionId: url.searchParams.get("versionId") ?? undefined,
+        versionTime: url.searchParams.get("versionTime") ?? undefined,
+      });
+    } catch (error) {
+      console.error("Resolution failed:", error);
+      sendJson(res, 500, "application/json", { error: error.message });
+      return;
+    }
+    const { error } = result.didResolutionMetadata;
+
+    let statusCode = 200;
+    if (error) {
+      statusCode = ERROR_STATUS_CODES[error] || 500;
+    } else if (result.didDocumentMetadata.deactivated) {
+      statusCode = 410;
+    }
+
+    // 客户端只请求 DID 文档时直接返回文档，否则返回完整的解析结果
+    const accept = req.headers.accept || "";
+    const documentType = DID_DOCUMENT_TYPES.find((type) => accept.includes(type));
+    if (documentType && !error) {
+      sendJson(res, statusCode, documentType, result.didDocument);
+    } else {
+      sendJson(res, statusCode, RESOLUTION_CONTENT_TYPE, result);
+    }
+  });
+}
+
+async function main() {
+  const port = Number(process.env.RESOLVER_PORT || 8080);
+  const rpcUrl = process.env.RPC_URL || "http://127.0.0.1:8545";
+  const ipfsApiUrl = process.env.IPFS_API_URL || "http://127.0.0.1:5001/api/v0";
+  const { abi } = require(path.join(FRONTEND_DIR, "contracts/DIDRegistry.json"));
+  const { getContractAddress } = await import(pathToFileURL(path.join(FRONTEND_DIR, "lib/deployments.js")).href);
+
+  const provider = new ethers.JsonRpcProvider(rpcUrl);
+  const { chainId } = await provider.getNetwork();
+  const registryAddress =
+    process.env.DID_REGISTRY_ADDRESS ||
+    getContractAddress(require(path.join(FRONTEND_DIR, "contracts/deployments.json")), chainId, "DIDRegistry");
+  const registry = new ethers.Contract(registryAddress, abi, provider);
+
+  const server = await createResolverServer({
+    // 服务只连接一条链，其他链的 DID 返回 methodNotSupported
+    getRegistry: (didChainId) => (BigInt(didChainId) === chainId ? registry : null),
+    fetchDocument: createIpfsFetcher(ipfsApiUrl),
+  });
+
+  server.listen(port, () => {
+    console.log(`did:merkleseal resolver listening on http://localhost:${port}/1.0/identifiers/{did}`);
+    console.log(`Chain ${chainId} via ${rpcUrl}, DIDRegistry at ${registryAddress}`);
+  });
+}
+
+module.exports = { createResolverServer };
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
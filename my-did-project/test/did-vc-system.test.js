@@ -2,10 +2,11 @@ const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { MerkleTree } = require("merkletreejs");
 const keccak256 = require("keccak256");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("DID and VC System", function () {
     let deployer, user1, user2, unauthorizedUser;
-    let didRegistry, vcRegistry;
+    let didRegistry, vcRegistry, verifiableCredential, chainId;
 
     // Enum values from the contract
     const Status = { Active: 0, Revoked: 1 };
@@ -20,8 +21,22 @@ describe("DID and VC System", function () {
         const VCRegistryFactory = await ethers.getContractFactory("VCRegistry");
         vcRegistry = await VCRegistryFactory.deploy();
         await vcRegistry.waitForDeployment();
+        await vcRegistry.setDIDRegistry(await didRegistry.getAddress());
+
+        const VerifiableCredentialFactory = await ethers.getContractFactory("VerifiableCredential");
+        verifiableCredential = await VerifiableCredentialFactory.deploy(await vcRegistry.getAddress());
+        await verifiableCredential.waitForDeployment();
+
+        ({ chainId } = await ethers.provider.getNetwork());
     });
 
+    // 为 signer 创建一个 DID，返回其 bytes32 哈希
+    async function createDid(signer, cid = "QmSubject") {
+        const didHash = ethers.solidityPackedKeccak256(["address", "uint256"], [signer.address, await didRegistry.getNonce(signer.address)]);
+        await didRegistry.connect(signer).createDID(cid);
+        return didHash;
+    }
+
     describe("DIDRegistry", function () {
         // ... (DIDRegistry tests remain unchanged, they are passing)
         const ipfsCid1 = "QmXg9Pp2ytZ14xgmQjPyYnHRfT7dJ2vGvG9x3v1a1a1a1a";
@@ -82,6 +97,485 @@ describe("DID and VC System", function () {
                 didRegistry.connect(user1).revokeDID(did)
             ).to.be.revertedWith("DIDRegistry: DID is already revoked");
         });
+
+        describe("Controller transfer", function () {
+            let did;
+
+            beforeEach(async function () {
+                const tx = await didRegistry.connect(user1).createDID(ipfsCid1);
+                const receipt = await tx.wait();
+                did = receipt.logs.find(e => e.eventName === 'DIDRegistered').args.did;
+            });
+
+            it("Should transfer control and move the DID between owner lists", async function () {
+                await expect(didRegistry.connect(user1).transferController(did, user2.address))
+                    .to.emit(didRegistry, "DIDControllerChanged")
+                    .withArgs(did, user1.address, user2.address);
+
+                const [controller] = await didRegistry.resolveDID(did);
+                expect(controller).to.equal(user2.address);
+                expect(await didRegistry.getDIDsByOwner(user1.address)).to.deep.equal([]);
+                expect(await didRegistry.getDIDsByOwner(user2.address)).to.deep.equal([did]);
+
+                // 新控制者可以更新，原控制者不再可以
+                await didRegistry.connect(user2).updateDID(did, ipfsCid2);
+                await expect(
+                    didRegistry.connect(user1).updateDID(did, ipfsCid1)
+                ).to.be.revertedWith("DIDRegistry: Caller is not the controller");
+            });
+
+            it("Should keep the remaining DIDs of the previous controller", async function () {
+                const tx = await didRegistry.connect(user1).createDID(ipfsCid2);
+                const receipt = await tx.wait();
+                const secondDid = receipt.logs.find(e => e.eventName === 'DIDRegistered').args.did;
+
+                await didRegistry.connect(user1).transferController(did, user2.address);
+                expect(await didRegistry.getDIDsByOwner(user1.address)).to.deep.equal([secondDid]);
+
+                // nonce 不受转移影响，下一个 DID 不会与已有 DID 冲突
+                expect(await didRegistry.getNonce(user1.address)).to.equal(2);
+                await didRegistry.connect(user1).createDID(ipfsCid1);
+                expect((await didRegistry.getDIDsByOwner(user1.address)).length).to.equal(2);
+            });
+
+            it("Should prevent unauthorized or invalid transfers", async function () {
+                await expect(
+                    didRegistry.connect(unauthorizedUser).transferController(did, unauthorizedUser.address)
+                ).to.be.revertedWith("DIDRegistry: Caller is not the controller");
+                await expect(
+                    didRegistry.connect(user1).transferController(did, ethers.ZeroAddress)
+                ).to.be.revertedWith("DIDRegistry: New controller is the zero address");
+                await expect(
+                    didRegistry.connect(user1).transferController(did, user1.address)
+                ).to.be.revertedWith("DIDRegistry: New controller is the current controller");
+
+                await didRegistry.connect(user1).revokeDID(did);
+                await expect(
+                    didRegistry.connect(user1).transferController(did, user2.address)
+                ).to.be.revertedWith("DIDRegistry: DID is revoked");
+            });
+        });
+
+        describe("Delegates", function () {
+            const ONE_DAY = 24 * 60 * 60;
+            let did, veriKey, sigAuth;
+
+            beforeEach(async function () {
+                const tx = await didRegistry.connect(user1).createDID(ipfsCid1);
+                const receipt = await tx.wait();
+                did = receipt.logs.find(e => e.eventName === 'DIDRegistered').args.did;
+                veriKey = await didRegistry.DELEGATE_VERI_KEY();
+                sigAuth = await didRegistry.DELEGATE_SIG_AUTH();
+            });
+
+            it("Should add a time-limited delegate that expires", async function () {
+                const tx = await didRegistry.connect(user1).addDelegate(did, veriKey, user2.address, ONE_DAY);
+                const validTo = (await time.latest()) + ONE_DAY;
+                await expect(tx)
+                    .to.emit(didRegistry, "DIDDelegateChanged")
+                    .withArgs(did, veriKey, user2.address, validTo);
+
+                expect(await didRegistry.validDelegate(did, veriKey, user2.address)).to.be.true;
+                // 委托按类型区分
+                expect(await didRegistry.validDelegate(did, sigAuth, user2.address)).to.be.false;
+
+                await time.increaseTo(validTo);
+                expect(await didRegistry.validDelegate(did, veriKey, user2.address)).to.be.false;
+            });
+
+            it("Should allow the controller to revoke a delegate", async function () {
+                await didRegistry.connect(user1).addDelegate(did, sigAuth, user2.address, ONE_DAY);
+                await expect(didRegistry.connect(user1).revokeDelegate(did, sigAuth, user2.address))
+                    .to.emit(didRegistry, "DIDDelegateChanged");
+                expect(await didRegistry.validDelegate(did, sigAuth, user2.address)).to.be.false;
+                await expect(
+                    didRegistry.connect(user1).revokeDelegate(did, sigAuth, user2.address)
+                ).to.be.revertedWith("DIDRegistry: Delegate is not valid");
+            });
+
+            it("Should only let the controller manage delegates", async function () {
+                await expect(
+                    didRegistry.connect(user2).addDelegate(did, veriKey, user2.address, ONE_DAY)
+                ).to.be.revertedWith("DIDRegistry: Caller is not the controller");
+                await expect(
+                    didRegistry.connect(user1).addDelegate(did, veriKey, user2.address, 0)
+                ).to.be.revertedWith("DIDRegistry: Validity must be positive");
+            });
+
+            it("Should invalidate delegates when the DID is revoked", async function () {
+                await didRegistry.connect(user1).addDelegate(did, veriKey, user2.address, ONE_DAY);
+                await didRegistry.connect(user1).revokeDID(did);
+                expect(await didRegistry.validDelegate(did, veriKey, user2.address)).to.be.false;
+            });
+
+            it("Should let a new controller manage delegates after a transfer", async function () {
+                await didRegistry.connect(user1).transferController(did, user2.address);
+                await expect(
+                    didRegistry.connect(user1).addDelegate(did, veriKey, unauthorizedUser.address, ONE_DAY)
+                ).to.be.revertedWith("DIDRegistry: Caller is not the controller");
+                await didRegistry.connect(user2).addDelegate(did, veriKey, unauthorizedUser.address, ONE_DAY);
+                expect(await didRegistry.validDelegate(did, veriKey, unauthorizedUser.address)).to.be.true;
+            });
+
+            it("Should invalidate the previous controller's delegates on transfer", async function () {
+                await didRegistry.connect(user1).addDelegate(did, veriKey, unauthorizedUser.address, ONE_DAY);
+                await didRegistry.connect(user1).addDelegate(did, sigAuth, user1.address, ONE_DAY);
+                await didRegistry.connect(user1).transferController(did, user2.address);
+                expect(await didRegistry.validDelegate(did, veriKey, unauthorizedUser.address)).to.be.false;
+                // 原控制者不能借自己设置的委托继续代表该 DID
+                expect(await didRegistry.validDelegate(did, sigAuth, user1.address)).to.be.false;
+                await expect(
+                    didRegistry.connect(user2).revokeDelegate(did, veriKey, unauthorizedUser.address)
+                ).to.be.revertedWith("DIDRegistry: Delegate is not valid");
+
+                // 转回原控制者后旧委托也不会恢复
+                await didRegistry.connect(user2).transferController(did, user1.address);
+                expect(await didRegistry.validDelegate(did, veriKey, unauthorizedUser.address)).to.be.false;
+            });
+        });
+
+        describe("DID documents (shared with the frontend)", function () {
+            let didDocument;
+            const did = "did:merkleseal:31337:0x" + "ab".repeat(32);
+            const account = "0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266";
+
+            before(async function () {
+                didDocument = await import("../../did-frontend/src/lib/didDocument.js");
+            });
+
+            // 有效文档：控制者密钥、一个 JWK 和一个服务，并使用所有验证关系
+            const validDocument = () => ({
+                "@context": ["https://www.w3.org/ns/did/v1"],
+                id: did,
+                controller: "did:example:guardian",
+                verificationMethod: [
+                    { id: `${did}#controller-key`, type: "EcdsaSecp256k1RecoveryMethod2020", controller: did, blockchainAccountId: `eip155:31337:${account}` },
+                    { id: `${did}#key-2`, type: "JsonWebKey2020", controller: did, publicKeyJwk: { kty: "OKP", crv: "X25519", x: "abc" } },
+                ],
+                authentication: [`${did}#controller-key`],
+                assertionMethod: [`${did}#controller-key`],
+                keyAgreement: [`${did}#key-2`],
+                capabilityInvocation: [`${did}#controller-key`],
+                capabilityDelegation: [`${did}#controller-key`],
+                service: [{ id: `${did}#hub`, type: "LinkedDomains", serviceEndpoint: "https://example.com" }],
+            });
+
+            it("Should round-trip a document through the editor form", async function () {
+                const document = validDocument();
+                expect(didDocument.validateDidDocument(document)).to.deep.equal([]);
+
+                const form = didDocument.parseDidDocument(document);
+                expect(form.keyAgreement).to.deep.equal(["key-2"]);
+                expect(form.verificationMethods[1].publicKey).to.equal(JSON.stringify(document.verificationMethod[1].publicKeyJwk));
+                expect(didDocument.buildDidDocument(did, form)).to.deep.equal(document);
+
+                // 内嵌在验证关系中的方法被提取到 verificationMethod 中
+                const embedded = { ...document, keyAgreement: [document.verificationMethod[1]], verificationMethod: [document.verificationMethod[0]] };
+                expect(didDocument.buildDidDocument(did, didDocument.parseDidDocument(embedded)).verificationMethod)
+                    .to.deep.equal(document.verificationMethod);
+
+                const empty = didDocument.buildDidDocument(did, didDocument.emptyDidDocumentForm(did, account, 31337));
+                expect(didDocument.validateDidDocument(empty)).to.deep.equal([]);
+                expect(empty.authentication).to.deep.equal([`${did}#controller-key`]);
+            });
+
+            it("Should reject invalid DIDs, dangling references, duplicate ids and missing key material", async function () {
+                const { validateDidDocument } = didDocument;
+                expect(validateDidDocument(null)).to.deep.equal(["DID document must be a JSON object"]);
+                expect(validateDidDocument({ ...validDocument(), id: "merkleseal:1" })).to.include('id must be a valid DID, got "merkleseal:1"');
+                expect(validateDidDocument({ ...validDocument(), controller: ["did:example:ok", "guardian"] }))
+                    .to.deep.equal(['controller "guardian" is not a valid DID']);
+
+                expect(validateDidDocument({ ...validDocument(), capabilityDelegation: [`${did}#missing`] }))
+                    .to.deep.equal([`capabilityDelegation[0] references unknown verification method "${did}#missing"`]);
+
+                const duplicated = validDocument();
+                duplicated.verificationMethod[1].id = `${did}#controller-key`;
+                duplicated.service[0].id = `${did}#controller-key`;
+                expect(validateDidDocument(duplicated)).to.have.members([
+                    `verificationMethod[1] id "${did}#controller-key" is not unique`,
+                    `service[0] id "${did}#controller-key" is not unique`,
+                    `keyAgreement[0] references unknown verification method "${did}#key-2"`,
+                ]);
+
+                const keyless = validDocument();
+                delete keyless.verificationMethod[0].blockchainAccountId;
+                keyless.verificationMethod[1] = { ...keyless.verificationMethod[1], publicKeyJwk: { crv: "X25519" } };
+                expect(validateDidDocument(keyless)).to.deep.equal([
+                    "verificationMethod[0] must have exactly one of blockchainAccountId, publicKeyMultibase, publicKeyJwk",
+                    "verificationMethod[1] publicKeyJwk must be a JWK object with a kty",
+                ]);
+
+                const badKeys = validDocument();
+                badKeys.verificationMethod[0].blockchainAccountId = account;
+                badKeys.verificationMethod.push({ id: `${did}#key-3`, type: "Multikey", controller: did, publicKeyMultibase: "mAbc" });
+                expect(validateDidDocument(badKeys)).to.deep.equal([
+                    "verificationMethod[0] blockchainAccountId must be a CAIP-10 account such as eip155:1:0x...",
+                    'verificationMethod[2] publicKeyMultibase must be a base58btc multibase string (starting with "z")',
+                ]);
+            });
+        });
+
+        describe("did:merkleseal resolution", function () {
+            // 解析驱动与前端共用，通过 import() 加载 ES 模块
+            let formatDid, parseDid, resolveDid, createResolverServer;
+            let documents, options;
+
+            before(async function () {
+                ({ formatDid, parseDid } = await import("../../did-frontend/src/lib/didMethod.js"));
+                ({ resolveDid } = await import("../../did-frontend/src/lib/didResolver.js"));
+                ({ createResolverServer } = require("../scripts/resolver"));
+            });
+
+            beforeEach(async function () {
+                documents = new Map(); // 用内存存储代替 IPFS
+                options = {
+                    getRegistry: (didChainId) => (BigInt(didChainId) === chainId ? didRegistry : null),
+                    fetchDocument: async (cid) => documents.get(cid),
+                };
+            });
+
+            // 创建 DID 并将其 DID 文档存入内存存储
+            async function createDIDWithDocument(signer) {
+                const didHash = ethers.solidityPackedKeccak256(
+                    ["address", "uint256"],
+                    [signer.address, await didRegistry.getNonce(signer.address)]
+                );
+                const did = formatDid(chainId, didHash);
+                const cid = `mem:${did}`;
+                documents.set(cid, { "@context": ["https://www.w3.org/ns/did/v1"], id: did });
+                await didRegistry.connect(signer).createDID(cid);
+                return { did, didHash };
+            }
+
+            it("Should format and parse did:merkleseal strings", function () {
+                const didHash = ethers.keccak256(ethers.toUtf8Bytes("did"));
+                const did = formatDid(31337, didHash.toUpperCase().replace("0X", "0x"));
+                expect(did).to.equal(`did:merkleseal:31337:${didHash}`);
+                expect(parseDid(did)).to.deep.equal({ method: "merkleseal", chainId: 31337, didHash });
+                expect(() => parseDid("did:ethr:0x1234")).to.throw();
+                expect(() => parseDid(`did:merkleseal:abc:${didHash}`)).to.throw();
+            });
+
+            it("Should resolve an active DID to its document", async function () {
+                const { did } = await createDIDWithDocument(user1);
+                const result = await resolveDid(did, options);
+                expect(result.didResolutionMetadata.error).to.be.undefined;
+                expect(result.didDocument.id).to.equal(did);
+                expect(result.didDocumentMetadata.deactivated).to.be.false;
+                expect(result.didDocumentMetadata.controller).to.equal(user1.address);
+
+                // 十六进制大小写不同的输入解析到同一个 DID 文档
+                const mixedCase = `${did.slice(0, -64)}${did.slice(-64).toUpperCase()}`;
+                expect((await resolveDid(mixedCase, options)).didDocument).to.deep.equal(result.didDocument);
+            });
+
+            it("Should mark a revoked DID as deactivated", async function () {
+                const { did, didHash } = await createDIDWithDocument(user1);
+                await didRegistry.connect(user1).revokeDID(didHash);
+                const result = await resolveDid(did, options);
+                expect(result.didDocumentMetadata.deactivated).to.be.true;
+            });
+
+            it("Should record every state change in the DID version log", async function () {
+                const before = await time.latest();
+                await time.increase(10);
+                const { didHash } = await createDIDWithDocument(user1);
+                await didRegistry.connect(user1).updateDID(didHash, "mem:second");
+                await didRegistry.connect(user1).transferController(didHash, user2.address);
+                await didRegistry.connect(user2).revokeDID(didHash);
+
+                expect(await didRegistry.getVersionCount(didHash)).to.equal(4);
+                const versions = await Promise.all([1, 2, 3, 4].map((id) => didRegistry.getDIDVersion(didHash, id)));
+                expect(versions.map(({ cid }) => cid)).to.deep.equal([`mem:${formatDid(chainId, didHash)}`, "mem:second", "mem:second", "mem:second"]);
+                expect(versions.map(({ controller }) => controller)).to.deep.equal([user1.address, user1.address, user2.address, user2.address]);
+                expect(versions.map(({ status }) => status)).to.deep.equal([Status.Active, Status.Active, Status.Active, Status.Revoked]);
+
+                expect(await didRegistry.getVersionIdAt(didHash, before)).to.equal(0);
+                expect(await didRegistry.getVersionIdAt(didHash, versions[1].timestamp)).to.equal(2);
+                expect(await didRegistry.getVersionIdAt(didHash, (await time.latest()) + 100)).to.equal(4);
+                await expect(didRegistry.getDIDVersion(didHash, 0)).to.be.revertedWith("DIDRegistry: Version does not exist");
+                await expect(didRegistry.getDIDVersion(didHash, 5)).to.be.revertedWith("DIDRegistry: Version does not exist");
+            });
+
+            it("Should resolve the document that was valid at an earlier version or time", async function () {
+                const { diffDidDocuments } = await import("../../did-frontend/src/lib/didDocument.js");
+                const { did, didHash } = await createDIDWithDocument(user1);
+                const keyDocument = (key) => ({
+                    "@context": ["https://www.w3.org/ns/did/v1"],
+                    id: did,
+                    verificationMethod: [{ id: `${did}#key-1`, type: "Multikey", controller: did, publicKeyMultibase: key }],
+                });
+                documents.set("mem:old-key", keyDocument("zOldKey"));
+                documents.set("mem:new-key", keyDocument("zNewKey"));
+                await didRegistry.connect(user1).updateDID(didHash, "mem:old-key");
+                const signedAt = new Date(((await time.latest()) + 30) * 1000).toISOString();
+                await time.increase(60);
+                // 密钥轮换之后，旧凭证签名当时的密钥仍可解析
+                await didRegistry.connect(user1).updateDID(didHash, "mem:new-key");
+
+                let result = await resolveDid(did, { ...options, versionTime: signedAt });
+                expect(result.didDocument.verificationMethod[0].publicKeyMultibase).to.equal("zOldKey");
+                expect(result.didDocumentMetadata).to.include({ versionId: "2", nextVersionId: "3", cid: "mem:old-key" });
+                expect(result.didDocumentMetadata.updated).to.match(/^\d{4}-\d{2}-\d{2}T/);
+                expect(Date.parse(result.didDocumentMetadata.nextUpdate)).to.be.greaterThan(Date.parse(signedAt));
+
+                result = await resolveDid(did, options);
+                expect(result.didDocument.verificationMethod[0].publicKeyMultibase).to.equal("zNewKey");
+                expect(result.didDocumentMetadata.versionId).to.equal("3");
+                expect(result.didDocumentMetadata.nextVersionId).to.be.undefined;
+                // 参数也可以写在 DID URL 中
+                expect((await resolveDid(`${did}?versionId=1`, options)).didDocument).to.deep.equal(documents.get(`mem:${did}`));
+
+                expect((await resolveDid(did, { ...options, versionId: "9" })).didResolutionMetadata.error).to.equal("notFound");
+                expect((await resolveDid(did, { ...options, versionTime: "2000-01-01T00:00:00Z" })).didResolutionMetadata.error).to.equal("notFound");
+                expect((await resolveDid(did, { ...options, versionId: "x" })).didResolutionMetadata.error).to.equal("invalidOptions");
+                expect((await resolveDid(did, { ...options, versionId: "1", versionTime: signedAt })).didResolutionMetadata.error)
+                    .to.equal("invalidOptions");
+
+                expect(diffDidDocuments(documents.get("mem:old-key"), documents.get("mem:new-key"))).to.deep.equal([{
+                    path: `verificationMethod[${did}#key-1].publicKeyMultibase`,
+                    change: "changed",
+                    before: "zOldKey",
+                    after: "zNewKey",
+                }]);
+            });
+
+            it("Should report resolution errors", async function () {
+                const unknown = formatDid(chainId, ethers.ZeroHash);
+                expect((await resolveDid(unknown, options)).didResolutionMetadata.error).to.equal("notFound");
+                expect((await resolveDid("did:merkleseal:nope", options)).didResolutionMetadata.error).to.equal("invalidDid");
+                expect((await resolveDid("did:ethr:0x1234", options)).didResolutionMetadata.error).to.equal("methodNotSupported");
+                expect((await resolveDid(formatDid(1, ethers.ZeroHash), options)).didResolutionMetadata.error).to.equal("methodNotSupported");
+            });
+
+            it("Should serve resolution results over the Universal Resolver route", async function () {
+                const { did, didHash } = await createDIDWithDocument(user1);
+                const server = await createResolverServer(options);
+                await new Promise((resolve) => server.listen(0, resolve));
+                const baseUrl = `http://127.0.0.1:${server.address().port}/1.0/identifiers/`;
+                try {
+                    let response = await fetch(baseUrl + encodeURIComponent(did));
+                    expect(response.status).to.equal(200);
+                    expect((await response.json()).didDocument.id).to.equal(did);
+
+                    response = await fetch(baseUrl + did, { headers: { Accept: "application/did+ld+json" } });
+                    expect(response.headers.get("content-type")).to.equal("application/did+ld+json");
+                    expect((await response.json()).id).to.equal(did);
+
+                    await didRegistry.connect(user1).revokeDID(didHash);
+                    expect((await fetch(baseUrl + did)).status).to.equal(410);
+                    expect((await fetch(baseUrl + formatDid(chainId, ethers.ZeroHash))).status).to.equal(404);
+                    // 撤销前的版本仍可解析
+                    response = await fetch(`${baseUrl}${did}?versionId=1`);
+                    expect(response.status).to.equal(200);
+                    expect((await response.json()).didDocumentMetadata).to.include({ versionId: "1", nextVersionId: "2" });
+                    expect((await fetch(`${baseUrl}${did}?versionTime=soon`)).status).to.equal(400);
+                } finally {
+                    server.close();
+                }
+            });
+        });
+
+        describe("Signed (meta-transaction) requests", function () {
+            // EIP-712 结构与前端、中继服务共用
+            let DID_META_TX_TYPES, getDidRegistryDomain, getDidMetaTxCall, createRelayerServer;
+            let domain, deadline;
+
+            before(async function () {
+                ({ DID_META_TX_TYPES, getDidRegistryDomain, getDidMetaTxCall } = await import("../../did-frontend/src/lib/didMetaTx.js"));
+                ({ createRelayerServer } = require("../scripts/relayer"));
+            });
+
+            beforeEach(async function () {
+                const { chainId } = await ethers.provider.getNetwork();
+                domain = getDidRegistryDomain(chainId, await didRegistry.getAddress());
+                deadline = (await time.latest()) + 3600;
+            });
+
+            // 控制者签名，返回中继提交所需的内容
+            async function signRequest(signer, operation, fields) {
+                const request = { ...fields, nonce: await didRegistry.getNonce(signer.address), deadline };
+                const signature = await signer.signTypedData(domain, DID_META_TX_TYPES[operation], request);
+                return { request, signature };
+            }
+
+            async function relay(operation, { request, signature }, relayer = deployer) {
+                const { method, args } = getDidMetaTxCall(operation, request, signature);
+                return didRegistry.connect(relayer)[method](...args);
+            }
+
+            it("Should match the contract's EIP-712 domain", async function () {
+                expect(await didRegistry.DOMAIN_SEPARATOR()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+            });
+
+            it("Should create, update and revoke a DID from signed requests", async function () {
+                const did = ethers.solidityPackedKeccak256(["address", "uint256"], [user1.address, 0]);
+
+                const created = await signRequest(user1, "createDID", { controller: user1.address, cid: ipfsCid1 });
+                await expect(relay("createDID", created))
+                    .to.emit(didRegistry, "DIDRegistered")
+                    .withArgs(did, user1.address, ipfsCid1);
+
+                const updated = await signRequest(user1, "updateDID", { did, newCid: ipfsCid2 });
+                await expect(relay("updateDID", updated))
+                    .to.emit(didRegistry, "DIDUpdated")
+                    .withArgs(did, ipfsCid2);
+
+                const revoked = await signRequest(user1, "revokeDID", { did });
+                await expect(relay("revokeDID", revoked)).to.emit(didRegistry, "DIDRevoked").withArgs(did);
+
+                const [controller, cid, status] = await didRegistry.resolveDID(did);
+                expect(controller).to.equal(user1.address);
+                expect(cid).to.equal(ipfsCid2);
+                expect(status).to.equal(Status.Revoked);
+                expect(await didRegistry.getNonce(user1.address)).to.equal(3);
+            });
+
+            it("Should reject replayed, expired and forged signatures", async function () {
+                const created = await signRequest(user1, "createDID", { controller: user1.address, cid: ipfsCid1 });
+                await relay("createDID", created);
+                await expect(relay("createDID", created)).to.be.revertedWith("DIDRegistry: Invalid signature");
+
+                const did = (await didRegistry.getDIDsByOwner(user1.address))[0];
+                const forged = await signRequest(unauthorizedUser, "updateDID", { did, newCid: ipfsCid2 });
+                await expect(relay("updateDID", forged)).to.be.revertedWith("DIDRegistry: Invalid signature");
+
+                const expired = await signRequest(user1, "updateDID", { did, newCid: ipfsCid2 });
+                await time.increaseTo(deadline + 1);
+                await expect(relay("updateDID", expired)).to.be.revertedWith("DIDRegistry: Signature expired");
+            });
+
+            it("Should relay signed requests over HTTP", async function () {
+                const server = await createRelayerServer({ registry: didRegistry.connect(deployer) });
+                await new Promise((resolve) => server.listen(0, resolve));
+                const relayUrl = `http://127.0.0.1:${server.address().port}/relay`;
+                const post = (body) => fetch(relayUrl, {
+                    method: "POST",
+                    headers: { "Content-Type": "application/json" },
+                    // 请求中的 bigint 以字符串形式传输
+                    body: JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+                });
+                try {
+                    const created = await signRequest(user1, "createDID", { controller: user1.address, cid: ipfsCid1 });
+                    let response = await post({ operation: "createDID", ...created });
+                    expect(response.status).to.equal(200);
+                    const { transactionHash } = await response.json();
+                    const receipt = await ethers.provider.getTransactionReceipt(transactionHash);
+                    expect(receipt.from).to.equal(deployer.address);
+                    expect(await didRegistry.getDIDsByOwner(user1.address)).to.have.lengthOf(1);
+
+                    response = await post({ operation: "createDID", ...created });
+                    expect(response.status).to.equal(400);
+                    expect((await response.json()).error).to.include("Invalid signature");
+
+                    response = await post({ operation: "transferController", ...created });
+                    expect(response.status).to.equal(400);
+                } finally {
+                    server.close();
+                }
+            });
+        });
     });
 
     describe("VCRegistry", function () {
@@ -207,7 +701,7 @@ describe("DID and VC System", function () {
                 await expect(vcRegistry.connect(deployer).revokeBatchCredential(leaf1, merkleRoot))
                     .to.emit(vcRegistry, "BatchCredentialRevoked")
                     .withArgs(leaf1, merkleRoot, deployer.address);
-                expect(await vcRegistry.isBatchCredentialRevoked(leaf1)).to.be.true;
+                expect(await vcRegistry.isBatchCredentialRevoked(leaf1, merkleRoot)).to.be.true;
             });
 
             // FAILING TEST 3: FIX APPLIED HERE
@@ -231,5 +725,1594 @@ describe("DID and VC System", function () {
                 ).to.be.revertedWith("VCRegistry: Caller is not the batch issuer");
             });
         });
+
+        describe("Status List Revocation", function () {
+            // 与合约中的 enum CredentialStatus 对应
+            const CredentialStatus = { Valid: 0, Revoked: 1, UnknownRoot: 2, InvalidProof: 3, Expired: 4 };
+            const BATCH_SIZE = 300;
+            let statusList, root, batchLeaves, tree;
+
+            before(async function () {
+                statusList = await import("../../did-frontend/src/lib/statusList.js");
+            });
+
+            beforeEach(async function () {
+                // 批次中第 i 个凭证的 statusListIndex 为 i
+                batchLeaves = Array.from({ length: BATCH_SIZE }, (_, i) => ethers.keccak256(ethers.toUtf8Bytes(`VC:${i}`)));
+                tree = new MerkleTree(batchLeaves, ethers.keccak256, { sortPairs: true });
+                root = tree.getHexRoot();
+                await vcRegistry.connect(deployer).issueBatchCredentials(root);
+            });
+
+            const statusOf = async (index, merkleRoot = root) =>
+                (await vcRegistry.verifyCredentialWithStatus(batchLeaves[index], merkleRoot, tree.getHexProof(batchLeaves[index]), index))[2];
+
+            it("Should revoke a range of credentials in bulk with one transaction", async function () {
+                const indices = statusList.parseStatusIndices("0-99, 299");
+                const { wordIndices, masks } = statusList.toStatusListMasks(indices);
+                expect(wordIndices).to.deep.equal([0, 1]);
+
+                await expect(vcRegistry.connect(deployer).revokeByStatusList(root, wordIndices, masks))
+                    .to.emit(vcRegistry, "StatusListUpdated")
+                    .withArgs(root, wordIndices, masks, deployer.address);
+
+                expect(await vcRegistry.isStatusListIndexRevoked(root, 0)).to.be.true;
+                expect(await vcRegistry.isStatusListIndexRevoked(root, 99)).to.be.true;
+                expect(await vcRegistry.isStatusListIndexRevoked(root, 100)).to.be.false;
+                expect(await vcRegistry.isStatusListIndexRevoked(root, 299)).to.be.true;
+                expect(await statusOf(42)).to.equal(CredentialStatus.Revoked);
+                expect(await statusOf(150)).to.equal(CredentialStatus.Valid);
+                expect(await statusOf(299)).to.equal(CredentialStatus.Revoked);
+            });
+
+            it("Should only let the batch issuer update its status list", async function () {
+                const { wordIndices, masks } = statusList.toStatusListMasks([1]);
+                await expect(
+                    vcRegistry.connect(user1).revokeByStatusList(root, wordIndices, masks)
+                ).to.be.revertedWith("VCRegistry: Caller is not the batch issuer");
+                await expect(
+                    vcRegistry.connect(deployer).revokeByStatusList(ethers.ZeroHash, wordIndices, masks)
+                ).to.be.revertedWith("VCRegistry: Merkle root does not exist");
+                await expect(
+                    vcRegistry.connect(deployer).revokeByStatusList(root, [0, 1], masks)
+                ).to.be.revertedWith("VCRegistry: Length mismatch");
+                await expect(
+                    vcRegistry.connect(deployer).revokeByStatusList(root, [], [])
+                ).to.be.revertedWith("VCRegistry: No status bits given");
+            });
+
+            it("Should scope revocation to the batch so leaves cannot be poisoned from another root", async function () {
+                // 另一个颁发者在自己的批次中放入相同的叶子并将其撤销
+                await vcRegistry.connect(deployer).grantIssuerRole(user1.address);
+                const poisonTree = new MerkleTree([batchLeaves[0], ethers.ZeroHash], ethers.keccak256, { sortPairs: true });
+                const poisonRoot = poisonTree.getHexRoot();
+                await vcRegistry.connect(user1).issueBatchCredentials(poisonRoot);
+                await vcRegistry.connect(user1).revokeBatchCredential(batchLeaves[0], poisonRoot);
+                await vcRegistry.connect(user1).revokeByStatusList(poisonRoot, [0], [1]);
+
+                expect(await vcRegistry.isBatchCredentialRevoked(batchLeaves[0], poisonRoot)).to.be.true;
+                expect(await vcRegistry.isBatchCredentialRevoked(batchLeaves[0], root)).to.be.false;
+                expect(await statusOf(0)).to.equal(CredentialStatus.Valid);
+                const [isValid] = await vcRegistry.verifyCredential(batchLeaves[0], root, tree.getHexProof(batchLeaves[0]));
+                expect(isValid).to.be.true;
+            });
+
+            it("Should not report revocation for leaves outside the batch", async function () {
+                await vcRegistry.connect(deployer).revokeBatchCredential(nonExistentLeaf, root);
+                expect((await vcRegistry.verifyCredential(nonExistentLeaf, root, []))[2]).to.equal(CredentialStatus.InvalidProof);
+            });
+
+            it("Should export the on-chain status list as a Bitstring Status List credential", async function () {
+                const { wordIndices, masks } = statusList.toStatusListMasks([3, 256, 299]);
+                await vcRegistry.connect(deployer).revokeByStatusList(root, wordIndices, masks);
+
+                const id = "urn:uuid:6e7f8c59-7d0e-4a5b-9c3b-2f1d4e5a6b7c";
+                const credential = await statusList.exportStatusListCredential({
+                    vcRegistryContract: vcRegistry,
+                    merkleRoot: root,
+                    id,
+                    issuer: `did:ethr:${deployer.address}`,
+                });
+                expect(credential.type).to.include("BitstringStatusListCredential");
+                expect(credential.credentialSubject.statusPurpose).to.equal("revocation");
+                expect(credential.credentialSubject.encodedList.startsWith("u")).to.be.true;
+
+                const bitstring = await statusList.decodeStatusList(credential.credentialSubject.encodedList);
+                expect(bitstring.length * 8).to.equal(statusList.STATUS_LIST_MIN_LENGTH);
+                // 规范中索引 0 是第一个字节的最高位
+                expect(bitstring[0]).to.equal(0x10);
+                [3, 256, 299].forEach((index) => expect(statusList.isStatusListBitSet(bitstring, index)).to.be.true);
+                [0, 4, 255, 298].forEach((index) => expect(statusList.isStatusListBitSet(bitstring, index)).to.be.false);
+
+                const entry = statusList.createStatusListEntry(id, 299);
+                expect(statusList.getStatusListIndex({ credentialStatus: entry })).to.equal(299);
+                expect(statusList.getStatusListIndex({})).to.be.null;
+            });
+
+            it("Should derive the status list id from the chain, the registry and the batch contents", async function () {
+                const contractAddress = await vcRegistry.getAddress();
+                const credentials = ["Alice", "Bob"].map((name) => ({ issuer: `did:ethr:${deployer.address}`, credentialSubject: { name } }));
+                const idFor = (overrides) => statusList.createStatusListCredentialId({
+                    baseUrl: "https://issuer.example/status-lists/", chainId, contractAddress, credentials, ...overrides,
+                });
+
+                const id = idFor();
+                expect(id).to.match(new RegExp(`^https://issuer\\.example/status-lists/${chainId}/${contractAddress}/0x[0-9a-f]{64}$`));
+                // 状态条目不参与推导，颁发后的凭证仍能得到相同的 id
+                const issued = credentials.map((credential, i) => ({ ...credential, credentialStatus: statusList.createStatusListEntry(id, i) }));
+                expect(idFor({ credentials: issued })).to.equal(id);
+                expect(idFor({ chainId: 1 })).to.not.equal(id);
+                expect(idFor({ credentials: credentials.slice().reverse() })).to.not.equal(id);
+
+                const exported = await statusList.exportStatusListCredential({
+                    vcRegistryContract: vcRegistry, merkleRoot: root, id, issuer: `did:ethr:${deployer.address}`,
+                });
+                expect(exported.id).to.equal(issued[1].credentialStatus.statusListCredential);
+            });
+        });
+
+        describe("Issuer History", function () {
+            let fetchIssuerEvents, buildIssuerHistory, toStatusListMasks;
+            let rootA, rootB, leavesA;
+
+            before(async function () {
+                ({ fetchIssuerEvents, buildIssuerHistory } = await import("../../did-frontend/src/lib/issuerHistory.js"));
+                ({ toStatusListMasks } = await import("../../did-frontend/src/lib/statusList.js"));
+            });
+
+            beforeEach(async function () {
+                leavesA = ["VC:A1", "VC:A2", "VC:A3"].map(cred => ethers.keccak256(ethers.toUtf8Bytes(cred)));
+                rootA = new MerkleTree(leavesA, ethers.keccak256, { sortPairs: true }).getHexRoot();
+                rootB = ethers.keccak256(ethers.toUtf8Bytes("batch B"));
+                await vcRegistry.connect(deployer).issueBatchCredentials(rootA);
+                await vcRegistry.connect(deployer).issueBatchCredentials(rootB);
+            });
+
+            it("Should revoke several credentials with a reason", async function () {
+                await expect(vcRegistry.connect(deployer).revokeBatchCredentials(rootA, [leavesA[0], leavesA[2]], "Issued in error"))
+                    .to.emit(vcRegistry, "BatchCredentialRevoked")
+                    .withArgs(leavesA[2], rootA, deployer.address)
+                    .and.to.emit(vcRegistry, "CredentialRevocationReason")
+                    .withArgs(leavesA[0], rootA, "Issued in error");
+                expect(await vcRegistry.isBatchCredentialRevoked(leavesA[0], rootA)).to.be.true;
+                expect(await vcRegistry.isBatchCredentialRevoked(leavesA[1], rootA)).to.be.false;
+                expect(await vcRegistry.isBatchCredentialRevoked(leavesA[2], rootA)).to.be.true;
+            });
+
+            it("Should reject invalid bulk revocations", async function () {
+                await expect(
+                    vcRegistry.connect(user1).revokeBatchCredentials(rootA, [leavesA[0]], "reason")
+                ).to.be.revertedWith("VCRegistry: Caller is not the batch issuer");
+                await expect(
+                    vcRegistry.connect(deployer).revokeBatchCredentials(rootA, [], "reason")
+                ).to.be.revertedWith("VCRegistry: No credentials given");
+                await vcRegistry.connect(deployer).revokeBatchCredential(leavesA[0], rootA);
+                await expect(
+                    vcRegistry.connect(deployer).revokeBatchCredentials(rootA, [leavesA[1], leavesA[0]], "reason")
+                ).to.be.revertedWith("VCRegistry: Credential already revoked");
+            });
+
+            it("Should rebuild the issuer's batches and revocations from event logs", async function () {
+                await vcRegistry.connect(deployer).revokeBatchCredentials(rootA, [leavesA[1]], "Holder request");
+                await vcRegistry.connect(deployer).revokeBatchCredential(leavesA[2], rootA);
+                const { wordIndices, masks } = toStatusListMasks([7, 300]);
+                await vcRegistry.connect(deployer).revokeByStatusList(rootB, wordIndices, masks);
+                // 其他颁发者的批次不应出现在历史中
+                await vcRegistry.connect(deployer).grantIssuerRole(user1.address);
+                await vcRegistry.connect(user1).issueBatchCredentials(ethers.keccak256(ethers.toUtf8Bytes("other")));
+
+                const history = buildIssuerHistory(await fetchIssuerEvents(vcRegistry, deployer.address));
+                expect(history.map((batch) => batch.merkleRoot)).to.deep.equal([rootB, rootA]);
+
+                const [batchB, batchA] = history;
+                expect([...batchB.revokedStatusIndices]).to.deep.equal([7, 300]);
+                expect(batchB.revokedLeaves.size).to.equal(0);
+                expect(batchA.revokedLeaves.get(leavesA[1]).reason).to.equal("Holder request");
+                expect(batchA.revokedLeaves.get(leavesA[2]).reason).to.equal("");
+                expect(batchA.revokedLeaves.has(leavesA[0])).to.be.false;
+            });
+        });
+
+        describe("Issuer Administration", function () {
+            let fetchIssuerRoleEvents, buildIssuerList;
+
+            before(async function () {
+                ({ fetchIssuerRoleEvents, buildIssuerList } = await import("../../did-frontend/src/lib/issuerRoles.js"));
+            });
+
+            it("Should grant the ISSUER role with a metadata label", async function () {
+                const ISSUER_ROLE = await vcRegistry.ISSUER_ROLE();
+                await expect(vcRegistry.connect(deployer).grantIssuerRoleWithMetadata(user1.address, "Tsinghua University", "https://www.tsinghua.edu.cn"))
+                    .to.emit(vcRegistry, "RoleGranted")
+                    .withArgs(ISSUER_ROLE, user1.address, deployer.address)
+                    .and.to.emit(vcRegistry, "IssuerMetadataUpdated")
+                    .withArgs(user1.address, "Tsinghua University", "https://www.tsinghua.edu.cn");
+                expect(await vcRegistry.hasRole(ISSUER_ROLE, user1.address)).to.be.true;
+            });
+
+            it("Should prevent non-ADMIN from granting roles with metadata", async function () {
+                await expect(
+                    vcRegistry.connect(user1).grantIssuerRoleWithMetadata(user2.address, "Fake University", "")
+                ).to.be.revertedWithCustomError(vcRegistry, "AccessControlUnauthorizedAccount");
+            });
+
+            it("Should rebuild the issuer list from role events", async function () {
+                await vcRegistry.connect(deployer).grantIssuerRoleWithMetadata(user1.address, "Old Name", "");
+                await vcRegistry.connect(deployer).grantIssuerRoleWithMetadata(user1.address, "Peking University", "https://www.pku.edu.cn");
+                await vcRegistry.connect(deployer).grantIssuerRole(user2.address);
+                await vcRegistry.connect(deployer).revokeIssuerRole(user2.address);
+
+                const issuers = buildIssuerList(await fetchIssuerRoleEvents(vcRegistry));
+                expect(issuers.map((issuer) => issuer.address)).to.deep.equal([deployer.address, user1.address, user2.address]);
+
+                const [admin, active, revoked] = issuers;
+                expect(admin.active).to.be.true;
+                expect(admin.metadata).to.be.null;
+                expect(active.active).to.be.true;
+                expect(active.grantedBy).to.equal(deployer.address);
+                expect(active.metadata).to.deep.equal({ name: "Peking University", website: "https://www.pku.edu.cn" });
+                expect(revoked.active).to.be.false;
+            });
+        });
+
+        describe("Trust Registry", function () {
+            const ONE_DAY = 24 * 60 * 60;
+            let resolveIssuerIdentity, getIssuerDid, ACCREDITATION_STATUSES;
+            let issuerDid, validFrom, validUntil;
+
+            before(async function () {
+                ({ resolveIssuerIdentity, getIssuerDid, ACCREDITATION_STATUSES } = await import("../../did-frontend/src/lib/trustRegistry.js"));
+            });
+
+            beforeEach(async function () {
+                issuerDid = await createDid(user1, "QmIssuerDocument");
+                await vcRegistry.connect(deployer).grantIssuerRole(user1.address);
+                validFrom = await time.latest();
+                validUntil = validFrom + ONE_DAY;
+            });
+
+            it("Should register an issuer and report its accreditation period", async function () {
+                await expect(vcRegistry.connect(deployer).setIssuerAccreditation(user1.address, issuerDid, "Tsinghua Registrar", "HigherEducation", validFrom, validUntil))
+                    .to.emit(vcRegistry, "IssuerAccredited")
+                    .withArgs(user1.address, issuerDid, "Tsinghua Registrar", "HigherEducation", validFrom, validUntil);
+
+                const entry = await vcRegistry.getIssuerAccreditation(user1.address);
+                expect(entry.did).to.equal(issuerDid);
+                expect(entry.name).to.equal("Tsinghua Registrar");
+                expect(await vcRegistry.isIssuerAccredited(user1.address, validFrom - 1)).to.be.false;
+                expect(await vcRegistry.isIssuerAccredited(user1.address, validUntil)).to.be.true;
+                expect(await vcRegistry.isIssuerAccredited(user1.address, validUntil + 1)).to.be.false;
+                expect(await vcRegistry.isIssuerAccredited(user2.address, validFrom)).to.be.false;
+            });
+
+            it("Should restrict the trust registry to accreditors", async function () {
+                await expect(
+                    vcRegistry.connect(user1).setIssuerAccreditation(user1.address, issuerDid, "Self", "HigherEducation", validFrom, 0)
+                ).to.be.revertedWithCustomError(vcRegistry, "AccessControlUnauthorizedAccount");
+                await expect(
+                    vcRegistry.connect(deployer).setIssuerAccreditation(user1.address, ethers.ZeroHash, "No DID", "HigherEducation", validFrom, 0)
+                ).to.be.revertedWith("VCRegistry: DID is required");
+                await expect(
+                    vcRegistry.connect(deployer).setIssuerAccreditation(user1.address, issuerDid, "Backwards", "HigherEducation", validUntil, validFrom)
+                ).to.be.revertedWith("VCRegistry: Invalid accreditation period");
+
+                // 管理员可以将维护权交给治理合约等其他账户
+                await vcRegistry.connect(deployer).grantRole(await vcRegistry.ACCREDITOR_ROLE(), user2.address);
+                await vcRegistry.connect(user2).setIssuerAccreditation(user1.address, issuerDid, "Tsinghua Registrar", "HigherEducation", validFrom, 0);
+                await expect(vcRegistry.connect(user2).removeIssuerAccreditation(user1.address))
+                    .to.emit(vcRegistry, "IssuerAccreditationRemoved")
+                    .withArgs(user1.address);
+                await expect(
+                    vcRegistry.connect(user2).removeIssuerAccreditation(user1.address)
+                ).to.be.revertedWith("VCRegistry: Issuer is not registered");
+            });
+
+            it("Should resolve the issuer identity and flag a lapsed accreditation", async function () {
+                const { chainId } = await ethers.provider.getNetwork();
+                await vcRegistry.connect(deployer).setIssuerAccreditation(user1.address, issuerDid, "Tsinghua Registrar", "HigherEducation", validFrom, validUntil);
+                const resolve = (issuer, at) => resolveIssuerIdentity({ vcRegistryContract: vcRegistry, didRegistryContract: didRegistry, chainId, issuer, at });
+
+                let identity = await resolve(user1.address, new Date(validUntil * 1000));
+                expect(identity.did).to.equal(`did:merkleseal:${chainId}:${issuerDid}`);
+                expect(identity.accreditation.name).to.equal("Tsinghua Registrar");
+                expect(identity.accreditationStatus).to.equal(ACCREDITATION_STATUSES.ACCREDITED);
+                expect(identity.didStatus).to.equal("active");
+                expect(identity.didControlledByIssuer).to.be.true;
+
+                identity = await resolve(user1.address, new Date((validUntil + 1) * 1000));
+                expect(identity.accreditationStatus).to.equal(ACCREDITATION_STATUSES.LAPSED);
+
+                await didRegistry.connect(user1).revokeDID(issuerDid);
+                identity = await resolve(user1.address, new Date(validFrom * 1000));
+                expect(identity.didStatus).to.equal("revoked");
+
+                identity = await resolve(deployer.address);
+                expect(identity.accreditationStatus).to.equal(ACCREDITATION_STATUSES.UNREGISTERED);
+                expect(identity.did).to.be.null;
+            });
+
+            it("Should sign as the registered did:merkleseal and fall back to the account DID", async function () {
+                const issuerDidFor = (issuer) => getIssuerDid({ vcRegistryContract: vcRegistry, chainId, issuer });
+                expect(await issuerDidFor(user1.address)).to.equal(`did:ethr:${user1.address}`);
+
+                await vcRegistry.connect(deployer).setIssuerAccreditation(user1.address, issuerDid, "Tsinghua Registrar", "HigherEducation", validFrom, 0);
+                expect(await issuerDidFor(user1.address)).to.equal(`did:merkleseal:${chainId}:${issuerDid}`);
+
+                await vcRegistry.connect(deployer).removeIssuerAccreditation(user1.address);
+                expect(await issuerDidFor(user1.address.toLowerCase())).to.equal(`did:ethr:${user1.address}`);
+            });
+        });
+
+        describe("Credential Schemas", function () {
+            let credentialSchema, SCHEMA_TEMPLATES, employmentSchema, schemaHash;
+
+            before(async function () {
+                credentialSchema = await import("../../did-frontend/src/lib/credentialSchema.js");
+                ({ SCHEMA_TEMPLATES } = await import("../../did-frontend/src/lib/schemaTemplates.js"));
+                employmentSchema = SCHEMA_TEMPLATES.find((schema) => schema.title === "EmploymentCredential");
+                schemaHash = credentialSchema.hashCredentialSchema(employmentSchema);
+            });
+
+            it("Should register schemas per issuer", async function () {
+                await expect(vcRegistry.connect(deployer).registerCredentialSchema(schemaHash, "EmploymentCredential", "QmEmploymentSchema"))
+                    .to.emit(vcRegistry, "CredentialSchemaRegistered")
+                    .withArgs(deployer.address, schemaHash, "EmploymentCredential", "QmEmploymentSchema");
+                await expect(
+                    vcRegistry.connect(deployer).registerCredentialSchema(schemaHash, "EmploymentCredential", "QmEmploymentSchema")
+                ).to.be.revertedWith("VCRegistry: Schema already registered");
+                await expect(
+                    vcRegistry.connect(unauthorizedUser).registerCredentialSchema(schemaHash, "EmploymentCredential", "QmEmploymentSchema")
+                ).to.be.revertedWithCustomError(vcRegistry, "AccessControlUnauthorizedAccount");
+
+                // 同一份 schema 可以被其他颁发者独立注册
+                await vcRegistry.connect(deployer).grantIssuerRole(user1.address);
+                await vcRegistry.connect(user1).registerCredentialSchema(schemaHash, "EmploymentCredential", "QmEmploymentSchema");
+
+                const schemas = await credentialSchema.fetchIssuerSchemas(vcRegistry, deployer.address);
+                expect(schemas).to.have.lengthOf(1);
+                expect(schemas[0]).to.include({ schemaHash, name: "EmploymentCredential", cid: "QmEmploymentSchema" });
+                expect(schemas[0].registeredAt).to.be.greaterThan(0);
+                expect(await credentialSchema.fetchIssuerSchemas(vcRegistry, user2.address)).to.deep.equal([]);
+            });
+
+            it("Should generate form fields and validate entries against a schema", async function () {
+                const fields = credentialSchema.getSchemaFormFields(employmentSchema);
+                expect(fields.map((field) => field.name)).to.deep.equal(["id", "name", "employer", "jobTitle", "startDate"]);
+                expect(fields.find((field) => field.name === "startDate")).to.include({ format: "date", required: true });
+                expect(fields.find((field) => field.name === "jobTitle").required).to.be.false;
+
+                const subject = { id: "did:merkleseal:31337:0x01", name: "Alice", employer: "ACME", startDate: "2024-03-01" };
+                expect(credentialSchema.validateCredentialSubject(subject, employmentSchema)).to.deep.equal([]);
+                expect(credentialSchema.validateCredentialSubject({ ...subject, id: "alice", startDate: "March 2024" }, employmentSchema))
+                    .to.deep.equal(["credentialSubject.id: does not match pattern ^did:", "credentialSubject.startDate: is not a valid date"]);
+                expect(credentialSchema.validateCredentialSubject({ id: subject.id, name: "Alice" }, employmentSchema))
+                    .to.deep.equal(["credentialSubject.employer: is required", "credentialSubject.startDate: is required"]);
+
+                const certification = SCHEMA_TEMPLATES.find((schema) => schema.title === "CertificationCredential");
+                expect(credentialSchema.validateCredentialSubject({ ...subject, certification: "CPA", certifiedOn: "2024-01-01", score: 101 }, certification))
+                    .to.deep.equal(["credentialSubject.score: must be <= 100"]);
+                expect(() => credentialSchema.validateAgainstSchema("x", { type: "string", oneOf: [] }))
+                    .to.throw('Unsupported JSON Schema keyword "oneOf"');
+            });
+
+            it("Should validate a complete credential carrying its credentialSchema", async function () {
+                const credential = {
+                    "@context": "https://www.w3.org/2018/credentials/v1",
+                    type: ["VerifiableCredential", employmentSchema.title],
+                    issuer: `did:ethr:${deployer.address}`,
+                    issuanceDate: "2025-01-01T00:00:00.000Z",
+                    credentialSubject: { id: "did:merkleseal:31337:0x01", name: "Alice", employer: "ACME", startDate: "2024-03-01" },
+                    credentialSchema: credentialSchema.createCredentialSchemaEntry(credentialSchema.schemaUriFromCid("QmEmploymentSchema")),
+                };
+                expect(credential.credentialSchema).to.deep.equal({ id: "ipfs://QmEmploymentSchema", type: "JsonSchema" });
+                expect(credentialSchema.validateAgainstSchema(credential, employmentSchema)).to.deep.equal([]);
+
+                const { issuanceDate, ...withoutDate } = credential;
+                expect(credentialSchema.validateAgainstSchema(withoutDate, employmentSchema)).to.deep.equal(["$.issuanceDate: is required"]);
+                // schema 哈希与键的顺序无关
+                const reordered = Object.fromEntries(Object.entries(employmentSchema).reverse());
+                expect(credentialSchema.hashCredentialSchema(reordered)).to.equal(schemaHash);
+            });
+        });
+
+        describe("Bulk Import", function () {
+            let bulkImport, getSchemaFormFields, educationSchema, fields;
+            const did = (n) => `did:merkleseal:31337:0x${n.toString(16).padStart(64, "0")}`;
+
+            before(async function () {
+                bulkImport = await import("../../did-frontend/src/lib/bulkImport.js");
+                ({ getSchemaFormFields } = await import("../../did-frontend/src/lib/credentialSchema.js"));
+                const { SCHEMA_TEMPLATES } = await import("../../did-frontend/src/lib/schemaTemplates.js");
+                educationSchema = SCHEMA_TEMPLATES.find((schema) => schema.title === "EducationCredential");
+                fields = getSchemaFormFields(educationSchema);
+            });
+
+            it("Should parse quoted CSV fields and suggest a column mapping", async function () {
+                const csv = "\uFEFFStudent DID,Name,degree,Expiration Date\r\n"
+                    + `${did(1)},"Li, Lei",Bachelor,2030-07-01\r\n`
+                    + `${did(2)},"Han ""Meimei""\nZhang",Master,\r\n\r\n`;
+                const { headers, records } = bulkImport.parseCsv(csv);
+                expect(headers).to.deep.equal(["Student DID", "Name", "degree", "Expiration Date"]);
+                expect(records).to.have.lengthOf(2);
+                expect(records[0].Name).to.equal("Li, Lei");
+                expect(records[1].Name).to.equal('Han "Meimei"\nZhang');
+                expect(() => bulkImport.parseCsv('id,name\n1,"unterminated')).to.throw("Unterminated quoted field");
+
+                const mapping = bulkImport.suggestColumnMapping(headers, fields);
+                expect(mapping).to.deep.equal({ id: "", name: "Name", degree: "degree", [bulkImport.EXPIRATION_DATE_COLUMN]: "Expiration Date" });
+            });
+
+            it("Should report invalid, incomplete and duplicate records", async function () {
+                const { records } = bulkImport.parseJsonRecords(JSON.stringify({
+                    credentials: [
+                        { did: did(1), name: "Alice", degree: "Bachelor" },
+                        { did: "alice", name: "Alice", degree: "Bachelor" },
+                        { did: did(3), name: "Carol", degree: "Diploma", expires: "soon" },
+                        { did: did(1), name: "Alice again", degree: "Master" },
+                        { did: did(5), degree: "Doctorate" },
+                        { did: did(6), name: "Frank", degree: "Master" },
+                    ],
+                }));
+                const mapping = { id: "did", name: "name", degree: "degree", [bulkImport.EXPIRATION_DATE_COLUMN]: "expires" };
+                const { entries, errors } = bulkImport.importRecords(records, {
+                    fields,
+                    schema: educationSchema,
+                    mapping,
+                    existingSubjectIds: [did(6)],
+                });
+
+                expect(entries.map((entry) => entry.record)).to.deep.equal([1]);
+                expect(entries[0].credentialSubject).to.deep.equal({ id: did(1), name: "Alice", degree: "Bachelor" });
+                expect(errors).to.deep.equal([
+                    { record: 2, messages: ["credentialSubject.id: does not match pattern ^did:"] },
+                    { record: 3, messages: [
+                        'credentialSubject.degree: must be one of "Bachelor", "Master", "Doctorate"',
+                        'expirationDate: "soon" is not a valid date',
+                    ] },
+                    { record: 4, messages: ["credentialSubject.id: duplicate of record 1"] },
+                    { record: 5, messages: ["credentialSubject.name: is required"] },
+                    { record: 6, messages: [`credentialSubject.id: ${did(6)} is already in the batch`] },
+                ]);
+            });
+
+            it("Should reject subjects that are not active did:merkleseal DIDs on this chain per record", async function () {
+                const { formatDid } = await import("../../did-frontend/src/lib/didMethod.js");
+                const active = formatDid(chainId, await createDid(user1));
+                const revokedHash = await createDid(user2);
+                await didRegistry.connect(user2).revokeDID(revokedHash);
+                const revoked = formatDid(chainId, revokedHash);
+                const { records } = bulkImport.parseCsv([
+                    "id,name,degree",
+                    `${active},Alice,Bachelor`,
+                    "did:ethr:0x70997970C51812dc3A010C7d01b50e0d17dc79C8,Bob,Bachelor",
+                    `${formatDid(1, ethers.ZeroHash)},Carol,Bachelor`,
+                    `${revoked},Dave,Master`,
+                    `${did(5)},Erin,Master`,
+                ].join("\n"));
+
+                const imported = bulkImport.importRecords(records, {
+                    fields,
+                    schema: educationSchema,
+                    mapping: bulkImport.suggestColumnMapping(["id", "name", "degree"], fields),
+                    chainId,
+                });
+                expect(imported.entries.map((entry) => entry.record)).to.deep.equal([1, 4, 5]);
+
+                const { entries, errors } = await bulkImport.checkImportedSubjects(vcRegistry, imported, chainId);
+                expect(entries.map((entry) => entry.credentialSubject.id)).to.deep.equal([active]);
+                expect(errors).to.deep.equal([
+                    { record: 2, messages: ['credentialSubject.id: "did:ethr:0x70997970C51812dc3A010C7d01b50e0d17dc79C8" is not a did:merkleseal DID'] },
+                    { record: 3, messages: [`credentialSubject.id: ${formatDid(1, ethers.ZeroHash)} is registered on another chain`] },
+                    { record: 4, messages: [`credentialSubject.id: ${revoked} has been revoked`] },
+                    { record: 5, messages: [`credentialSubject.id: ${did(5)} is not registered`] },
+                ]);
+            });
+
+            it("Should issue all valid imported records in a single batch", async function () {
+                const rows = Array.from({ length: 300 }, (_, i) => `${did(i + 1)},Student ${i + 1},Bachelor`);
+                const { records } = bulkImport.parseCsv(["id,name,degree", ...rows].join("\n"));
+                const { entries, errors } = bulkImport.importRecords(records, {
+                    fields,
+                    schema: educationSchema,
+                    mapping: bulkImport.suggestColumnMapping(["id", "name", "degree"], fields),
+                });
+                expect(errors).to.deep.equal([]);
+                expect(entries).to.have.lengthOf(300);
+
+                const batchLeaves = entries.map((entry) => ethers.keccak256(ethers.toUtf8Bytes(JSON.stringify(entry.credentialSubject))));
+                const tree = new MerkleTree(batchLeaves, ethers.keccak256, { sortPairs: true });
+                await expect(vcRegistry.connect(deployer).issueBatchCredentials(tree.getHexRoot()))
+                    .to.emit(vcRegistry, "BatchCredentialsIssued");
+                const [isValid] = await vcRegistry.verifyCredential(batchLeaves[299], tree.getHexRoot(), tree.getHexProof(batchLeaves[299]));
+                expect(isValid).to.be.true;
+            });
+        });
+
+        describe("Credential Expiration", function () {
+            // 与合约中的 enum CredentialStatus 对应
+            const CredentialStatus = { Valid: 0, Revoked: 1, UnknownRoot: 2, InvalidProof: 3, Expired: 4 };
+            const ONE_DAY = 24 * 60 * 60;
+            let validUntil, root, leaf, proof;
+
+            beforeEach(async function () {
+                validUntil = (await time.latest()) + ONE_DAY;
+                // 与前端一致，使用 ethers.keccak256 和 sortPairs 构建树
+                const batchLeaves = ["VC:Alice", "VC:Bob", "VC:Charlie"].map(cred => ethers.keccak256(ethers.toUtf8Bytes(cred)));
+                const tree = new MerkleTree(batchLeaves, ethers.keccak256, { sortPairs: true });
+                root = tree.getHexRoot();
+                leaf = batchLeaves[0];
+                proof = tree.getHexProof(leaf);
+            });
+
+            it("Should issue a batch with a validity window", async function () {
+                await expect(vcRegistry.connect(deployer).issueBatchCredentialsWithExpiry(root, validUntil))
+                    .to.emit(vcRegistry, "BatchCredentialsIssued")
+                    .withArgs(root, deployer.address)
+                    .and.to.emit(vcRegistry, "BatchValidityWindowSet")
+                    .withArgs(root, validUntil);
+                expect(await vcRegistry.merkleRootValidUntil(root)).to.equal(validUntil);
+            });
+
+            it("Should reject a validity window that has already ended", async function () {
+                await expect(
+                    vcRegistry.connect(deployer).issueBatchCredentialsWithExpiry(root, await time.latest())
+                ).to.be.revertedWith("VCRegistry: validUntil must be in the future");
+                await expect(
+                    vcRegistry.connect(unauthorizedUser).issueBatchCredentialsWithExpiry(root, validUntil)
+                ).to.be.reverted;
+            });
+
+            it("Should stay valid up to validUntil and expire one second later", async function () {
+                await vcRegistry.connect(deployer).issueBatchCredentialsWithExpiry(root, validUntil);
+
+                await time.increaseTo(validUntil);
+                let [isValid, issuer, status] = await vcRegistry.verifyCredential(leaf, root, proof);
+                expect(isValid).to.be.true;
+                expect(issuer).to.equal(deployer.address);
+                expect(status).to.equal(CredentialStatus.Valid);
+
+                await time.increaseTo(validUntil + 1);
+                [isValid, issuer, status] = await vcRegistry.verifyCredential(leaf, root, proof);
+                expect(isValid).to.be.false;
+                expect(issuer).to.equal(deployer.address);
+                expect(status).to.equal(CredentialStatus.Expired);
+            });
+
+            it("Should never expire batches issued without a validity window", async function () {
+                await vcRegistry.connect(deployer).issueBatchCredentials(root);
+                await time.increase(10 * 365 * ONE_DAY);
+                const [isValid, , status] = await vcRegistry.verifyCredential(leaf, root, proof);
+                expect(isValid).to.be.true;
+                expect(status).to.equal(CredentialStatus.Valid);
+            });
+
+            it("Should report revoked, unknown-root and invalid-proof statuses distinctly from expired", async function () {
+                expect((await vcRegistry.verifyCredential(leaf, root, proof))[2]).to.equal(CredentialStatus.UnknownRoot);
+
+                await vcRegistry.connect(deployer).issueBatchCredentialsWithExpiry(root, validUntil);
+                expect((await vcRegistry.verifyCredential(nonExistentLeaf, root, proof))[2]).to.equal(CredentialStatus.InvalidProof);
+
+                await vcRegistry.connect(deployer).revokeBatchCredential(leaf, root);
+                await time.increaseTo(validUntil + 1);
+                expect((await vcRegistry.verifyCredential(leaf, root, proof))[2]).to.equal(CredentialStatus.Revoked);
+            });
+
+            it("Should check a credential's own expirationDate off-chain", async function () {
+                const { getCredentialExpiry, isCredentialExpired, credentialStatusFromContract } =
+                    await import("../../did-frontend/src/lib/credentialValidity.js");
+                const credential = { issuanceDate: "2025-07-01T00:00:00.000Z", expirationDate: "2025-08-01T00:00:00.000Z" };
+
+                expect(getCredentialExpiry(credential).toISOString()).to.equal(credential.expirationDate);
+                expect(isCredentialExpired(credential, new Date("2025-08-01T00:00:00.000Z"))).to.be.false;
+                expect(isCredentialExpired(credential, new Date("2025-08-01T00:00:00.001Z"))).to.be.true;
+                expect(isCredentialExpired({ issuanceDate: credential.issuanceDate })).to.be.false;
+                expect(() => getCredentialExpiry({ expirationDate: "not a date" })).to.throw();
+                expect(credentialStatusFromContract(CredentialStatus.Expired)).to.equal("expired");
+            });
+        });
+
+        describe("Credential Hashing (shared with the frontend)", function () {
+            // 与前端共用的哈希模块是 ES 模块，因此在这里通过 import() 加载
+            let canonicalize, hashCredential, HASH_SCHEMES;
+
+            const credential = {
+                '@context': 'https://www.w3.org/2018/credentials/v1',
+                type: ['VerifiableCredential', 'EducationCredential'],
+                issuer: 'did:ethr:0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+                issuanceDate: '2025-07-01T00:00:00.000Z',
+                credentialSubject: { id: 'did:example:alice', name: 'Alice', degree: 'Bachelor' },
+            };
+            // 同一个凭证，键顺序不同
+            const reordered = {
+                credentialSubject: { degree: 'Bachelor', name: 'Alice', id: 'did:example:alice' },
+                issuanceDate: '2025-07-01T00:00:00.000Z',
+                issuer: 'did:ethr:0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266',
+                type: ['VerifiableCredential', 'EducationCredential'],
+                '@context': 'https://www.w3.org/2018/credentials/v1',
+            };
+
+            before(async function () {
+                ({ canonicalize, hashCredential, HASH_SCHEMES } = await import("../../did-frontend/src/lib/credentialHash.js"));
+            });
+
+            it("Should canonicalize JSON per RFC 8785", function () {
+                expect(canonicalize({ b: 1, a: [true, null, "x"], c: { z: 1e21, y: -0 } }))
+                    .to.equal('{"a":[true,null,"x"],"b":1,"c":{"y":0,"z":1e+21}}');
+                expect(canonicalize({ "\u20ac": 1, "\r": 2, "1": 3 }))
+                    .to.equal('{"\\r":2,"1":3,"\u20ac":1}');
+                expect(() => canonicalize({ a: NaN })).to.throw();
+            });
+
+            it("Should produce the same JCS leaf regardless of key order", function () {
+                expect(hashCredential(credential)).to.equal(hashCredential(reordered));
+                expect(hashCredential(credential, { scheme: HASH_SCHEMES.LEGACY }))
+                    .to.not.equal(hashCredential(reordered, { scheme: HASH_SCHEMES.LEGACY }));
+            });
+
+            it("Should require a domain for EIP-712 leaves", function () {
+                expect(() => hashCredential(credential, { scheme: HASH_SCHEMES.EIP712 })).to.throw();
+            });
+
+            for (const scheme of ["jcs-keccak256", "eip712"]) {
+                it(`Should verify a ${scheme} leaf on-chain`, async function () {
+                    const { chainId } = await ethers.provider.getNetwork();
+                    const domain = { chainId, verifyingContract: await vcRegistry.getAddress() };
+                    const other = { ...credential, credentialSubject: { ...credential.credentialSubject, id: 'did:example:bob', name: 'Bob' } };
+
+                    const batchLeaves = [credential, other].map(c => hashCredential(c, { scheme, ...domain }));
+                    const tree = new MerkleTree(batchLeaves, ethers.keccak256, { sortPairs: true });
+                    const root = tree.getHexRoot();
+                    await vcRegistry.connect(deployer).issueBatchCredentials(root);
+
+                    // 验证者重新组织了键顺序，得到的叶子仍然相同
+                    const leaf = hashCredential(reordered, { scheme, ...domain });
+                    const [isValid, issuer] = await vcRegistry.verifyCredential(leaf, root, tree.getHexProof(leaf));
+                    expect(isValid).to.be.true;
+                    expect(issuer).to.equal(deployer.address);
+                });
+            }
+        });
+
+        describe("Selective Disclosure", function () {
+            let sd, statusList, hashCredential, HASH_SCHEMES, buildCredentialPackage, packages, root;
+
+            before(async function () {
+                sd = await import("../../did-frontend/src/lib/selectiveDisclosure.js");
+                statusList = await import("../../did-frontend/src/lib/statusList.js");
+                ({ hashCredential, HASH_SCHEMES } = await import("../../did-frontend/src/lib/credentialHash.js"));
+                ({ buildCredentialPackage } = await import("../../did-frontend/src/lib/credentialPackage.js"));
+            });
+
+            // 颁发一个包含两个选择性披露凭证的批次，返回持有者的凭证包
+            beforeEach(async function () {
+                const credentials = ["Alice", "Bob"].map((name, i) => ({
+                    '@context': 'https://www.w3.org/2018/credentials/v1',
+                    type: ['VerifiableCredential', 'EducationCredential'],
+                    issuer: `did:ethr:${deployer.address}`,
+                    issuanceDate: '2025-07-01T00:00:00.000Z',
+                    credentialSubject: { id: `did:example:${i}`, name, degree: 'Bachelor', gpa: 3.9 },
+                    credentialStatus: statusList.createStatusListEntry('urn:uuid:sd-batch', i),
+                }));
+                const salts = credentials.map(sd.createClaimSalts);
+                const batchLeaves = credentials.map((c, i) => sd.hashSelectiveDisclosureCredential(c, salts[i]));
+                const tree = new MerkleTree(batchLeaves, ethers.keccak256, { sortPairs: true });
+                root = tree.getHexRoot();
+                await vcRegistry.connect(deployer).issueBatchCredentials(root);
+                const contractAddress = await vcRegistry.getAddress();
+                packages = credentials.map((credential, i) => buildCredentialPackage({
+                    credential,
+                    leaf: batchLeaves[i],
+                    hashScheme: HASH_SCHEMES.SELECTIVE_DISCLOSURE,
+                    proof: tree.getHexProof(batchLeaves[i]),
+                    merkleRoot: root,
+                    issuer: deployer.address,
+                    chainId: 31337,
+                    contractAddress,
+                    salts: salts[i],
+                }));
+            });
+
+            it("Should verify a disclosure of chosen fields end to end without revealing the rest", async function () {
+                const presentation = sd.createSelectiveDisclosure(packages[0], ['/credentialSubject/name']);
+                const serialized = JSON.stringify(presentation);
+                expect(serialized).to.not.include("Bachelor");
+                expect(serialized).to.not.include("did:example:0");
+
+                const { status, credential, errors } = await sd.verifySelectiveDisclosure(presentation, vcRegistry);
+                expect(errors).to.be.empty;
+                expect(status).to.equal("valid");
+                expect(credential.credentialSubject).to.deep.equal({ name: 'Alice' });
+                expect(credential.issuer).to.equal(`did:ethr:${deployer.address}`);
+                // 叶子依赖盐值，不能只由凭证计算
+                expect(() => hashCredential(packages[0].credential, { scheme: HASH_SCHEMES.SELECTIVE_DISCLOSURE }))
+                    .to.throw("hashSelectiveDisclosureCredential");
+            });
+
+            it("Should reject tampered, unlisted or withheld claims", async function () {
+                const presentation = sd.createSelectiveDisclosure(packages[0], ['/credentialSubject/degree']);
+                const degree = presentation.disclosures.find(({ path }) => path === '/credentialSubject/degree');
+
+                degree.value = 'Doctorate';
+                let result = await sd.verifySelectiveDisclosure(presentation, vcRegistry);
+                expect(result.status).to.equal("invalidDisclosure");
+                expect(result.errors).to.deep.equal(['Claim "/credentialSubject/degree" is not part of the credential']);
+
+                // 隐藏 credentialStatus 以绕过撤销检查
+                const withheld = sd.createSelectiveDisclosure(packages[0], []);
+                withheld.disclosures = withheld.disclosures.filter(({ path }) => path !== '/credentialStatus');
+                result = sd.verifyDisclosures(withheld);
+                expect(result.errors).to.deep.equal(['Required claim "/credentialStatus" is not disclosed']);
+
+                // 另一个凭证的声明证明不能拼接到本凭证的披露中
+                const other = sd.createSelectiveDisclosure(packages[1], ['/credentialSubject/name']);
+                withheld.disclosures = [...sd.createSelectiveDisclosure(packages[0], []).disclosures,
+                    other.disclosures.find(({ path }) => path === '/credentialSubject/name')];
+                result = sd.verifyDisclosures(withheld);
+                expect(result.errors).to.deep.equal(['Claim "/credentialSubject/name" is not part of the credential']);
+
+                expect(() => sd.createSelectiveDisclosure(packages[0], ['/credentialSubject/email'])).to.throw('Unknown claim');
+            });
+
+            it("Should report revoked credentials and unknown batches for disclosures", async function () {
+                const { wordIndices, masks } = statusList.toStatusListMasks([1]);
+                await vcRegistry.connect(deployer).revokeByStatusList(root, wordIndices, masks);
+                const [alice, bob] = packages.map((pkg) => sd.createSelectiveDisclosure(pkg, ['/credentialSubject/name']));
+
+                expect((await sd.verifySelectiveDisclosure(alice, vcRegistry)).status).to.equal("valid");
+                expect((await sd.verifySelectiveDisclosure(bob, vcRegistry)).status).to.equal("revoked");
+                expect((await sd.verifySelectiveDisclosure({ ...alice, merkleRoot: ethers.ZeroHash }, vcRegistry)).status)
+                    .to.equal("unknownRoot");
+            });
+
+            it("Should not let a forged disclosure path pollute Object.prototype", async function () {
+                const claim = { path: '/__proto__/polluted', value: 'yes', salt: ethers.hexlify(ethers.randomBytes(16)) };
+                // 没有兄弟节点时叶子就是声明哈希，攻击者可以自行计算
+                const forged = {
+                    ...sd.createSelectiveDisclosure(packages[0], []),
+                    leaf: sd.hashClaim(claim),
+                    disclosures: [{ ...claim, proof: [] }],
+                };
+                try {
+                    // 叶子不属于已颁发的批次，声明不会被还原
+                    const result = await sd.verifySelectiveDisclosure({ ...forged, proof: [] }, vcRegistry);
+                    expect(result.status).to.equal("invalidProof");
+                    expect(({}).polluted).to.be.undefined;
+
+                    // 不访问链上数据的 verifyDisclosures 同样拒绝原型链上的路径
+                    for (const path of ['/__proto__/polluted', '/constructor/prototype/polluted', '/credentialSubject/__proto__']) {
+                        const disclosure = { ...claim, path };
+                        const { errors } = sd.verifyDisclosures({ ...forged, leaf: sd.hashClaim(disclosure), disclosures: [{ ...disclosure, proof: [] }] });
+                        expect(errors).to.include(`Claim "${path}" has an invalid path`);
+                    }
+                    expect(({}).polluted).to.be.undefined;
+                } finally {
+                    delete Object.prototype.polluted;
+                }
+            });
+        });
+    });
+
+    describe("Storage Service", function () {
+        let createStorage, STORAGE_BACKENDS;
+
+        before(async function () {
+            ({ createStorage, STORAGE_BACKENDS } = await import("../../did-frontend/src/services/storage.js"));
+        });
+
+        it("Should round-trip plain and encrypted JSON through the memory backend", async function () {
+            const storage = createStorage({ backend: STORAGE_BACKENDS.MEMORY });
+            expect(storage.backend).to.equal(STORAGE_BACKENDS.MEMORY);
+            const document = { id: "did:merkleseal:31337:0x" + "ab".repeat(32), service: [{ id: "#hub", type: "LinkedDomains" }] };
+
+            const cid = await storage.addJson(document);
+            expect(cid).to.match(/^mem:[0-9a-f]{64}$/);
+            // 内存存储以内容哈希为标识，相同内容得到相同的 CID
+            expect(await storage.addJson(document)).to.equal(cid);
+            expect(await storage.getJson(cid)).to.deep.equal(document);
+
+            const { cid: encryptedCid, key } = await storage.addEncryptedJson(document);
+            expect(encryptedCid).to.not.equal(cid);
+            expect(JSON.stringify(await storage.getJson(encryptedCid))).to.not.include("LinkedDomains");
+            expect(await storage.getEncryptedJson(encryptedCid, key)).to.deep.equal(document);
+        });
+
+        it("Should fail on missing objects, wrong keys and unknown backends", async function () {
+            const storage = createStorage({ backend: STORAGE_BACKENDS.MEMORY });
+            expect(await storage.getJson("mem:missing").catch(e => e.message))
+                .to.equal("Object not found in memory storage: mem:missing");
+            // 每个存储实例只能读到自己存入的数据
+            const cid = await storage.addJson({ name: "Alice" });
+            expect(await createStorage({ backend: STORAGE_BACKENDS.MEMORY }).getJson(cid).catch(e => e.message))
+                .to.equal(`Object not found in memory storage: ${cid}`);
+
+            const { cid: encryptedCid } = await storage.addEncryptedJson({ name: "Alice" });
+            const { key: otherKey } = await storage.addEncryptedJson({ name: "Bob" });
+            // AES-GCM 认证失败时 Web Crypto 抛出 OperationError
+            expect(await storage.getEncryptedJson(encryptedCid, otherKey).catch(e => e.name)).to.equal("OperationError");
+
+            expect(() => createStorage({ backend: "s3" })).to.throw("Unknown storage backend: s3");
+        });
+    });
+
+    describe("Holder Presentations", function () {
+        let presentationLib, verifyCredentialPackage, deriveEncryptionKey, encryptJson, decryptJson, formatDid;
+        let credentialPackage;
+
+        before(async function () {
+            presentationLib = await import("../../did-frontend/src/lib/presentation.js");
+            ({ verifyCredentialPackage } = await import("../../did-frontend/src/lib/credentialVerification.js"));
+            ({ deriveEncryptionKey, encryptJson, decryptJson } = await import("../../did-frontend/src/lib/encryption.js"));
+            ({ formatDid } = await import("../../did-frontend/src/lib/didMethod.js"));
+        });
+
+        // 向 subjectId 颁发一个只含单个凭证的批次，返回其凭证包
+        async function issuePackage(subjectId) {
+            const { hashCredential, HASH_SCHEMES } = await import("../../did-frontend/src/lib/credentialHash.js");
+            const { buildCredentialPackage } = await import("../../did-frontend/src/lib/credentialPackage.js");
+            const credential = {
+                '@context': 'https://www.w3.org/2018/credentials/v1',
+                type: ['VerifiableCredential', 'MembershipCredential'],
+                issuer: `did:ethr:${deployer.address}`,
+                issuanceDate: '2025-07-01T00:00:00.000Z',
+                credentialSubject: { id: subjectId, name: 'Alice' },
+            };
+            const leaf = hashCredential(credential);
+            await vcRegistry.connect(deployer).issueBatchCredentials(leaf);
+            return buildCredentialPackage({
+                credential,
+                leaf,
+                hashScheme: HASH_SCHEMES.JCS,
+                proof: [],
+                merkleRoot: leaf,
+                issuer: deployer.address,
+                chainId: Number(chainId),
+                contractAddress: await vcRegistry.getAddress(),
+                storage: { cid: 'mem:copy', key: 'secret-key' },
+            });
+        }
+
+        beforeEach(async function () {
+            credentialPackage = await issuePackage(presentationLib.accountDid(user1.address));
+        });
+
+        it("Should sign a presentation that proves control of the holder and subject DIDs", async function () {
+            expect((await verifyCredentialPackage(credentialPackage, vcRegistry, { chainId })).status).to.equal("valid");
+
+            const presentation = await presentationLib.signPresentation(presentationLib.createPresentation({
+                holder: presentationLib.accountDid(user1.address),
+                credentialPackages: [credentialPackage],
+            }), user1);
+            // 加密副本的解密密钥不随展示发出
+            expect(JSON.stringify(presentation)).to.not.include("secret-key");
+
+            const options = { didRegistryContract: didRegistry, chainId };
+            expect(await presentationLib.verifyPresentationHolder(presentation, options)).to.deep.equal({
+                signer: user1.address,
+                holderControlled: true,
+                subjects: [{ id: presentationLib.accountDid(user1.address), controlled: true }],
+            });
+
+            // 出示他人的凭证
+            const stolen = await presentationLib.signPresentation(presentationLib.createPresentation({
+                holder: presentationLib.accountDid(user2.address),
+                credentialPackages: [credentialPackage],
+            }), user2);
+            const result = await presentationLib.verifyPresentationHolder(stolen, options);
+            expect(result.holderControlled).to.be.true;
+            expect(result.subjects[0].controlled).to.be.false;
+
+            // 签名后篡改展示内容
+            presentation.holder = presentationLib.accountDid(user2.address);
+            expect(() => presentationLib.recoverPresentationSigner(presentation)).to.throw("does not match");
+        });
+
+        it("Should resolve did:merkleseal subjects to their DIDRegistry controller", async function () {
+            const didHash = await createDid(user1, "QmHolder");
+            const did = formatDid(chainId, didHash);
+            const options = { didRegistryContract: didRegistry, chainId };
+
+            expect(await presentationLib.resolveDidController(did, options)).to.equal(user1.address);
+            expect(await presentationLib.resolveDidController(formatDid(chainId, ethers.ZeroHash), options)).to.be.null;
+            expect(await presentationLib.resolveDidController(formatDid(1, didHash), options)).to.be.null;
+
+            const presentation = await presentationLib.signPresentation(presentationLib.createPresentation({
+                holder: did,
+                credentialPackages: [await issuePackage(did)],
+            }), user1);
+            expect((await presentationLib.verifyPresentationHolder(presentation, options)).subjects)
+                .to.deep.equal([{ id: did, controlled: true }]);
+
+            // 撤销后的 DID 不再由任何账户控制
+            await didRegistry.connect(user1).revokeDID(didHash);
+            expect((await presentationLib.verifyPresentationHolder(presentation, options)).holderControlled).to.be.false;
+        });
+
+        it("Should derive a stable wallet key from the holder's signature", async function () {
+            const message = "MerkleSeal holder wallet";
+            const key = await deriveEncryptionKey(await user1.signMessage(message), "wallet");
+            expect(await deriveEncryptionKey(await user1.signMessage(message), "wallet")).to.equal(key);
+            expect(await deriveEncryptionKey(await user1.signMessage(message), "other")).to.not.equal(key);
+
+            const envelope = await encryptJson(credentialPackage, key);
+            expect(await decryptJson(envelope, key)).to.deep.equal(JSON.parse(JSON.stringify(credentialPackage)));
+            const otherKey = await deriveEncryptionKey(await user2.signMessage(message), "wallet");
+            let failed = false;
+            await decryptJson(envelope, otherKey).catch(() => { failed = true; });
+            expect(failed).to.be.true;
+        });
+
+        describe("Presentation Exchange", function () {
+            let exchange, request, options;
+
+            before(async function () {
+                exchange = await import("../../did-frontend/src/lib/presentationExchange.js");
+            });
+
+            beforeEach(async function () {
+                request = exchange.createPresentationRequest({
+                    domain: "https://verifier.example",
+                    credentialTypes: ["MembershipCredential"],
+                    requiredFields: ["name"],
+                });
+                options = { vcRegistryContract: vcRegistry, didRegistryContract: didRegistry, chainId };
+            });
+
+            const respond = (signer, credentialPackages = [credentialPackage], req = request) =>
+                exchange.createPresentationResponse(req, {
+                    holder: presentationLib.accountDid(signer.address),
+                    credentialPackages,
+                    signer,
+                    chainId,
+                });
+
+            it("Should accept a response bound to the request and carried over deep links", async function () {
+                expect(exchange.findMatchingCredentials(request, [credentialPackage])).to.have.length(1);
+                expect(exchange.findMatchingCredentials({ ...request, requiredFields: ["degree"] }, [credentialPackage])).to.be.empty;
+
+                // 请求和响应都经由深度链接传递
+                const link = exchange.encodeDeepLink(exchange.DEEP_LINK_KINDS.REQUEST, request);
+                expect(link).to.match(/^merkleseal:\/\/present\?data=[A-Za-z0-9_-]+$/);
+                const { kind, payload } = exchange.decodeDeepLink(link);
+                expect(kind).to.equal(exchange.DEEP_LINK_KINDS.REQUEST);
+                const response = exchange.decodeDeepLink(
+                    exchange.encodeDeepLink(exchange.DEEP_LINK_KINDS.RESPONSE, await respond(user1, [credentialPackage], payload))
+                ).payload;
+
+                const result = await exchange.verifyPresentationResponse(response, request, options);
+                expect(result.errors).to.be.empty;
+                expect(result.valid).to.be.true;
+                expect(result.signer).to.equal(user1.address);
+                expect(result.credentials[0]).to.include({ status: "valid", subjectControlled: true });
+            });
+
+            it("Should reject responses replayed to another request, domain or time", async function () {
+                const response = await respond(user1);
+
+                // 同一验证者的新请求有新的 challenge
+                const nextRequest = exchange.createPresentationRequest({ domain: request.domain });
+                let result = await exchange.verifyPresentationResponse(response, nextRequest, options);
+                expect(result.valid).to.be.false;
+                expect(result.errors).to.include("Presentation does not answer this request (challenge mismatch)");
+
+                // 其他网站转发收到的响应：签名按验证者自己的 domain 重建，无法通过
+                result = await exchange.verifyPresentationResponse(response, { ...request, domain: "https://evil.example" }, options);
+                expect(result.errors[0]).to.include("another domain");
+                expect(result.errors.some((error) => error.startsWith("Presentation signature does not match"))).to.be.true;
+
+                result = await exchange.verifyPresentationResponse(response, request, {
+                    ...options,
+                    at: new Date(Date.parse(request.expiresAt) + 1000),
+                });
+                expect(result.errors).to.deep.equal(["Presentation request has expired"]);
+            });
+
+            it("Should check the presenter, the requested types and every embedded credential", async function () {
+                // user2 出示属于 user1 的凭证
+                let result = await exchange.verifyPresentationResponse(await respond(user2), request, options);
+                expect(result.errors).to.deep.equal([`Presenter does not control the subject DID ${presentationLib.accountDid(user1.address)}`]);
+
+                await vcRegistry.connect(deployer).revokeBatchCredential(credentialPackage.leaf, credentialPackage.merkleRoot);
+                result = await exchange.verifyPresentationResponse(await respond(user1), request, options);
+                expect(result.errors).to.deep.equal([`Credential ${credentialPackage.leaf.slice(0, 10)} is revoked`]);
+
+                result = await exchange.verifyPresentationResponse(await respond(user1, []), request, options);
+                expect(result.errors).to.deep.equal(["No credential of type MembershipCredential with fields [name] was presented"]);
+            });
+        });
+    });
+
+    describe("Subject DID Binding", function () {
+        const SubjectStatus = { Active: 0, Revoked: 1, NotFound: 2 };
+        let subjectLib, verifyCredentialPackage, formatDid, hashCredential, HASH_SCHEMES;
+
+        before(async function () {
+            subjectLib = await import("../../did-frontend/src/lib/subjectDid.js");
+            ({ verifyCredentialPackage } = await import("../../did-frontend/src/lib/credentialVerification.js"));
+            ({ formatDid } = await import("../../did-frontend/src/lib/didMethod.js"));
+            ({ hashCredential, HASH_SCHEMES } = await import("../../did-frontend/src/lib/credentialHash.js"));
+        });
+
+        it("Should report the status and controller of subject DIDs", async function () {
+            const active = await createDid(user1);
+            const revoked = await createDid(user2);
+            await didRegistry.connect(user2).revokeDID(revoked);
+            const unknown = ethers.keccak256(ethers.toUtf8Bytes("unknown"));
+
+            expect(await vcRegistry.getSubjectStatus(active)).to.deep.equal([SubjectStatus.Active, user1.address]);
+            expect(await vcRegistry.getSubjectStatus(revoked)).to.deep.equal([SubjectStatus.Revoked, user2.address]);
+            expect(await vcRegistry.getSubjectStatus(unknown)).to.deep.equal([SubjectStatus.NotFound, ethers.ZeroAddress]);
+            expect(await vcRegistry.isSubjectController(active, user1.address)).to.be.true;
+            expect(await vcRegistry.isSubjectController(active, user2.address)).to.be.false;
+            expect(await vcRegistry.isSubjectController(revoked, user2.address)).to.be.false;
+        });
+
+        it("Should require the admin to link a DID registry before resolving subjects", async function () {
+            const VCRegistryFactory = await ethers.getContractFactory("VCRegistry");
+            const unlinked = await VCRegistryFactory.deploy();
+            await expect(unlinked.getSubjectStatus(ethers.ZeroHash)).to.be.revertedWith("VCRegistry: DID registry not set");
+            await expect(unlinked.connect(user1).setDIDRegistry(await didRegistry.getAddress()))
+                .to.be.revertedWithCustomError(unlinked, "AccessControlUnauthorizedAccount");
+            await expect(unlinked.setDIDRegistry(await didRegistry.getAddress()))
+                .to.emit(unlinked, "DIDRegistryUpdated")
+                .withArgs(await didRegistry.getAddress());
+            expect(await unlinked.didRegistry()).to.equal(await didRegistry.getAddress());
+        });
+
+        it("Should check subjects before issuance and report revoked subjects at verification", async function () {
+            const { buildCredentialPackage } = await import("../../did-frontend/src/lib/credentialPackage.js");
+            const alice = formatDid(chainId, await createDid(user1));
+            const bob = formatDid(chainId, await createDid(user2));
+            const credentialFor = (id) => ({ type: ["VerifiableCredential"], issuanceDate: "2025-07-01T00:00:00.000Z", credentialSubject: { id } });
+
+            const { didHashes, errors } = await subjectLib.checkSubjectsForIssuance(vcRegistry, [
+                credentialFor(alice),
+                credentialFor(alice),
+                credentialFor("did:example:carol"),
+                credentialFor(formatDid(1, ethers.ZeroHash)),
+                credentialFor(formatDid(chainId, ethers.ZeroHash)),
+            ], chainId);
+            expect(didHashes).to.deep.equal([alice.split(":")[3]]);
+            expect(errors).to.deep.equal([
+                "Subject did:example:carol is not a did:merkleseal DID",
+                `Subject ${formatDid(1, ethers.ZeroHash)} is registered on another chain`,
+                `Subject ${formatDid(chainId, ethers.ZeroHash)} is not registered`,
+            ]);
+
+            // 颁发后主体撤销了自己的 DID，凭证本身仍有效，但验证结果报告主体状态
+            const credential = credentialFor(bob);
+            const leaf = hashCredential(credential);
+            await vcRegistry.issueBatchCredentials(leaf);
+            const pkg = buildCredentialPackage({
+                credential, leaf, hashScheme: HASH_SCHEMES.JCS, proof: [], merkleRoot: leaf, issuer: deployer.address,
+                chainId: Number(chainId), contractAddress: await vcRegistry.getAddress(),
+            });
+            let result = await verifyCredentialPackage(pkg, vcRegistry, { chainId, presenter: user2.address });
+            expect(result.subjects).to.deep.equal([{ did: bob, status: "active", controller: user2.address, presenterIsController: true }]);
+            expect((await verifyCredentialPackage(pkg, vcRegistry, { chainId, presenter: user1.address })).subjects[0].presenterIsController).to.be.false;
+
+            await didRegistry.connect(user2).revokeDID(bob.split(":")[3]);
+            result = await verifyCredentialPackage(pkg, vcRegistry, { chainId, presenter: user2.address });
+            expect(result.status).to.equal("valid");
+            expect(result.subjects[0]).to.include({ status: "revoked", presenterIsController: false });
+            expect((await subjectLib.checkSubjectsForIssuance(vcRegistry, [credential], chainId)).errors)
+                .to.deep.equal([`Subject ${bob} has been revoked`]);
+        });
+
+        it("Should report the status of every subject of a multi-subject credential", async function () {
+            const { checkCredentialSubjects, areCredentialSubjectsValid } = await import("../../did-frontend/src/lib/credentialVerification.js");
+            const alice = formatDid(chainId, await createDid(user1));
+            const bobHash = await createDid(user2);
+            const bob = formatDid(chainId, bobHash);
+            const credential = {
+                "@context": "https://www.w3.org/2018/credentials/v1",
+                type: ["VerifiableCredential", "MarriageCredential"],
+                credentialSubject: [{ id: alice }, { id: bob }, { id: "did:example:witness" }],
+            };
+
+            let subjects = await checkCredentialSubjects(credential, vcRegistry, chainId, user2.address);
+            expect(subjects.map(({ did, status, presenterIsController }) => [did, status, presenterIsController])).to.deep.equal([
+                [alice, "active", false],
+                [bob, "active", true],
+            ]);
+            expect(areCredentialSubjectsValid(subjects, user2.address)).to.be.true;
+            const unrelated = await checkCredentialSubjects(credential, vcRegistry, chainId, unauthorizedUser.address);
+            expect(areCredentialSubjectsValid(unrelated, unauthorizedUser.address)).to.be.false;
+
+            // 第二个主体撤销 DID 后同样被报告
+            await didRegistry.connect(user2).revokeDID(bobHash);
+            subjects = await checkCredentialSubjects(credential, vcRegistry, chainId);
+            expect(subjects.map(({ status }) => status)).to.deep.equal(["active", "revoked"]);
+            expect(areCredentialSubjectsValid(subjects)).to.be.false;
+        });
+    });
+
+    describe("Single Credential Issuance", function () {
+        const CredentialStatus = { Valid: 0, Revoked: 1, UnknownRoot: 2 };
+        let formatDid, hashCredential, HASH_SCHEMES;
+
+        before(async function () {
+            ({ formatDid } = await import("../../did-frontend/src/lib/didMethod.js"));
+            ({ hashCredential, HASH_SCHEMES } = await import("../../did-frontend/src/lib/credentialHash.js"));
+        });
+
+        it("Should take its issuers and subject checks from VCRegistry", async function () {
+            const subject = await createDid(user1);
+            const credentialId = ethers.keccak256(ethers.toUtf8Bytes("credential 1"));
+            expect(await verifiableCredential.vcRegistry()).to.equal(await vcRegistry.getAddress());
+
+            await expect(verifiableCredential.connect(user2).issueCredential(credentialId, subject, "QmCredential"))
+                .to.be.revertedWith("VC: Caller is not a trusted issuer");
+            // 在 VCRegistry 中授予或撤销 ISSUER_ROLE 同时作用于单个颁发
+            await vcRegistry.grantIssuerRole(user2.address);
+            expect(await verifiableCredential.isTrustedIssuer(user2.address)).to.be.true;
+            await expect(verifiableCredential.connect(user2).issueCredential(credentialId, subject, "QmCredential"))
+                .to.emit(verifiableCredential, "CredentialIssued")
+                .withArgs(credentialId, user2.address, subject);
+            await vcRegistry.revokeIssuerRole(user2.address);
+            await expect(verifiableCredential.connect(user2).issueCredential(ethers.id("credential 2"), subject, ""))
+                .to.be.revertedWith("VC: Caller is not a trusted issuer");
+
+            await expect(verifiableCredential.issueCredential(credentialId, subject, "")).to.be.revertedWith("VC: Credential ID already exists");
+            await expect(verifiableCredential.issueCredential(ethers.ZeroHash, subject, "")).to.be.revertedWith("VC: Invalid credential ID");
+            await expect(verifiableCredential.issueCredential(ethers.id("credential 3"), ethers.id("unknown"), ""))
+                .to.be.revertedWith("VC: Subject DID does not exist");
+            const revokedSubject = await createDid(user2);
+            await didRegistry.connect(user2).revokeDID(revokedSubject);
+            await expect(verifiableCredential.issueCredential(ethers.id("credential 3"), revokedSubject, ""))
+                .to.be.revertedWith("VC: Subject DID is revoked");
+
+            // 颁发者失去角色后，已颁发的凭证仍然有效，且仍可由其撤销
+            expect(await verifiableCredential.verifyCredential(credentialId))
+                .to.deep.equal([true, user2.address, "QmCredential", CredentialStatus.Valid]);
+            await expect(verifiableCredential.revokeCredential(credentialId)).to.be.revertedWith("VC: Caller is not the issuer");
+            await expect(verifiableCredential.connect(user2).revokeCredential(credentialId))
+                .to.emit(verifiableCredential, "CredentialRevoked")
+                .withArgs(credentialId);
+            expect(await verifiableCredential.verifyCredential(credentialId))
+                .to.deep.equal([false, ethers.ZeroAddress, "", CredentialStatus.Revoked]);
+            expect((await verifiableCredential.getCredential(credentialId)).issuer).to.equal(user2.address);
+            expect((await verifiableCredential.verifyCredential(ethers.id("never issued")))[3]).to.equal(CredentialStatus.UnknownRoot);
+        });
+
+        it("Should verify single credential packages with the shared libraries", async function () {
+            const packageLib = await import("../../did-frontend/src/lib/credentialPackage.js");
+            const { verifyCredentialPackage, getPackageIssuer } = await import("../../did-frontend/src/lib/credentialVerification.js");
+            const { fetchSingleCredentialHistory } = await import("../../did-frontend/src/lib/issuerHistory.js");
+            const alice = formatDid(chainId, await createDid(user1));
+            const credential = {
+                type: ["VerifiableCredential", "EducationCredential"],
+                issuanceDate: "2025-07-01T00:00:00.000Z",
+                credentialSubject: { id: alice, name: "Alice", degree: "Bachelor" },
+            };
+            const contractAddress = await verifiableCredential.getAddress();
+            const leaf = hashCredential(credential, { scheme: HASH_SCHEMES.EIP712, chainId, verifyingContract: contractAddress });
+            const receipt = await (await verifiableCredential.issueCredential(leaf, alice.split(":")[3], "QmEncrypted")).wait();
+
+            const pkg = packageLib.buildCredentialPackage({
+                credential,
+                leaf,
+                hashScheme: HASH_SCHEMES.EIP712,
+                issuanceMode: packageLib.ISSUANCE_MODES.SINGLE,
+                issuer: deployer.address,
+                chainId: Number(chainId),
+                contractAddress,
+                transactionHash: receipt.hash,
+            });
+            expect(pkg).to.not.have.any.keys("proof", "merkleRoot");
+            expect(packageLib.isCredentialPackage(pkg)).to.be.true;
+            expect(packageLib.isCredentialPackage({ credential })).to.be.false;
+
+            const options = { chainId, credentialContract: verifiableCredential, presenter: user1.address };
+            let result = await verifyCredentialPackage(pkg, vcRegistry, options);
+            expect(result).to.include({ status: "valid", leaf, statusListIndex: null });
+            expect(result.subjects[0]).to.include({ did: alice, status: "active", presenterIsController: true });
+            expect(await getPackageIssuer(pkg, leaf, { vcRegistryContract: vcRegistry, credentialContract: verifiableCredential }))
+                .to.equal(deployer.address);
+            expect(await verifyCredentialPackage(pkg, vcRegistry, { chainId }).catch((error) => error.message))
+                .to.equal("Single credentials are verified against the VerifiableCredential contract");
+
+            const tampered = { ...pkg, credential: { ...credential, credentialSubject: { ...credential.credentialSubject, degree: "Doctorate" } } };
+            expect((await verifyCredentialPackage(tampered, vcRegistry, options)).status).to.equal("unknownRoot");
+
+            await verifiableCredential.revokeCredential(leaf);
+            expect((await verifyCredentialPackage(pkg, vcRegistry, options)).status).to.equal("revoked");
+            expect(await fetchSingleCredentialHistory(verifiableCredential, deployer.address)).to.deep.equal([{
+                credentialId: leaf,
+                subjectDid: alice.split(":")[3],
+                transactionHash: receipt.hash,
+                blockNumber: receipt.blockNumber,
+                revoked: true,
+            }]);
+        });
+    });
+
+    describe("Event Indexer", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { takeSnapshot } = require("@nomicfoundation/hardhat-network-helpers");
+        const { openIndexDatabase, createIndexer, createIndexQueries, createIndexerServer, ROLE_NAMES } = require("../scripts/indexer");
+        let db, queries, startBlock;
+
+        async function newIndexer(database = db) {
+            return createIndexer({ db: database, provider: ethers.provider, didRegistry, vcRegistry, startBlock });
+        }
+
+        beforeEach(async function () {
+            // 只需从本测试部署合约的区块开始索引
+            startBlock = (await vcRegistry.deploymentTransaction().wait()).blockNumber;
+            db = openIndexDatabase(":memory:");
+            queries = await createIndexQueries(db);
+        });
+
+        afterEach(function () {
+            db.close();
+        });
+
+        it("Should materialize DID, batch, revocation and role history and serve it over HTTP", async function () {
+            const didHash = await createDid(user1, "QmFirst");
+            await didRegistry.connect(user1).updateDID(didHash, "QmSecond");
+            await didRegistry.connect(user1).transferController(didHash, user2.address);
+            const rootA = ethers.keccak256(ethers.toUtf8Bytes("batch A"));
+            const rootB = ethers.keccak256(ethers.toUtf8Bytes("batch B"));
+            const leaf = ethers.keccak256(ethers.toUtf8Bytes("leaf"));
+            await vcRegistry.grantIssuerRole(user1.address);
+            await vcRegistry.connect(user1).issueBatchCredentials(rootA);
+            const validUntil = (await time.latest()) + 3600;
+            await vcRegistry.issueBatchCredentialsWithExpiry(rootB, validUntil);
+            // 状态列表撤销中重复置位的索引只计一次
+            const { toStatusListMasks } = await import("../../did-frontend/src/lib/statusList.js");
+            for (const indices of [[0, 5], [5, 300]]) {
+                const { wordIndices, masks } = toStatusListMasks(indices);
+                await vcRegistry.connect(user1).revokeByStatusList(rootA, wordIndices, masks);
+            }
+            const since = (await time.latest()) + 1;
+            await vcRegistry.connect(user1).revokeBatchCredentials(rootA, [leaf], "Issued in error");
+            await vcRegistry.revokeIssuerRole(user1.address);
+
+            const indexer = await newIndexer();
+            const result = await indexer.sync();
+            expect(result).to.include({ fromBlock: startBlock, reorgedFrom: null });
+            expect(indexer.getCheckpoint()).to.equal(await ethers.provider.getBlockNumber());
+
+            const server = createIndexerServer({ queries });
+            await new Promise((resolve) => server.listen(0, resolve));
+            const get = async (urlPath) => {
+                const response = await fetch(`http://127.0.0.1:${server.address().port}${urlPath}`);
+                return { status: response.status, body: await response.json() };
+            };
+            try {
+                let { status, body } = await get(`/dids/${didHash}`);
+                expect(status).to.equal(200);
+                expect(body).to.include({ did: didHash, controller: user2.address, cid: "QmSecond", status: "active" });
+                expect(body.history.map(({ event }) => event)).to.deep.equal(["DIDRegistered", "DIDUpdated", "DIDControllerChanged"]);
+                expect((await get(`/dids?controller=${user2.address}`)).body.map(({ did }) => did)).to.deep.equal([didHash]);
+                expect((await get(`/dids?controller=${user1.address}`)).body).to.deep.equal([]);
+
+                ({ body } = await get(`/batches?issuer=${deployer.address}`));
+                expect(body).to.have.length(1);
+                expect(body[0]).to.include({ merkleRoot: rootB, issuer: deployer.address, validUntil, revokedCount: 0, statusListRevokedCount: 0 });
+                expect((await get(`/batches?issuer=${user1.address}`)).body[0]).to.include({ merkleRoot: rootA, revokedCount: 1, statusListRevokedCount: 3 });
+                expect((await get("/batches")).body.map(({ merkleRoot }) => merkleRoot)).to.deep.equal([rootB, rootA]);
+
+                ({ body } = await get(`/revocations?since=${since}`));
+                expect(body).to.have.length(1);
+                expect(body[0]).to.include({ kind: "leaf", leaf, merkleRoot: rootA, issuer: user1.address, reason: "Issued in error" });
+                expect((await get(`/revocations?issuer=${deployer.address}`)).body).to.deep.equal([]);
+
+                ({ body } = await get("/roles/ISSUER_ROLE"));
+                expect(body.role).to.equal(ROLE_NAMES.ISSUER_ROLE);
+                expect(body.members.map(({ account }) => account)).to.deep.equal([deployer.address]);
+
+                expect((await get(`/dids/${ethers.ZeroHash}`)).status).to.equal(404);
+                expect((await get("/batches?since=yesterday-ish")).status).to.equal(400);
+                expect((await get("/roles/UNKNOWN_ROLE")).status).to.equal(400);
+            } finally {
+                server.close();
+            }
+        });
+
+        it("Should resume from its checkpoint after a restart", async function () {
+            const dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "merkleseal-indexer-")), "index.sqlite");
+            try {
+                let fileDb = openIndexDatabase(dbFile);
+                const didHash = await createDid(user1, "QmFirst");
+                const first = await (await newIndexer(fileDb)).sync();
+                fileDb.close();
+
+                await didRegistry.connect(user1).revokeDID(didHash);
+                fileDb = openIndexDatabase(dbFile);
+                const indexer = await newIndexer(fileDb);
+                const second = await indexer.sync();
+                expect(second.fromBlock).to.equal(first.toBlock + 1);
+                expect(second.events).to.equal(1);
+                expect((await createIndexQueries(fileDb)).getDid(didHash).status).to.equal("revoked");
+                // 没有新区块时不重复索引
+                expect((await indexer.sync()).events).to.equal(0);
+
+                // 数据库不能用于另一次部署
+                const VCRegistryFactory = await ethers.getContractFactory("VCRegistry");
+                const otherRegistry = await VCRegistryFactory.deploy();
+                let error;
+                try {
+                    await createIndexer({ db: fileDb, provider: ethers.provider, didRegistry, vcRegistry: otherRegistry });
+                } catch (e) {
+                    error = e;
+                }
+                expect(error.message).to.include("another deployment");
+                fileDb.close();
+            } finally {
+                fs.rmSync(path.dirname(dbFile), { recursive: true, force: true });
+            }
+        });
+
+        it("Should roll back events from blocks that were reorganized away", async function () {
+            const kept = await createDid(user1, "QmKept");
+            const indexer = await newIndexer();
+            await indexer.sync();
+
+            // 快照之后的区块在回滚后被另一条分支上的同高度区块取代
+            const snapshot = await takeSnapshot();
+            const forkPoint = await ethers.provider.getBlockNumber();
+            const orphaned = await createDid(user2, "QmOrphaned");
+            await vcRegistry.issueBatchCredentials(ethers.keccak256(ethers.toUtf8Bytes("orphaned batch")));
+            await indexer.sync();
+            expect(queries.getDid(orphaned)).to.not.equal(null);
+
+            await snapshot.restore();
+            const replacement = ethers.keccak256(ethers.toUtf8Bytes("replacement batch"));
+            await vcRegistry.issueBatchCredentials(replacement);
+            await vcRegistry.issueBatchCredentials(ethers.keccak256(ethers.toUtf8Bytes("another batch")));
+
+            const result = await indexer.sync();
+            expect(result.reorgedFrom).to.equal(forkPoint + 1);
+            expect(queries.getDid(orphaned)).to.equal(null);
+            expect(queries.getDid(kept).cid).to.equal("QmKept");
+            expect(queries.listBatches({ issuer: null, since: null, until: null }).map(({ merkleRoot }) => merkleRoot))
+                .to.include(replacement)
+                .and.to.have.length(2);
+        });
+    });
+
+    describe("Command-line interface", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const { runCli, EXIT_CODES } = require("../scripts/cli");
+        let outDir, output;
+
+        // 以指定账户执行一条 CLI 命令，返回退出码和解析后的 JSON 输出
+        async function cli(args, signer = deployer) {
+            output = { stdout: [], stderr: [] };
+            const exitCode = await runCli(args, {
+                connect: async () => ({
+                    didRegistry: didRegistry.connect(signer),
+                    vcRegistry: vcRegistry.connect(signer),
+                    verifiableCredential: verifiableCredential.connect(signer),
+                }),
+                output: { log: (text) => output.stdout.push(text), error: (text) => output.stderr.push(String(text)) },
+            });
+            return { exitCode, result: output.stdout.length ? JSON.parse(output.stdout[0]) : null };
+        }
+
+        // 颁发要求凭证主体是已登记的 DID
+        async function createSubjectDid(signer) {
+            return (await cli(["did", "create", "QmSubject"], signer)).result.did;
+        }
+
+        beforeEach(function () {
+            outDir = fs.mkdtempSync(path.join(os.tmpdir(), "merkleseal-cli-"));
+        });
+
+        afterEach(function () {
+            fs.rmSync(outDir, { recursive: true, force: true });
+        });
+
+        it("Should create, resolve, update and revoke a DID", async function () {
+            let { exitCode, result } = await cli(["did", "create", "QmFirst"], user1);
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            const { did, didHash } = result;
+            expect(did).to.match(/^did:merkleseal:31337:0x[0-9a-f]{64}$/);
+
+            expect((await cli(["did", "update", did, "QmSecond"], user1)).exitCode).to.equal(EXIT_CODES.OK);
+            ({ exitCode, result } = await cli(["did", "resolve", didHash]));
+            expect(result).to.include({ controller: user1.address, cid: "QmSecond", status: "active" });
+
+            // 非控制者的交易 revert
+            ({ exitCode } = await cli(["did", "revoke", did], user2));
+            expect(exitCode).to.equal(EXIT_CODES.CHAIN);
+            expect(output.stderr[0]).to.include("Caller is not the controller");
+
+            expect((await cli(["did", "revoke", did], user1)).exitCode).to.equal(EXIT_CODES.OK);
+            ({ result } = await cli(["did", "resolve", did]));
+            expect(result.status).to.equal("revoked");
+        });
+
+        it("Should issue a batch from a file, then verify and revoke its packages", async function () {
+            const inputFile = path.join(outDir, "batch.json");
+            const subjects = [await createSubjectDid(user1), await createSubjectDid(user2)];
+            fs.writeFileSync(inputFile, JSON.stringify(["Alice", "Bob"].map((name, i) => ({
+                "@context": "https://www.w3.org/2018/credentials/v1",
+                type: ["VerifiableCredential", "EducationCredential"],
+                credentialSubject: { id: subjects[i], name, degree: "Bachelor" },
+            }))));
+
+            let { exitCode, result } = await cli(["vc", "issue-batch", inputFile, "--out", path.join(outDir, "packages")]);
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            expect(result.count).to.equal(2);
+            expect(await vcRegistry.merkleRootToIssuer(result.merkleRoot)).to.equal(deployer.address);
+            const [alicePackage, bobPackage] = result.files;
+            const { credentialStatus } = JSON.parse(fs.readFileSync(alicePackage, "utf8")).credential;
+            expect(credentialStatus.statusListIndex).to.equal("0");
+            expect(credentialStatus.statusListCredential.startsWith(`http://127.0.0.1:3000/status-lists/${chainId}/${await vcRegistry.getAddress()}/0x`)).to.be.true;
+
+            ({ exitCode, result } = await cli(["vc", "verify", alicePackage]));
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            expect(result).to.include({ valid: true, status: "valid", issuer: deployer.address });
+            expect(result.subjects).to.deep.equal([{ did: subjects[0], status: "active" }]);
+            // 只有主体 DID 的控制者可以出示
+            expect((await cli(["vc", "verify", alicePackage, "--presenter", user1.address])).result.presenterIsController).to.be.true;
+            ({ exitCode, result } = await cli(["vc", "verify", alicePackage, "--presenter", user2.address]));
+            expect(exitCode).to.equal(EXIT_CODES.INVALID_CREDENTIAL);
+            expect(result).to.include({ valid: false, status: "valid", presenterIsController: false });
+            // 颁发者未登记到信任注册表
+            expect((await cli(["vc", "verify", alicePackage, "--require-accreditation"])).exitCode)
+                .to.equal(EXIT_CODES.INVALID_CREDENTIAL);
+
+            expect((await cli(["vc", "revoke", bobPackage, "--reason", "Issued in error"])).exitCode).to.equal(EXIT_CODES.OK);
+            ({ exitCode, result } = await cli(["vc", "verify", bobPackage]));
+            expect(exitCode).to.equal(EXIT_CODES.INVALID_CREDENTIAL);
+            expect(result).to.include({ valid: false, status: "revoked" });
+
+            // 篡改后的凭证重新计算出的叶子不在树中
+            const tampered = JSON.parse(fs.readFileSync(alicePackage, "utf8"));
+            tampered.credential.credentialSubject.degree = "Doctorate";
+            fs.writeFileSync(alicePackage, JSON.stringify(tampered));
+            ({ result } = await cli(["vc", "verify", alicePackage]));
+            expect(result.status).to.equal("invalidProof");
+        });
+
+        it("Should issue selective disclosure packages and verify a disclosure", async function () {
+            const inputFile = path.join(outDir, "batch.json");
+            fs.writeFileSync(inputFile, JSON.stringify([{
+                type: ["VerifiableCredential", "EducationCredential"],
+                credentialSubject: { id: await createSubjectDid(user1), name: "Alice", degree: "Bachelor" },
+            }]));
+            let { exitCode, result } = await cli(["vc", "issue-batch", inputFile, "--hash-scheme", "sd", "--out", outDir]);
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            const [packageFile] = result.files;
+            expect((await cli(["vc", "verify", packageFile])).result.status).to.equal("valid");
+
+            // 生成披露不需要连接节点
+            const presentationFile = path.join(outDir, "presentation.json");
+            exitCode = await runCli(["vc", "disclose", packageFile, "--fields", "degree", "--out", presentationFile], {
+                connect: () => { throw new Error("should not connect"); },
+                output: { log: () => {}, error: () => {} },
+            });
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            expect(fs.readFileSync(presentationFile, "utf8")).to.not.include("Alice");
+
+            ({ exitCode, result } = await cli(["vc", "verify", presentationFile]));
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            expect(result.disclosed.credentialSubject).to.deep.equal({ degree: "Bachelor" });
+            expect((await cli(["vc", "disclose", packageFile, "--fields", "email"])).exitCode).to.equal(EXIT_CODES.USAGE);
+        });
+
+        it("Should issue, verify and revoke a single credential without a tree", async function () {
+            const inputFile = path.join(outDir, "credential.json");
+            const subject = await createSubjectDid(user1);
+            fs.writeFileSync(inputFile, JSON.stringify({
+                type: ["VerifiableCredential", "EducationCredential"],
+                credentialSubject: { id: subject, name: "Alice", degree: "Bachelor" },
+            }));
+
+            let { exitCode, result } = await cli(["vc", "issue", inputFile, "--cid", "QmCredential", "--out", outDir]);
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            const { credentialId, file } = result;
+            expect(await verifiableCredential.verifyCredential(credentialId)).to.deep.equal([true, deployer.address, "QmCredential", 0n]);
+            expect(JSON.parse(fs.readFileSync(file, "utf8"))).to.include({ issuanceMode: "single", leaf: credentialId });
+
+            ({ exitCode, result } = await cli(["vc", "verify", file, "--presenter", user1.address]));
+            expect(exitCode).to.equal(EXIT_CODES.OK);
+            expect(result).to.include({ valid: true, status: "valid", issuanceMode: "single", issuer: deployer.address, presenterIsController: true });
+
+            // 非颁发者不能撤销，也不能单独颁发
+            expect((await cli(["vc", "revoke", file], user2)).exitCode).to.equal(EXIT_CODES.CHAIN);
+            expect((await cli(["vc", "issue", inputFile], user2)).exitCode).to.equal(EXIT_CODES.CHAIN);
+            ({ exitCode, result } = await cli(["vc", "revoke", file]));
+            expect(result.revoked).to.deep.equal([{ credentialId, transactionHash: result.revoked[0].transactionHash }]);
+            ({ exitCode, result } = await cli(["vc", "verify", file]));
+            expect(exitCode).to.equal(EXIT_CODES.INVALID_CREDENTIAL);
+            expect(result).to.include({ valid: false, status: "revoked", issuer: deployer.address });
+
+            expect((await cli(["vc", "issue", inputFile, "--hash-scheme", "sd"])).exitCode).to.equal(EXIT_CODES.USAGE);
+            fs.writeFileSync(inputFile, JSON.stringify({ credentialSubject: [{ id: subject }, { id: subject }] }));
+            expect((await cli(["vc", "issue", inputFile])).exitCode).to.equal(EXIT_CODES.INPUT);
+        });
+
+        it("Should grant and revoke the issuer role", async function () {
+            const ISSUER_ROLE = await vcRegistry.ISSUER_ROLE();
+            expect((await cli(["issuer", "grant", user1.address, "--name", "Registrar"])).exitCode).to.equal(EXIT_CODES.OK);
+            expect(await vcRegistry.hasRole(ISSUER_ROLE, user1.address)).to.be.true;
+            expect((await cli(["issuer", "grant", user2.address], user1)).exitCode).to.equal(EXIT_CODES.CHAIN);
+            expect((await cli(["issuer", "revoke", user1.address])).exitCode).to.equal(EXIT_CODES.OK);
+            expect(await vcRegistry.hasRole(ISSUER_ROLE, user1.address)).to.be.false;
+        });
+
+        it("Should use distinct exit codes for usage and input errors", async function () {
+            expect((await cli([])).exitCode).to.equal(EXIT_CODES.USAGE);
+            expect((await cli(["vc", "frobnicate"])).exitCode).to.equal(EXIT_CODES.USAGE);
+            expect((await cli(["did", "update", "did:merkleseal:31337:0x01"])).exitCode).to.equal(EXIT_CODES.USAGE);
+            expect((await cli(["issuer", "grant", "not-an-address"])).exitCode).to.equal(EXIT_CODES.USAGE);
+            expect((await cli(["vc", "verify", "--unknown-flag", "x.json"])).exitCode).to.equal(EXIT_CODES.USAGE);
+            expect((await cli(["vc", "verify", path.join(outDir, "missing.json")])).exitCode).to.equal(EXIT_CODES.INPUT);
+
+            const notAPackage = path.join(outDir, "empty.json");
+            fs.writeFileSync(notAPackage, "[]");
+            expect((await cli(["vc", "issue-batch", notAPackage])).exitCode).to.equal(EXIT_CODES.INPUT);
+
+            // 未登记的主体在发送交易前被拒绝
+            const unregistered = path.join(outDir, "unregistered.json");
+            fs.writeFileSync(unregistered, JSON.stringify([{ type: ["VerifiableCredential"], credentialSubject: { id: "did:example:alice" } }]));
+            expect((await cli(["vc", "issue-batch", unregistered])).exitCode).to.equal(EXIT_CODES.INPUT);
+            expect(output.stderr[0]).to.include("is not a did:merkleseal DID");
+        });
+    });
+
+    describe("Deployment Manifest", function () {
+        const fs = require("fs");
+        const os = require("os");
+        const path = require("path");
+        const hre = require("hardhat");
+        const { saveFrontendFiles } = require("../scripts/deploy");
+        let contractsDir, deployments;
+
+        beforeEach(async function () {
+            contractsDir = fs.mkdtempSync(path.join(os.tmpdir(), "merkleseal-deploy-"));
+            deployments = await import("../../did-frontend/src/lib/deployments.js");
+        });
+
+        afterEach(function () {
+            fs.rmSync(contractsDir, { recursive: true, force: true });
+        });
+
+        const readManifest = () => JSON.parse(fs.readFileSync(path.join(contractsDir, "deployments.json"), "utf8"));
+
+        it("Should record addresses, deploy blocks, ABI hashes and the deployer by chain id and write the ABIs", async function () {
+            await saveFrontendFiles(deployer, { DIDRegistry: didRegistry, VCRegistry: vcRegistry }, contractsDir);
+
+            const manifest = readManifest();
+            expect(deployments.getSupportedChainIds(manifest)).to.deep.equal([Number(chainId)]);
+
+            const deployment = deployments.getDeployment(manifest, chainId);
+            expect(deployment.deployer).to.equal(deployer.address);
+            const receipt = await didRegistry.deploymentTransaction().wait();
+            expect(deployment.contracts.DIDRegistry).to.deep.equal({
+                address: await didRegistry.getAddress(),
+                deployBlock: receipt.blockNumber,
+                abiHash: deployments.hashAbi(hre.artifacts.readArtifactSync("DIDRegistry").abi),
+            });
+            expect(deployments.getContractAddress(manifest, chainId, "VCRegistry")).to.equal(await vcRegistry.getAddress());
+
+            const artifact = JSON.parse(fs.readFileSync(path.join(contractsDir, "VCRegistry.json"), "utf8"));
+            expect(deployments.findStaleAbis(deployment, { DIDRegistry: [], VCRegistry: artifact.abi })).to.deep.equal(["DIDRegistry"]);
+        });
+
+        it("Should replace only the current chain's record on redeploy and reject chains without a deployment", async function () {
+            const otherChain = { chainId: 11155111, deployer: user1.address, contracts: { DIDRegistry: { address: user2.address, deployBlock: 7, abiHash: ethers.ZeroHash } } };
+            fs.writeFileSync(path.join(contractsDir, "deployments.json"), JSON.stringify({ 11155111: otherChain }));
+
+            await saveFrontendFiles(deployer, { DIDRegistry: didRegistry }, contractsDir);
+            await saveFrontendFiles(deployer, { VCRegistry: vcRegistry }, contractsDir);
+
+            const manifest = readManifest();
+            expect(deployments.getSupportedChainIds(manifest)).to.deep.equal([Number(chainId), 11155111]);
+            expect(deployments.getDeployment(manifest, 11155111)).to.deep.equal(otherChain);
+            expect(Object.keys(deployments.getContractAddresses(manifest, chainId))).to.deep.equal(["VCRegistry"]);
+
+            expect(deployments.getContractAddresses(manifest, 1)).to.equal(null);
+            expect(() => deployments.getContractAddress(manifest, 1, "DIDRegistry"))
+                .to.throw("No DIDRegistry deployment for chain 1 in the deployment manifest");
+        });
     });
 });